@@ -1,3 +1,5 @@
+const { truncatePayload } = require('./truncation');
+
 module.exports = {
   createPayload: (req) => {
     const payload = {
@@ -165,6 +167,26 @@ module.exports = {
       payload.data.webhook_id = req.body.registration_info.webhook_id;
     }
 
-    return { updateRateLimits, payload };
+    const result = { updateRateLimits, payload };
+
+    // Opt-in: trim oversized notifications to fit instead of having them rejected
+    if (req.body.data?.truncate === true) {
+      const truncated = truncatePayload(
+        payload,
+        {
+          messagePaths: ['data.message'],
+          actionTitlePaths: Object.keys(payload.data)
+            .filter((key) => /^action_\d+_title$/.test(key))
+            .map((key) => `data.${key}`),
+          optionalPaths: ['data.ticker', 'data.subject'],
+        },
+        'android',
+      );
+      if (truncated) {
+        result.truncated = truncated;
+      }
+    }
+
+    return result;
   },
 };
@@ -0,0 +1,163 @@
+'use strict';
+
+const NAMESPACE = 'blocklist';
+
+// Every request is checked against the blocklist, so lookups are cached briefly rather than read
+// from the store each time. Blocks made on another instance apply once its cache expires.
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHED_LOOKUPS = 10000;
+
+// What can be blocked, by the name admins use for it
+/** @type {BlockType[]} */
+const BLOCK_TYPES = ['token', 'webhook_id', 'ip'];
+
+/**
+ * @typedef {'token'|'webhook_id'|'ip'} BlockType
+ */
+
+/**
+ * @typedef {Object} BlockEntry
+ * @property {BlockType} type - What is blocked
+ * @property {string} value - The blocked token, webhook ID or IP address
+ * @property {string} reason - Why it is blocked, reported back to the caller
+ * @property {string} blockedAt - When it was blocked, as an ISO 8601 string
+ * @property {string|null} expiresAt - When the block ends, as an ISO 8601 string, or null if it
+ *   lasts until it is removed
+ */
+
+/**
+ * Keeps the push tokens, webhooks and IP addresses that admins have blocked from using the
+ * relay. Blocks with an expiry are dropped by the store once they end.
+ */
+class Blocklist {
+  /**
+   * Creates a new Blocklist instance.
+   *
+   * @param {Object} store - The key-value store to keep blocks in
+   */
+  constructor(store) {
+    this.store = store;
+    /** @type {Map<string, { entry: BlockEntry|null, expiresAt: number }>} */
+    this.cache = new Map();
+  }
+
+  /**
+   * Gets the store key for a blocked value.
+   *
+   * @private
+   * @param {BlockType} type - What is blocked
+   * @param {string} value - The blocked value
+   * @returns {string} The store key
+   */
+  _getKey(type, value) {
+    // Firestore document IDs can't contain slashes
+    return `${type}:${encodeURIComponent(value)}`;
+  }
+
+  /**
+   * Gets the block on a value.
+   *
+   * @param {BlockType} type - What is blocked
+   * @param {string} value - The value
+   * @returns {Promise<BlockEntry|null>} The block, or null if the value is not blocked
+   */
+  async get(type, value) {
+    return this.store.get(NAMESPACE, this._getKey(type, value));
+  }
+
+  /**
+   * Gets the block on a value, using the cache when possible.
+   *
+   * @private
+   * @param {BlockType} type - What is blocked
+   * @param {string} value - The value
+   * @returns {Promise<BlockEntry|null>} The block, or null if the value is not blocked
+   */
+  async _getCached(type, value) {
+    const now = Date.now();
+    const cached = this.cache.get(this._getKey(type, value));
+    if (cached && cached.expiresAt > now) {
+      const { entry } = cached;
+      // A cached block still ends at its own expiry
+      return entry && entry.expiresAt !== null && Date.parse(entry.expiresAt) <= now ? null : entry;
+    }
+
+    const entry = await this.get(type, value);
+    this._cache(type, value, entry);
+    return entry;
+  }
+
+  /**
+   * Caches the block on a value, or that it isn't blocked.
+   *
+   * @private
+   * @param {BlockType} type - What is blocked
+   * @param {string} value - The value
+   * @param {BlockEntry|null} entry - The block, or null if the value is not blocked
+   */
+  _cache(type, value, entry) {
+    if (this.cache.size >= MAX_CACHED_LOOKUPS) {
+      this.cache.clear();
+    }
+    this.cache.set(this._getKey(type, value), { entry, expiresAt: Date.now() + CACHE_TTL_MS });
+  }
+
+  /**
+   * Blocks a value, replacing any previous block on it.
+   *
+   * @param {BlockType} type - What to block
+   * @param {string} value - The value to block
+   * @param {string} reason - Why it is blocked
+   * @param {number|null} [expiresAt=null] - When the block ends in milliseconds, or null to
+   *   keep it until it is removed
+   * @returns {Promise<BlockEntry>} The block
+   */
+  async block(type, value, reason, expiresAt = null) {
+    const entry = {
+      type,
+      value,
+      reason,
+      blockedAt: new Date().toISOString(),
+      expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+    };
+    const ttlSeconds = expiresAt === null ? undefined : (expiresAt - Date.now()) / 1000;
+    await this.store.set(NAMESPACE, this._getKey(type, value), entry, ttlSeconds);
+    this._cache(type, value, entry);
+    return entry;
+  }
+
+  /**
+   * Removes the block on a value.
+   *
+   * @param {BlockType} type - What is blocked
+   * @param {string} value - The blocked value
+   * @returns {Promise<BlockEntry|null>} The block that was removed, if any
+   */
+  async unblock(type, value) {
+    const entry = await this.get(type, value);
+    if (entry) {
+      await this.store.delete(NAMESPACE, this._getKey(type, value));
+    }
+    this._cache(type, value, null);
+    return entry;
+  }
+
+  /**
+   * Finds the first block that applies to a request. Lookups are cached for a minute, so blocks
+   * made on other instances can take that long to apply.
+   *
+   * @param {Partial<Record<BlockType, any>>} values - What the request comes from, e.g.
+   *   `{ token, webhook_id, ip }`
+   * @returns {Promise<BlockEntry|null>} The block, or null if nothing is blocked
+   */
+  async find(values) {
+    const types = BLOCK_TYPES.filter(
+      (type) => typeof values[type] === 'string' && values[type] !== '',
+    );
+    const entries = await Promise.all(types.map((type) => this._getCached(type, values[type])));
+    return entries.find(Boolean) ?? null;
+  }
+}
+
+exports.BLOCK_TYPES = BLOCK_TYPES;
+exports.Blocklist = Blocklist;
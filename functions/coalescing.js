@@ -0,0 +1,107 @@
+'use strict';
+
+const NAMESPACE = 'coalescedNotifications';
+
+// Merged notifications are kept a while after their window ends, in case the worker is late to
+// deliver them
+const DELIVERY_GRACE_SECONDS = 24 * 60 * 60;
+
+/**
+ * @typedef {Object} CoalescingEntry
+ * @property {number} windowEndsAt - When the window ends and merged notifications are due, in
+ *   milliseconds
+ * @property {number} count - How many notifications were merged since the first one was sent
+ * @property {Object|null} body - The request body of the latest merged notification
+ */
+
+/**
+ * Gets the key notifications are merged by: the token plus the tag or group of the
+ * notification.
+ *
+ * @param {Object} body - The request body
+ * @returns {string|null} The key, or null if the notification has no tag or group
+ */
+function getCoalescingKey(body) {
+  const group = body.data?.tag ?? body.data?.group;
+  if (typeof group !== 'string' || group === '') {
+    return null;
+  }
+  // Firestore document IDs can't contain slashes
+  return `${body.push_token}:${encodeURIComponent(group)}`;
+}
+
+/**
+ * Merges bursts of notifications with the same tag or group. The first notification of a burst
+ * is sent right away and opens a window; notifications within the window replace each other,
+ * so only the latest one is delivered, once, when the window ends. A burst therefore arrives as
+ * two notifications: the first one, so the user isn't kept waiting, and the latest one with a
+ * count of the notifications merged into it. A notification alone in its window arrives once.
+ * The second delivery doesn't count towards the rate limits again, so the whole burst is
+ * counted once.
+ */
+class NotificationCoalescer {
+  /**
+   * Creates a new NotificationCoalescer instance.
+   *
+   * @param {Object} store - The key-value store to keep windows in
+   * @param {number} windowSeconds - How long a window stays open after a notification is sent
+   */
+  constructor(store, windowSeconds) {
+    this.store = store;
+    this.windowSeconds = windowSeconds;
+  }
+
+  /**
+   * Whether notifications are merged at all.
+   *
+   * @returns {boolean} Whether the window is longer than zero
+   */
+  isEnabled() {
+    return this.windowSeconds > 0;
+  }
+
+  /**
+   * Merges a notification into the open window for its key, or opens a window if there is none.
+   *
+   * @param {string} key - The coalescing key of the notification
+   * @param {Object} body - The request body of the notification
+   * @param {number} [now=Date.now()] - The current time in milliseconds
+   * @returns {Promise<CoalescingEntry|null>} The window the notification was merged into, or
+   *   null if it opened a new window and should be sent right away
+   */
+  async coalesce(key, body, now = Date.now()) {
+    // Bursts arrive together, so the window is opened or merged into atomically
+    const entry = await this.store.update(NAMESPACE, key, (current) => {
+      // Windows nothing was merged into are over once they end; others stay open until delivered
+      if (!current || (current.count === 0 && current.windowEndsAt <= now)) {
+        return {
+          value: { windowEndsAt: now + this.windowSeconds * 1000, count: 0, body: null },
+          ttlSeconds: this.windowSeconds,
+        };
+      }
+
+      const ttlSeconds = Math.ceil((current.windowEndsAt - now) / 1000) + DELIVERY_GRACE_SECONDS;
+      return { value: { ...current, count: current.count + 1, body }, ttlSeconds };
+    });
+    return entry.count === 0 ? null : entry;
+  }
+
+  /**
+   * Removes and returns the window for a key, once it is due for delivery.
+   *
+   * @param {string} key - The coalescing key
+   * @returns {Promise<CoalescingEntry|null>} The window, or null if there is none
+   */
+  async take(key) {
+    // Remove it in the same step as reading it, so nothing merged meanwhile is lost
+    let entry = null;
+    await this.store.update(NAMESPACE, key, (current) => {
+      entry = current;
+      return { value: null };
+    });
+    return entry;
+  }
+}
+
+exports.getCoalescingKey = getCoalescingKey;
+exports.NotificationCoalescer = NotificationCoalescer;
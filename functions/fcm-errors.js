@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * @typedef {Object} FcmErrorMapping
+ * @property {number} status - HTTP status returned to the caller
+ * @property {string} errorType - Stable error type returned to the caller
+ * @property {boolean} report - Whether the error points at a problem on our side worth reporting
+ * @property {number} [retryAfterSeconds] - Suggested wait before sending again, for transient errors
+ */
+
+/**
+ * @typedef {FcmErrorMapping & { errorCode: string }} FcmError
+ */
+
+// How each messaging/* error code is surfaced. 4xx statuses mean the request or the token has to
+// change, 429 and 503 mean the same request can be tried again later, and 502 means FCM failed or
+// rejected the relay's own credentials.
+/** @type {Record<string, FcmErrorMapping>} */
+const FCM_ERROR_MAPPINGS = {
+  // The token will never work again
+  'invalid-registration-token': { status: 410, errorType: 'InvalidToken', report: false },
+  'registration-token-not-registered': { status: 410, errorType: 'InvalidToken', report: false },
+  'mismatched-credential': { status: 403, errorType: 'MismatchedCredential', report: false },
+  'invalid-package-name': { status: 403, errorType: 'InvalidPackageName', report: false },
+
+  // The notification is malformed
+  'invalid-recipient': { status: 400, errorType: 'InvalidRecipient', report: false },
+  'invalid-argument': { status: 400, errorType: 'InvalidArgument', report: true },
+  'invalid-payload': { status: 400, errorType: 'InvalidPayload', report: true },
+  'invalid-data-payload-key': { status: 400, errorType: 'InvalidPayload', report: false },
+  'invalid-options': { status: 400, errorType: 'InvalidArgument', report: true },
+  'payload-size-limit-exceeded': { status: 413, errorType: 'PayloadTooLarge', report: false },
+  'payload-too-large': { status: 413, errorType: 'PayloadTooLarge', report: false },
+
+  // Too many messages, try again later
+  'message-rate-exceeded': {
+    status: 429,
+    errorType: 'MessageRateExceeded',
+    report: false,
+    retryAfterSeconds: 60,
+  },
+  'device-message-rate-exceeded': {
+    status: 429,
+    errorType: 'DeviceMessageRateExceeded',
+    report: false,
+    retryAfterSeconds: 60,
+  },
+  'topics-message-rate-exceeded': {
+    status: 429,
+    errorType: 'TopicsMessageRateExceeded',
+    report: false,
+    retryAfterSeconds: 60,
+  },
+  'quota-exceeded': {
+    status: 429,
+    errorType: 'QuotaExceeded',
+    report: false,
+    retryAfterSeconds: 60,
+  },
+
+  // FCM is having problems, try again later
+  unavailable: { status: 503, errorType: 'FcmUnavailable', report: false, retryAfterSeconds: 30 },
+  'server-unavailable': {
+    status: 503,
+    errorType: 'FcmUnavailable',
+    report: false,
+    retryAfterSeconds: 30,
+  },
+  'internal-error': {
+    status: 502,
+    errorType: 'FcmInternalError',
+    report: true,
+    retryAfterSeconds: 30,
+  },
+  'unknown-error': { status: 502, errorType: 'FcmUnknownError', report: true },
+
+  // The relay's credentials for FCM, APNs or web push are broken
+  'authentication-error': { status: 502, errorType: 'AuthenticationError', report: true },
+  'invalid-apns-credentials': { status: 502, errorType: 'InvalidApnsCredentials', report: true },
+  'third-party-auth-error': { status: 502, errorType: 'ThirdPartyAuthError', report: true },
+};
+
+// FCM reports oversized messages as invalid-argument, so those are recognised by their message
+const PAYLOAD_TOO_LARGE_MESSAGES = ['message is too big', 'payload too large'];
+
+/**
+ * Maps an error thrown by messaging.send to the status and error type returned to the caller.
+ *
+ * @param {any} err - The error
+ * @returns {FcmError|null} The mapping, or null if the error is not an FCM error
+ */
+function getFcmError(err) {
+  if (typeof err?.code !== 'string' || !err.code.startsWith('messaging/')) {
+    return null;
+  }
+
+  const errorCode = err.code.replace('messaging/', '');
+  const message = err.message?.toLowerCase() ?? '';
+  if (PAYLOAD_TOO_LARGE_MESSAGES.some((text) => message.includes(text))) {
+    return { errorCode, ...FCM_ERROR_MAPPINGS['payload-too-large'] };
+  }
+
+  const mapping = FCM_ERROR_MAPPINGS[errorCode] ?? FCM_ERROR_MAPPINGS['unknown-error'];
+  return { errorCode, ...mapping };
+}
+
+exports.FCM_ERROR_MAPPINGS = FCM_ERROR_MAPPINGS;
+exports.getFcmError = getFcmError;
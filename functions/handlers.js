@@ -1,54 +1,541 @@
 'use strict';
 
+const { timingSafeEqual } = require('crypto');
 const { Logging } = require('@google-cloud/logging');
 const { getMessaging } = require('firebase-admin/messaging');
-const { FirestoreRateLimiter, ValkeyRateLimiter } = require('./rate-limiter');
+const {
+  FailoverRateLimiter,
+  FirestoreRateLimiter,
+  MemoryRateLimiter,
+  ValkeyRateLimiter,
+  DAILY_POLICY,
+  parsePolicies,
+  QuotaResolver,
+  parseQuotas,
+  AbuseThrottle,
+  parseThrottles,
+  RateLimitOverrides,
+  TimeZoneRegistry,
+  DEFAULT_TIME_ZONE,
+  getNextReset,
+} = require('./rate-limiter');
+const { FirestoreStore, MemoryStore, ValkeyStore } = require('./store');
+const {
+  FirestoreQueue,
+  MemoryQueue,
+  ValkeyQueue,
+  validateSchedule,
+  getSendAt,
+} = require('./scheduler');
+const { InvalidTokenRegistry, isInvalidTokenError } = require('./invalid-tokens');
+const { Blocklist } = require('./blocklist');
+const {
+  QuietHoursDigest,
+  getQuietHoursEnd,
+  silencePayload,
+  createDigestBody,
+} = require('./quiet-hours');
+const { NotificationCoalescer, getCoalescingKey } = require('./coalescing');
+const { IdempotencyCache, getIdempotencyKey } = require('./idempotency');
+const {
+  SIGNATURE_HEADER,
+  SIGNATURE_ERROR_MESSAGES,
+  SigningSecretRegistry,
+  getRawBody,
+  verifySignature,
+} = require('./request-signing');
+const { schemas, validateRequest } = require('./validation');
+const { checkPayloadSize } = require('./payload-size');
+const { isAppleApp } = require('./legacy');
+const { sendWithRetry } = require('./retry');
+const { getFcmError } = require('./fcm-errors');
 
 const MAX_NOTIFICATIONS_PER_DAY = parseInt(process.env.MAX_NOTIFICATIONS_PER_DAY || '500');
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE || '25');
 const REGION = (process.env.REGION || 'us-central1').toLowerCase();
 
+// Transient FCM errors are retried, but only for as long as the 10 second function timeout
+// leaves enough time to record the result and respond
+const FCM_MAX_RETRIES = parseInt(process.env.FCM_MAX_RETRIES || '3');
+const FCM_RETRY_BASE_DELAY_MS = parseInt(process.env.FCM_RETRY_BASE_DELAY_MS || '250');
+const SEND_DEADLINE_MS = 8000;
+
+// How many due scheduled notifications the worker claims and delivers at a time
+const SCHEDULE_DISPATCH_BATCH_SIZE = parseInt(process.env.SCHEDULE_DISPATCH_BATCH_SIZE || '100');
+
+// The worker claims batches until nothing is due, but stops claiming in time for the last batch
+// to be delivered within its 60 second timeout
+const SCHEDULE_DISPATCH_DEADLINE_MS = 45000;
+
+// How many days of daily counters are kept after each day ends, for the usage history. Off
+// unless set, so only today's counters are stored.
+const RATE_LIMIT_HISTORY_DAYS = parseInt(process.env.RATE_LIMIT_HISTORY_DAYS || '0');
+
+// Notifications with the same tag or group sent within this many seconds of the first one are
+// merged: the first is sent right away and the latest when the window ends. Off unless set.
+const COALESCE_WINDOW_SECONDS = parseInt(process.env.COALESCE_WINDOW_SECONDS || '0');
+
+// Whether push requests must be signed: 'off', 'grace' to log unsigned requests but still send
+// them while installations roll out signing, or 'required'
+const REQUEST_SIGNING = process.env.REQUEST_SIGNING || 'off';
+
+// Admin routes are only available when an API key is configured
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+
 const usingCloudFunctions = process.env.FUNCTION_TARGET !== undefined;
 
 const messaging = getMessaging();
 const logging = new Logging();
 const debug = process.env.DEBUG === 'true';
 
-// Use Valkey rate limiter if Valkey config is available, otherwise use Firestore
+// Optional sliding window policies (e.g. a per-minute burst limit) enforced alongside the daily cap
+const rateLimitPolicies = parsePolicies(process.env.RATE_LIMIT_POLICIES);
+
+// Daily caps can differ per app and per tier, falling back to MAX_NOTIFICATIONS_PER_DAY
+const quotaResolver = new QuotaResolver(
+  MAX_NOTIFICATIONS_PER_DAY,
+  parseQuotas(process.env.RATE_LIMIT_QUOTAS),
+);
+
+// Use the in-memory rate limiter when asked to (e.g. to run offline), otherwise use Valkey if
+// Valkey config is available, otherwise use Firestore
 let rateLimiter;
+const useMemory = process.env.RATE_LIMITER_BACKEND === 'memory';
 const useValkey = process.env.VALKEY_HOST && process.env.VALKEY_PORT;
-if (useValkey) {
+if (useMemory) {
+  rateLimiter = new MemoryRateLimiter(
+    MAX_NOTIFICATIONS_PER_DAY,
+    debug,
+    rateLimitPolicies,
+    RATE_LIMIT_HISTORY_DAYS,
+  );
+} else if (useValkey) {
   rateLimiter = new ValkeyRateLimiter(
     MAX_NOTIFICATIONS_PER_DAY,
     debug,
     process.env.VALKEY_HOST,
     parseInt(process.env.VALKEY_PORT, 10),
+    rateLimitPolicies,
+    RATE_LIMIT_HISTORY_DAYS,
+  );
+
+  // Keep sending pushes while Valkey is unavailable by falling back to Firestore, or to a
+  // per-instance counter in memory. Set RATE_LIMITER_FALLBACK=none to surface Valkey errors.
+  const fallback = process.env.RATE_LIMITER_FALLBACK || 'firestore';
+  if (fallback !== 'none') {
+    rateLimiter = new FailoverRateLimiter(
+      rateLimiter,
+      fallback === 'memory'
+        ? new MemoryRateLimiter(
+            MAX_NOTIFICATIONS_PER_DAY,
+            debug,
+            rateLimitPolicies,
+            RATE_LIMIT_HISTORY_DAYS,
+          )
+        : new FirestoreRateLimiter(
+            MAX_NOTIFICATIONS_PER_DAY,
+            debug,
+            rateLimitPolicies,
+            RATE_LIMIT_HISTORY_DAYS,
+          ),
+      debug,
+    );
+  }
+} else {
+  rateLimiter = new FirestoreRateLimiter(
+    MAX_NOTIFICATIONS_PER_DAY,
+    debug,
+    rateLimitPolicies,
+    RATE_LIMIT_HISTORY_DAYS,
   );
+}
+
+// Other relay state, such as known invalid tokens, is kept in the same backend as rate limits
+let store;
+if (useMemory) {
+  store = new MemoryStore(debug);
+} else if (useValkey) {
+  store = new ValkeyStore(debug, process.env.VALKEY_HOST, parseInt(process.env.VALKEY_PORT, 10));
 } else {
-  rateLimiter = new FirestoreRateLimiter(MAX_NOTIFICATIONS_PER_DAY, debug);
+  store = new FirestoreStore(debug);
 }
 
-async function handleCheckRateLimits(req, res) {
+// Tokens, webhooks and IP addresses blocked by admins are kept there as well
+const blocklist = new Blocklist(store);
+
+// As are the raised caps and exemptions admins give individual tokens
+const rateLimitOverrides = new RateLimitOverrides(store);
+
+// And the time zone each token's daily limit resets in, so it can't be changed with each request
+const timeZones = new TimeZoneRegistry(store);
+
+// Requests are also throttled per IP address and per webhook, counted in the same backend
+const abuseThrottle = new AbuseThrottle(store, parseThrottles(process.env.ABUSE_THROTTLES));
+
+const invalidTokens = new InvalidTokenRegistry(
+  store,
+  parseInt(process.env.INVALID_TOKEN_TTL_DAYS || '30') * 24 * 60 * 60,
+);
+
+// Installations register the secrets they sign requests with in the same backend
+const signingSecrets = new SigningSecretRegistry(store);
+
+// Responses are remembered by idempotency key, so retried requests aren't delivered twice
+const idempotentResponses = new IdempotencyCache(
+  store,
+  parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || '86400'),
+);
+
+// Notifications held during quiet hours wait there for their digest too
+const quietHoursDigest = new QuietHoursDigest(store);
+
+// And so are the windows bursts of notifications are merged in
+const coalescer = new NotificationCoalescer(store, COALESCE_WINDOW_SECONDS);
+
+// Notifications scheduled for later delivery are queued in the same backend as well
+let scheduleQueue;
+if (useMemory) {
+  scheduleQueue = new MemoryQueue(debug);
+} else if (useValkey) {
+  scheduleQueue = new ValkeyQueue(
+    debug,
+    process.env.VALKEY_HOST,
+    parseInt(process.env.VALKEY_PORT, 10),
+  );
+} else {
+  scheduleQueue = new FirestoreQueue(debug);
+}
+
+// Checks the token and body of a request to one of the token routes, then hands the token to the
+// route. Extra validation can add errors the schema can't express.
+async function handleTokenRequest(req, res, requestSchema, handler, validate = () => []) {
   const { push_token: token } = req.body;
   if (!token) {
     return res.status(403).send({ errorMessage: 'You did not send a token!' });
   }
-  if (token.indexOf(':') === -1) {
+  if (String(token).indexOf(':') === -1) {
     // A check for old SNS tokens
     return res.status(403).send({ errorMessage: 'That is not a valid FCM token' });
   }
+  const validationErrors = [...validateRequest(requestSchema, req.body), ...validate()];
+  if (validationErrors.length > 0) {
+    return sendValidationErrors(res, validationErrors);
+  }
 
+  return handler(token);
+}
+
+// Like handleTokenRequest, but also turns away blocked tokens and hands the route the rate limit
+// options of the token
+async function handleRateLimitRequest(req, res, requestSchema, handler, validate) {
+  return handleTokenRequest(
+    req,
+    res,
+    requestSchema,
+    async (token) => {
+      const block = await findBlock(req, res, token);
+      if (block) {
+        return sendBlockedError(res, token, block);
+      }
+
+      let rateLimitOptions;
+      try {
+        rateLimitOptions = await getRateLimitOptions(req, token);
+      } catch (err) {
+        return handleError(req, res, { token }, 'getRateLimitQuota', err);
+      }
+      return handler(token, rateLimitOptions);
+    },
+    validate,
+  );
+}
+
+async function handleCheckRateLimits(req, res) {
+  return handleRateLimitRequest(req, res, schemas.token, async (token, rateLimitOptions) => {
+    try {
+      const rateLimitInfo = await rateLimiter.checkRateLimit(token, rateLimitOptions);
+      setRateLimitHeaders(res, rateLimitInfo.rateLimits);
+      return res.status(200).send({
+        target: token,
+        rateLimits: rateLimitInfo.rateLimits,
+      });
+    } catch (err) {
+      return handleError(req, res, { token }, 'getRateLimitDoc', err);
+    }
+  });
+}
+
+// Returns the daily counters of a token for the last few days, so users can see whether their
+// automations are trending toward the cap. Defaults to every day that is still kept.
+async function handleRateLimitHistory(req, res) {
+  const days = req.body.days ?? RATE_LIMIT_HISTORY_DAYS + 1;
+  return handleRateLimitRequest(
+    req,
+    res,
+    schemas.rateLimitHistory,
+    async (token, rateLimitOptions) => {
+      try {
+        const history = await rateLimiter.getHistory(token, days, rateLimitOptions);
+        return res.status(200).send({
+          target: token,
+          maximum: rateLimitOptions.maxNotificationsPerDay,
+          timeZone: rateLimitOptions.timeZone ?? DEFAULT_TIME_ZONE,
+          history,
+        });
+      } catch (err) {
+        return handleError(req, res, { token }, 'getRateLimitHistory', err);
+      }
+    },
+    () =>
+      typeof days === 'number' && days > RATE_LIMIT_HISTORY_DAYS + 1
+        ? [
+            {
+              field: 'days',
+              message: `must be at most ${RATE_LIMIT_HISTORY_DAYS + 1}, as older days are not kept`,
+            },
+          ]
+        : [],
+  );
+}
+
+async function handleClearInvalidToken(req, res) {
+  return handleTokenRequest(req, res, schemas.token, async (token) => {
+    try {
+      const entry = await invalidTokens.clear(token);
+      return res.status(200).send({
+        target: token,
+        cleared: entry !== null,
+      });
+    } catch (err) {
+      return handleError(req, res, { token }, 'clearInvalidToken', err);
+    }
+  });
+}
+
+// Blocks a token, webhook or IP address from using the relay, until it is unblocked or expires
+async function handleBlock(req, res) {
+  const authorizationError = checkAdminAuthorization(req);
+  if (authorizationError) {
+    return sendAdminAuthorizationError(res, authorizationError);
+  }
+  const validationErrors = validateRequest(schemas.block, req.body);
+  if (validationErrors.length > 0) {
+    return sendValidationErrors(res, validationErrors);
+  }
+
+  const { type, value, reason, expires_at: expiresAt } = req.body;
+  try {
+    const entry = await blocklist.block(
+      type,
+      value,
+      reason,
+      expiresAt ? Date.parse(expiresAt) : null,
+    );
+    return res.status(201).send({ blocked: true, ...entry });
+  } catch (err) {
+    return handleError(req, res, {}, 'block', err);
+  }
+}
+
+async function handleUnblock(req, res) {
+  const authorizationError = checkAdminAuthorization(req);
+  if (authorizationError) {
+    return sendAdminAuthorizationError(res, authorizationError);
+  }
+  const validationErrors = validateRequest(schemas.unblock, req.body);
+  if (validationErrors.length > 0) {
+    return sendValidationErrors(res, validationErrors);
+  }
+
+  const { type, value } = req.body;
   try {
-    const rateLimitInfo = await rateLimiter.checkRateLimit(token);
-    return res.status(200).send({
+    const entry = await blocklist.unblock(type, value);
+    return res.status(200).send({ type, value, unblocked: entry !== null });
+  } catch (err) {
+    return handleError(req, res, {}, 'unblock', err);
+  }
+}
+
+// Zeroes, raises or exempts the rate limits of a token, e.g. after a looping automation used up
+// its daily cap. Raises and exemptions last until the next daily reset unless given an expiry.
+async function handleAdjustRateLimits(req, res) {
+  const authorizationError = checkAdminAuthorization(req);
+  if (authorizationError) {
+    return sendAdminAuthorizationError(res, authorizationError);
+  }
+  const validationErrors = validateRequest(schemas.adjustRateLimits, req.body);
+  if (req.body.action === 'raise' && typeof req.body.maximum !== 'number') {
+    validationErrors.push({ field: 'maximum', message: 'is required to raise the rate limits' });
+  }
+  if (validationErrors.length > 0) {
+    return sendValidationErrors(res, validationErrors);
+  }
+
+  const { push_token: token, action, maximum, reason, expires_at: expiresAt } = req.body;
+  let override, rateLimitInfo;
+  try {
+    // Raises only go up from the token's own cap; exemptions are there to lift the limits entirely
+    if (action === 'raise') {
+      const maxNotificationsPerDay = await quotaResolver.resolve(token, req.body.registration_info);
+      if (maximum <= maxNotificationsPerDay) {
+        return sendValidationErrors(res, [
+          {
+            field: 'maximum',
+            message: `must be more than the daily cap of ${maxNotificationsPerDay}`,
+          },
+        ]);
+      }
+    }
+
+    // Use the time zone the token's counters are kept in, not one sent by the admin
+    const timeZone = await getRateLimitTimeZone(req, token, null);
+    if (action === 'raise' || action === 'exempt') {
+      override = await rateLimitOverrides.set(
+        token,
+        action === 'raise' ? { maxNotificationsPerDay: maximum, reason } : { exempt: true, reason },
+        expiresAt ? Date.parse(expiresAt) : getNextReset(timeZone).getTime(),
+      );
+    } else if (action === 'clear') {
+      await rateLimitOverrides.clear(token);
+      override = null;
+    } else {
+      override = await rateLimitOverrides.get(token);
+    }
+
+    const rateLimitOptions = await getRateLimitOptions(req, token, null);
+    rateLimitInfo =
+      action === 'reset'
+        ? await rateLimiter.resetRateLimits(token, rateLimitOptions)
+        : await rateLimiter.checkRateLimit(token, rateLimitOptions);
+  } catch (err) {
+    return handleError(req, res, { token }, 'adjustRateLimits', err);
+  }
+
+  try {
+    await writeAuditLog(req, {
+      message: `Rate limits adjusted: ${action}`,
+      action,
       target: token,
+      reason: reason ?? null,
+      override,
       rateLimits: rateLimitInfo.rateLimits,
     });
   } catch (err) {
-    return handleError(req, res, { token }, 'getRateLimitDoc', err);
+    // The change is already made, so report the missing audit entry rather than fail
+    handleError(req, res, { token }, 'writeAuditLog', err, false);
+  }
+
+  setRateLimitHeaders(res, rateLimitInfo.rateLimits);
+  return res.status(200).send({
+    target: token,
+    action,
+    override,
+    rateLimits: rateLimitInfo.rateLimits,
+  });
+}
+
+// Finds why a request may not use the admin routes, or returns null if it carries the admin API
+// key as a bearer token
+function checkAdminAuthorization(req) {
+  if (!ADMIN_API_KEY) {
+    return {
+      status: 403,
+      errorType: 'AdminDisabled',
+      message: 'Admin routes are disabled because no ADMIN_API_KEY is configured.',
+    };
+  }
+
+  const [scheme, key] = String(req.get('authorization') ?? '').split(' ');
+  const expected = Buffer.from(ADMIN_API_KEY);
+  const given = Buffer.from(key ?? '');
+  if (
+    scheme !== 'Bearer' ||
+    given.length !== expected.length ||
+    !timingSafeEqual(given, expected)
+  ) {
+    return {
+      status: 401,
+      errorType: 'Unauthorized',
+      message: 'Admin routes require the admin API key as a bearer token.',
+    };
+  }
+  return null;
+}
+
+function sendAdminAuthorizationError(res, { status, errorType, message }) {
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
   }
+  return res.status(status).send({ errorType, errorStep: 'checkAdminAuthorization', message });
+}
+
+// Gives an installation the secret to sign its requests with. The secret is only sent to the
+// installation the token belongs to, in a data message, so knowing a token isn't enough to learn
+// it. Once a token has a secret, only a request signed with it or from an admin can replace it.
+async function handleRegisterSigningSecret(req, res) {
+  return handleTokenRequest(req, res, schemas.token, async (token) => {
+    try {
+      const currentSecret = await signingSecrets.get(token);
+      if (currentSecret && req.get('authorization')) {
+        // Admins can replace the secret of an installation that lost it
+        const authorizationError = checkAdminAuthorization(req);
+        if (authorizationError) {
+          return sendAdminAuthorizationError(res, authorizationError);
+        }
+      } else if (currentSecret && req.get(SIGNATURE_HEADER)) {
+        const signatureError = verifySignature(
+          currentSecret,
+          req.get(SIGNATURE_HEADER),
+          getRawBody(req),
+        );
+        if (signatureError) {
+          return sendSignatureError(res, token, signatureError);
+        }
+      } else if (currentSecret) {
+        return sendSigningSecretExistsError(res, token);
+      }
+
+      const secret = await signingSecrets.register(token, currentSecret);
+      if (!secret) {
+        return sendSigningSecretExistsError(res, token);
+      }
+      let messageId;
+      try {
+        messageId = await sendSigningSecret(token, secret);
+      } catch (err) {
+        // Keep the secret the installation has, as it never got the new one
+        await signingSecrets.restore(token, currentSecret);
+        throw err;
+      }
+      return res.status(201).send({
+        target: token,
+        messageId,
+        replaced: currentSecret !== null,
+      });
+    } catch (err) {
+      return handleError(req, res, { token }, 'registerSigningSecret', err);
+    }
+  });
 }
 
-async function handleRequest(req, res, payloadHandler) {
+function sendSigningSecretExistsError(res, token) {
+  return res.status(409).send({
+    errorType: 'SigningSecretExists',
+    errorStep: 'registerSigningSecret',
+    message:
+      'A signing secret is already registered for this token. Sign the request with it, or use the admin API key, to replace it.',
+    target: token,
+  });
+}
+
+async function handleRequest(
+  req,
+  res,
+  payloadHandler,
+  requestSchema = schemas.notification,
+  route = null,
+) {
+  const startedAt = Date.now();
   const log = logging.log('handleRequest');
   const metadata = buildLogMetadata(req);
 
@@ -59,39 +546,233 @@ async function handleRequest(req, res, payloadHandler) {
   if (!token) {
     return res.status(403).send({ errorMessage: 'You did not send a token!' });
   }
-  if (token.indexOf(':') === -1) {
+  if (String(token).indexOf(':') === -1) {
     // A check for old SNS tokens
     return res.status(403).send({ errorMessage: 'That is not a valid FCM token' });
   }
 
-  const { updateRateLimits, payload } = payloadHandler(req);
+  // Scheduled and held notifications are delivered internally, without headers
+  if (req.internal === true) {
+    return checkRequest(req, res, payloadHandler, requestSchema, route, startedAt);
+  }
+  return respondWithRateLimits(req, res, token, (rateLimitRes) =>
+    checkRequest(req, rateLimitRes, payloadHandler, requestSchema, route, startedAt),
+  );
+}
+
+// Turns away blocked, throttled, invalid and unsigned requests before delivering the notification,
+// and gives repeats of earlier requests their original response
+async function checkRequest(req, res, payloadHandler, requestSchema, route, startedAt) {
+  const log = logging.log('handleRequest');
+  const metadata = buildLogMetadata(req);
+  const { push_token: token } = req.body;
+
+  const block = await findBlock(req, res, token);
+  if (block) {
+    return sendBlockedError(res, token, block);
+  }
+
+  // Scheduled and held notifications were counted when they were accepted
+  if (req.internal !== true) {
+    let throttled = null;
+    try {
+      throttled = await abuseThrottle.hit({
+        ip: req.ip,
+        webhook_id: req.body.registration_info?.webhook_id,
+      });
+    } catch (err) {
+      // Don't drop the notification just because the throttle is unavailable
+      handleError(req, res, { token }, 'checkThrottle', err, false);
+    }
+    if (throttled) {
+      return sendThrottledError(res, token, throttled);
+    }
+  }
+
+  const validationErrors = validateRequest(requestSchema, req.body);
+  if (validationErrors.length === 0) {
+    validationErrors.push(...validateSchedule(req.body));
+  }
+  if (validationErrors.length > 0) {
+    return sendValidationErrors(res, validationErrors);
+  }
+
+  // Scheduled and held notifications were verified when they were accepted
+  if (REQUEST_SIGNING !== 'off' && req.internal !== true) {
+    let signatureError;
+    try {
+      signatureError = await verifyRequestSignature(req, token);
+    } catch (err) {
+      return handleError(req, res, { token }, 'verifySignature', err);
+    }
+    if (signatureError && REQUEST_SIGNING === 'required') {
+      return sendSignatureError(res, token, signatureError);
+    }
+    if (signatureError) {
+      log.warning(
+        log.entry(metadata, {
+          message: 'Accepting request without a valid signature',
+          errorType: signatureError,
+          target: token,
+        }),
+      );
+    }
+  }
+
+  // Only the relay says how many notifications a merged one stands for
+  delete req.body.coalesced_count;
+
+  // Repeats of a notification get the original response without it being sent or queued again.
+  // Scheduled, held and merged notifications keep the key of the request that queued them.
+  const idempotencyKey =
+    req.body.dry_run === true || req.internal === true ? null : getIdempotencyKey(req);
+  if (idempotencyKey !== null) {
+    return handleIdempotentRequest(req, res, token, idempotencyKey, (idempotentRes) =>
+      deliverNotification(req, idempotentRes, payloadHandler, route, startedAt),
+    );
+  }
+  return deliverNotification(req, res, payloadHandler, route, startedAt);
+}
+
+// Sends, schedules, holds or merges a notification once its request has been checked
+async function deliverNotification(req, res, payloadHandler, route, startedAt) {
+  const log = logging.log('handleRequest');
+  const metadata = buildLogMetadata(req);
+  const { push_token: token } = req.body;
+
+  let invalidToken = null;
+  try {
+    invalidToken = await invalidTokens.get(token);
+  } catch (err) {
+    // Don't drop the notification just because the registry is unavailable
+    handleError(req, res, { token }, 'checkInvalidToken', err, false);
+  }
+  if (invalidToken) {
+    return res.status(410).send({
+      errorType: 'KnownInvalidToken',
+      errorCode: invalidToken.errorCode,
+      errorStep: 'checkInvalidToken',
+      message:
+        'FCM previously reported this token as invalid, so it will not be sent to until it is cleared.',
+      target: token,
+      invalidatedAt: invalidToken.invalidatedAt,
+    });
+  }
+
+  // The payload handlers modify the request body, so keep a copy to deliver scheduled and
+  // merged notifications from
+  const sendAt = req.body.dry_run === true ? null : getSendAt(req.body);
+  const requestBody = structuredClone(req.body);
+
+  let updateRateLimits, payload, truncated;
+  try {
+    ({ updateRateLimits, payload, truncated } = payloadHandler(req));
+  } catch (err) {
+    return handleError(req, res, { token }, 'createPayload', err);
+  }
 
   payload.token = token;
 
+  // Merged notifications tell the app how many notifications they stand for
+  if (req.coalescedCount !== undefined) {
+    payload.data = { ...payload.data, coalesced_count: String(req.coalescedCount) };
+  }
+
+  // Reject messages FCM or APNs would refuse before they use up a rate limit attempt. Tokens only
+  // receive the payload of their own platform, so only its limit applies to them.
+  const sizeReport = checkPayloadSize(
+    payload,
+    isAppleApp(req.body.registration_info) ? 'apns' : 'android',
+  );
+  if (sizeReport) {
+    const fields = sizeReport.largestFields.map(({ field, size }) => `${field} (${size} bytes)`);
+    return res.status(413).send({
+      errorType: 'PayloadTooLarge',
+      errorStep: 'checkPayloadSize',
+      message: `The ${sizeReport.platform} payload is ${sizeReport.size} bytes, over the limit of ${sizeReport.limit} bytes. Largest fields: ${fields.join(', ')}.`,
+      target: token,
+      ...sizeReport,
+    });
+  }
+
+  if (sendAt !== null) {
+    return scheduleNotification(req, res, route, requestBody, sendAt, truncated);
+  }
+
+  // Critical notifications and commands don't count towards rate limits, and aren't held or
+  // silenced during quiet hours either
+  const quietHours =
+    updateRateLimits && req.body.dry_run !== true ? getActiveQuietHours(req.body) : null;
+  if (quietHours?.mode === 'hold' && route) {
+    return holdNotification(req, res, route, quietHours, truncated);
+  }
+  if (quietHours) {
+    silencePayload(payload);
+  }
+
+  const coalescingKey =
+    updateRateLimits && req.body.dry_run !== true && route && coalescer.isEnabled()
+      ? getCoalescingKey(requestBody)
+      : null;
+  if (coalescingKey !== null) {
+    let window = null;
+    try {
+      window = await coalescer.coalesce(coalescingKey, requestBody);
+    } catch (err) {
+      // Send the notification rather than drop it when the window can't be checked
+      handleError(req, res, payload, 'coalesceNotification', err, false);
+    }
+    if (window) {
+      return mergeNotification(req, res, route, coalescingKey, window);
+    }
+  }
+
+  // Merged notifications stand for a burst whose first notification was already counted
+  if (req.coalescedCount !== undefined) {
+    updateRateLimits = false;
+  }
+
+  let rateLimitOptions;
+  try {
+    rateLimitOptions = await getRateLimitOptions(req, token);
+  } catch (err) {
+    return handleError(req, res, payload, 'getRateLimitQuota', err);
+  }
+
   let rateLimitInfo;
   try {
-    rateLimitInfo = await rateLimiter.checkRateLimit(token);
+    rateLimitInfo = await rateLimiter.checkRateLimit(token, rateLimitOptions);
   } catch (err) {
     return handleError(req, res, payload, 'getRateLimitDoc', err);
   }
 
+  if (req.body.dry_run === true) {
+    return handleDryRun(req, res, payload, rateLimitInfo.rateLimits, truncated);
+  }
+
   if (updateRateLimits) {
     // Increment attempts count
-    const attemptInfo = await rateLimiter.recordAttempt(token);
+    const attemptInfo = await rateLimiter.recordAttempt(token, rateLimitOptions);
 
-    if (attemptInfo.shouldSendRateLimitNotification) {
+    // Exempted tokens are still counted, but never told they are rate limited
+    if (attemptInfo.shouldSendRateLimitNotification && !rateLimitOptions.exempt) {
       try {
-        await sendRateLimitedNotification(req, token);
+        await sendRateLimitedNotification(req, token, attemptInfo.rateLimits, rateLimitOptions);
       } catch (err) {
         handleError(req, res, payload, 'sendRateLimitNotification', err, false);
       }
     }
 
-    if (attemptInfo.isRateLimited) {
+    if (attemptInfo.isRateLimited && !rateLimitOptions.exempt) {
+      const { exceededPolicy } = attemptInfo;
+      setRateLimitHeaders(res, attemptInfo.rateLimits, exceededPolicy);
       return res.status(429).send({
         errorType: 'RateLimited',
         message:
-          'The given target has reached the maximum number of notifications allowed per day. Please try again later.',
+          exceededPolicy === DAILY_POLICY
+            ? 'The given target has reached the maximum number of notifications allowed per day. Please try again later.'
+            : `The given target has reached the maximum number of notifications allowed by the ${exceededPolicy} rate limit. Please try again later.`,
+        policy: exceededPolicy,
         target: token,
         rateLimits: attemptInfo.rateLimits,
       });
@@ -108,17 +789,30 @@ async function handleRequest(req, res, payloadHandler) {
   }
 
   let messageId;
+  let retries;
   let rateLimits;
   try {
-    messageId = await messaging.send(payload);
+    ({ result: messageId, retries } = await sendWithRetry(() => messaging.send(payload), {
+      deadline: startedAt + SEND_DEADLINE_MS,
+      maxRetries: FCM_MAX_RETRIES,
+      baseDelayMs: FCM_RETRY_BASE_DELAY_MS,
+    }));
     if (updateRateLimits) {
-      rateLimits = await rateLimiter.recordSuccess(token);
+      rateLimits = await rateLimiter.recordSuccess(token, rateLimitOptions);
     } else {
       rateLimits = rateLimitInfo.rateLimits;
     }
   } catch (err) {
     if (updateRateLimits) {
-      await rateLimiter.recordError(token);
+      rateLimits = await rateLimiter.recordError(token, rateLimitOptions);
+    }
+    setRateLimitHeaders(res, rateLimits ?? rateLimitInfo.rateLimits);
+    if (isInvalidTokenError(err)) {
+      try {
+        await invalidTokens.markInvalid(token, err.code.replace('messaging/', ''));
+      } catch (markErr) {
+        handleError(req, res, payload, 'markInvalidToken', markErr, false);
+      }
     }
     return handleError(req, res, payload, 'sendNotification', err);
   }
@@ -128,6 +822,7 @@ async function handleRequest(req, res, payloadHandler) {
       log.entry(metadata, {
         message: 'Successfully sent notification',
         messageId: messageId,
+        retries,
         notification: JSON.stringify(payload),
       }),
     );
@@ -141,11 +836,548 @@ async function handleRequest(req, res, payloadHandler) {
     );
   }
 
-  return res.status(201).send({
+  const response = {
     messageId,
     sentPayload: payload,
     target: token,
     rateLimits: rateLimits,
+    retries,
+    ...(quietHours && { quietHours: { mode: 'silent', endsAt: quietHours.endsAt } }),
+    ...(truncated && { truncated }),
+  };
+
+  setRateLimitHeaders(res, rateLimits);
+  return res.status(201).send(response);
+}
+
+// Sends what a handler responds for a token along with the token's RateLimit headers, looking its
+// rate limits up when the handler turned the request away before checking them
+async function respondWithRateLimits(req, res, token, handle) {
+  const { res: deferredRes, getResult } = createDeferredResponse(res);
+  await handle(deferredRes);
+  const { statusCode, body, headers } = getResult();
+
+  // Throttled requests are told when to retry, which their rate limits have nothing to do with
+  if (!headers['RateLimit-Limit'] && statusCode !== 429) {
+    try {
+      // Only the pinned time zone is used, as the one sent may be what the request failed on
+      const rateLimitOptions = await getRateLimitOptions(req, token, null);
+      const { rateLimits } = await rateLimiter.checkRateLimit(token, rateLimitOptions);
+      setRateLimitHeaders(res, rateLimits);
+    } catch (err) {
+      handleError(req, res, { token }, 'getRateLimitHeaders', err, false);
+    }
+  }
+  return res.status(statusCode).send(body);
+}
+
+// Handles a request with an idempotency key once, giving repeats the original response. The key
+// is reserved first, so a repeat that arrives while the request is still handled isn't handled
+// as well.
+async function handleIdempotentRequest(req, res, token, idempotencyKey, handle) {
+  let earlier;
+  try {
+    earlier = await idempotentResponses.reserve(token, idempotencyKey);
+  } catch (err) {
+    // Deliver the notification rather than drop it when repeats can't be recognized
+    handleError(req, res, { token }, 'reserveIdempotencyKey', err, false);
+    return handle(res);
+  }
+
+  if (earlier?.pending) {
+    res.set('Retry-After', '1');
+    return res.status(409).send({
+      errorType: 'RequestInProgress',
+      errorStep: 'reserveIdempotencyKey',
+      message:
+        'A request with this idempotency key is still being handled. Retry it later to get its response.',
+      target: token,
+    });
+  }
+  if (earlier) {
+    if (earlier.response.rateLimits) {
+      setRateLimitHeaders(res, earlier.response.rateLimits);
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(earlier.statusCode).send(earlier.response);
+  }
+
+  // Remember accepted notifications before responding, and free the key for retries of failures
+  const { res: deferredRes, getResult } = createDeferredResponse(res);
+  await handle(deferredRes);
+  const { statusCode, body } = getResult();
+  try {
+    if (statusCode === 201 || statusCode === 202) {
+      await idempotentResponses.remember(token, idempotencyKey, statusCode, body);
+    } else {
+      await idempotentResponses.release(token, idempotencyKey);
+    }
+  } catch (err) {
+    // The request was handled, so still respond to it
+    handleError(req, res, { token }, 'rememberIdempotentResponse', err, false);
+  }
+  return res.status(statusCode).send(body);
+}
+
+// Asks FCM to validate the notification without delivering it, leaving rate limits untouched
+async function handleDryRun(req, res, payload, rateLimits, truncated) {
+  const token = payload.token;
+  setRateLimitHeaders(res, rateLimits);
+
+  let messageId;
+  try {
+    messageId = await messaging.send(payload, true);
+  } catch (err) {
+    const fcmError = getFcmError(err);
+    if (!fcmError) {
+      return handleError(req, res, payload, 'validateNotification', err);
+    }
+    if (fcmError.retryAfterSeconds) {
+      res.set('Retry-After', String(fcmError.retryAfterSeconds));
+    }
+    return res.status(fcmError.status).send({
+      errorType: fcmError.errorType,
+      errorCode: fcmError.errorCode,
+      errorStep: 'validateNotification',
+      message: err.message,
+      dryRun: true,
+      sentPayload: payload,
+      target: token,
+      rateLimits,
+    });
+  }
+
+  return res.status(200).send({
+    messageId,
+    dryRun: true,
+    sentPayload: payload,
+    target: token,
+    rateLimits,
+    ...(truncated && { truncated }),
+  });
+}
+
+// Queues a notification for the scheduled worker, which delivers it through the same route
+async function scheduleNotification(req, res, route, body, sendAt, truncated) {
+  const { push_token: token } = body;
+  if (!route) {
+    return res.status(400).send({
+      errorType: 'SchedulingUnsupported',
+      errorStep: 'scheduleNotification',
+      message: 'This route does not support scheduled delivery.',
+      target: token,
+    });
+  }
+
+  // The notification is sent right away once it is delivered through the route
+  delete body.send_at;
+  delete body.delay;
+
+  let notification;
+  try {
+    notification = await scheduleQueue.add(route, body, sendAt);
+  } catch (err) {
+    return handleError(req, res, { token }, 'scheduleNotification', err);
+  }
+
+  return res.status(202).send({
+    scheduled: true,
+    id: notification.id,
+    sendAt: new Date(notification.sendAt).toISOString(),
+    target: token,
+    ...(truncated && { truncated }),
+  });
+}
+
+// The admin block on the token, webhook or IP address of a request, if any
+async function findBlock(req, res, token) {
+  try {
+    return await blocklist.find({
+      token,
+      webhook_id: req.body.registration_info?.webhook_id,
+      ip: req.ip,
+    });
+  } catch (err) {
+    // Don't drop the notification just because the blocklist is unavailable
+    handleError(req, res, { token }, 'checkBlocklist', err, false);
+    return null;
+  }
+}
+
+// Checks the request signature against the secret registered for the token
+async function verifyRequestSignature(req, token) {
+  const secret = await signingSecrets.get(token);
+  if (!secret) {
+    return 'SigningSecretNotRegistered';
+  }
+  return verifySignature(secret, req.get(SIGNATURE_HEADER), getRawBody(req));
+}
+
+// The quiet hours of the token that are in progress, if any
+function getActiveQuietHours(body) {
+  const quietHours = body.registration_info?.quiet_hours;
+  if (!quietHours) {
+    return null;
+  }
+  const endsAt = getQuietHoursEnd(quietHours, body.registration_info.timezone);
+  if (endsAt === null) {
+    return null;
+  }
+  return { mode: quietHours.mode ?? 'hold', endsAt: new Date(endsAt).toISOString() };
+}
+
+// Keeps a notification for the token's digest, which is queued for the end of quiet hours along
+// with the first notification held
+async function holdNotification(req, res, route, quietHours, truncated) {
+  const { push_token: token } = req.body;
+  const endsAt = Date.parse(quietHours.endsAt);
+
+  let digest;
+  try {
+    digest = await quietHoursDigest.hold(token, route, req.body, endsAt);
+    if (digest.count === 1) {
+      await scheduleQueue.add(digest.route, { push_token: token }, endsAt, 'digest', token);
+    }
+  } catch (err) {
+    return handleError(req, res, { token }, 'holdNotification', err);
+  }
+
+  return res.status(202).send({
+    held: true,
+    quietHours,
+    heldCount: digest.count,
+    target: token,
+    ...(truncated && { truncated }),
+  });
+}
+
+// Merges a notification into an open window, whose latest notification is queued for delivery
+// when the window ends along with the first notification merged. This is the second and last
+// delivery of the burst, after the one that opened the window.
+async function mergeNotification(req, res, route, coalescingKey, window) {
+  const { push_token: token } = req.body;
+  if (window.count === 1) {
+    try {
+      await scheduleQueue.add(
+        route,
+        { push_token: token },
+        window.windowEndsAt,
+        'coalesced',
+        coalescingKey,
+      );
+    } catch (err) {
+      return handleError(req, res, { token }, 'coalesceNotification', err);
+    }
+  }
+
+  return res.status(202).send({
+    coalesced: true,
+    count: window.count,
+    deliverAt: new Date(window.windowEndsAt).toISOString(),
+    target: token,
+  });
+}
+
+async function handleBatchRequest(
+  req,
+  res,
+  payloadHandler,
+  requestSchema = schemas.notification,
+  route = null,
+) {
+  const { push_tokens: targets, ...sharedBody } = req.body;
+  if (!Array.isArray(targets) || targets.length === 0) {
+    return res.status(400).send({ errorMessage: 'You did not send any push_tokens!' });
+  }
+  if (targets.length > MAX_BATCH_SIZE) {
+    return res.status(400).send({
+      errorMessage: `You can send to at most ${MAX_BATCH_SIZE} push_tokens per request`,
+    });
+  }
+
+  const responses = await Promise.all(
+    targets.map(async (target) => {
+      // Each target gets its own copy of the shared notification, since the payload handlers
+      // reuse (and mutate) objects from the request body when building the FCM message.
+      const targetReq = Object.create(req);
+      targetReq.body = {
+        ...structuredClone(sharedBody),
+        push_token: target?.push_token,
+        registration_info: target?.registration_info,
+      };
+
+      // Headers only make sense for the batch as a whole
+      const { res: targetRes, getResult, getHeaders } = createResultCollector();
+      try {
+        await handleRequest(targetReq, targetRes, payloadHandler, requestSchema, route);
+      } catch (err) {
+        await handleError(targetReq, targetRes, { token: target?.push_token }, 'sendBatch', err);
+      }
+      return { result: getResult(), headers: getHeaders() };
+    }),
+  );
+
+  // The batch is described by the rate limits of the target closest to being limited
+  const mostLimited = responses
+    .map(({ headers }) => headers)
+    .filter((headers) => headers['RateLimit-Remaining'] !== undefined)
+    .reduce(
+      (lowest, headers) =>
+        !lowest || Number(headers['RateLimit-Remaining']) < Number(lowest['RateLimit-Remaining'])
+          ? headers
+          : lowest,
+      null,
+    );
+  if (mostLimited) {
+    for (const name of ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']) {
+      res.set(name, mostLimited[name]);
+    }
+  }
+
+  return res.status(200).send({ results: responses.map(({ result }) => result) });
+}
+
+// Delivers the scheduled notifications that are due through the route that accepted them, so they
+// go through the same payload handlers and rate limiter as notifications sent right away
+async function dispatchScheduledNotifications(routes) {
+  const log = logging.log('dispatchScheduledNotifications');
+  const results = await dispatchDueNotifications(
+    routes,
+    Date.now() + SCHEDULE_DISPATCH_DEADLINE_MS,
+  );
+
+  if (debug && results.length > 0) {
+    log.info(
+      log.entry(
+        { resource: { type: 'global' } },
+        {
+          message: 'Dispatched scheduled notifications',
+          results: JSON.stringify(results),
+        },
+      ),
+    );
+  }
+  return results;
+}
+
+// Delivers the scheduled notifications that are due on servers without a scheduled function,
+// where Cloud Scheduler calls this every minute with the admin API key
+async function handleDispatchScheduledNotifications(req, res, routes) {
+  const authorizationError = checkAdminAuthorization(req);
+  if (authorizationError) {
+    return sendAdminAuthorizationError(res, authorizationError);
+  }
+
+  try {
+    const results = await dispatchScheduledNotifications(routes);
+    return res.status(200).send({ dispatched: results.length });
+  } catch (err) {
+    return handleError(req, res, {}, 'dispatchScheduledNotifications', err);
+  }
+}
+
+// Delivers a batch of due notifications, then the next one until nothing is due or the deadline
+// passes
+async function dispatchDueNotifications(routes, deadline) {
+  const due = await scheduleQueue.claimDue(Date.now(), SCHEDULE_DISPATCH_BATCH_SIZE);
+  if (due.length === 0) {
+    return [];
+  }
+  const results = await Promise.all(
+    due.map((notification) => dispatchScheduledNotification(routes, notification)),
+  );
+  if (Date.now() >= deadline) {
+    return results;
+  }
+  return [...results, ...(await dispatchDueNotifications(routes, deadline))];
+}
+
+// Delivers a claimed notification, or the digest or merged notification it stands for
+async function dispatchScheduledNotification(routes, notification) {
+  const token = notification.body.push_token;
+  const req = {
+    body: notification.body,
+    method: 'POST',
+    originalUrl: `scheduled:${notification.route}`,
+    get: () => undefined,
+    internal: true,
+  };
+  const { res, getResult } = createResultCollector();
+  const route = routes[notification.route];
+  try {
+    if (!route) {
+      throw new Error(`Scheduled notification has an unknown route: ${notification.route}`);
+    }
+
+    // Digests are built from the notifications held until quiet hours ended
+    if (notification.kind === 'digest') {
+      const digest = await quietHoursDigest.take(notification.key);
+      if (!digest) {
+        return { id: notification.id, statusCode: 204, target: token };
+      }
+      req.body = createDigestBody(notification.key, digest);
+    }
+
+    // Merged notifications are delivered as the latest one of the window, plus a count
+    if (notification.kind === 'coalesced') {
+      const window = await coalescer.take(notification.key);
+      if (!window?.body) {
+        return { id: notification.id, statusCode: 204, target: token };
+      }
+      req.body = window.body;
+      req.coalescedCount = window.count;
+    }
+
+    await handleRequest(req, res, route.payloadHandler, route.requestSchema, notification.route);
+  } catch (err) {
+    const payload = { token };
+    await handleError(req, res, payload, 'dispatchScheduledNotification', err);
+  }
+  return { id: notification.id, ...getResult() };
+}
+
+// A response that sets headers right away but holds back what a handler sends, so it can be
+// looked at before it is sent
+function createDeferredResponse(res) {
+  let result;
+  const headers = {};
+  const deferredRes = {
+    set: (name, value) => {
+      headers[name] = value;
+      res.set(name, value);
+      return deferredRes;
+    },
+    status: (statusCode) => ({
+      send: (body) => {
+        result = { statusCode, body, headers };
+        return result;
+      },
+    }),
+  };
+  return { res: deferredRes, getResult: () => result };
+}
+
+// A response that keeps what a handler sends, for requests that are handled internally
+function createResultCollector() {
+  let result;
+  const headers = {};
+  const res = {
+    set: (name, value) => {
+      headers[name] = value;
+      return res;
+    },
+    status: (statusCode) => ({
+      send: (data) => {
+        result = { statusCode, ...data };
+        return result;
+      },
+    }),
+  };
+  return { res, getResult: () => result, getHeaders: () => headers };
+}
+
+// Builds the FCM message for a request without touching the rate limiter or FCM
+async function handlePreviewRequest(
+  req,
+  res,
+  payloadHandler,
+  requestSchema = schemas.notificationPreview,
+) {
+  const validationErrors = validateRequest(requestSchema, req.body);
+  if (validationErrors.length > 0) {
+    return sendValidationErrors(res, validationErrors);
+  }
+
+  const { push_token: token } = req.body;
+  let updateRateLimits, payload, truncated;
+  try {
+    ({ updateRateLimits, payload, truncated } = payloadHandler(req));
+  } catch (err) {
+    return handleError(req, res, { token }, 'createPayload', err);
+  }
+
+  if (token) {
+    payload.token = token;
+  }
+
+  return res.status(200).send({
+    payload,
+    updateRateLimits,
+    ...(truncated && { truncated }),
+  });
+}
+
+// Sets RateLimit-* headers for the policy closest to its limit, plus Retry-After for the policy
+// that was exceeded, if any
+function setRateLimitHeaders(res, rateLimits, exceededPolicy = null) {
+  const policies = [
+    {
+      name: DAILY_POLICY,
+      limit: rateLimits.maximum,
+      remaining: rateLimits.remaining,
+      resetsAt: rateLimits.resetsAt,
+    },
+    ...(rateLimits.policies ?? []),
+  ];
+  const policy =
+    policies.find(({ name }) => name === exceededPolicy) ??
+    policies.reduce((closest, current) =>
+      current.remaining < closest.remaining ? current : closest,
+    );
+  const secondsUntilReset = Math.max(
+    Math.ceil((new Date(policy.resetsAt).getTime() - Date.now()) / 1000),
+    0,
+  );
+
+  res.set('RateLimit-Limit', String(policy.limit));
+  res.set('RateLimit-Remaining', String(policy.remaining));
+  res.set('RateLimit-Reset', String(secondsUntilReset));
+  if (exceededPolicy) {
+    res.set('Retry-After', String(secondsUntilReset));
+  }
+}
+
+function sendValidationErrors(res, errors) {
+  const fields = errors.map(({ field, message }) => `${field} ${message}`);
+  return res.status(400).send({
+    errorType: 'InvalidRequest',
+    errorStep: 'validateRequest',
+    message: `The request body is invalid: ${fields.join(', ')}.`,
+    errors,
+  });
+}
+
+function sendSignatureError(res, token, signatureError) {
+  return res.status(401).send({
+    errorType: signatureError,
+    errorStep: 'verifySignature',
+    message: SIGNATURE_ERROR_MESSAGES[signatureError],
+    target: token,
+  });
+}
+
+function sendBlockedError(res, token, block) {
+  const names = { token: 'token', webhook_id: 'webhook', ip: 'IP address' };
+  return res.status(403).send({
+    errorType: 'Blocked',
+    errorStep: 'checkBlocklist',
+    message: `This ${names[block.type]} is blocked from using the relay: ${block.reason}`,
+    blocked: { type: block.type, reason: block.reason, expiresAt: block.expiresAt },
+    target: token,
+  });
+}
+
+function sendThrottledError(res, token, { throttle, status }) {
+  const secondsUntilReset = Math.max(Math.ceil((status.resetsAt.getTime() - Date.now()) / 1000), 0);
+  res.set('Retry-After', String(secondsUntilReset));
+  return res.status(429).send({
+    errorType: 'Throttled',
+    errorStep: 'checkThrottle',
+    message: `Too many requests from this ${throttle === 'ip' ? 'IP address' : 'webhook'}, across all targets. Please try again later.`,
+    throttle,
+    limit: status.limit,
+    windowSeconds: status.windowSeconds,
+    target: token,
   });
 }
 
@@ -168,46 +1400,28 @@ function handleError(req, res, payload = {}, step, incomingError, shouldExit = t
     incomingError = new Error(incomingError);
   }
 
-  // Handle Firebase Messaging errors with appropriate status codes
-  if (incomingError.code?.startsWith('messaging/')) {
-    const errorCode = incomingError.code.replace('messaging/', '');
-
-    // For specific token errors, skip reporting and return immediately
-    if (
-      errorCode === 'invalid-registration-token' ||
-      errorCode === 'registration-token-not-registered'
-    ) {
-      if (!shouldExit) {
-        return true;
-      }
-
-      return res.status(500).send({
-        errorType: 'InvalidToken',
-        errorCode: errorCode,
-        errorStep: step,
-        message: incomingError.message,
-      });
+  // Handle Firebase Messaging errors with the status and error type of their code
+  const fcmError = getFcmError(incomingError);
+  const sendFcmError = () => {
+    // Let callers know when a transient failure is worth retrying
+    if (fcmError.retryAfterSeconds) {
+      res.set('Retry-After', String(fcmError.retryAfterSeconds));
     }
+    return res.status(fcmError.status).send({
+      errorType: fcmError.errorType,
+      errorCode: fcmError.errorCode,
+      errorStep: step,
+      message: incomingError.message,
+      ...(incomingError.retries > 0 && { retries: incomingError.retries }),
+    });
+  };
 
-    // Handle Android message size limit errors
-    if (
-      errorCode === 'invalid-argument' ||
-      errorCode === 'payload-too-large' ||
-      (incomingError.message &&
-        (incomingError.message.toLowerCase().includes('message is too big') ||
-          incomingError.message.toLowerCase().includes('payload too large')))
-    ) {
-      if (!shouldExit) {
-        return true;
-      }
-
-      return res.status(500).send({
-        errorType: 'PayloadTooLarge',
-        errorCode: errorCode,
-        errorStep: step,
-        message: incomingError.message,
-      });
+  // Errors caused by the token or the notification itself are not worth reporting
+  if (fcmError && !fcmError.report) {
+    if (!shouldExit) {
+      return true;
     }
+    return sendFcmError();
   }
 
   // Report all other errors before responding
@@ -216,6 +1430,10 @@ function handleError(req, res, payload = {}, step, incomingError, shouldExit = t
       return true;
     }
 
+    if (fcmError) {
+      return sendFcmError();
+    }
+
     // Default error response for all errors
     return res.status(500).send({
       errorType: 'InternalError',
@@ -285,22 +1503,40 @@ function reportError(err, step, req, notificationObj) {
   });
 }
 
-async function sendRateLimitedNotification(req, token) {
+// Records a change made through an admin route in the adminAudit log
+function writeAuditLog(req, details) {
+  const log = logging.log('adminAudit');
+  const metadata = { ...buildLogMetadata(req), severity: 'NOTICE' };
+
+  return new Promise((resolve, reject) => {
+    log.write(log.entry(metadata, details), (error) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+async function sendRateLimitedNotification(req, token, rateLimits, rateLimitOptions) {
   const log = logging.log('sendRateLimitedNotification');
   const metadata = buildLogMetadata(req);
 
-  const d = new Date();
-  const strMax = String(MAX_NOTIFICATIONS_PER_DAY);
+  const maxNotificationsPerDay = rateLimits.maximum;
+  const timeZone = rateLimitOptions.timeZone ?? DEFAULT_TIME_ZONE;
+  const strMax = String(maxNotificationsPerDay);
   const payload = {
     token: token,
     notification: {
       title: 'Notifications Rate Limited',
-      body: `You have now sent more than ${MAX_NOTIFICATIONS_PER_DAY} notifications today. You will not receive new notifications until midnight UTC.`,
+      body: `You have now sent more than ${maxNotificationsPerDay} notifications today. You will not receive new notifications until midnight (${timeZone}).`,
     },
     data: {
       rateLimited: 'true',
       maxNotificationsPerDay: strMax,
-      resetsAt: new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1).toISOString(),
+      resetsAt: new Date(rateLimits.resetsAt).toISOString(),
+      timeZone,
     },
     android: {
       notification: {
@@ -334,6 +1570,93 @@ async function sendRateLimitedNotification(req, token) {
   return messaging.send(payload);
 }
 
+// Sends an installation its new signing secret in a data message, which the app keeps without
+// showing a notification
+async function sendSigningSecret(token, secret) {
+  return messaging.send({
+    token,
+    data: { signing_secret: secret },
+    android: {
+      priority: 'high',
+    },
+    apns: {
+      headers: {
+        'apns-push-type': 'background',
+        'apns-priority': '5',
+      },
+      payload: {
+        aps: {
+          'content-available': 1,
+        },
+      },
+    },
+    fcmOptions: {
+      analyticsLabel: 'signingSecret',
+    },
+  });
+}
+
+// Per-token rate limit options, such as the daily cap for the token's app and tier and the time
+// zone whose midnight resets it, with any raise or exemption an admin gave the token
+async function getRateLimitOptions(
+  req,
+  token,
+  requestedTimeZone = req.body.registration_info?.timezone,
+) {
+  const [maxNotificationsPerDay, override, timeZone] = await Promise.all([
+    quotaResolver.resolve(token, req.body.registration_info),
+    getRateLimitOverride(req, token),
+    getRateLimitTimeZone(req, token, requestedTimeZone),
+  ]);
+  const options = {
+    maxNotificationsPerDay: override?.maxNotificationsPerDay ?? maxNotificationsPerDay,
+  };
+  if (override?.exempt) {
+    options.exempt = true;
+  }
+  if (timeZone !== DEFAULT_TIME_ZONE) {
+    options.timeZone = timeZone;
+  }
+  return options;
+}
+
+// Gets the override admins made for the token. Overrides are rare, so when the store is
+// unavailable the token's own limits are used rather than failing the request.
+async function getRateLimitOverride(req, token) {
+  try {
+    return await rateLimitOverrides.get(token);
+  } catch (err) {
+    logRateLimitOptionsWarning(
+      req,
+      token,
+      'Ignoring rate limit overrides that could not be read',
+      err,
+    );
+    return null;
+  }
+}
+
+// Gets the time zone pinned for the token. When the store is unavailable, the time zone sent with
+// the request is used rather than failing the request.
+async function getRateLimitTimeZone(req, token, requestedTimeZone) {
+  try {
+    return await timeZones.resolve(token, requestedTimeZone);
+  } catch (err) {
+    logRateLimitOptionsWarning(
+      req,
+      token,
+      'Using the requested time zone because the pinned one could not be read',
+      err,
+    );
+    return requestedTimeZone ?? DEFAULT_TIME_ZONE;
+  }
+}
+
+function logRateLimitOptionsWarning(req, token, message, err) {
+  const log = logging.log('getRateLimitOptions');
+  log.warning(log.entry(buildLogMetadata(req), { message, error: err.message, target: token }));
+}
+
 function buildLogMetadata(req) {
   return {
     resource: { type: 'global' },
@@ -347,4 +1670,14 @@ function buildLogMetadata(req) {
 }
 
 exports.handleRequest = handleRequest;
+exports.handleBatchRequest = handleBatchRequest;
+exports.handlePreviewRequest = handlePreviewRequest;
 exports.handleCheckRateLimits = handleCheckRateLimits;
+exports.handleRateLimitHistory = handleRateLimitHistory;
+exports.handleClearInvalidToken = handleClearInvalidToken;
+exports.handleRegisterSigningSecret = handleRegisterSigningSecret;
+exports.handleBlock = handleBlock;
+exports.handleUnblock = handleUnblock;
+exports.handleAdjustRateLimits = handleAdjustRateLimits;
+exports.dispatchScheduledNotifications = dispatchScheduledNotifications;
+exports.handleDispatchScheduledNotifications = handleDispatchScheduledNotifications;
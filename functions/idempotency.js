@@ -0,0 +1,108 @@
+'use strict';
+
+const NAMESPACE = 'idempotentResponses';
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// How long a key stays reserved for a request that never finishes, e.g. when its instance stops
+const PENDING_TTL_SECONDS = 60;
+
+/**
+ * @typedef {Object} IdempotentResponse
+ * @property {boolean} [pending] - Whether the request with the key is still being handled
+ * @property {number} [statusCode] - The status code of the response, once it was sent
+ * @property {Object} [response] - The response body, once it was sent
+ */
+
+/**
+ * Gets the idempotency key of a request, from the `Idempotency-Key` header or, for callers that
+ * can't set headers, from `data.idempotency_key`.
+ *
+ * @param {Object} req - The request
+ * @returns {string|null} The key, or null if the request has none
+ */
+function getIdempotencyKey(req) {
+  const key = req.get('idempotency-key') ?? req.body.data?.idempotency_key;
+  return typeof key === 'string' && key !== '' ? key : null;
+}
+
+/**
+ * Remembers the responses to accepted notifications by idempotency key, so a request that is
+ * retried after FCM already accepted it, or after it was queued, gets the same response instead
+ * of a second notification. Keys are scoped to the token, so different targets can share a key.
+ */
+class IdempotencyCache {
+  /**
+   * Creates a new IdempotencyCache instance.
+   *
+   * @param {Object} store - The key-value store to keep responses in
+   * @param {number} [ttlSeconds] - How long a response is remembered
+   */
+  constructor(store, ttlSeconds = DEFAULT_TTL_SECONDS) {
+    this.store = store;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  /**
+   * Gets the store key for a token and idempotency key.
+   *
+   * @private
+   * @param {string} token - The push notification token
+   * @param {string} key - The idempotency key
+   * @returns {string} The store key
+   */
+  _getKey(token, key) {
+    // Firestore document IDs can't contain slashes
+    return `${token}:${encodeURIComponent(key)}`;
+  }
+
+  /**
+   * Reserves a key for a request, unless an earlier request with the key is still being handled
+   * or already got a response. Only one of several concurrent requests gets the key.
+   *
+   * @param {string} token - The push notification token
+   * @param {string} key - The idempotency key
+   * @returns {Promise<IdempotentResponse|null>} The earlier request, or null if the key was
+   *   reserved for this one
+   */
+  async reserve(token, key) {
+    const storeKey = this._getKey(token, key);
+    if (await this.store.add(NAMESPACE, storeKey, { pending: true }, PENDING_TTL_SECONDS)) {
+      return null;
+    }
+    // The earlier request may have just released the key, which a retry will find free
+    return (await this.store.get(NAMESPACE, storeKey)) ?? { pending: true };
+  }
+
+  /**
+   * Remembers the response to a request with a reserved key.
+   *
+   * @param {string} token - The push notification token
+   * @param {string} key - The idempotency key
+   * @param {number} statusCode - The status code of the response
+   * @param {Object} response - The response body, which must be serializable
+   * @returns {Promise<void>}
+   */
+  async remember(token, key, statusCode, response) {
+    await this.store.set(
+      NAMESPACE,
+      this._getKey(token, key),
+      { statusCode, response },
+      this.ttlSeconds,
+    );
+  }
+
+  /**
+   * Frees a reserved key, so a request that failed can be retried with it.
+   *
+   * @param {string} token - The push notification token
+   * @param {string} key - The idempotency key
+   * @returns {Promise<void>}
+   */
+  async release(token, key) {
+    await this.store.delete(NAMESPACE, this._getKey(token, key));
+  }
+}
+
+exports.getIdempotencyKey = getIdempotencyKey;
+exports.IdempotencyCache = IdempotencyCache;
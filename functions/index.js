@@ -8,6 +8,8 @@ initializeApp();
 
 const android = require('./android');
 const legacy = require('./legacy');
+const retract = require('./retract');
+const { schemas } = require('./validation');
 
 const region = (functions.config().app && functions.config().app.region) || 'us-central1';
 const regionalFunctions = functions.region(region).runWith({ timeoutSeconds: 10 });
@@ -16,20 +18,77 @@ const regionalFunctions = functions.region(region).runWith({ timeoutSeconds: 10
 process.env.DEBUG = isDebug().toString();
 process.env.REGION = region;
 
-const { handleRequest, handleCheckRateLimits } = require('./handlers');
+const {
+  handleRequest,
+  handleBatchRequest,
+  handlePreviewRequest,
+  handleCheckRateLimits,
+  handleRateLimitHistory,
+  handleClearInvalidToken,
+  handleRegisterSigningSecret,
+  dispatchScheduledNotifications,
+} = require('./handlers');
+
+// The routes scheduled notifications can be delivered through, by the name they are queued with
+const scheduledRoutes = {
+  android: { payloadHandler: android.createPayload, requestSchema: schemas.notification },
+  legacy: { payloadHandler: legacy.createPayload, requestSchema: schemas.legacy },
+  retract: { payloadHandler: retract.createPayload, requestSchema: schemas.retract },
+};
 
 exports.androidV1 = regionalFunctions.https.onRequest(async (req, res) =>
-  handleRequest(req, res, android.createPayload),
+  handleRequest(req, res, android.createPayload, schemas.notification, 'android'),
 );
 
 exports.sendPushNotification = regionalFunctions.https.onRequest(async (req, res) =>
-  handleRequest(req, res, legacy.createPayload),
+  handleRequest(req, res, legacy.createPayload, schemas.legacy, 'legacy'),
+);
+
+exports.androidV1Batch = regionalFunctions.https.onRequest(async (req, res) =>
+  handleBatchRequest(req, res, android.createPayload, schemas.notification, 'android'),
+);
+
+exports.sendPushNotificationBatch = regionalFunctions.https.onRequest(async (req, res) =>
+  handleBatchRequest(req, res, legacy.createPayload, schemas.legacy, 'legacy'),
+);
+
+exports.androidV1Preview = regionalFunctions.https.onRequest(async (req, res) =>
+  handlePreviewRequest(req, res, android.createPayload, schemas.notificationPreview),
+);
+
+exports.sendPushNotificationPreview = regionalFunctions.https.onRequest(async (req, res) =>
+  handlePreviewRequest(req, res, legacy.createPayload, schemas.legacyPreview),
+);
+
+exports.retractNotification = regionalFunctions.https.onRequest(async (req, res) =>
+  handleRequest(req, res, retract.createPayload, schemas.retract, 'retract'),
 );
 
 exports.checkRateLimits = regionalFunctions.https.onRequest(async (req, res) =>
   handleCheckRateLimits(req, res),
 );
 
+exports.rateLimitHistory = regionalFunctions.https.onRequest(async (req, res) =>
+  handleRateLimitHistory(req, res),
+);
+
+exports.clearInvalidToken = regionalFunctions.https.onRequest(async (req, res) =>
+  handleClearInvalidToken(req, res),
+);
+
+exports.registerSigningSecret = regionalFunctions.https.onRequest(async (req, res) =>
+  handleRegisterSigningSecret(req, res),
+);
+
+// Delivers scheduled notifications once they are due, with time to send a full batch
+exports.dispatchScheduledNotifications = functions
+  .region(region)
+  .runWith({ timeoutSeconds: 60 })
+  .pubsub.schedule('every 1 minutes')
+  .onRun(async () => {
+    await dispatchScheduledNotifications(scheduledRoutes);
+  });
+
 function isDebug() {
   let conf = functions.config();
   if (conf.debug) {
@@ -39,4 +98,8 @@ function isDebug() {
 }
 
 exports.handleRequest = handleRequest;
+exports.handleBatchRequest = handleBatchRequest;
+exports.handlePreviewRequest = handlePreviewRequest;
 exports.handleCheckRateLimits = handleCheckRateLimits;
+exports.handleClearInvalidToken = handleClearInvalidToken;
+exports.handleRegisterSigningSecret = handleRegisterSigningSecret;
@@ -0,0 +1,85 @@
+'use strict';
+
+const NAMESPACE = 'invalidTokens';
+
+// FCM error codes meaning the token will not work again until the app registers it anew
+const INVALID_TOKEN_ERROR_CODES = [
+  'invalid-registration-token',
+  'registration-token-not-registered',
+];
+
+const DEFAULT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * @typedef {Object} InvalidTokenEntry
+ * @property {string} errorCode - The FCM error code that invalidated the token
+ * @property {string} invalidatedAt - When the token was invalidated, as an ISO 8601 string
+ */
+
+/**
+ * Remembers push tokens that FCM reported as invalid, so later requests for them can be
+ * rejected without spending an FCM call or a rate limit attempt.
+ * Entries expire after a while, so a token is eventually retried even if nobody clears it.
+ */
+class InvalidTokenRegistry {
+  /**
+   * Creates a new InvalidTokenRegistry instance.
+   *
+   * @param {Object} store - The key-value store to keep invalid tokens in
+   * @param {number} [ttlSeconds] - How long a token is remembered as invalid
+   */
+  constructor(store, ttlSeconds = DEFAULT_TTL_SECONDS) {
+    this.store = store;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  /**
+   * Gets the invalid token entry for a token.
+   *
+   * @param {string} token - The push notification token
+   * @returns {Promise<InvalidTokenEntry|null>} The entry, or null if the token is not known to be invalid
+   */
+  async get(token) {
+    return this.store.get(NAMESPACE, token);
+  }
+
+  /**
+   * Remembers a token as invalid.
+   *
+   * @param {string} token - The push notification token
+   * @param {string} errorCode - The FCM error code that invalidated the token
+   * @returns {Promise<InvalidTokenEntry>} The stored entry
+   */
+  async markInvalid(token, errorCode) {
+    const entry = { errorCode, invalidatedAt: new Date().toISOString() };
+    await this.store.set(NAMESPACE, token, entry, this.ttlSeconds);
+    return entry;
+  }
+
+  /**
+   * Forgets that a token was invalid, e.g. once it is known to work again.
+   *
+   * @param {string} token - The push notification token
+   * @returns {Promise<InvalidTokenEntry|null>} The entry that was cleared, if any
+   */
+  async clear(token) {
+    const entry = await this.get(token);
+    if (entry) {
+      await this.store.delete(NAMESPACE, token);
+    }
+    return entry;
+  }
+}
+
+/**
+ * Whether an FCM error means the token is invalid.
+ *
+ * @param {any} err - The error thrown by messaging.send
+ * @returns {boolean} Whether the error invalidates the token
+ */
+function isInvalidTokenError(err) {
+  return INVALID_TOKEN_ERROR_CODES.some((code) => err?.code === `messaging/${code}`);
+}
+
+exports.InvalidTokenRegistry = InvalidTokenRegistry;
+exports.isInvalidTokenError = isInvalidTokenError;
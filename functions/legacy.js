@@ -2,8 +2,20 @@
 
 const path = require('path');
 const liveActivity = require('./live-activity.js');
+const { truncatePayload } = require('./truncation');
+
+/**
+ * Whether a token belongs to the iOS or macOS app, going by its app ID.
+ *
+ * @param {Object} [registrationInfo] - The registration info sent with the token
+ * @returns {boolean} Whether the token belongs to an Apple app
+ */
+function isAppleApp(registrationInfo) {
+  return (registrationInfo?.app_id ?? '').indexOf('io.robbie.HomeAssistant') > -1;
+}
 
 module.exports = {
+  isAppleApp,
   createPayload: (req) => {
     if (req.body.live_activity_token) {
       return liveActivity.createPayload(req);
@@ -72,7 +84,7 @@ module.exports = {
       payload.apns.payload.webhook_id = req.body.registration_info.webhook_id;
     }
 
-    if (req.body.registration_info.app_id.indexOf('io.robbie.HomeAssistant') > -1) {
+    if (isAppleApp(req.body.registration_info)) {
       const addCommand = (command) => {
         payload.notification = {};
         payload.apns.payload.aps = {};
@@ -292,6 +304,27 @@ module.exports = {
       payload.apns.headers['apns-push-type'] = 'alert';
     }
 
-    return { updateRateLimits, payload };
+    const result = { updateRateLimits, payload };
+
+    // Opt-in: trim oversized notifications to fit instead of having them rejected
+    if (req.body.data?.truncate === true) {
+      const truncated = truncatePayload(
+        payload,
+        {
+          messagePaths: ['notification.body', 'apns.payload.aps.alert.body'],
+          actionTitlePaths: (Array.isArray(payload.apns.payload.actions)
+            ? payload.apns.payload.actions
+            : []
+          ).map((action, i) => `apns.payload.actions.${i}.title`),
+          optionalPaths: ['apns.payload.aps.alert.subtitle'],
+        },
+        isAppleApp(req.body.registration_info) ? 'apns' : 'android',
+      );
+      if (truncated) {
+        result.truncated = truncated;
+      }
+    }
+
+    return result;
   },
 };
@@ -0,0 +1,147 @@
+'use strict';
+
+// FCM rejects Android messages whose notification and data exceed 4000 bytes
+const ANDROID_MAX_PAYLOAD_BYTES = 4000;
+
+// APNs rejects regular (and Live Activity) notifications larger than 4 KB
+const APNS_MAX_PAYLOAD_BYTES = 4096;
+
+// How many fields to list when a payload is too large
+const LARGEST_FIELDS_REPORTED = 5;
+
+/**
+ * @typedef {Object} FieldSize
+ * @property {string} field - Dotted path of the field in the FCM message, e.g. `data.message`
+ * @property {number} size - Serialized size of the field, including its key, in bytes
+ */
+
+/**
+ * @typedef {Object} PayloadSizeReport
+ * @property {'android'|'apns'} platform - The part of the message that is too large
+ * @property {number} size - Estimated serialized size of that part in bytes
+ * @property {number} limit - Maximum size allowed for that part in bytes
+ * @property {FieldSize[]} largestFields - The largest fields of that part, largest first
+ */
+
+/**
+ * Gets the parts of the FCM message that end up in the Android payload, keyed by their path.
+ *
+ * @param {Object} payload - The FCM message
+ * @returns {Record<string, any>} The parts, keyed by dotted path
+ */
+function getAndroidParts(payload) {
+  return {
+    notification: payload.notification,
+    data: payload.data,
+    'android.notification': payload.android?.notification,
+    'android.data': payload.android?.data,
+  };
+}
+
+/**
+ * Gets the parts of the FCM message that end up in the APNs payload, keyed by their path.
+ * FCM copies the data of the message into the APNs payload as custom keys.
+ *
+ * @param {Object} payload - The FCM message
+ * @returns {Record<string, any>} The parts, keyed by dotted path
+ */
+function getApnsParts(payload) {
+  return {
+    data: payload.data,
+    'apns.payload': payload.apns?.payload,
+  };
+}
+
+/**
+ * @param {any} value - The value to serialize
+ * @returns {number} The size of the value as JSON, in bytes
+ */
+function getSerializedSize(value) {
+  return Buffer.byteLength(JSON.stringify(value) ?? '');
+}
+
+/**
+ * Estimates the serialized size of the Android and APNs payloads FCM builds from a message.
+ *
+ * @param {Object} payload - The FCM message
+ * @returns {{ android: number, apns: number|null }} Sizes in bytes, with a null APNs size for
+ *   messages without APNs config
+ */
+function estimatePayloadSize(payload) {
+  const android = getAndroidParts(payload);
+  const apns = getApnsParts(payload);
+
+  return {
+    android: getSerializedSize({
+      notification: android.notification,
+      data: android.data,
+      android: { notification: android['android.notification'], data: android['android.data'] },
+    }),
+    apns: payload.apns ? getSerializedSize({ ...apns.data, ...apns['apns.payload'] }) : null,
+  };
+}
+
+/**
+ * Lists every leaf field of the given parts with its serialized size.
+ *
+ * @param {Record<string, any>} parts - Parts of the message, keyed by dotted path
+ * @returns {FieldSize[]} The fields
+ */
+function getFieldSizes(parts) {
+  const fields = [];
+  const visit = (path, value) => {
+    if (value !== null && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => visit(`${path}.${key}`, child));
+      return;
+    }
+    const key = path.slice(path.lastIndexOf('.') + 1);
+    fields.push({ field: path, size: getSerializedSize({ [key]: value }) - 2 });
+  };
+
+  Object.entries(parts).forEach(([path, value]) => {
+    if (value !== undefined) {
+      visit(path, value);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Checks the estimated size of a message against the limit of the platform it is delivered
+ * through. FCM tokens belong to a single platform, so only that platform's limit applies.
+ *
+ * @param {Object} payload - The FCM message
+ * @param {'android'|'apns'} [target] - The platform the token belongs to, or undefined to check
+ *   the message against both limits
+ * @returns {PayloadSizeReport|null} A report of the part that is too large, or null if the
+ *   message fits
+ */
+function checkPayloadSize(payload, target) {
+  const sizes = estimatePayloadSize(payload);
+
+  /** @type {'android'|'apns'} */
+  let platform;
+  let limit, parts;
+  if (target !== 'android' && sizes.apns !== null && sizes.apns > APNS_MAX_PAYLOAD_BYTES) {
+    platform = 'apns';
+    limit = APNS_MAX_PAYLOAD_BYTES;
+    parts = getApnsParts(payload);
+  } else if (target !== 'apns' && sizes.android > ANDROID_MAX_PAYLOAD_BYTES) {
+    platform = 'android';
+    limit = ANDROID_MAX_PAYLOAD_BYTES;
+    parts = getAndroidParts(payload);
+  } else {
+    return null;
+  }
+
+  const largestFields = getFieldSizes(parts)
+    .sort((a, b) => b.size - a.size)
+    .slice(0, LARGEST_FIELDS_REPORTED);
+
+  return { platform, size: sizes[platform], limit, largestFields };
+}
+
+exports.ANDROID_MAX_PAYLOAD_BYTES = ANDROID_MAX_PAYLOAD_BYTES;
+exports.APNS_MAX_PAYLOAD_BYTES = APNS_MAX_PAYLOAD_BYTES;
+exports.estimatePayloadSize = estimatePayloadSize;
+exports.checkPayloadSize = checkPayloadSize;
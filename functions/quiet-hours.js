@@ -0,0 +1,203 @@
+'use strict';
+
+const { DEFAULT_TIME_ZONE, getZonedParts, getTimeZoneOffset } = require('./rate-limiter/util');
+
+const NAMESPACE = 'quietHoursDigest';
+
+// Held notifications are delivered as one digest, listing at most this many of the latest ones
+const MAX_DIGEST_NOTIFICATIONS = 5;
+
+// Digests are kept a while after quiet hours end, in case the worker is late to deliver them
+const DIGEST_GRACE_SECONDS = 24 * 60 * 60;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const QUIET_HOURS_MODES = ['hold', 'silent'];
+
+/**
+ * @typedef {Object} QuietHours
+ * @property {string} start - Local time quiet hours start at, as HH:MM
+ * @property {string} end - Local time quiet hours end at, as HH:MM, which may be on the next day
+ * @property {'hold'|'silent'} [mode='hold'] - Whether notifications are held for a digest or
+ *   delivered without sound
+ */
+
+/**
+ * @typedef {Object} HeldNotification
+ * @property {string} [title] - Title of the held notification
+ * @property {string} [message] - Message of the held notification
+ */
+
+/**
+ * @typedef {Object} QuietHoursDigestEntry
+ * @property {string} route - Name of the push route that delivers the digest, e.g. `android`
+ * @property {Object} registrationInfo - Registration info of the latest held notification
+ * @property {number} count - How many notifications were held
+ * @property {HeldNotification[]} notifications - The latest held notifications, oldest first
+ * @property {number} endsAt - When quiet hours end and the digest is due, in milliseconds
+ */
+
+/**
+ * Whether a string is a 24 hour time of day, e.g. `22:30`.
+ *
+ * @param {any} value - The time of day
+ * @returns {boolean} Whether the time can be used for quiet hours
+ */
+function isValidTimeOfDay(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * @param {string} value - A valid time of day
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(value) {
+  const [hours, minutes] = value.split(':').map((part) => parseInt(part, 10));
+  return hours * 60 + minutes;
+}
+
+/**
+ * Gets when the current quiet hours end, if they are in progress. Quiet hours run from the
+ * start time up to, but not including, the end time, and wrap past midnight when the end time
+ * is earlier than the start time.
+ *
+ * @param {QuietHours} quietHours - The quiet hours of the token
+ * @param {string} [timeZone='UTC'] - IANA time zone the quiet hours are in
+ * @param {number} [now=Date.now()] - The current time in milliseconds
+ * @returns {number|null} When quiet hours end in milliseconds, or null outside quiet hours
+ */
+function getQuietHoursEnd(quietHours, timeZone = DEFAULT_TIME_ZONE, now = Date.now()) {
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const { hour, minute } = getZonedParts(now, timeZone);
+  const current = hour * 60 + minute;
+
+  const inQuietHours =
+    start < end ? current >= start && current < end : current >= start || current < end;
+  if (start === end || !inQuietHours) {
+    return null;
+  }
+
+  const minutesUntilEnd = (end - current + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const startOfMinute = now - (now % (60 * 1000));
+  const endsAt = startOfMinute + minutesUntilEnd * 60 * 1000;
+
+  // Keep the local end time if the clocks change before quiet hours end
+  return endsAt + getTimeZoneOffset(now, timeZone) - getTimeZoneOffset(endsAt, timeZone);
+}
+
+/**
+ * Changes a message so it is delivered without sound or vibration.
+ *
+ * @param {Object} payload - The FCM message, which is modified in place
+ */
+function silencePayload(payload) {
+  const aps = payload.apns?.payload?.aps;
+  if (aps) {
+    delete aps.sound;
+    aps['interruption-level'] = 'passive';
+  }
+
+  if (payload.android?.notification) {
+    delete payload.android.notification.sound;
+  }
+
+  // The Android app builds data messages itself. They go to its default channel, which always
+  // exists, rather than the caller's channel that may ring, at low importance.
+  if (payload.data?.message !== undefined) {
+    delete payload.data.channel;
+    payload.data.importance = 'low';
+  }
+}
+
+/**
+ * Collects the notifications held during a token's quiet hours, so they can be delivered as a
+ * single digest once quiet hours end.
+ */
+class QuietHoursDigest {
+  /**
+   * Creates a new QuietHoursDigest instance.
+   *
+   * @param {Object} store - The key-value store to keep held notifications in
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Adds a notification to the token's digest.
+   *
+   * @param {string} token - The push notification token
+   * @param {string} route - Name of the push route that delivers the digest
+   * @param {Object} body - The request body of the held notification
+   * @param {number} endsAt - When quiet hours end, in milliseconds
+   * @returns {Promise<QuietHoursDigestEntry>} The digest, including the notification
+   */
+  async hold(token, route, body, endsAt) {
+    // Held notifications can arrive together, so add each one atomically
+    return this.store.update(NAMESPACE, token, (current) => {
+      const entry = current ?? { route, count: 0, notifications: [], endsAt };
+      entry.registrationInfo = body.registration_info;
+      entry.count += 1;
+      entry.notifications = [
+        ...entry.notifications,
+        { title: body.title, message: body.message },
+      ].slice(-MAX_DIGEST_NOTIFICATIONS);
+
+      const ttlSeconds = Math.ceil((entry.endsAt - Date.now()) / 1000) + DIGEST_GRACE_SECONDS;
+      return { value: entry, ttlSeconds };
+    });
+  }
+
+  /**
+   * Removes and returns the token's digest.
+   *
+   * @param {string} token - The push notification token
+   * @returns {Promise<QuietHoursDigestEntry|null>} The digest, or null if nothing was held
+   */
+  async take(token) {
+    // Remove it in the same step as reading it, so nothing held meanwhile is lost
+    let entry = null;
+    await this.store.update(NAMESPACE, token, (current) => {
+      entry = current;
+      return { value: null };
+    });
+    return entry;
+  }
+}
+
+/**
+ * Builds the request body that delivers a digest through its route.
+ *
+ * @param {string} token - The push notification token
+ * @param {QuietHoursDigestEntry} entry - The digest
+ * @returns {Object} The request body
+ */
+function createDigestBody(token, entry) {
+  const lines = entry.notifications.map(({ title, message }) =>
+    [title, message].filter(Boolean).join(': '),
+  );
+  const omitted = entry.count - entry.notifications.length;
+  if (omitted > 0) {
+    lines.push(`…and ${omitted} more`);
+  }
+
+  // Quiet hours are over, but the digest must not be held again if the worker is early
+  const { quiet_hours: quietHours, ...registrationInfo } = entry.registrationInfo ?? {};
+  return {
+    push_token: token,
+    title:
+      entry.count === 1
+        ? '1 notification during quiet hours'
+        : `${entry.count} notifications during quiet hours`,
+    message: lines.join('\n'),
+    registration_info: registrationInfo,
+  };
+}
+
+exports.QUIET_HOURS_MODES = QUIET_HOURS_MODES;
+exports.isValidTimeOfDay = isValidTimeOfDay;
+exports.getQuietHoursEnd = getQuietHoursEnd;
+exports.silencePayload = silencePayload;
+exports.QuietHoursDigest = QuietHoursDigest;
+exports.createDigestBody = createDigestBody;
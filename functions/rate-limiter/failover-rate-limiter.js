@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * @typedef {import('./util').RateLimits} RateLimits
+ * @typedef {import('./util').RateLimitStatus} RateLimitStatus
+ * @typedef {import('./util').RateLimitOptions} RateLimitOptions
+ * @typedef {import('./util').RateLimitHistoryDay} RateLimitHistoryDay
+ */
+
+/**
+ * @typedef {Object} CircuitBreakerOptions
+ * @property {number} [failureThreshold=3] - Consecutive primary failures before the circuit opens
+ * @property {number} [resetTimeoutMs=30000] - How long the circuit stays open before the primary
+ *   is tried again
+ */
+
+const CircuitState = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+});
+
+/**
+ * Rate limiter that uses a primary backend (e.g. Valkey) and falls back to a secondary backend
+ * (e.g. Firestore or an in-memory counter) when the primary fails.
+ *
+ * A circuit breaker stops calling the primary after repeated failures, so a dead cluster does
+ * not add its request timeout to every push. Once the reset timeout has passed, a single call is
+ * let through to probe the primary, closing the circuit again if it succeeds.
+ */
+class FailoverRateLimiter {
+  /**
+   * Creates a new FailoverRateLimiter instance.
+   *
+   * @param {Object} primary - The preferred rate limiter
+   * @param {Object} fallback - The rate limiter used while the primary is failing
+   * @param {boolean} [debug=false] - Whether to enable debug logging
+   * @param {CircuitBreakerOptions} [circuitBreakerOptions={}] - Circuit breaker tuning
+   */
+  constructor(primary, fallback, debug = false, circuitBreakerOptions = {}) {
+    this.primary = primary;
+    this.fallback = fallback;
+    this.debug = debug;
+    this.failureThreshold = circuitBreakerOptions.failureThreshold ?? 3;
+    this.resetTimeoutMs = circuitBreakerOptions.resetTimeoutMs ?? 30000;
+    /** @type {string} */
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = 0;
+  }
+
+  /**
+   * Checks the current rate limit status for the token without modifying any counters.
+   *
+   * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimitStatus>} The current rate limit status
+   * @throws {Error} If both the primary and the fallback fail
+   */
+  async checkRateLimit(token, options = {}) {
+    return this._run('checkRateLimit', token, options);
+  }
+
+  /**
+   * Records a notification attempt.
+   *
+   * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimitStatus>} The updated rate limit status
+   * @throws {Error} If both the primary and the fallback fail
+   */
+  async recordAttempt(token, options = {}) {
+    return this._run('recordAttempt', token, options);
+  }
+
+  /**
+   * Records a successful notification delivery.
+   *
+   * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimits>} The updated rate limit statistics
+   * @throws {Error} If both the primary and the fallback fail
+   */
+  async recordSuccess(token, options = {}) {
+    return this._run('recordSuccess', token, options);
+  }
+
+  /**
+   * Records a failed notification delivery.
+   *
+   * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimits>} The updated rate limit statistics
+   * @throws {Error} If both the primary and the fallback fail
+   */
+  async recordError(token, options = {}) {
+    return this._run('recordError', token, options);
+  }
+
+  /**
+   * Resets the counters of the token for the current day.
+   *
+   * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimitStatus>} The rate limit status after the reset
+   * @throws {Error} If both the primary and the fallback fail
+   */
+  async resetRateLimits(token, options = {}) {
+    return this._run('resetRateLimits', token, options);
+  }
+
+  /**
+   * Gets the counters of the token for each of the most recent days.
+   *
+   * @param {string} token - The push notification token
+   * @param {number} days - Number of days, including today
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimitHistoryDay[]>} The counters per day, oldest first
+   * @throws {Error} If both the primary and the fallback fail
+   */
+  async getHistory(token, days, options = {}) {
+    return this._run('getHistory', token, days, options);
+  }
+
+  /**
+   * Calls the given method on the primary, or on the fallback if the circuit is open or the
+   * primary fails.
+   *
+   * @private
+   * @param {string} method - The rate limiter method to call
+   * @param {...any} args - Arguments for the method
+   * @returns {Promise<any>} The result of the method
+   */
+  async _run(method, ...args) {
+    if (!this._shouldTryPrimary()) {
+      return this.fallback[method](...args);
+    }
+
+    let result;
+    try {
+      result = await this.primary[method](...args);
+    } catch (err) {
+      this._recordFailure(method, err);
+      return this.fallback[method](...args);
+    }
+
+    this._recordSuccess();
+    return result;
+  }
+
+  /**
+   * Whether the primary should be called, moving an open circuit to half-open once the reset
+   * timeout has passed so a single call can probe the primary.
+   *
+   * @private
+   * @returns {boolean} Whether to call the primary
+   */
+  _shouldTryPrimary() {
+    if (this.state === CircuitState.CLOSED) {
+      return true;
+    }
+    if (this.state === CircuitState.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = CircuitState.HALF_OPEN;
+      return true;
+    }
+    // Either still open, or another call is already probing the primary
+    return false;
+  }
+
+  /**
+   * Records a primary failure, opening the circuit once the threshold is reached or when the
+   * probe of a half-open circuit fails.
+   *
+   * @private
+   * @param {string} method - The rate limiter method that failed
+   * @param {Error} err - The primary error
+   */
+  _recordFailure(method, err) {
+    this.consecutiveFailures += 1;
+
+    if (
+      this.state === CircuitState.HALF_OPEN ||
+      this.consecutiveFailures >= this.failureThreshold
+    ) {
+      if (this.state !== CircuitState.OPEN) {
+        console.warn(
+          '[rate-limiter]',
+          JSON.stringify({
+            message: 'Primary rate limiter failing, using fallback',
+            method,
+            error: err.message,
+            consecutiveFailures: this.consecutiveFailures,
+          }),
+        );
+      }
+      this.state = CircuitState.OPEN;
+      this.openedAt = Date.now();
+    } else if (this.debug) {
+      console.info(
+        '[rate-limiter]',
+        JSON.stringify({ message: 'Primary rate limiter failed', method, error: err.message }),
+      );
+    }
+  }
+
+  /**
+   * Records a primary success, closing the circuit.
+   *
+   * @private
+   */
+  _recordSuccess() {
+    if (this.state !== CircuitState.CLOSED) {
+      console.info('[rate-limiter]', JSON.stringify({ message: 'Primary rate limiter recovered' }));
+    }
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0;
+  }
+
+  /**
+   * Closes any connections held by the underlying rate limiters.
+   */
+  async close() {
+    await Promise.all(
+      [this.primary, this.fallback].map((limiter) => limiter.close?.()).filter(Boolean),
+    );
+  }
+}
+
+module.exports = FailoverRateLimiter;
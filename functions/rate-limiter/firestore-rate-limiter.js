@@ -2,13 +2,18 @@
 
 const { getFirestore, Timestamp } = require('firebase-admin/firestore');
 
-const { getToday, TWENTY_FOUR_HOURS_IN_MS } = require('./util');
+const { getToday, getNextReset, getExpiry, getRecentDays, getHistoryDay } = require('./util');
+const { DAILY_POLICY, getPolicyStatus, normalizeWindowCounts } = require('./policies');
 
 const db = getFirestore();
 
 /**
  * @typedef {import('./util').RateLimits} RateLimits
  * @typedef {import('./util').RateLimitStatus} RateLimitStatus
+ * @typedef {import('./util').RateLimitOptions} RateLimitOptions
+ * @typedef {import('./util').RateLimitHistoryDay} RateLimitHistoryDay
+ * @typedef {import('./policies').RateLimitPolicy} RateLimitPolicy
+ * @typedef {import('./policies').WindowCounts} WindowCounts
  * @typedef {import('@google-cloud/firestore').DocumentData} DocumentData
  */
 
@@ -31,11 +36,15 @@ class FirestoreRateLimiter {
    *
    * @param {number} [maxNotificationsPerDay] - Maximum notifications allowed per day
    * @param {boolean} [debug=false] - Whether to enable debug logging
+   * @param {RateLimitPolicy[]} [policies=[]] - Sliding window policies enforced alongside the daily cap
+   * @param {number} [historyDays=0] - Number of past days whose counters are kept for the history
    */
-  constructor(maxNotificationsPerDay, debug = false) {
+  constructor(maxNotificationsPerDay, debug = false, policies = [], historyDays = 0) {
     this.db = db;
     this.maxNotificationsPerDay = maxNotificationsPerDay;
     this.debug = debug;
+    this.policies = policies;
+    this.historyDays = historyDays;
   }
 
   /**
@@ -43,23 +52,55 @@ class FirestoreRateLimiter {
    *
    * @private
    * @param {string} token - The push notification token
+   * @param {string} [timeZone] - Time zone whose calendar day the counters belong to
+   * @param {string} [day] - The day as YYYYMMDD, today if not given
    * @returns {FirebaseFirestore.DocumentReference} The document reference
    */
-  _getDocRef(token) {
-    const today = getToday();
-    return this.db.collection('rateLimits').doc(today).collection('tokens').doc(token);
+  _getDocRef(token, timeZone, day = getToday(timeZone)) {
+    return this.db.collection('rateLimits').doc(day).collection('tokens').doc(token);
+  }
+
+  /**
+   * Gets a reference to the sliding window counts document for the given token.
+   * Windows can span several days, so these live outside the per-day collection.
+   *
+   * @private
+   * @param {string} token - The push notification token
+   * @returns {FirebaseFirestore.DocumentReference} The document reference
+   */
+  _getWindowsDocRef(token) {
+    return this.db.collection('rateLimitWindows').doc(token);
+  }
+
+  /**
+   * Reads the stored sliding window counts for the given token.
+   *
+   * @private
+   * @param {string} token - The push notification token
+   * @param {FirebaseFirestore.Transaction} [transaction] - Transaction to read within
+   * @returns {Promise<Record<string, WindowCounts>>} Stored counts keyed by policy name
+   */
+  async _getWindowCounts(token, transaction) {
+    if (this.policies.length === 0) {
+      return {};
+    }
+
+    const windowsRef = this._getWindowsDocRef(token);
+    const doc = transaction ? await transaction.get(windowsRef) : await windowsRef.get();
+    return (doc.exists && doc.data().windows) || {};
   }
 
   /**
    * Checks the current rate limit status for the token without modifying any counters.
    *
    * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
    * @returns {Promise<RateLimitStatus>} The current rate limit status
    * @throws {Error} If Firestore operations fail
    */
-  async checkRateLimit(token) {
-    const docRef = this._getDocRef(token);
-    const doc = await docRef.get();
+  async checkRateLimit(token, options = {}) {
+    const docRef = this._getDocRef(token, options.timeZone);
+    const [doc, windowCounts] = await Promise.all([docRef.get(), this._getWindowCounts(token)]);
 
     const docData = doc.exists
       ? doc.data()
@@ -68,32 +109,27 @@ class FirestoreRateLimiter {
           deliveredCount: 0,
           errorCount: 0,
           totalCount: 0,
-          expiresAt: getFirestoreTimestamp(),
+          expiresAt: this._getExpiryTimestamp(options.timeZone),
         };
 
-    const isRateLimited = docData.deliveredCount >= this.maxNotificationsPerDay;
-    const shouldSendRateLimitNotification = docData.deliveredCount === this.maxNotificationsPerDay;
-
-    return {
-      isRateLimited,
-      shouldSendRateLimitNotification,
-      rateLimits: this._getRateLimitsObject(docData),
-    };
+    return this._getRateLimitStatus(docData, windowCounts, options);
   }
 
   /**
    * Records a notification attempt and atomically increments the attempts counter.
    *
    * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
    * @returns {Promise<RateLimitStatus>} The updated rate limit status
    * @throws {Error} If Firestore operations fail
    */
-  async recordAttempt(token) {
-    const docRef = this._getDocRef(token);
+  async recordAttempt(token, options = {}) {
+    const docRef = this._getDocRef(token, options.timeZone);
 
     // Use transaction to atomically read and update
     const result = await this.db.runTransaction(async (transaction) => {
       const doc = await transaction.get(docRef);
+      const windowCounts = await this._getWindowCounts(token, transaction);
 
       let docData;
       if (doc.exists) {
@@ -106,22 +142,15 @@ class FirestoreRateLimiter {
           deliveredCount: 0,
           errorCount: 0,
           totalCount: 0,
-          expiresAt: getFirestoreTimestamp(),
+          expiresAt: this._getExpiryTimestamp(options.timeZone),
         };
         transaction.set(docRef, docData);
       }
 
-      return docData;
+      return { docData, windowCounts };
     });
 
-    const isRateLimited = result.deliveredCount >= this.maxNotificationsPerDay;
-    const shouldSendRateLimitNotification = result.deliveredCount === this.maxNotificationsPerDay;
-
-    return {
-      isRateLimited,
-      shouldSendRateLimitNotification,
-      rateLimits: this._getRateLimitsObject(result),
-    };
+    return this._getRateLimitStatus(result.docData, result.windowCounts, options);
   }
 
   /**
@@ -130,15 +159,17 @@ class FirestoreRateLimiter {
    * Note: Should be called after recordAttempt() to avoid double-counting attempts.
    *
    * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
    * @returns {Promise<RateLimits>} The updated rate limit statistics
    * @throws {Error} If Firestore operations fail
    */
-  async recordSuccess(token) {
-    const docRef = this._getDocRef(token);
+  async recordSuccess(token, options = {}) {
+    const docRef = this._getDocRef(token, options.timeZone);
 
     // Use transaction to atomically read and update
     const result = await this.db.runTransaction(async (transaction) => {
       const doc = await transaction.get(docRef);
+      const windowCounts = await this._getWindowCounts(token, transaction);
 
       let docData;
       if (doc.exists) {
@@ -156,15 +187,31 @@ class FirestoreRateLimiter {
           deliveredCount: 1,
           errorCount: 0,
           totalCount: 1,
-          expiresAt: getFirestoreTimestamp(),
+          expiresAt: this._getExpiryTimestamp(options.timeZone),
         };
         transaction.set(docRef, docData);
       }
 
-      return docData;
+      if (this.policies.length > 0) {
+        const now = Date.now();
+        this.policies.forEach((policy) => {
+          const counts = normalizeWindowCounts(policy, windowCounts[policy.name], now);
+          windowCounts[policy.name] = { ...counts, count: counts.count + 1 };
+        });
+        transaction.set(this._getWindowsDocRef(token), {
+          windows: windowCounts,
+          expiresAt: this._getWindowsExpiry(now),
+        });
+      }
+
+      return { docData, windowCounts };
     });
 
-    return this._getRateLimitsObject(result);
+    return this._getRateLimitsObject(
+      result.docData,
+      options,
+      this._getPolicyStatuses(result.windowCounts),
+    );
   }
 
   /**
@@ -173,11 +220,12 @@ class FirestoreRateLimiter {
    * Note: Should be called after recordAttempt() to avoid double-counting attempts.
    *
    * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
    * @returns {Promise<RateLimits>} The updated rate limit statistics
    * @throws {Error} If Firestore operations fail
    */
-  async recordError(token) {
-    const docRef = this._getDocRef(token);
+  async recordError(token, options = {}) {
+    const docRef = this._getDocRef(token, options.timeZone);
 
     // Use transaction to atomically read and update
     const result = await this.db.runTransaction(async (transaction) => {
@@ -199,7 +247,7 @@ class FirestoreRateLimiter {
           deliveredCount: 0,
           errorCount: 1,
           totalCount: 1,
-          expiresAt: getFirestoreTimestamp(),
+          expiresAt: this._getExpiryTimestamp(options.timeZone),
         };
         transaction.set(docRef, docData);
       }
@@ -207,7 +255,117 @@ class FirestoreRateLimiter {
       return docData;
     });
 
-    return this._getRateLimitsObject(result);
+    return this._getRateLimitsObject(result, options);
+  }
+
+  /**
+   * Resets the counters of the token for the current day and its sliding window counts.
+   *
+   * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimitStatus>} The rate limit status after the reset
+   * @throws {Error} If Firestore operations fail
+   */
+  async resetRateLimits(token, options = {}) {
+    const deletes = [this._getDocRef(token, options.timeZone).delete()];
+    if (this.policies.length > 0) {
+      deletes.push(this._getWindowsDocRef(token).delete());
+    }
+    await Promise.all(deletes);
+    return this.checkRateLimit(token, options);
+  }
+
+  /**
+   * Gets the counters of the token for each of the most recent days, including today.
+   * Days older than the configured history are reported as empty once their documents expire.
+   *
+   * @param {string} token - The push notification token
+   * @param {number} days - Number of days, including today
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimitHistoryDay[]>} The counters per day, oldest first
+   * @throws {Error} If Firestore operations fail
+   */
+  async getHistory(token, days, options = {}) {
+    const recentDays = getRecentDays(days, options.timeZone);
+    const docs = await Promise.all(
+      recentDays.map((day) => this._getDocRef(token, options.timeZone, day).get()),
+    );
+    return recentDays.map((day, i) => getHistoryDay(day, docs[i].exists ? docs[i].data() : {}));
+  }
+
+  /**
+   * Gets the expiry for a daily document, which is kept for the history after the day ends.
+   *
+   * @private
+   * @param {string} [timeZone] - Time zone whose midnight ends the day
+   * @returns {FirebaseFirestore.Timestamp} Timestamp after which the document can be deleted
+   */
+  _getExpiryTimestamp(timeZone) {
+    return Timestamp.fromDate(getExpiry(timeZone, this.historyDays));
+  }
+
+  /**
+   * Gets the expiry for the sliding window counts document, which must outlive the previous
+   * bucket of the longest window.
+   *
+   * @private
+   * @param {number} now - Current time in milliseconds
+   * @returns {FirebaseFirestore.Timestamp} Timestamp after which the counts are irrelevant
+   */
+  _getWindowsExpiry(now) {
+    const longestWindowSeconds = Math.max(...this.policies.map((p) => p.windowSeconds));
+    return Timestamp.fromDate(new Date(now + 2 * longestWindowSeconds * 1000));
+  }
+
+  /**
+   * Gets the daily cap for a token, falling back to the limiter default.
+   *
+   * @private
+   * @param {RateLimitOptions} options - Per-token rate limit options
+   * @returns {number} Maximum notifications allowed per day
+   */
+  _getMaximum(options) {
+    return options.maxNotificationsPerDay ?? this.maxNotificationsPerDay;
+  }
+
+  /**
+   * Evaluates every sliding window policy against the stored counts.
+   *
+   * @private
+   * @param {Record<string, WindowCounts>} windowCounts - Stored counts keyed by policy name
+   * @returns {import('./policies').PolicyStatus[]} The status of each policy
+   */
+  _getPolicyStatuses(windowCounts) {
+    const now = Date.now();
+    return this.policies.map((policy) => getPolicyStatus(policy, windowCounts[policy.name], now));
+  }
+
+  /**
+   * Builds the rate limit status from the daily counters and the sliding window counts.
+   *
+   * @private
+   * @param {DocumentData} doc - The internal rate limit data
+   * @param {Record<string, WindowCounts>} windowCounts - Stored counts keyed by policy name
+   * @param {RateLimitOptions} options - Per-token rate limit options
+   * @returns {RateLimitStatus} The rate limit status
+   */
+  _getRateLimitStatus(doc, windowCounts, options) {
+    const maximum = this._getMaximum(options);
+    const policyStatuses = this._getPolicyStatuses(windowCounts);
+
+    let exceededPolicy = null;
+    if (doc.deliveredCount >= maximum) {
+      exceededPolicy = DAILY_POLICY;
+    } else {
+      exceededPolicy = policyStatuses.find((status) => status.remaining === 0)?.name ?? null;
+    }
+
+    return {
+      isRateLimited: exceededPolicy !== null,
+      shouldSendRateLimitNotification: doc.deliveredCount === maximum,
+      exceededPolicy,
+      rateLimits: this._getRateLimitsObject(doc, options, policyStatuses),
+    };
   }
 
   /**
@@ -215,36 +373,29 @@ class FirestoreRateLimiter {
    *
    * @private
    * @param {DocumentData} doc - The internal rate limit data
+   * @param {RateLimitOptions} options - Per-token rate limit options
+   * @param {import('./policies').PolicyStatus[]} [policyStatuses=[]] - Sliding window policy status
    * @returns {RateLimits} User-friendly rate limit statistics
    */
-  _getRateLimitsObject(doc) {
-    const d = new Date();
-    let remainingCount = this.maxNotificationsPerDay - doc.deliveredCount;
+  _getRateLimitsObject(doc, options, policyStatuses = []) {
+    const maximum = this._getMaximum(options);
+    let remainingCount = maximum - doc.deliveredCount;
     if (remainingCount < 0) remainingCount = 0;
 
-    return {
+    const rateLimits = {
       attempts: doc.attemptsCount || 0,
       successful: doc.deliveredCount || 0,
       errors: doc.errorCount || 0,
       total: doc.totalCount || 0,
-      maximum: this.maxNotificationsPerDay,
+      maximum,
       remaining: remainingCount,
-      resetsAt: new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1),
+      resetsAt: getNextReset(options.timeZone),
     };
+    if (policyStatuses.length > 0) {
+      rateLimits.policies = policyStatuses;
+    }
+    return rateLimits;
   }
 }
 
-/**
- * Creates a Firestore timestamp for the end of the current day (midnight).
- * Used to set document expiration times.
- *
- * @private
- * @returns {FirebaseFirestore.Timestamp} Timestamp for end of current day
- */
-function getFirestoreTimestamp() {
-  const now = new Date().getTime();
-  const endDate = new Date(now - (now % TWENTY_FOUR_HOURS_IN_MS) + TWENTY_FOUR_HOURS_IN_MS);
-  return Timestamp.fromDate(endDate);
-}
-
 module.exports = FirestoreRateLimiter;
@@ -1,9 +1,30 @@
 'use strict';
 
+const FailoverRateLimiter = require('./failover-rate-limiter');
 const FirestoreRateLimiter = require('./firestore-rate-limiter');
+const MemoryRateLimiter = require('./memory-rate-limiter');
 const ValkeyRateLimiter = require('./valkey-rate-limiter');
+const { DAILY_POLICY, parsePolicies } = require('./policies');
+const { QuotaResolver, parseQuotas } = require('./quotas');
+const { AbuseThrottle, parseThrottles } = require('./throttle');
+const { RateLimitOverrides, RATE_LIMIT_ADJUSTMENTS } = require('./overrides');
+const { TimeZoneRegistry } = require('./time-zones');
+const { DEFAULT_TIME_ZONE, getNextReset } = require('./util');
 
 module.exports = {
+  FailoverRateLimiter,
   FirestoreRateLimiter,
+  MemoryRateLimiter,
   ValkeyRateLimiter,
+  DAILY_POLICY,
+  parsePolicies,
+  QuotaResolver,
+  parseQuotas,
+  AbuseThrottle,
+  parseThrottles,
+  RateLimitOverrides,
+  RATE_LIMIT_ADJUSTMENTS,
+  TimeZoneRegistry,
+  DEFAULT_TIME_ZONE,
+  getNextReset,
 };
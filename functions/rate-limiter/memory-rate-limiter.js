@@ -0,0 +1,315 @@
+'use strict';
+
+const { getToday, getNextReset, getExpiry, getRecentDays, getHistoryDay } = require('./util');
+const { DAILY_POLICY, getPolicyStatus, normalizeWindowCounts } = require('./policies');
+
+/**
+ * @typedef {import('./util').RateLimits} RateLimits
+ * @typedef {import('./util').RateLimitStatus} RateLimitStatus
+ * @typedef {import('./util').RateLimitOptions} RateLimitOptions
+ * @typedef {import('./util').RateLimitHistoryDay} RateLimitHistoryDay
+ * @typedef {import('./policies').RateLimitPolicy} RateLimitPolicy
+ * @typedef {import('./policies').WindowCounts} WindowCounts
+ */
+
+/**
+ * @typedef {Object} MemoryRateLimitData
+ * @property {number} attemptsCount - Number of attempts
+ * @property {number} deliveredCount - Number of delivered notifications
+ * @property {number} errorCount - Number of errors
+ * @property {number} totalCount - Total notifications sent
+ * @property {number} expiresAt - When this record expires, in milliseconds
+ */
+
+// How often expired records are swept from memory
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Manages rate limiting for push notifications in process memory.
+ * Counters are lost on restart and are not shared between instances, so this is only
+ * meant for local development and tests where neither Valkey nor Firestore is available.
+ */
+class MemoryRateLimiter {
+  /**
+   * Creates a new MemoryRateLimiter instance.
+   *
+   * @param {number} [maxNotificationsPerDay] - Maximum notifications allowed per day
+   * @param {boolean} [debug=false] - Whether to enable debug logging
+   * @param {RateLimitPolicy[]} [policies=[]] - Sliding window policies enforced alongside the daily cap
+   * @param {number} [historyDays=0] - Number of past days whose counters are kept for the history
+   */
+  constructor(maxNotificationsPerDay, debug = false, policies = [], historyDays = 0) {
+    this.maxNotificationsPerDay = maxNotificationsPerDay;
+    this.debug = debug;
+    this.policies = policies;
+    this.historyDays = historyDays;
+    /** @type {Map<string, MemoryRateLimitData>} */
+    this.records = new Map();
+    /** @type {Map<string, { windows: Record<string, WindowCounts>, expiresAt: number }>} */
+    this.windows = new Map();
+    this.lastPurge = Date.now();
+  }
+
+  /**
+   * Gets the key for the rate limit record of the given token.
+   *
+   * @private
+   * @param {string} token - The push notification token
+   * @param {string} [timeZone] - Time zone whose calendar day the counters belong to
+   * @param {string} [day] - The day as YYYYMMDD, today if not given
+   * @returns {string} The record key
+   */
+  _getKey(token, timeZone, day = getToday(timeZone)) {
+    return `${token}:${day}`;
+  }
+
+  /**
+   * Gets the rate limit record for the given token, creating it if needed.
+   *
+   * @private
+   * @param {string} token - The push notification token
+   * @param {string} [timeZone] - Time zone whose calendar day the counters belong to
+   * @returns {MemoryRateLimitData} The record
+   */
+  _getRecord(token, timeZone) {
+    this._purgeExpired();
+
+    const key = this._getKey(token, timeZone);
+    let record = this.records.get(key);
+    if (!record || record.expiresAt <= Date.now()) {
+      record = {
+        attemptsCount: 0,
+        deliveredCount: 0,
+        errorCount: 0,
+        totalCount: 0,
+        expiresAt: getExpiry(timeZone, this.historyDays).getTime(),
+      };
+      this.records.set(key, record);
+    }
+    return record;
+  }
+
+  /**
+   * Gets the sliding window counts for the given token.
+   *
+   * @private
+   * @param {string} token - The push notification token
+   * @returns {Record<string, WindowCounts>} Counts keyed by policy name
+   */
+  _getWindowCounts(token) {
+    const entry = this.windows.get(token);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return {};
+    }
+    return entry.windows;
+  }
+
+  /**
+   * Drops records that have passed their expiry, at most once per purge interval.
+   *
+   * @private
+   */
+  _purgeExpired() {
+    const now = Date.now();
+    if (now - this.lastPurge < PURGE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPurge = now;
+
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+    for (const [token, entry] of this.windows) {
+      if (entry.expiresAt <= now) {
+        this.windows.delete(token);
+      }
+    }
+  }
+
+  /**
+   * Checks the current rate limit status for the token without modifying any counters.
+   *
+   * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimitStatus>} The current rate limit status
+   */
+  async checkRateLimit(token, options = {}) {
+    const record = this._getRecord(token, options.timeZone);
+    return this._getRateLimitStatus(record, this._getWindowCounts(token), options);
+  }
+
+  /**
+   * Records a notification attempt and increments the attempts counter.
+   *
+   * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimitStatus>} The updated rate limit status
+   */
+  async recordAttempt(token, options = {}) {
+    const record = this._getRecord(token, options.timeZone);
+    record.attemptsCount += 1;
+    return this._getRateLimitStatus(record, this._getWindowCounts(token), options);
+  }
+
+  /**
+   * Records a successful notification delivery.
+   * Increments both delivered and total counters.
+   * Note: Should be called after recordAttempt() to avoid double-counting attempts.
+   *
+   * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimits>} The updated rate limit statistics
+   */
+  async recordSuccess(token, options = {}) {
+    const record = this._getRecord(token, options.timeZone);
+    record.deliveredCount += 1;
+    record.totalCount += 1;
+
+    const windowCounts = { ...this._getWindowCounts(token) };
+    if (this.policies.length > 0) {
+      const now = Date.now();
+      this.policies.forEach((policy) => {
+        const counts = normalizeWindowCounts(policy, windowCounts[policy.name], now);
+        windowCounts[policy.name] = { ...counts, count: counts.count + 1 };
+      });
+      const longestWindowSeconds = Math.max(...this.policies.map((p) => p.windowSeconds));
+      this.windows.set(token, {
+        windows: windowCounts,
+        expiresAt: now + 2 * longestWindowSeconds * 1000,
+      });
+    }
+
+    return this._getRateLimitsObject(record, options, this._getPolicyStatuses(windowCounts));
+  }
+
+  /**
+   * Records a failed notification delivery.
+   * Increments both error and total counters.
+   * Note: Should be called after recordAttempt() to avoid double-counting attempts.
+   *
+   * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimits>} The updated rate limit statistics
+   */
+  async recordError(token, options = {}) {
+    const record = this._getRecord(token, options.timeZone);
+    record.errorCount += 1;
+    record.totalCount += 1;
+    return this._getRateLimitsObject(record, options);
+  }
+
+  /**
+   * Resets the counters of the token for the current day and its sliding window counts.
+   *
+   * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimitStatus>} The rate limit status after the reset
+   */
+  async resetRateLimits(token, options = {}) {
+    this.records.delete(this._getKey(token, options.timeZone));
+    this.windows.delete(token);
+    return this.checkRateLimit(token, options);
+  }
+
+  /**
+   * Gets the counters of the token for each of the most recent days, including today.
+   *
+   * @param {string} token - The push notification token
+   * @param {number} days - Number of days, including today
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimitHistoryDay[]>} The counters per day, oldest first
+   */
+  async getHistory(token, days, options = {}) {
+    this._purgeExpired();
+
+    const now = Date.now();
+    return getRecentDays(days, options.timeZone).map((day) => {
+      const record = this.records.get(this._getKey(token, options.timeZone, day));
+      return getHistoryDay(day, record && record.expiresAt > now ? record : {});
+    });
+  }
+
+  /**
+   * Gets the daily cap for a token, falling back to the limiter default.
+   *
+   * @private
+   * @param {RateLimitOptions} options - Per-token rate limit options
+   * @returns {number} Maximum notifications allowed per day
+   */
+  _getMaximum(options) {
+    return options.maxNotificationsPerDay ?? this.maxNotificationsPerDay;
+  }
+
+  /**
+   * Evaluates every sliding window policy against the stored counts.
+   *
+   * @private
+   * @param {Record<string, WindowCounts>} windowCounts - Counts keyed by policy name
+   * @returns {import('./policies').PolicyStatus[]} The status of each policy
+   */
+  _getPolicyStatuses(windowCounts) {
+    const now = Date.now();
+    return this.policies.map((policy) => getPolicyStatus(policy, windowCounts[policy.name], now));
+  }
+
+  /**
+   * Builds the rate limit status from the daily counters and the sliding window counts.
+   *
+   * @private
+   * @param {MemoryRateLimitData} doc - The internal rate limit data
+   * @param {Record<string, WindowCounts>} windowCounts - Counts keyed by policy name
+   * @param {RateLimitOptions} options - Per-token rate limit options
+   * @returns {RateLimitStatus} The rate limit status
+   */
+  _getRateLimitStatus(doc, windowCounts, options) {
+    const maximum = this._getMaximum(options);
+    const policyStatuses = this._getPolicyStatuses(windowCounts);
+
+    let exceededPolicy = null;
+    if (doc.deliveredCount >= maximum) {
+      exceededPolicy = DAILY_POLICY;
+    } else {
+      exceededPolicy = policyStatuses.find((status) => status.remaining === 0)?.name ?? null;
+    }
+
+    return {
+      isRateLimited: exceededPolicy !== null,
+      shouldSendRateLimitNotification: doc.deliveredCount === maximum,
+      exceededPolicy,
+      rateLimits: this._getRateLimitsObject(doc, options, policyStatuses),
+    };
+  }
+
+  /**
+   * Converts internal rate limit data to a user-friendly format.
+   *
+   * @private
+   * @param {MemoryRateLimitData} doc - The internal rate limit data
+   * @param {RateLimitOptions} options - Per-token rate limit options
+   * @param {import('./policies').PolicyStatus[]} [policyStatuses=[]] - Sliding window policy status
+   * @returns {RateLimits} User-friendly rate limit statistics
+   */
+  _getRateLimitsObject(doc, options, policyStatuses = []) {
+    const maximum = this._getMaximum(options);
+    let remainingCount = maximum - doc.deliveredCount;
+    if (remainingCount < 0) remainingCount = 0;
+
+    const rateLimits = {
+      attempts: doc.attemptsCount || 0,
+      successful: doc.deliveredCount || 0,
+      errors: doc.errorCount || 0,
+      total: doc.totalCount || 0,
+      maximum,
+      remaining: remainingCount,
+      resetsAt: getNextReset(options.timeZone),
+    };
+    if (policyStatuses.length > 0) {
+      rateLimits.policies = policyStatuses;
+    }
+    return rateLimits;
+  }
+}
+
+module.exports = MemoryRateLimiter;
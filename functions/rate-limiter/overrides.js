@@ -0,0 +1,86 @@
+'use strict';
+
+const NAMESPACE = 'rateLimitOverrides';
+
+// What admins can do to the rate limits of a token: zero its counters for the day, raise its daily
+// cap, exempt it from its limits, or end a previous raise or exemption
+/** @type {RateLimitAdjustment[]} */
+const RATE_LIMIT_ADJUSTMENTS = ['reset', 'raise', 'exempt', 'clear'];
+
+/**
+ * @typedef {'reset'|'raise'|'exempt'|'clear'} RateLimitAdjustment
+ */
+
+/**
+ * @typedef {Object} RateLimitOverride
+ * @property {number|null} maxNotificationsPerDay - Daily cap replacing the token's quota, or null
+ *   to keep it
+ * @property {boolean} exempt - Whether deliveries are counted but never refused
+ * @property {string|null} reason - Why the override was made, for the audit log
+ * @property {string} createdAt - When the override was made, as an ISO 8601 string
+ * @property {string} expiresAt - When the override ends, as an ISO 8601 string
+ */
+
+/**
+ * Keeps the temporary changes admins make to the rate limits of individual tokens, such as a
+ * raised daily cap or an exemption while a looping automation is fixed. Overrides are dropped by
+ * the store once they end.
+ */
+class RateLimitOverrides {
+  /**
+   * Creates a new RateLimitOverrides instance.
+   *
+   * @param {Object} store - The key-value store to keep overrides in
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Gets the override for a token.
+   *
+   * @param {string} token - The push notification token
+   * @returns {Promise<RateLimitOverride|null>} The override, or null if the token has none
+   */
+  async get(token) {
+    return this.store.get(NAMESPACE, token);
+  }
+
+  /**
+   * Overrides the rate limits of a token, replacing any previous override.
+   *
+   * @param {string} token - The push notification token
+   * @param {{ maxNotificationsPerDay?: number, exempt?: boolean, reason?: string }} changes -
+   *   The daily cap to use instead of the token's quota, or whether to exempt it from its limits
+   * @param {number} expiresAt - When the override ends, in milliseconds
+   * @returns {Promise<RateLimitOverride>} The override
+   */
+  async set(token, { maxNotificationsPerDay, exempt = false, reason }, expiresAt) {
+    const override = {
+      maxNotificationsPerDay: maxNotificationsPerDay ?? null,
+      exempt,
+      reason: reason ?? null,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
+    await this.store.set(NAMESPACE, token, override, (expiresAt - Date.now()) / 1000);
+    return override;
+  }
+
+  /**
+   * Removes the override for a token.
+   *
+   * @param {string} token - The push notification token
+   * @returns {Promise<RateLimitOverride|null>} The override that was removed, if any
+   */
+  async clear(token) {
+    const override = await this.get(token);
+    if (override) {
+      await this.store.delete(NAMESPACE, token);
+    }
+    return override;
+  }
+}
+
+exports.RATE_LIMIT_ADJUSTMENTS = RATE_LIMIT_ADJUSTMENTS;
+exports.RateLimitOverrides = RateLimitOverrides;
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * @typedef {Object} RateLimitPolicy
+ * @property {string} name - Name reported back to the client when this policy is exceeded
+ * @property {number} limit - Maximum notifications delivered within the window
+ * @property {number} windowSeconds - Length of the sliding window in seconds
+ */
+
+/**
+ * @typedef {Object} WindowCounts
+ * @property {number} bucket - Index of the window-sized bucket the counts belong to
+ * @property {number} count - Deliveries recorded in that bucket
+ * @property {number} previousCount - Deliveries recorded in the bucket before it
+ */
+
+/**
+ * @typedef {Object} PolicyStatus
+ * @property {string} name - The policy name
+ * @property {number} limit - Maximum notifications delivered within the window
+ * @property {number} windowSeconds - Length of the sliding window in seconds
+ * @property {number} count - Estimated deliveries within the sliding window
+ * @property {number} remaining - Remaining deliveries allowed within the window
+ * @property {Date} resetsAt - When the current bucket rolls over and capacity starts to free up
+ */
+
+/**
+ * Name of the built-in calendar day cap enforced by every rate limiter.
+ */
+const DAILY_POLICY = 'daily';
+
+/**
+ * Parses the sliding window policies configured through RATE_LIMIT_POLICIES, e.g.
+ * `[{"name":"burst","limit":30,"windowSeconds":60},{"name":"rolling","limit":500,"windowSeconds":86400}]`.
+ *
+ * @param {string} [value] - The JSON encoded policies
+ * @returns {RateLimitPolicy[]} The parsed policies
+ * @throws {Error} If the configuration is malformed
+ */
+function parsePolicies(value) {
+  if (!value) {
+    return [];
+  }
+
+  const policies = JSON.parse(value);
+  if (!Array.isArray(policies)) {
+    throw new Error('Rate limit policies must be a JSON array');
+  }
+
+  const names = new Set([DAILY_POLICY]);
+  return policies.map((policy) => {
+    const { name, limit, windowSeconds } = policy ?? {};
+    if (typeof name !== 'string' || !name || names.has(name)) {
+      throw new Error(`Rate limit policy name must be a unique string, got: ${name}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Rate limit policy ${name} must have a positive integer limit`);
+    }
+    if (!Number.isInteger(windowSeconds) || windowSeconds < 1) {
+      throw new Error(`Rate limit policy ${name} must have a positive integer windowSeconds`);
+    }
+    names.add(name);
+    return { name, limit, windowSeconds };
+  });
+}
+
+/**
+ * Gets the index of the window-sized bucket that the given time falls into.
+ *
+ * @param {RateLimitPolicy} policy - The policy
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} The bucket index
+ */
+function getBucket(policy, now = Date.now()) {
+  return Math.floor(now / (policy.windowSeconds * 1000));
+}
+
+/**
+ * Shifts stored counts forward so they describe the bucket the given time falls into.
+ *
+ * @param {RateLimitPolicy} policy - The policy
+ * @param {WindowCounts} [counts] - The stored counts, if any
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {WindowCounts} Counts for the current bucket
+ */
+function normalizeWindowCounts(policy, counts, now = Date.now()) {
+  const bucket = getBucket(policy, now);
+  if (!counts || counts.bucket < bucket - 1) {
+    return { bucket, count: 0, previousCount: 0 };
+  }
+  if (counts.bucket === bucket - 1) {
+    return { bucket, count: 0, previousCount: counts.count };
+  }
+  return { bucket, count: counts.count, previousCount: counts.previousCount };
+}
+
+/**
+ * Estimates usage of a sliding window from the counts of the current and previous bucket.
+ * The previous bucket is weighted by how much of it still overlaps the window, which avoids
+ * storing a timestamp per delivery while staying close to an exact sliding window.
+ *
+ * @param {RateLimitPolicy} policy - The policy
+ * @param {WindowCounts} [counts] - The stored counts, if any
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {PolicyStatus} The policy status
+ */
+function getPolicyStatus(policy, counts, now = Date.now()) {
+  const windowMs = policy.windowSeconds * 1000;
+  const current = normalizeWindowCounts(policy, counts, now);
+  const bucketStart = current.bucket * windowMs;
+  const previousWeight = 1 - (now - bucketStart) / windowMs;
+  const count = Math.floor(current.previousCount * previousWeight) + current.count;
+
+  return {
+    name: policy.name,
+    limit: policy.limit,
+    windowSeconds: policy.windowSeconds,
+    count,
+    remaining: Math.max(policy.limit - count, 0),
+    resetsAt: new Date(bucketStart + windowMs),
+  };
+}
+
+exports.DAILY_POLICY = DAILY_POLICY;
+exports.parsePolicies = parsePolicies;
+exports.getBucket = getBucket;
+exports.normalizeWindowCounts = normalizeWindowCounts;
+exports.getPolicyStatus = getPolicyStatus;
@@ -0,0 +1,136 @@
+'use strict';
+
+const { getFirestore } = require('firebase-admin/firestore');
+
+// Tiers change rarely, so avoid an extra Firestore read for every notification
+const TIER_CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHED_TIERS = 10000;
+
+/**
+ * @typedef {Object} QuotaConfig
+ * @property {Record<string, number>} [apps] - Daily caps keyed by registration_info.app_id
+ * @property {Record<string, number>} [tiers] - Daily caps keyed by tier name
+ */
+
+/**
+ * @callback TierLookup
+ * @param {string} token - The push notification token
+ * @returns {Promise<string|null>} The tier the token belongs to, if any
+ */
+
+/**
+ * Parses the quotas configured through RATE_LIMIT_QUOTAS, e.g.
+ * `{"apps":{"io.robbie.HomeAssistant.beta":1000},"tiers":{"cloud":1500}}`.
+ *
+ * @param {string} [value] - The JSON encoded quotas
+ * @returns {QuotaConfig} The parsed quotas
+ * @throws {Error} If the configuration is malformed
+ */
+function parseQuotas(value) {
+  if (!value) {
+    return {};
+  }
+
+  const quotas = JSON.parse(value);
+  for (const section of ['apps', 'tiers']) {
+    const entries = quotas[section] ?? {};
+    if (typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error(`Rate limit quotas for ${section} must be an object`);
+    }
+    for (const [name, maximum] of Object.entries(entries)) {
+      if (!Number.isInteger(maximum) || maximum < 0) {
+        throw new Error(`Rate limit quota for ${name} must be a non-negative integer`);
+      }
+    }
+  }
+  return quotas;
+}
+
+/**
+ * Looks up the tier of a token from the `rateLimitTiers/{token}` Firestore document.
+ *
+ * @type {TierLookup}
+ */
+async function lookupFirestoreTier(token) {
+  const doc = await getFirestore().collection('rateLimitTiers').doc(token).get();
+  return (doc.exists && doc.data().tier) || null;
+}
+
+/**
+ * @param {Object} object - The object to check
+ * @param {string} key - The key to look for
+ * @returns {boolean} Whether the object has its own property with the given key
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Resolves the daily notification cap for a token from its app and tier.
+ * App quotas replace the default cap, while a tier quota only ever raises it.
+ */
+class QuotaResolver {
+  /**
+   * Creates a new QuotaResolver instance.
+   *
+   * @param {number} defaultMaximum - Daily cap for apps without a quota of their own
+   * @param {QuotaConfig} [quotas={}] - Per-app and per-tier quotas
+   * @param {TierLookup} [tierLookup] - Looks up the tier of a token
+   */
+  constructor(defaultMaximum, quotas = {}, tierLookup = lookupFirestoreTier) {
+    this.defaultMaximum = defaultMaximum;
+    this.apps = quotas.apps ?? {};
+    this.tiers = quotas.tiers ?? {};
+    this.tierLookup = tierLookup;
+    /** @type {Map<string, { tier: string|null, expiresAt: number }>} */
+    this.tierCache = new Map();
+  }
+
+  /**
+   * Resolves the daily cap for the given token.
+   *
+   * @param {string} token - The push notification token
+   * @param {Object} [registrationInfo] - The registration_info sent with the request
+   * @returns {Promise<number>} Maximum notifications allowed per day
+   * @throws {Error} If the tier lookup fails
+   */
+  async resolve(token, registrationInfo) {
+    const appId = registrationInfo?.app_id;
+    const maximum = hasOwn(this.apps, appId) ? this.apps[appId] : this.defaultMaximum;
+
+    if (Object.keys(this.tiers).length === 0) {
+      return maximum;
+    }
+
+    const tier = await this._getTier(token);
+    if (tier && hasOwn(this.tiers, tier)) {
+      return Math.max(maximum, this.tiers[tier]);
+    }
+    return maximum;
+  }
+
+  /**
+   * Gets the tier of a token, using the cache when possible.
+   *
+   * @private
+   * @param {string} token - The push notification token
+   * @returns {Promise<string|null>} The tier, if any
+   */
+  async _getTier(token) {
+    const now = Date.now();
+    const cached = this.tierCache.get(token);
+    if (cached && cached.expiresAt > now) {
+      return cached.tier;
+    }
+
+    const tier = await this.tierLookup(token);
+    if (this.tierCache.size >= MAX_CACHED_TIERS) {
+      this.tierCache.clear();
+    }
+    this.tierCache.set(token, { tier, expiresAt: now + TIER_CACHE_TTL_MS });
+    return tier;
+  }
+}
+
+exports.QuotaResolver = QuotaResolver;
+exports.parseQuotas = parseQuotas;
@@ -0,0 +1,90 @@
+'use strict';
+
+const { parsePolicies, getBucket, getPolicyStatus } = require('./policies');
+
+/**
+ * @typedef {import('./policies').RateLimitPolicy} RateLimitPolicy
+ * @typedef {import('./policies').PolicyStatus} PolicyStatus
+ */
+
+/**
+ * @typedef {Object} ThrottleStatus
+ * @property {string} throttle - Name of the throttle that was exceeded, e.g. `ip`
+ * @property {PolicyStatus} status - Status of that throttle's window
+ */
+
+const NAMESPACE = 'throttles';
+
+// What each throttle is keyed by, besides the push token the per-token rate limits use
+const THROTTLE_KEYS = ['ip', 'webhook_id'];
+
+/**
+ * Parses the throttles configured through ABUSE_THROTTLES, e.g.
+ * `[{"name":"ip","limit":600,"windowSeconds":60},{"name":"webhook_id","limit":300,"windowSeconds":60}]`.
+ *
+ * @param {string} [value] - The JSON encoded throttles, in the format of the rate limit policies
+ * @returns {RateLimitPolicy[]} The parsed throttles
+ * @throws {Error} If the configuration is malformed
+ */
+function parseThrottles(value) {
+  const throttles = parsePolicies(value);
+  throttles.forEach(({ name }) => {
+    if (!THROTTLE_KEYS.includes(name)) {
+      throw new Error(`Throttle name must be one of ${THROTTLE_KEYS.join(', ')}, got: ${name}`);
+    }
+  });
+  return throttles;
+}
+
+/**
+ * Throttles requests by the IP address and webhook they come from, across every token they
+ * send to, so one misbehaving caller can't work through thousands of tokens' daily caps.
+ * Requests are counted in sliding windows kept in the key-value store.
+ */
+class AbuseThrottle {
+  /**
+   * Creates a new AbuseThrottle instance.
+   *
+   * @param {Object} store - The key-value store to count requests in
+   * @param {RateLimitPolicy[]} [throttles=[]] - The throttles, named after what they are keyed by
+   */
+  constructor(store, throttles = []) {
+    this.store = store;
+    this.throttles = throttles;
+  }
+
+  /**
+   * Counts a request against every throttle it has a key for.
+   *
+   * @param {Record<string, any>} keys - What the request is keyed by, e.g. `{ ip: '192.0.2.1' }`
+   * @param {number} [now=Date.now()] - The current time in milliseconds
+   * @returns {Promise<ThrottleStatus|null>} The first throttle the request exceeds, or null
+   */
+  async hit(keys, now = Date.now()) {
+    const statuses = await Promise.all(
+      this.throttles
+        .filter(({ name }) => typeof keys[name] === 'string' && keys[name] !== '')
+        .map(async (throttle) => {
+          const bucket = getBucket(throttle, now);
+          // Firestore document IDs can't contain slashes
+          const key = `${throttle.name}:${encodeURIComponent(keys[throttle.name])}`;
+          const [count, previousCount] = await Promise.all([
+            this.store.increment(NAMESPACE, `${key}:${bucket}`, throttle.windowSeconds * 2),
+            this.store.get(NAMESPACE, `${key}:${bucket - 1}`),
+          ]);
+          const status = getPolicyStatus(
+            throttle,
+            { bucket, count, previousCount: previousCount ?? 0 },
+            now,
+          );
+          return { throttle: throttle.name, status };
+        }),
+    );
+
+    return statuses.find(({ status }) => status.count > status.limit) ?? null;
+  }
+}
+
+exports.THROTTLE_KEYS = THROTTLE_KEYS;
+exports.parseThrottles = parseThrottles;
+exports.AbuseThrottle = AbuseThrottle;
@@ -0,0 +1,70 @@
+'use strict';
+
+const { DEFAULT_TIME_ZONE } = require('./util');
+
+const NAMESPACE = 'rateLimitTimeZones';
+
+// How long a pinned time zone is kept for a token that stops sending requests
+const PIN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// How long a pinned time zone is kept before a different one sent with a request can replace it
+const PIN_CHANGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} PinnedTimeZone
+ * @property {string} timeZone - The IANA time zone name
+ * @property {number} [pinnedAt] - When the time zone was pinned, in milliseconds
+ */
+
+/**
+ * Keeps the time zone each token's daily limit resets in. Day keys are calendar dates in that
+ * time zone, so a client that switched between zones on different dates could start a fresh
+ * daily counter with each request. The zone a token sends is pinned instead, and can only be
+ * replaced by a different one once a day. Requests aren't authenticated, so this keeps a
+ * spoofed time zone from sticking to a token while letting travelling users catch up.
+ */
+class TimeZoneRegistry {
+  /**
+   * Creates a new TimeZoneRegistry instance.
+   *
+   * @param {Object} store - The key-value store to keep time zones in
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Gets the time zone to count a token's notifications in, pinning the requested one when the
+   * token has none yet or its pin is old enough to be replaced.
+   *
+   * @param {string} token - The push notification token
+   * @param {string} [requestedTimeZone] - The time zone sent with the request, if any
+   * @returns {Promise<string>} The IANA time zone name
+   */
+  async resolve(token, requestedTimeZone) {
+    /** @type {PinnedTimeZone|null} */
+    const pinned = await this.store.get(NAMESPACE, token);
+    if (
+      pinned &&
+      (!requestedTimeZone ||
+        requestedTimeZone === pinned.timeZone ||
+        // Pins from before pinnedAt was kept can be replaced right away
+        Date.now() - (pinned.pinnedAt ?? 0) < PIN_CHANGE_INTERVAL_MS)
+    ) {
+      return pinned.timeZone;
+    }
+    if (!requestedTimeZone) {
+      return DEFAULT_TIME_ZONE;
+    }
+
+    await this.store.set(
+      NAMESPACE,
+      token,
+      { timeZone: requestedTimeZone, pinnedAt: Date.now() },
+      PIN_TTL_SECONDS,
+    );
+    return requestedTimeZone;
+  }
+}
+
+exports.TimeZoneRegistry = TimeZoneRegistry;
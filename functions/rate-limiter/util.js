@@ -9,30 +9,191 @@
  * @property {number} maximum - Maximum notifications allowed per day
  * @property {number} remaining - Remaining notifications allowed today
  * @property {Date} resetsAt - When the rate limit resets
+ * @property {import('./policies').PolicyStatus[]} [policies] - Status of any sliding window policies
  */
 
 /**
  * @typedef {Object} RateLimitStatus
  * @property {boolean} isRateLimited - Whether the token has exceeded the rate limit
  * @property {boolean} shouldSendRateLimitNotification - Whether to send a rate limit notification
+ * @property {string|null} exceededPolicy - Name of the policy that is exceeded, if any
  * @property {RateLimits} rateLimits - Current rate limit statistics
  */
 
+/**
+ * @typedef {Object} RateLimitOptions
+ * @property {number} [maxNotificationsPerDay] - Daily cap for this token, overriding the default
+ * @property {string} [timeZone] - IANA time zone whose midnight resets the daily limit
+ * @property {boolean} [exempt] - Whether an admin exempted the token, so its deliveries are still
+ *   counted but never refused
+ */
+
+/**
+ * @typedef {Object} RateLimitHistoryDay
+ * @property {string} date - The calendar day in the token's time zone, as YYYY-MM-DD
+ * @property {number} attempts - Number of attempts made that day
+ * @property {number} successful - Number of notifications delivered that day
+ * @property {number} errors - Number of failed notification attempts that day
+ * @property {number} total - Total number of notifications that day (successful + errors)
+ */
+
 const TWENTY_FOUR_HOURS_IN_MS = 86400000;
 
+// Daily limits reset at midnight in this time zone unless the token has its own
+const DEFAULT_TIME_ZONE = 'UTC';
+
+/**
+ * Whether a string is an IANA time zone name known to the runtime, e.g. `Europe/Amsterdam`.
+ *
+ * @param {any} timeZone - The time zone name
+ * @returns {boolean} Whether the time zone can be used for daily limits
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Gets the calendar date and time of an instant in the given time zone.
+ *
+ * @private
+ * @param {number} time - The instant in milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Record<string, number>} The year, month (1-12), day, hour, minute and second
+ */
+function getZonedParts(time, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(time);
+
+  /** @type {Record<string, number>} */
+  const result = {};
+  parts.forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      result[type] = parseInt(value, 10);
+    }
+  });
+  return result;
+}
+
 /**
- * Gets today's date in YYYYMMDD format for use in Valkey keys.
+ * Gets how far the given time zone is ahead of UTC at an instant.
  *
  * @private
+ * @param {number} time - The instant in milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} The offset in milliseconds
+ */
+function getTimeZoneOffset(time, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(time, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Gets today's date in YYYYMMDD format for use in rate limit keys. Every backend keys the
+ * daily counters by this date, so they agree on which day a notification counts towards.
+ *
+ * @private
+ * @param {string} [timeZone='UTC'] - IANA time zone whose calendar day is used
+ * @param {number} [now=Date.now()] - The current time in milliseconds
  * @returns {string} Today's date as YYYYMMDD
  */
-function getToday() {
-  const today = new Date();
-  const dd = String(today.getDate()).padStart(2, '0');
-  const mm = String(today.getMonth() + 1).padStart(2, '0');
-  const yyyy = today.getFullYear();
-  return yyyy + mm + dd;
+function getToday(timeZone = DEFAULT_TIME_ZONE, now = Date.now()) {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  return String(year) + String(month).padStart(2, '0') + String(day).padStart(2, '0');
+}
+
+/**
+ * Gets the next midnight in the given time zone, when the daily limit resets.
+ *
+ * @private
+ * @param {string} [timeZone='UTC'] - IANA time zone whose midnight is used
+ * @param {number} [now=Date.now()] - The current time in milliseconds
+ * @returns {Date} The next midnight
+ */
+function getNextReset(timeZone = DEFAULT_TIME_ZONE, now = Date.now()) {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  const midnight = Date.UTC(year, month - 1, day + 1);
+
+  // Apply the offset at the guessed time again in case it crosses a daylight saving change
+  const guess = midnight - getTimeZoneOffset(midnight, timeZone);
+  const reset = midnight - getTimeZoneOffset(guess, timeZone);
+
+  // Where the clocks skip midnight, the day starts at the first instant after the change
+  return new Date(getToday(timeZone, reset) === getToday(timeZone, now) ? guess : reset);
+}
+
+/**
+ * Gets when today's counters can be dropped: at the next reset, or the given number of days
+ * later when they are kept for the usage history.
+ *
+ * @private
+ * @param {string} [timeZone='UTC'] - IANA time zone whose midnight ends the day
+ * @param {number} [historyDays=0] - Number of days to keep the counters after the day ends
+ * @param {number} [now=Date.now()] - The current time in milliseconds
+ * @returns {Date} When the counters expire
+ */
+function getExpiry(timeZone = DEFAULT_TIME_ZONE, historyDays = 0, now = Date.now()) {
+  return new Date(getNextReset(timeZone, now).getTime() + historyDays * TWENTY_FOUR_HOURS_IN_MS);
+}
+
+/**
+ * Gets the dates of the most recent days, in YYYYMMDD format like the rate limit keys.
+ *
+ * @private
+ * @param {number} days - Number of days, including today
+ * @param {string} [timeZone='UTC'] - IANA time zone whose calendar days are used
+ * @param {number} [now=Date.now()] - The current time in milliseconds
+ * @returns {string[]} The dates, oldest first and ending with today
+ */
+function getRecentDays(days, timeZone = DEFAULT_TIME_ZONE, now = Date.now()) {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  // Step back through calendar days rather than 24 hours, which skips days with a DST change
+  return Array.from({ length: days }, (_, i) =>
+    getToday(DEFAULT_TIME_ZONE, Date.UTC(year, month - 1, day - (days - 1 - i))),
+  );
+}
+
+/**
+ * Converts the stored counters of one day to an entry of the usage history.
+ *
+ * @private
+ * @param {string} day - The date as YYYYMMDD
+ * @param {Record<string, any>} [data={}] - The stored counters, empty if nothing was recorded
+ * @returns {RateLimitHistoryDay} The history entry
+ */
+function getHistoryDay(day, data = {}) {
+  return {
+    date: `${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6, 8)}`,
+    attempts: Number(data.attemptsCount) || 0,
+    successful: Number(data.deliveredCount) || 0,
+    errors: Number(data.errorCount) || 0,
+    total: Number(data.totalCount) || 0,
+  };
 }
 
+exports.DEFAULT_TIME_ZONE = DEFAULT_TIME_ZONE;
+exports.isValidTimeZone = isValidTimeZone;
+exports.getZonedParts = getZonedParts;
+exports.getTimeZoneOffset = getTimeZoneOffset;
 exports.getToday = getToday;
+exports.getNextReset = getNextReset;
+exports.getExpiry = getExpiry;
+exports.getRecentDays = getRecentDays;
+exports.getHistoryDay = getHistoryDay;
 exports.TWENTY_FOUR_HOURS_IN_MS = TWENTY_FOUR_HOURS_IN_MS;
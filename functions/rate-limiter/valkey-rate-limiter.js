@@ -1,12 +1,17 @@
 'use strict';
 
-const { getToday, TWENTY_FOUR_HOURS_IN_MS } = require('./util');
+const { getToday, getNextReset, getExpiry, getRecentDays, getHistoryDay } = require('./util');
+const { DAILY_POLICY, getBucket, getPolicyStatus } = require('./policies');
 
 const { GlideClusterClient, ClusterBatch } = require('@valkey/valkey-glide');
 
 /**
  * @typedef {import('./util').RateLimits} RateLimits
  * @typedef {import('./util').RateLimitStatus} RateLimitStatus
+ * @typedef {import('./util').RateLimitOptions} RateLimitOptions
+ * @typedef {import('./util').RateLimitHistoryDay} RateLimitHistoryDay
+ * @typedef {import('./policies').RateLimitPolicy} RateLimitPolicy
+ * @typedef {import('./policies').WindowCounts} WindowCounts
  */
 
 /**
@@ -66,12 +71,23 @@ class ValkeyRateLimiter {
    * @param {boolean} [debug=false] - Whether to enable debug logging
    * @param {string} [valkeyHost] - Valkey Cluster host
    * @param {number} [valkeyPort] - Valkey Cluster port
+   * @param {RateLimitPolicy[]} [policies=[]] - Sliding window policies enforced alongside the daily cap
+   * @param {number} [historyDays=0] - Number of past days whose counters are kept for the history
    */
-  constructor(maxNotificationsPerDay, debug = false, valkeyHost = 'localhost', valkeyPort = 6379) {
+  constructor(
+    maxNotificationsPerDay,
+    debug = false,
+    valkeyHost = 'localhost',
+    valkeyPort = 6379,
+    policies = [],
+    historyDays = 0,
+  ) {
     this.valkeyHost = valkeyHost;
     this.valkeyPort = valkeyPort;
     this.maxNotificationsPerDay = maxNotificationsPerDay;
     this.debug = debug;
+    this.policies = policies;
+    this.historyDays = historyDays;
     this.connected = false;
     this.client = null;
   }
@@ -93,23 +109,83 @@ class ValkeyRateLimiter {
    *
    * @private
    * @param {string} token - The push notification token
+   * @param {string} [timeZone] - Time zone whose calendar day the counters belong to
+   * @param {string} [day] - The day as YYYYMMDD, today if not given
    * @returns {string} The Valkey key
    */
-  _getValkeyKey(token) {
-    const today = getToday();
-    return `rate_limit:${token}:${today}`;
+  _getValkeyKey(token, timeZone, day = getToday(timeZone)) {
+    return `rate_limit:${token}:${day}`;
   }
 
   /**
-   * Gets the TTL in seconds until end of day.
+   * Gets the Valkey key for one bucket of a sliding window policy.
+   * The token is used as a hash tag so all window keys for a token share a cluster slot
+   * and can be updated in a single atomic batch.
    *
    * @private
+   * @param {string} token - The push notification token
+   * @param {RateLimitPolicy} policy - The sliding window policy
+   * @param {number} bucket - The bucket index
+   * @returns {string} The Valkey key
+   */
+  _getWindowKey(token, policy, bucket) {
+    return `rate_limit_window:{${token}}:${policy.name}:${bucket}`;
+  }
+
+  /**
+   * Reads, and optionally increments, the sliding window counts for the given token.
+   *
+   * @private
+   * @param {string} token - The push notification token
+   * @param {boolean} [increment=false] - Whether to record a delivery in the current bucket
+   * @returns {Promise<Record<string, WindowCounts>>} Counts keyed by policy name
+   */
+  async _getWindowCounts(token, increment = false) {
+    if (this.policies.length === 0) {
+      return {};
+    }
+
+    const now = Date.now();
+    const batch = new ClusterBatch(true);
+    this.policies.forEach((policy) => {
+      const bucket = getBucket(policy, now);
+      const key = this._getWindowKey(token, policy, bucket);
+      if (increment) {
+        batch.incr(key);
+        // Keep the bucket around while it can still be the previous bucket of the window
+        batch.expire(key, policy.windowSeconds * 2);
+      } else {
+        batch.get(key);
+      }
+      batch.get(this._getWindowKey(token, policy, bucket - 1));
+    });
+
+    const results = await this.client.exec(batch, true);
+    const stride = increment ? 3 : 2;
+
+    /** @type {Record<string, WindowCounts>} */
+    const windowCounts = {};
+    this.policies.forEach((policy, i) => {
+      const offset = i * stride;
+      windowCounts[policy.name] = {
+        bucket: getBucket(policy, now),
+        count: parseInt(String(results[offset] ?? '0'), 10),
+        previousCount: parseInt(String(results[offset + stride - 1] ?? '0'), 10),
+      };
+    });
+    return windowCounts;
+  }
+
+  /**
+   * Gets the TTL in seconds until end of day, plus the days the counters are kept for the history.
+   *
+   * @private
+   * @param {string} [timeZone] - Time zone whose midnight ends the day
    * @returns {number} TTL in seconds
    */
-  _getTTLSeconds() {
-    const now = new Date().getTime();
-    const endOfDay = now - (now % TWENTY_FOUR_HOURS_IN_MS) + TWENTY_FOUR_HOURS_IN_MS;
-    const ttlMs = endOfDay - now;
+  _getTTLSeconds(timeZone) {
+    const now = Date.now();
+    const ttlMs = getExpiry(timeZone, this.historyDays, now).getTime() - now;
     return Math.ceil(ttlMs / 1000);
   }
 
@@ -117,24 +193,21 @@ class ValkeyRateLimiter {
    * Checks the current rate limit status for the token without modifying any counters.
    *
    * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
    * @returns {Promise<RateLimitStatus>} The current rate limit status
    * @throws {Error} If Valkey operations fail
    */
-  async checkRateLimit(token) {
+  async checkRateLimit(token, options = {}) {
     await this.connect();
-    const key = this._getValkeyKey(token);
-    const data = await this.client.hgetall(key);
+    const key = this._getValkeyKey(token, options.timeZone);
+    const [data, windowCounts] = await Promise.all([
+      this.client.hgetall(key),
+      this._getWindowCounts(token),
+    ]);
     const parsedData = parseHgetallResponse(data);
     const docData = parseRateLimitData(parsedData);
 
-    const isRateLimited = docData.deliveredCount >= this.maxNotificationsPerDay;
-    const shouldSendRateLimitNotification = docData.deliveredCount === this.maxNotificationsPerDay;
-
-    return {
-      isRateLimited,
-      shouldSendRateLimitNotification,
-      rateLimits: this._getRateLimitsObject(docData),
-    };
+    return this._getRateLimitStatus(docData, windowCounts, options);
   }
 
   /**
@@ -142,33 +215,30 @@ class ValkeyRateLimiter {
    * Uses atomic batch operations to prevent race conditions in concurrent updates.
    *
    * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
    * @returns {Promise<RateLimitStatus>} The updated rate limit status
    * @throws {Error} If Valkey operations fail
    */
-  async recordAttempt(token) {
+  async recordAttempt(token, options = {}) {
     await this.connect();
-    const key = this._getValkeyKey(token);
+    const key = this._getValkeyKey(token, options.timeZone);
 
     // Use Valkey batch with atomic operations to ensure accurate rate limit counting
     const batch = new ClusterBatch(true);
     batch.hincrBy(key, 'attemptsCount', 1);
-    batch.expire(key, this._getTTLSeconds());
+    batch.expire(key, this._getTTLSeconds(options.timeZone));
     batch.hgetall(key);
 
     // Execute with raiseOnError true to stop on first error
-    const results = await this.client.exec(batch, true);
+    const [results, windowCounts] = await Promise.all([
+      this.client.exec(batch, true),
+      this._getWindowCounts(token),
+    ]);
     const [, , data] = results;
     const parsedData = parseHgetallResponse(data);
     const docData = parseRateLimitData(parsedData);
 
-    const isRateLimited = docData.deliveredCount >= this.maxNotificationsPerDay;
-    const shouldSendRateLimitNotification = docData.deliveredCount === this.maxNotificationsPerDay;
-
-    return {
-      isRateLimited,
-      shouldSendRateLimitNotification,
-      rateLimits: this._getRateLimitsObject(docData),
-    };
+    return this._getRateLimitStatus(docData, windowCounts, options);
   }
 
   /**
@@ -178,27 +248,31 @@ class ValkeyRateLimiter {
    * Note: Should be called after recordAttempt() to avoid double-counting attempts.
    *
    * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
    * @returns {Promise<RateLimits>} The updated rate limit statistics
    * @throws {Error} If Valkey operations fail
    */
-  async recordSuccess(token) {
+  async recordSuccess(token, options = {}) {
     await this.connect();
-    const key = this._getValkeyKey(token);
+    const key = this._getValkeyKey(token, options.timeZone);
 
     // Use Valkey batch with atomic operations to ensure accurate rate limit counting
     const batch = new ClusterBatch(true);
     batch.hincrBy(key, 'deliveredCount', 1);
     batch.hincrBy(key, 'totalCount', 1);
-    batch.expire(key, this._getTTLSeconds());
+    batch.expire(key, this._getTTLSeconds(options.timeZone));
     batch.hgetall(key);
 
     // Execute with raiseOnError true to stop on first error
-    const results = await this.client.exec(batch, true);
+    const [results, windowCounts] = await Promise.all([
+      this.client.exec(batch, true),
+      this._getWindowCounts(token, true),
+    ]);
     const [, , , data] = results;
     const parsedData = parseHgetallResponse(data);
     const docData = parseRateLimitData(parsedData);
 
-    return this._getRateLimitsObject(docData);
+    return this._getRateLimitsObject(docData, options, this._getPolicyStatuses(windowCounts));
   }
 
   /**
@@ -208,18 +282,19 @@ class ValkeyRateLimiter {
    * Note: Should be called after recordAttempt() to avoid double-counting attempts.
    *
    * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
    * @returns {Promise<RateLimits>} The updated rate limit statistics
    * @throws {Error} If Valkey operations fail
    */
-  async recordError(token) {
+  async recordError(token, options = {}) {
     await this.connect();
-    const key = this._getValkeyKey(token);
+    const key = this._getValkeyKey(token, options.timeZone);
 
     // Use Valkey batch with atomic operations to ensure accurate rate limit counting
     const batch = new ClusterBatch(true);
     batch.hincrBy(key, 'errorCount', 1);
     batch.hincrBy(key, 'totalCount', 1);
-    batch.expire(key, this._getTTLSeconds());
+    batch.expire(key, this._getTTLSeconds(options.timeZone));
     batch.hgetall(key);
 
     // Execute with raiseOnError true to stop on first error
@@ -228,7 +303,105 @@ class ValkeyRateLimiter {
     const parsedData = parseHgetallResponse(data);
     const docData = parseRateLimitData(parsedData);
 
-    return this._getRateLimitsObject(docData);
+    return this._getRateLimitsObject(docData, options);
+  }
+
+  /**
+   * Resets the counters of the token for the current day and its sliding window counts.
+   *
+   * @param {string} token - The push notification token
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimitStatus>} The rate limit status after the reset
+   * @throws {Error} If Valkey operations fail
+   */
+  async resetRateLimits(token, options = {}) {
+    await this.connect();
+    const now = Date.now();
+    const keys = [this._getValkeyKey(token, options.timeZone)];
+    this.policies.forEach((policy) => {
+      const bucket = getBucket(policy, now);
+      keys.push(
+        this._getWindowKey(token, policy, bucket),
+        this._getWindowKey(token, policy, bucket - 1),
+      );
+    });
+    await this.client.del(keys);
+    return this.checkRateLimit(token, options);
+  }
+
+  /**
+   * Gets the counters of the token for each of the most recent days, including today.
+   * Days older than the configured history are reported as empty once their keys expire.
+   *
+   * @param {string} token - The push notification token
+   * @param {number} days - Number of days, including today
+   * @param {RateLimitOptions} [options={}] - Per-token rate limit options
+   * @returns {Promise<RateLimitHistoryDay[]>} The counters per day, oldest first
+   * @throws {Error} If Valkey operations fail
+   */
+  async getHistory(token, days, options = {}) {
+    await this.connect();
+    const recentDays = getRecentDays(days, options.timeZone);
+    // The daily keys of a token live in different slots, so they can't be read in one batch
+    const results = await Promise.all(
+      recentDays.map((day) =>
+        this.client.hgetall(this._getValkeyKey(token, options.timeZone, day)),
+      ),
+    );
+    return recentDays.map((day, i) =>
+      getHistoryDay(day, parseRateLimitData(parseHgetallResponse(results[i]))),
+    );
+  }
+
+  /**
+   * Gets the daily cap for a token, falling back to the limiter default.
+   *
+   * @private
+   * @param {RateLimitOptions} options - Per-token rate limit options
+   * @returns {number} Maximum notifications allowed per day
+   */
+  _getMaximum(options) {
+    return options.maxNotificationsPerDay ?? this.maxNotificationsPerDay;
+  }
+
+  /**
+   * Evaluates every sliding window policy against the stored counts.
+   *
+   * @private
+   * @param {Record<string, WindowCounts>} windowCounts - Counts keyed by policy name
+   * @returns {import('./policies').PolicyStatus[]} The status of each policy
+   */
+  _getPolicyStatuses(windowCounts) {
+    const now = Date.now();
+    return this.policies.map((policy) => getPolicyStatus(policy, windowCounts[policy.name], now));
+  }
+
+  /**
+   * Builds the rate limit status from the daily counters and the sliding window counts.
+   *
+   * @private
+   * @param {RateLimitData} doc - The internal rate limit data
+   * @param {Record<string, WindowCounts>} windowCounts - Counts keyed by policy name
+   * @param {RateLimitOptions} options - Per-token rate limit options
+   * @returns {RateLimitStatus} The rate limit status
+   */
+  _getRateLimitStatus(doc, windowCounts, options) {
+    const maximum = this._getMaximum(options);
+    const policyStatuses = this._getPolicyStatuses(windowCounts);
+
+    let exceededPolicy = null;
+    if (doc.deliveredCount >= maximum) {
+      exceededPolicy = DAILY_POLICY;
+    } else {
+      exceededPolicy = policyStatuses.find((status) => status.remaining === 0)?.name ?? null;
+    }
+
+    return {
+      isRateLimited: exceededPolicy !== null,
+      shouldSendRateLimitNotification: doc.deliveredCount === maximum,
+      exceededPolicy,
+      rateLimits: this._getRateLimitsObject(doc, options, policyStatuses),
+    };
   }
 
   /**
@@ -236,22 +409,28 @@ class ValkeyRateLimiter {
    *
    * @private
    * @param {RateLimitData} doc - The internal rate limit data
+   * @param {RateLimitOptions} options - Per-token rate limit options
+   * @param {import('./policies').PolicyStatus[]} [policyStatuses=[]] - Sliding window policy status
    * @returns {RateLimits} User-friendly rate limit statistics
    */
-  _getRateLimitsObject(doc) {
-    const d = new Date();
-    let remainingCount = this.maxNotificationsPerDay - doc.deliveredCount;
+  _getRateLimitsObject(doc, options, policyStatuses = []) {
+    const maximum = this._getMaximum(options);
+    let remainingCount = maximum - doc.deliveredCount;
     if (remainingCount < 0) remainingCount = 0;
 
-    return {
+    const rateLimits = {
       attempts: doc.attemptsCount || 0,
       successful: doc.deliveredCount || 0,
       errors: doc.errorCount || 0,
       total: doc.totalCount || 0,
-      maximum: this.maxNotificationsPerDay,
+      maximum,
       remaining: remainingCount,
-      resetsAt: new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1),
+      resetsAt: getNextReset(options.timeZone),
     };
+    if (policyStatuses.length > 0) {
+      rateLimits.policies = policyStatuses;
+    }
+    return rateLimits;
   }
 
   /**
@@ -0,0 +1,171 @@
+'use strict';
+
+const { createHmac, randomBytes, timingSafeEqual } = require('crypto');
+
+const NAMESPACE = 'signingSecrets';
+
+// Signed requests carry `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`, with one
+// v1 per installation for batches
+const SIGNATURE_HEADER = 'X-Relay-Signature';
+
+// Signatures older or newer than this are rejected, so captured requests can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const SECRET_BYTES = 32;
+
+/**
+ * @typedef {'MissingSignature'|'MalformedSignature'|'SignatureExpired'|'InvalidSignature'|
+ *   'SigningSecretNotRegistered'} SignatureError
+ */
+
+// What the caller needs to fix for each signature error
+/** @type {Record<SignatureError, string>} */
+const SIGNATURE_ERROR_MESSAGES = {
+  MissingSignature: `The request must be signed with the ${SIGNATURE_HEADER} header.`,
+  MalformedSignature: `The ${SIGNATURE_HEADER} header must look like t=<timestamp>,v1=<signature>.`,
+  SignatureExpired: `The signature timestamp must be within ${SIGNATURE_TOLERANCE_SECONDS} seconds of the current time.`,
+  InvalidSignature: 'The signature does not match the request body and signing secret.',
+  SigningSecretNotRegistered: 'No signing secret is registered for this token.',
+};
+
+/**
+ * Gets the body a request was signed over.
+ *
+ * @param {Object} req - The request
+ * @returns {string} The raw request body
+ */
+function getRawBody(req) {
+  if (req.rawBody !== undefined) {
+    return req.rawBody.toString();
+  }
+  // Requests without a raw body, e.g. from tests, are signed over their serialized body
+  return JSON.stringify(req.body);
+}
+
+/**
+ * Computes the signature of a request body.
+ *
+ * @param {string} secret - The signing secret of the installation
+ * @param {number} timestamp - When the request was signed, in seconds
+ * @param {string} rawBody - The raw request body
+ * @returns {string} The signature as hex
+ */
+function computeSignature(secret, timestamp, rawBody) {
+  return createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+/**
+ * Parses a signature header.
+ *
+ * @param {string} header - The header value
+ * @returns {{ timestamp: number, signatures: string[] }|null} The timestamp and signatures, or
+ *   null if the header is malformed
+ */
+function parseSignatureHeader(header) {
+  let timestamp = NaN;
+  const signatures = [];
+  header.split(',').forEach((part) => {
+    const [name, value] = part.trim().split('=');
+    if (name === 't') {
+      timestamp = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+    } else if (name === 'v1' && /^[0-9a-f]{64}$/i.test(value ?? '')) {
+      signatures.push(value.toLowerCase());
+    }
+  });
+  return Number.isNaN(timestamp) || signatures.length === 0 ? null : { timestamp, signatures };
+}
+
+/**
+ * Checks the signature of a request against the installation's signing secret.
+ *
+ * @param {string} secret - The signing secret of the installation
+ * @param {string|undefined} header - The value of the signature header
+ * @param {string} rawBody - The raw request body
+ * @param {number} [now=Date.now()] - The current time in milliseconds
+ * @returns {SignatureError|null} What is wrong with the signature, or null if it is valid
+ */
+function verifySignature(secret, header, rawBody, now = Date.now()) {
+  if (!header) {
+    return 'MissingSignature';
+  }
+  const parsed = parseSignatureHeader(header);
+  if (!parsed) {
+    return 'MalformedSignature';
+  }
+  if (Math.abs(now / 1000 - parsed.timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return 'SignatureExpired';
+  }
+
+  const expected = Buffer.from(computeSignature(secret, parsed.timestamp, rawBody), 'hex');
+  const matches = parsed.signatures.some((signature) =>
+    timingSafeEqual(Buffer.from(signature, 'hex'), expected),
+  );
+  return matches ? null : 'InvalidSignature';
+}
+
+/**
+ * Keeps the secret each installation signs its requests with, keyed by push token. The first
+ * registration for a token sets its secret; after that it can only be replaced by a request
+ * signed with the current one or by an admin.
+ */
+class SigningSecretRegistry {
+  /**
+   * Creates a new SigningSecretRegistry instance.
+   *
+   * @param {Object} store - The key-value store to keep secrets in
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Gets the signing secret of a token.
+   *
+   * @param {string} token - The push notification token
+   * @returns {Promise<string|null>} The secret, or null if none is registered
+   */
+  async get(token) {
+    return this.store.get(NAMESPACE, token);
+  }
+
+  /**
+   * Generates a new signing secret for a token. A token without a secret only gets one if no
+   * other registration gave it one first.
+   *
+   * @param {string} token - The push notification token
+   * @param {string|null} currentSecret - The secret to replace, or null if the token has none
+   * @returns {Promise<string|null>} The new secret, or null if another registration gave the
+   *   token a secret first
+   */
+  async register(token, currentSecret) {
+    const secret = randomBytes(SECRET_BYTES).toString('base64url');
+    if (currentSecret === null) {
+      return (await this.store.add(NAMESPACE, token, secret)) ? secret : null;
+    }
+    await this.store.set(NAMESPACE, token, secret);
+    return secret;
+  }
+
+  /**
+   * Puts back the secret a token had before a registration, e.g. when the new one couldn't be
+   * sent to the installation.
+   *
+   * @param {string} token - The push notification token
+   * @param {string|null} previousSecret - The secret to put back, or null if the token had none
+   * @returns {Promise<void>}
+   */
+  async restore(token, previousSecret) {
+    if (previousSecret === null) {
+      await this.store.delete(NAMESPACE, token);
+      return;
+    }
+    await this.store.set(NAMESPACE, token, previousSecret);
+  }
+}
+
+exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
+exports.SIGNATURE_ERROR_MESSAGES = SIGNATURE_ERROR_MESSAGES;
+exports.getRawBody = getRawBody;
+exports.computeSignature = computeSignature;
+exports.verifySignature = verifySignature;
+exports.SigningSecretRegistry = SigningSecretRegistry;
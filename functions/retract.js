@@ -0,0 +1,27 @@
+'use strict';
+
+const android = require('./android');
+const legacy = require('./legacy');
+
+module.exports = {
+  // Builds the command that clears the notifications with the given tag, using the same clear
+  // command the app's regular push route builds for `message: clear_notification`
+  createPayload: (req) => {
+    const { push_token, registration_info, tag } = req.body;
+    const commandReq = Object.create(req);
+    commandReq.body = {
+      push_token,
+      message: 'clear_notification',
+      data: { tag },
+      registration_info,
+    };
+
+    const { payload } = (legacy.isAppleApp(registration_info) ? legacy : android).createPayload(
+      commandReq,
+    );
+    payload.fcm_options = { analytics_label: 'retractNotification' };
+
+    // Clearing notifications never counts against rate limits, like other commands
+    return { updateRateLimits: false, payload };
+  },
+};
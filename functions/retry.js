@@ -0,0 +1,65 @@
+'use strict';
+
+// FCM error codes for failures that may succeed when the same message is sent again shortly after
+const RETRYABLE_ERROR_CODES = [
+  'unavailable',
+  'server-unavailable',
+  'internal-error',
+  'quota-exceeded',
+  'message-rate-exceeded',
+];
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} deadline - Time in milliseconds after which no retry is started
+ * @property {number} [maxRetries=3] - Maximum number of retries after the first attempt
+ * @property {number} [baseDelayMs=250] - Delay before the first retry, doubled for every retry
+ * @property {number} [maxDelayMs=2000] - Upper bound for the delay between attempts
+ */
+
+/**
+ * Whether an FCM error is worth retrying.
+ *
+ * @param {any} err - The error thrown by messaging.send
+ * @returns {boolean} Whether the error is transient
+ */
+function isRetryableError(err) {
+  return RETRYABLE_ERROR_CODES.some((code) => err?.code === `messaging/${code}`);
+}
+
+/**
+ * @param {number} ms - How long to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls send until it succeeds, retrying transient FCM errors with exponential backoff and
+ * jitter. Retries stop once the next attempt would start after the deadline, so the function
+ * still has time to respond before it times out.
+ *
+ * @template T
+ * @param {() => Promise<T>} send - Sends the message
+ * @param {RetryOptions} options - Retry options
+ * @param {number} [retries=0] - Retries made so far
+ * @returns {Promise<{ result: T, retries: number }>} The result and how many retries it took
+ * @throws {Error} The last error, with a `retries` property, once retrying is given up
+ */
+async function sendWithRetry(send, options, retries = 0) {
+  const { deadline, maxRetries = 3, baseDelayMs = 250, maxDelayMs = 2000 } = options;
+  try {
+    return { result: await send(), retries };
+  } catch (err) {
+    const delay = Math.min(baseDelayMs * 2 ** retries, maxDelayMs) * (0.5 + Math.random() / 2);
+    if (!isRetryableError(err) || retries >= maxRetries || Date.now() + delay >= deadline) {
+      throw err instanceof Error ? Object.assign(err, { retries }) : err;
+    }
+    await sleep(delay);
+    return sendWithRetry(send, options, retries + 1);
+  }
+}
+
+exports.isRetryableError = isRetryableError;
+exports.sendWithRetry = sendWithRetry;
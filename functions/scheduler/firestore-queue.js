@@ -0,0 +1,116 @@
+'use strict';
+
+const { randomUUID } = require('crypto');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const COLLECTION = 'scheduledNotifications';
+
+/**
+ * @typedef {import('./util').ScheduledNotification} ScheduledNotification
+ * @typedef {import('./util').ScheduledNotificationKind} ScheduledNotificationKind
+ */
+
+/**
+ * Queue of scheduled notifications backed by Firestore, with a document per notification.
+ * Due notifications are claimed by deleting their document in a transaction, so each one is
+ * delivered once even when several workers run at the same time.
+ */
+class FirestoreQueue {
+  /**
+   * Creates a new FirestoreQueue instance.
+   *
+   * @param {boolean} [debug=false] - Whether to enable debug logging
+   */
+  constructor(debug = false) {
+    this.db = db;
+    this.debug = debug;
+  }
+
+  /**
+   * Adds a notification to the queue.
+   *
+   * @param {string} route - Name of the push route that delivers the notification
+   * @param {Object} body - The request body to deliver
+   * @param {number} sendAt - When to deliver the notification, in milliseconds
+   * @param {ScheduledNotificationKind} [kind='notification'] - What the item delivers
+   * @param {string|null} [key=null] - The token of a digest or the coalescing key of a window
+   * @returns {Promise<ScheduledNotification>} The scheduled notification
+   * @throws {Error} If Firestore operations fail
+   */
+  async add(route, body, sendAt, kind = 'notification', key = null) {
+    const notification = {
+      id: randomUUID(),
+      route,
+      body,
+      sendAt,
+      createdAt: Date.now(),
+      kind,
+      key,
+    };
+    await this.db
+      .collection(COLLECTION)
+      .doc(notification.id)
+      .set({
+        route,
+        body,
+        sendAt: Timestamp.fromMillis(sendAt),
+        createdAt: Timestamp.fromMillis(notification.createdAt),
+        kind,
+        key,
+      });
+    return notification;
+  }
+
+  /**
+   * Removes and returns the notifications that are due, earliest first.
+   *
+   * @param {number} now - The current time in milliseconds
+   * @param {number} limit - Maximum number of notifications to return
+   * @returns {Promise<ScheduledNotification[]>} The due notifications
+   * @throws {Error} If Firestore operations fail
+   */
+  async claimDue(now, limit) {
+    const snapshot = await this.db
+      .collection(COLLECTION)
+      .where('sendAt', '<=', Timestamp.fromMillis(now))
+      .orderBy('sendAt')
+      .limit(limit)
+      .get();
+
+    const claimed = await Promise.all(snapshot.docs.map((doc) => this._claim(doc.ref)));
+    return claimed.filter((notification) => notification !== null);
+  }
+
+  /**
+   * Deletes the document of a due notification, unless another worker already did.
+   *
+   * @private
+   * @param {FirebaseFirestore.DocumentReference} docRef - The document of the notification
+   * @returns {Promise<ScheduledNotification|null>} The notification, or null if it was claimed
+   *   elsewhere
+   */
+  async _claim(docRef) {
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      if (!doc.exists) {
+        return null;
+      }
+      transaction.delete(docRef);
+
+      const { route, body, sendAt, createdAt, kind, key } = doc.data();
+      return {
+        id: docRef.id,
+        route,
+        body,
+        sendAt: sendAt.toMillis(),
+        createdAt: createdAt.toMillis(),
+        kind,
+        key,
+      };
+    });
+  }
+}
+
+module.exports = FirestoreQueue;
@@ -0,0 +1,15 @@
+'use strict';
+
+const FirestoreQueue = require('./firestore-queue');
+const MemoryQueue = require('./memory-queue');
+const ValkeyQueue = require('./valkey-queue');
+const { MAX_SCHEDULE_DELAY_SECONDS, validateSchedule, getSendAt } = require('./util');
+
+module.exports = {
+  FirestoreQueue,
+  MemoryQueue,
+  ValkeyQueue,
+  MAX_SCHEDULE_DELAY_SECONDS,
+  validateSchedule,
+  getSendAt,
+};
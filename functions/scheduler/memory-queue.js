@@ -0,0 +1,70 @@
+'use strict';
+
+const { randomUUID } = require('crypto');
+
+/**
+ * @typedef {import('./util').ScheduledNotification} ScheduledNotification
+ * @typedef {import('./util').ScheduledNotificationKind} ScheduledNotificationKind
+ */
+
+/**
+ * Queue of scheduled notifications kept in process memory, for local development and tests.
+ * Notifications are only delivered by the instance that accepted them and are lost on restart.
+ */
+class MemoryQueue {
+  /**
+   * Creates a new MemoryQueue instance.
+   *
+   * @param {boolean} [debug=false] - Whether to enable debug logging
+   */
+  constructor(debug = false) {
+    this.debug = debug;
+    /** @type {Map<string, string>} */
+    this.notifications = new Map();
+  }
+
+  /**
+   * Adds a notification to the queue.
+   *
+   * @param {string} route - Name of the push route that delivers the notification
+   * @param {Object} body - The request body to deliver
+   * @param {number} sendAt - When to deliver the notification, in milliseconds
+   * @param {ScheduledNotificationKind} [kind='notification'] - What the item delivers
+   * @param {string|null} [key=null] - The token of a digest or the coalescing key of a window
+   * @returns {Promise<ScheduledNotification>} The scheduled notification
+   */
+  async add(route, body, sendAt, kind = 'notification', key = null) {
+    const notification = {
+      id: randomUUID(),
+      route,
+      body,
+      sendAt,
+      createdAt: Date.now(),
+      kind,
+      key,
+    };
+    // Stored serialized so callers can't mutate queued bodies, like with the other queues
+    this.notifications.set(notification.id, JSON.stringify(notification));
+    return notification;
+  }
+
+  /**
+   * Removes and returns the notifications that are due, earliest first.
+   *
+   * @param {number} now - The current time in milliseconds
+   * @param {number} limit - Maximum number of notifications to return
+   * @returns {Promise<ScheduledNotification[]>} The due notifications
+   */
+  async claimDue(now, limit) {
+    const due = [...this.notifications.values()]
+      .map((value) => JSON.parse(value))
+      .filter((notification) => notification.sendAt <= now)
+      .sort((a, b) => a.sendAt - b.sendAt)
+      .slice(0, limit);
+
+    due.forEach((notification) => this.notifications.delete(notification.id));
+    return due;
+  }
+}
+
+module.exports = MemoryQueue;
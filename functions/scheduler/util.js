@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * What a queued item delivers: a notification scheduled by a caller, the digest of the
+ * notifications held during a token's quiet hours, or the notifications merged into a coalescing
+ * window. Only the relay sets the kind, so request bodies can't pass for digests or windows.
+ *
+ * @typedef {'notification'|'digest'|'coalesced'} ScheduledNotificationKind
+ */
+
+/**
+ * @typedef {Object} ScheduledNotification
+ * @property {string} id - Unique ID of the scheduled notification
+ * @property {string} route - Name of the push route that delivers it, e.g. `android`
+ * @property {Object} body - The request body to deliver, without the scheduling fields
+ * @property {number} sendAt - When to deliver the notification, in milliseconds
+ * @property {number} createdAt - When the notification was scheduled, in milliseconds
+ * @property {ScheduledNotificationKind} kind - What the item delivers
+ * @property {string|null} key - The token of a digest or the coalescing key of a window, or null
+ *   for notifications
+ */
+
+/**
+ * @typedef {import('../validation').ValidationError} ValidationError
+ */
+
+// Notifications can be scheduled at most this far ahead
+const MAX_SCHEDULE_DELAY_DAYS = 30;
+const MAX_SCHEDULE_DELAY_SECONDS = MAX_SCHEDULE_DELAY_DAYS * 24 * 60 * 60;
+
+/**
+ * Checks the `send_at` and `delay` fields of a request body, which must already have the
+ * right types.
+ *
+ * @param {Object} body - The request body
+ * @param {number} [now=Date.now()] - The current time in milliseconds
+ * @returns {ValidationError[]} The invalid fields, empty if the schedule is valid
+ */
+function validateSchedule(body, now = Date.now()) {
+  const sendAt = body.send_at ?? null;
+  const delay = body.delay ?? null;
+  if (sendAt !== null && delay !== null) {
+    return [{ field: 'delay', message: 'must not be combined with send_at' }];
+  }
+
+  if (sendAt !== null) {
+    const time = Date.parse(sendAt);
+    if (Number.isNaN(time)) {
+      return [{ field: 'send_at', message: 'must be an ISO 8601 date' }];
+    }
+    if (time - now > MAX_SCHEDULE_DELAY_SECONDS * 1000) {
+      return [
+        { field: 'send_at', message: `must be at most ${MAX_SCHEDULE_DELAY_DAYS} days from now` },
+      ];
+    }
+  }
+
+  if (delay !== null && !(delay >= 0 && delay <= MAX_SCHEDULE_DELAY_SECONDS)) {
+    return [
+      { field: 'delay', message: `must be between 0 and ${MAX_SCHEDULE_DELAY_SECONDS} seconds` },
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * Gets when a request asks for its notification to be delivered.
+ *
+ * @param {Object} body - A request body that passed validateSchedule
+ * @param {number} [now=Date.now()] - The current time in milliseconds
+ * @returns {number|null} The delivery time in milliseconds, or null to deliver right away
+ */
+function getSendAt(body, now = Date.now()) {
+  let sendAt = null;
+  if ((body.send_at ?? null) !== null) {
+    sendAt = Date.parse(body.send_at);
+  } else if ((body.delay ?? null) !== null) {
+    sendAt = now + body.delay * 1000;
+  }
+
+  // Times in the past, e.g. from a clock that is slightly off, are delivered right away
+  return sendAt !== null && sendAt > now ? sendAt : null;
+}
+
+exports.MAX_SCHEDULE_DELAY_SECONDS = MAX_SCHEDULE_DELAY_SECONDS;
+exports.validateSchedule = validateSchedule;
+exports.getSendAt = getSendAt;
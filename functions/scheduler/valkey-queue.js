@@ -0,0 +1,138 @@
+'use strict';
+
+const { randomUUID } = require('crypto');
+const { GlideClusterClient } = require('@valkey/valkey-glide');
+
+// The hash tag keeps the index and every notification in the same cluster slot
+const INDEX_KEY = '{scheduled_notifications}';
+
+/**
+ * @typedef {import('./util').ScheduledNotification} ScheduledNotification
+ * @typedef {import('./util').ScheduledNotificationKind} ScheduledNotificationKind
+ */
+
+/**
+ * Queue of scheduled notifications backed by Valkey. Notification IDs are kept in a sorted set
+ * scored by delivery time, next to a key per notification holding its JSON.
+ * Due notifications are claimed by removing their ID from the sorted set, so each one is
+ * delivered once even when several workers run at the same time.
+ */
+class ValkeyQueue {
+  /**
+   * Creates a new ValkeyQueue instance.
+   *
+   * @param {boolean} [debug=false] - Whether to enable debug logging
+   * @param {string} [valkeyHost] - Valkey Cluster host
+   * @param {number} [valkeyPort] - Valkey Cluster port
+   */
+  constructor(debug = false, valkeyHost = 'localhost', valkeyPort = 6379) {
+    this.valkeyHost = valkeyHost;
+    this.valkeyPort = valkeyPort;
+    this.debug = debug;
+    this.connected = false;
+    this.client = null;
+  }
+
+  async connect() {
+    if (this.connected && this.client) {
+      return; // Already connected
+    }
+    this.client = await GlideClusterClient.createClient({
+      addresses: [{ host: this.valkeyHost, port: this.valkeyPort }],
+      requestTimeout: 500,
+      clientName: 'SchedulerClient',
+    });
+    this.connected = true;
+  }
+
+  /**
+   * Gets the Valkey key holding a scheduled notification.
+   *
+   * @private
+   * @param {string} id - The ID of the notification
+   * @returns {string} The Valkey key
+   */
+  _getValkeyKey(id) {
+    return `${INDEX_KEY}:${id}`;
+  }
+
+  /**
+   * Adds a notification to the queue.
+   *
+   * @param {string} route - Name of the push route that delivers the notification
+   * @param {Object} body - The request body to deliver
+   * @param {number} sendAt - When to deliver the notification, in milliseconds
+   * @param {ScheduledNotificationKind} [kind='notification'] - What the item delivers
+   * @param {string|null} [key=null] - The token of a digest or the coalescing key of a window
+   * @returns {Promise<ScheduledNotification>} The scheduled notification
+   * @throws {Error} If Valkey operations fail
+   */
+  async add(route, body, sendAt, kind = 'notification', key = null) {
+    await this.connect();
+    const notification = {
+      id: randomUUID(),
+      route,
+      body,
+      sendAt,
+      createdAt: Date.now(),
+      kind,
+      key,
+    };
+    // Write the notification before indexing it, so a worker never finds an ID without it
+    await this.client.set(this._getValkeyKey(notification.id), JSON.stringify(notification));
+    await this.client.zadd(INDEX_KEY, { [notification.id]: sendAt });
+    return notification;
+  }
+
+  /**
+   * Removes and returns the notifications that are due, earliest first.
+   *
+   * @param {number} now - The current time in milliseconds
+   * @param {number} limit - Maximum number of notifications to return
+   * @returns {Promise<ScheduledNotification[]>} The due notifications
+   * @throws {Error} If Valkey operations fail
+   */
+  async claimDue(now, limit) {
+    await this.connect();
+    const ids = await this.client.zrange(INDEX_KEY, {
+      type: 'byScore',
+      start: { value: 0 },
+      end: { value: now },
+      limit: { offset: 0, count: limit },
+    });
+
+    const claimed = await Promise.all(ids.map((id) => this._claim(String(id))));
+    return claimed.filter((notification) => notification !== null);
+  }
+
+  /**
+   * Removes a due notification from the queue, unless another worker already did.
+   *
+   * @private
+   * @param {string} id - The ID of the notification
+   * @returns {Promise<ScheduledNotification|null>} The notification, or null if it was claimed
+   *   elsewhere
+   */
+  async _claim(id) {
+    if ((await this.client.zrem(INDEX_KEY, [id])) === 0) {
+      return null;
+    }
+    const key = this._getValkeyKey(id);
+    const data = await this.client.get(key);
+    await this.client.del([key]);
+    return data === null ? null : JSON.parse(String(data));
+  }
+
+  /**
+   * Closes the Valkey connection.
+   */
+  async close() {
+    if (this.client) {
+      await this.client.close();
+      this.connected = false;
+      this.client = null;
+    }
+  }
+}
+
+module.exports = ValkeyQueue;
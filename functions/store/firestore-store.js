@@ -0,0 +1,180 @@
+'use strict';
+
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+/**
+ * Key-value store backed by Firestore, keeping each namespace in its own collection.
+ * Expired entries are ignored when read; a Firestore TTL policy on `expiresAt` deletes them.
+ */
+class FirestoreStore {
+  /**
+   * Creates a new FirestoreStore instance.
+   *
+   * @param {boolean} [debug=false] - Whether to enable debug logging
+   */
+  constructor(debug = false) {
+    this.db = db;
+    this.debug = debug;
+  }
+
+  /**
+   * Gets a reference to the document holding the given key.
+   *
+   * @private
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @returns {FirebaseFirestore.DocumentReference} The document reference
+   */
+  _getDocRef(namespace, key) {
+    return this.db.collection(namespace).doc(key);
+  }
+
+  /**
+   * Gets the value stored for a key.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @returns {Promise<any>} The stored value, or null if missing or expired
+   * @throws {Error} If Firestore operations fail
+   */
+  async get(namespace, key) {
+    const doc = await this._getDocRef(namespace, key).get();
+    if (!doc.exists) {
+      return null;
+    }
+
+    const { value, expiresAt } = doc.data();
+    if (expiresAt && expiresAt.toMillis() <= Date.now()) {
+      return null;
+    }
+    return value ?? null;
+  }
+
+  /**
+   * Stores a value for a key, replacing any previous value.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {any} value - The value, which must be serializable
+   * @param {number} [ttlSeconds] - How long to keep the value, or forever if omitted
+   * @returns {Promise<void>}
+   * @throws {Error} If Firestore operations fail
+   */
+  async set(namespace, key, value, ttlSeconds) {
+    await this._getDocRef(namespace, key).set(this._toData(value, ttlSeconds));
+  }
+
+  /**
+   * Builds the document that stores a value.
+   *
+   * @private
+   * @param {any} value - The value, which must be serializable
+   * @param {number} [ttlSeconds] - How long to keep the value, or forever if omitted
+   * @returns {{ value: any, expiresAt?: Timestamp }} The document data
+   */
+  _toData(value, ttlSeconds) {
+    const data = { value };
+    if (ttlSeconds) {
+      data.expiresAt = Timestamp.fromDate(new Date(Date.now() + ttlSeconds * 1000));
+    }
+    return data;
+  }
+
+  /**
+   * Stores a value for a key unless it already has one, in a transaction so only one of several
+   * concurrent callers stores it.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {any} value - The value, which must be serializable
+   * @param {number} [ttlSeconds] - How long to keep the value, or forever if omitted
+   * @returns {Promise<boolean>} Whether the value was stored
+   * @throws {Error} If Firestore operations fail
+   */
+  async add(namespace, key, value, ttlSeconds) {
+    const docRef = this._getDocRef(namespace, key);
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const data = doc.exists ? doc.data() : null;
+      if (data && (!data.expiresAt || data.expiresAt.toMillis() > Date.now())) {
+        return false;
+      }
+
+      transaction.set(docRef, this._toData(value, ttlSeconds));
+      return true;
+    });
+  }
+
+  /**
+   * Changes the value stored for a key in a transaction, so concurrent changes aren't lost.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {import('./index').StoreChange} change - Gets the current value and returns the one
+   *   to store
+   * @returns {Promise<any>} The stored value, or null if the key was removed
+   * @throws {Error} If Firestore operations fail
+   */
+  async update(namespace, key, change) {
+    const docRef = this._getDocRef(namespace, key);
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const data = doc.exists ? doc.data() : null;
+      const current =
+        data && (!data.expiresAt || data.expiresAt.toMillis() > Date.now())
+          ? (data.value ?? null)
+          : null;
+
+      const { value, ttlSeconds } = change(current);
+      if (value === null) {
+        transaction.delete(docRef);
+      } else {
+        transaction.set(docRef, this._toData(value, ttlSeconds));
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Adds one to the counter stored for a key, starting a new counter if there is none.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {number} ttlSeconds - How long to keep a new counter
+   * @returns {Promise<number>} The counter after adding one
+   * @throws {Error} If Firestore operations fail
+   */
+  async increment(namespace, key, ttlSeconds) {
+    const docRef = this._getDocRef(namespace, key);
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const data = doc.exists ? doc.data() : null;
+      if (data && (!data.expiresAt || data.expiresAt.toMillis() > Date.now())) {
+        transaction.update(docRef, { value: data.value + 1 });
+        return data.value + 1;
+      }
+
+      transaction.set(docRef, {
+        value: 1,
+        expiresAt: Timestamp.fromDate(new Date(Date.now() + ttlSeconds * 1000)),
+      });
+      return 1;
+    });
+  }
+
+  /**
+   * Removes a key.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @returns {Promise<void>}
+   * @throws {Error} If Firestore operations fail
+   */
+  async delete(namespace, key) {
+    await this._getDocRef(namespace, key).delete();
+  }
+}
+
+module.exports = FirestoreStore;
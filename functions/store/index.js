@@ -0,0 +1,21 @@
+'use strict';
+
+const FirestoreStore = require('./firestore-store');
+const MemoryStore = require('./memory-store');
+const ValkeyStore = require('./valkey-store');
+
+/**
+ * Changes a stored value, given the current value or null if there is none. Returns the value
+ * to store and how long to keep it, or a null value to remove the key. It is called again when
+ * another change gets in first, so it must not have side effects.
+ *
+ * @callback StoreChange
+ * @param {any} current - The current value, or null if there is none
+ * @returns {{ value: any, ttlSeconds?: number }} The value to store and how long to keep it
+ */
+
+module.exports = {
+  FirestoreStore,
+  MemoryStore,
+  ValkeyStore,
+};
@@ -0,0 +1,183 @@
+'use strict';
+
+// How often expired entries are swept from memory
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Key-value store kept in process memory, for local development and tests.
+ * Values are not shared between instances and are lost on restart.
+ */
+class MemoryStore {
+  /**
+   * Creates a new MemoryStore instance.
+   *
+   * @param {boolean} [debug=false] - Whether to enable debug logging
+   */
+  constructor(debug = false) {
+    this.debug = debug;
+    /** @type {Map<string, { value: string, expiresAt: number|null }>} */
+    this.entries = new Map();
+    this.lastPurge = Date.now();
+  }
+
+  /**
+   * Gets the map key for a namespaced key.
+   *
+   * @private
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @returns {string} The map key
+   */
+  _getKey(namespace, key) {
+    return `${namespace}:${key}`;
+  }
+
+  /**
+   * Gets the value stored for a key.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @returns {Promise<any>} The stored value, or null if missing or expired
+   */
+  async get(namespace, key) {
+    return this._read(namespace, key);
+  }
+
+  /**
+   * Reads the value stored for a key without yielding, so callers can change it atomically.
+   *
+   * @private
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @returns {any} The stored value, or null if missing or expired
+   */
+  _read(namespace, key) {
+    const mapKey = this._getKey(namespace, key);
+    const entry = this.entries.get(mapKey);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(mapKey);
+      return null;
+    }
+    // Stored serialized so callers can't mutate stored values, like with the other stores
+    return JSON.parse(entry.value);
+  }
+
+  /**
+   * Stores a value for a key, replacing any previous value.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {any} value - The value, which must be serializable
+   * @param {number} [ttlSeconds] - How long to keep the value, or forever if omitted
+   * @returns {Promise<void>}
+   */
+  async set(namespace, key, value, ttlSeconds) {
+    this._write(namespace, key, value, ttlSeconds);
+  }
+
+  /**
+   * Stores a value for a key without yielding.
+   *
+   * @private
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {any} value - The value, which must be serializable
+   * @param {number} [ttlSeconds] - How long to keep the value, or forever if omitted
+   */
+  _write(namespace, key, value, ttlSeconds) {
+    this._purgeExpired();
+    this.entries.set(this._getKey(namespace, key), {
+      value: JSON.stringify(value),
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null,
+    });
+  }
+
+  /**
+   * Stores a value for a key unless it already has one.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {any} value - The value, which must be serializable
+   * @param {number} [ttlSeconds] - How long to keep the value, or forever if omitted
+   * @returns {Promise<boolean>} Whether the value was stored
+   */
+  async add(namespace, key, value, ttlSeconds) {
+    if (this._read(namespace, key) !== null) {
+      return false;
+    }
+    this._write(namespace, key, value, ttlSeconds);
+    return true;
+  }
+
+  /**
+   * Changes the value stored for a key atomically, so concurrent changes aren't lost.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {import('./index').StoreChange} change - Gets the current value and returns the one to store
+   * @returns {Promise<any>} The stored value, or null if the key was removed
+   */
+  async update(namespace, key, change) {
+    const { value, ttlSeconds } = change(this._read(namespace, key));
+    if (value === null) {
+      this.entries.delete(this._getKey(namespace, key));
+    } else {
+      this._write(namespace, key, value, ttlSeconds);
+    }
+    return value;
+  }
+
+  /**
+   * Adds one to the counter stored for a key, starting a new counter if there is none.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {number} ttlSeconds - How long to keep a new counter
+   * @returns {Promise<number>} The counter after adding one
+   */
+  async increment(namespace, key, ttlSeconds) {
+    const count = (this._read(namespace, key) ?? 0) + 1;
+    const entry = this.entries.get(this._getKey(namespace, key));
+    if (entry) {
+      entry.value = JSON.stringify(count);
+    } else {
+      this._write(namespace, key, count, ttlSeconds);
+    }
+    return count;
+  }
+
+  /**
+   * Drops entries that have passed their expiry, at most once per purge interval.
+   *
+   * @private
+   */
+  _purgeExpired() {
+    const now = Date.now();
+    if (now - this.lastPurge < PURGE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPurge = now;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Removes a key.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @returns {Promise<void>}
+   */
+  async delete(namespace, key) {
+    this.entries.delete(this._getKey(namespace, key));
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,228 @@
+'use strict';
+
+const { GlideClusterClient, Script, TimeUnit } = require('@valkey/valkey-glide');
+
+// Replaces the value of a key only if it still holds the value it was changed from, which is
+// empty for a missing key. An empty new value removes the key.
+const COMPARE_AND_SET = `
+local current = redis.call('GET', KEYS[1]) or ''
+if current ~= ARGV[1] then
+  return 0
+end
+if ARGV[2] == '' then
+  redis.call('DEL', KEYS[1])
+elseif tonumber(ARGV[3]) > 0 then
+  redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+else
+  redis.call('SET', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+// Adds one to a counter, setting the expiry of a new one in the same step so a counter can't be
+// left without one
+const INCREMENT_AND_EXPIRE = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('EXPIRE', KEYS[1], ARGV[1])
+end
+return count
+`;
+
+// How often a change is retried when other changes to the same key keep getting in first
+const MAX_UPDATE_ATTEMPTS = 10;
+
+/**
+ * Key-value store backed by Valkey, prefixing every key with its namespace.
+ * Values are stored as JSON and expire through Valkey's own key expiry.
+ */
+class ValkeyStore {
+  /**
+   * Creates a new ValkeyStore instance.
+   *
+   * @param {boolean} [debug=false] - Whether to enable debug logging
+   * @param {string} [valkeyHost] - Valkey Cluster host
+   * @param {number} [valkeyPort] - Valkey Cluster port
+   */
+  constructor(debug = false, valkeyHost = 'localhost', valkeyPort = 6379) {
+    this.valkeyHost = valkeyHost;
+    this.valkeyPort = valkeyPort;
+    this.debug = debug;
+    this.connected = false;
+    this.client = null;
+    this.compareAndSet = null;
+    this.incrementAndExpire = null;
+  }
+
+  async connect() {
+    if (this.connected && this.client) {
+      return; // Already connected
+    }
+    this.client = await GlideClusterClient.createClient({
+      addresses: [{ host: this.valkeyHost, port: this.valkeyPort }],
+      requestTimeout: 500,
+      clientName: 'StoreClient',
+    });
+    this.connected = true;
+  }
+
+  /**
+   * Gets the Valkey key for a namespaced key.
+   *
+   * @private
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @returns {string} The Valkey key
+   */
+  _getValkeyKey(namespace, key) {
+    return `${namespace}:${key}`;
+  }
+
+  /**
+   * Gets the value stored for a key.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @returns {Promise<any>} The stored value, or null if missing or expired
+   * @throws {Error} If Valkey operations fail
+   */
+  async get(namespace, key) {
+    await this.connect();
+    const data = await this.client.get(this._getValkeyKey(namespace, key));
+    return data === null ? null : JSON.parse(String(data));
+  }
+
+  /**
+   * Stores a value for a key, replacing any previous value.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {any} value - The value, which must be serializable
+   * @param {number} [ttlSeconds] - How long to keep the value, or forever if omitted
+   * @returns {Promise<void>}
+   * @throws {Error} If Valkey operations fail
+   */
+  async set(namespace, key, value, ttlSeconds) {
+    await this.connect();
+    await this.client.set(
+      this._getValkeyKey(namespace, key),
+      JSON.stringify(value),
+      ttlSeconds ? { expiry: { type: TimeUnit.Seconds, count: Math.ceil(ttlSeconds) } } : {},
+    );
+  }
+
+  /**
+   * Stores a value for a key unless it already has one.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {any} value - The value, which must be serializable
+   * @param {number} [ttlSeconds] - How long to keep the value, or forever if omitted
+   * @returns {Promise<boolean>} Whether the value was stored
+   * @throws {Error} If Valkey operations fail
+   */
+  async add(namespace, key, value, ttlSeconds) {
+    await this.connect();
+    const result = await this.client.set(
+      this._getValkeyKey(namespace, key),
+      JSON.stringify(value),
+      {
+        conditionalSet: 'onlyIfDoesNotExist',
+        ...(ttlSeconds && { expiry: { type: TimeUnit.Seconds, count: Math.ceil(ttlSeconds) } }),
+      },
+    );
+    return result === 'OK';
+  }
+
+  /**
+   * Changes the value stored for a key atomically, so concurrent changes aren't lost. The change
+   * is retried when the value changed since it was read.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {import('./index').StoreChange} change - Gets the current value and returns the one
+   *   to store
+   * @returns {Promise<any>} The stored value, or null if the key was removed
+   * @throws {Error} If Valkey operations fail or the key keeps changing
+   */
+  async update(namespace, key, change) {
+    await this.connect();
+    this.compareAndSet ??= new Script(COMPARE_AND_SET);
+    return this._update(this._getValkeyKey(namespace, key), change, 1);
+  }
+
+  /**
+   * Makes one attempt at changing the value of a key, and retries if it changed meanwhile.
+   *
+   * @private
+   * @param {string} valkeyKey - The Valkey key
+   * @param {import('./index').StoreChange} change - Gets the current value and returns the one
+   *   to store
+   * @param {number} attempt - The number of this attempt, starting at 1
+   * @returns {Promise<any>} The stored value, or null if the key was removed
+   */
+  async _update(valkeyKey, change, attempt) {
+    const data = await this.client.get(valkeyKey);
+    const { value, ttlSeconds } = change(data === null ? null : JSON.parse(String(data)));
+    const updated = await this.client.invokeScript(this.compareAndSet, {
+      keys: [valkeyKey],
+      args: [
+        data === null ? '' : String(data),
+        value === null ? '' : JSON.stringify(value),
+        String(ttlSeconds ? Math.ceil(ttlSeconds) : 0),
+      ],
+    });
+    if (updated === 1) {
+      return value;
+    }
+    if (attempt >= MAX_UPDATE_ATTEMPTS) {
+      throw new Error(`Gave up changing ${valkeyKey} after ${attempt} concurrent changes`);
+    }
+    return this._update(valkeyKey, change, attempt + 1);
+  }
+
+  /**
+   * Adds one to the counter stored for a key, starting a new counter if there is none.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @param {number} ttlSeconds - How long to keep a new counter
+   * @returns {Promise<number>} The counter after adding one
+   * @throws {Error} If Valkey operations fail
+   */
+  async increment(namespace, key, ttlSeconds) {
+    await this.connect();
+    this.incrementAndExpire ??= new Script(INCREMENT_AND_EXPIRE);
+    const count = await this.client.invokeScript(this.incrementAndExpire, {
+      keys: [this._getValkeyKey(namespace, key)],
+      args: [String(Math.ceil(ttlSeconds))],
+    });
+    return Number(count);
+  }
+
+  /**
+   * Removes a key.
+   *
+   * @param {string} namespace - The namespace of the key
+   * @param {string} key - The key
+   * @returns {Promise<void>}
+   * @throws {Error} If Valkey operations fail
+   */
+  async delete(namespace, key) {
+    await this.connect();
+    await this.client.del([this._getValkeyKey(namespace, key)]);
+  }
+
+  /**
+   * Closes the Valkey connection.
+   */
+  async close() {
+    if (this.client) {
+      await this.client.close();
+      this.connected = false;
+      this.client = null;
+    }
+  }
+}
+
+module.exports = ValkeyStore;
@@ -0,0 +1,100 @@
+'use strict';
+
+const { createMockRequest, createMockResponse } = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+// Keep rate limits and throttle counts in memory
+process.env.RATE_LIMITER_BACKEND = 'memory';
+process.env.ABUSE_THROTTLES = JSON.stringify([
+  { name: 'ip', limit: 3, windowSeconds: 60 },
+  { name: 'webhook_id', limit: 2, windowSeconds: 60 },
+]);
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+const android = require('../android.js');
+const { schemas } = require('../validation');
+
+const createThrottledRequest = (ip, token, webhookId = undefined) =>
+  createMockRequest({
+    ip,
+    body: {
+      push_token: token,
+      message: 'Hello',
+      registration_info: { app_id: 'com.test.app', webhook_id: webhookId },
+    },
+  });
+
+const send = async (req) => {
+  const res = createMockResponse();
+  await indexModule.handleRequest(req, res, android.createPayload, schemas.notification, 'android');
+  return res;
+};
+
+const sendAll = (requests) =>
+  requests.reduce((previous, req) => previous.then(() => send(req)), Promise.resolve(null));
+
+describe('Abuse throttling', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: Date.parse('2024-01-01T10:00:30Z'), doNotFake: ['setTimeout'] });
+    mockMessaging.send.mockResolvedValue('message-id');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should throttle an IP address across tokens', async () => {
+    const res = await sendAll(
+      ['test:token1', 'test:token2', 'test:token3', 'test:token4'].map((token) =>
+        createThrottledRequest('192.0.2.1', token),
+      ),
+    );
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.send).toHaveBeenCalledWith({
+      errorType: 'Throttled',
+      errorStep: 'checkThrottle',
+      message:
+        'Too many requests from this IP address, across all targets. Please try again later.',
+      throttle: 'ip',
+      limit: 3,
+      windowSeconds: 60,
+      target: 'test:token4',
+    });
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '30');
+    expect(mockMessaging.send).toHaveBeenCalledTimes(3);
+  });
+
+  test('should throttle a webhook across IP addresses', async () => {
+    const res = await sendAll(
+      ['192.0.2.10', '192.0.2.11', '192.0.2.12'].map((ip) =>
+        createThrottledRequest(ip, 'test:token', 'webhook'),
+      ),
+    );
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.send.mock.calls[0][0]).toMatchObject({
+      errorType: 'Throttled',
+      throttle: 'webhook_id',
+    });
+  });
+
+  test('should not touch the per-token rate limits of throttled requests', async () => {
+    await sendAll(
+      ['test:a', 'test:b', 'test:c', 'test:d'].map((token) =>
+        createThrottledRequest('192.0.2.20', token),
+      ),
+    );
+
+    const checkRes = createMockResponse();
+    await indexModule.handleCheckRateLimits(
+      createThrottledRequest('192.0.2.21', 'test:d'),
+      checkRes,
+    );
+    expect(checkRes.send.mock.calls[0][0].rateLimits).toMatchObject({ attempts: 0 });
+  });
+});
@@ -0,0 +1,147 @@
+'use strict';
+
+const { createMockRequest, createMockResponse } = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+// Keep rate limits and the blocklist in memory
+process.env.RATE_LIMITER_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'admin-key';
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+const { handleBlock, handleUnblock } = require('../handlers');
+const android = require('../android.js');
+const { schemas } = require('../validation');
+
+const createAdminRequest = (body, authorization = 'Bearer admin-key') =>
+  createMockRequest({
+    body,
+    get: jest.fn((header) =>
+      header.toLowerCase() === 'authorization' ? authorization : undefined,
+    ),
+  });
+
+const createPushRequest = (token, webhookId = 'webhook', ip = '192.0.2.1') =>
+  createMockRequest({
+    ip,
+    body: {
+      push_token: token,
+      message: 'Hello',
+      registration_info: { app_id: 'com.test.app', webhook_id: webhookId },
+    },
+  });
+
+const call = async (handler, req) => {
+  const res = createMockResponse();
+  await handler(req, res);
+  return { statusCode: res.status.mock.calls[0][0], ...res.send.mock.calls[0][0] };
+};
+
+const send = (req) =>
+  call(
+    (request, res) =>
+      indexModule.handleRequest(
+        request,
+        res,
+        android.createPayload,
+        schemas.notification,
+        'android',
+      ),
+    req,
+  );
+
+describe('Admin blocklist', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockMessaging.send.mockResolvedValue('message-id');
+  });
+
+  test('should require the admin API key', async () => {
+    const body = { type: 'token', value: 'test:token', reason: 'Spam' };
+
+    await expect(call(handleBlock, createAdminRequest(body, null))).resolves.toMatchObject({
+      statusCode: 401,
+      errorType: 'Unauthorized',
+    });
+    await expect(
+      call(handleBlock, createAdminRequest(body, 'Bearer wrong-key')),
+    ).resolves.toMatchObject({ statusCode: 401 });
+    await expect(
+      call(handleUnblock, createAdminRequest(body, 'Basic admin-key')),
+    ).resolves.toMatchObject({ statusCode: 401 });
+  });
+
+  test('should validate blocks', async () => {
+    const result = await call(
+      handleBlock,
+      createAdminRequest({ type: 'app', value: 'x', expires_at: '2000-01-01T00:00:00Z' }),
+    );
+
+    expect(result).toMatchObject({ statusCode: 400, errorType: 'InvalidRequest' });
+    expect(result.errors).toEqual([
+      { field: 'type', message: 'must be one of token, webhook_id, ip' },
+      { field: 'reason', message: 'is required' },
+      { field: 'expires_at', message: 'must be in the future' },
+    ]);
+  });
+
+  test('should reject notifications to a blocked token until it is unblocked', async () => {
+    const blocked = await call(
+      handleBlock,
+      createAdminRequest({ type: 'token', value: 'test:blocked', reason: 'Abusive install' }),
+    );
+    expect(blocked).toMatchObject({ statusCode: 201, blocked: true, expiresAt: null });
+
+    await expect(send(createPushRequest('test:blocked'))).resolves.toEqual({
+      statusCode: 403,
+      errorType: 'Blocked',
+      errorStep: 'checkBlocklist',
+      message: 'This token is blocked from using the relay: Abusive install',
+      blocked: { type: 'token', reason: 'Abusive install', expiresAt: null },
+      target: 'test:blocked',
+    });
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+
+    await expect(
+      call(handleUnblock, createAdminRequest({ type: 'token', value: 'test:blocked' })),
+    ).resolves.toEqual({ statusCode: 200, type: 'token', value: 'test:blocked', unblocked: true });
+    await expect(send(createPushRequest('test:blocked'))).resolves.toMatchObject({
+      statusCode: 201,
+    });
+  });
+
+  test('should block webhooks and IP addresses across tokens', async () => {
+    await call(
+      handleBlock,
+      createAdminRequest({ type: 'webhook_id', value: 'bad-webhook', reason: 'Spam' }),
+    );
+    await call(
+      handleBlock,
+      createAdminRequest({ type: 'ip', value: '192.0.2.66', reason: 'Scan' }),
+    );
+
+    await expect(send(createPushRequest('test:one', 'bad-webhook'))).resolves.toMatchObject({
+      statusCode: 403,
+      blocked: { type: 'webhook_id' },
+    });
+    await expect(
+      send(createPushRequest('test:two', 'webhook', '192.0.2.66')),
+    ).resolves.toMatchObject({ statusCode: 403, blocked: { type: 'ip' } });
+    await expect(send(createPushRequest('test:three'))).resolves.toMatchObject({
+      statusCode: 201,
+    });
+  });
+
+  test('should reject rate limit checks for blocked tokens', async () => {
+    await call(
+      handleBlock,
+      createAdminRequest({ type: 'token', value: 'test:checked', reason: 'Spam' }),
+    );
+
+    await expect(
+      call(indexModule.handleCheckRateLimits, createPushRequest('test:checked')),
+    ).resolves.toMatchObject({ statusCode: 403, errorType: 'Blocked' });
+  });
+});
@@ -0,0 +1,231 @@
+'use strict';
+
+const { createMockRequest, createMockResponse } = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+// Keep rate limits and their overrides in memory
+process.env.RATE_LIMITER_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'admin-key';
+process.env.MAX_NOTIFICATIONS_PER_DAY = '2';
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging, mockLogging } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+const { handleAdjustRateLimits } = require('../handlers');
+const android = require('../android.js');
+const { schemas } = require('../validation');
+const { getNextReset } = require('../rate-limiter/util');
+const { RateLimitOverrides } = require('../rate-limiter/overrides');
+
+const createAdminRequest = (body, authorization = 'Bearer admin-key') =>
+  createMockRequest({
+    body,
+    get: jest.fn((header) =>
+      header.toLowerCase() === 'authorization' ? authorization : undefined,
+    ),
+  });
+
+const createPushRequest = (token, timezone) =>
+  createMockRequest({
+    body: {
+      push_token: token,
+      message: 'Hello',
+      registration_info: { app_id: 'com.test.app', timezone },
+    },
+  });
+
+const call = async (handler, req) => {
+  const res = createMockResponse();
+  await handler(req, res);
+  return { statusCode: res.status.mock.calls[0][0], ...res.send.mock.calls[0][0] };
+};
+
+const adjust = (body) => call(handleAdjustRateLimits, createAdminRequest(body));
+
+const send = (token, timezone) =>
+  call(
+    (request, res) =>
+      indexModule.handleRequest(
+        request,
+        res,
+        android.createPayload,
+        schemas.notification,
+        'android',
+      ),
+    createPushRequest(token, timezone),
+  );
+
+// Uses up the daily cap of 2, so the next notification is rate limited
+const exhaust = async (token, timezone) => {
+  await send(token, timezone);
+  await send(token, timezone);
+  await expect(send(token, timezone)).resolves.toMatchObject({ statusCode: 429 });
+};
+
+describe('Admin rate limit adjustments', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockMessaging.send.mockResolvedValue('message-id');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should require the admin API key', async () => {
+    const body = { push_token: 'test:token', action: 'reset' };
+
+    await expect(
+      call(handleAdjustRateLimits, createAdminRequest(body, null)),
+    ).resolves.toMatchObject({ statusCode: 401, errorType: 'Unauthorized' });
+    await expect(
+      call(handleAdjustRateLimits, createAdminRequest(body, 'Bearer wrong-key')),
+    ).resolves.toMatchObject({ statusCode: 401 });
+  });
+
+  test('should validate adjustments', async () => {
+    const invalid = await adjust({ push_token: 'test:token', action: 'delete', maximum: 1.5 });
+    expect(invalid).toMatchObject({ statusCode: 400, errorType: 'InvalidRequest' });
+    expect(invalid.errors).toEqual([
+      { field: 'action', message: 'must be one of reset, raise, exempt, clear' },
+      { field: 'maximum', message: 'must be a whole number' },
+    ]);
+
+    const raise = await adjust({ push_token: 'test:token', action: 'raise' });
+    expect(raise.errors).toEqual([
+      { field: 'maximum', message: 'is required to raise the rate limits' },
+    ]);
+
+    const lower = await adjust({ push_token: 'test:token', action: 'raise', maximum: 2 });
+    expect(lower).toMatchObject({ statusCode: 400, errorType: 'InvalidRequest' });
+    expect(lower.errors).toEqual([
+      { field: 'maximum', message: 'must be more than the daily cap of 2' },
+    ]);
+  });
+
+  test('should reset the counters of a rate limited token', async () => {
+    await exhaust('test:reset');
+
+    const result = await adjust({
+      push_token: 'test:reset',
+      action: 'reset',
+      reason: 'Looping automation',
+    });
+
+    expect(result).toMatchObject({
+      statusCode: 200,
+      target: 'test:reset',
+      action: 'reset',
+      override: null,
+      rateLimits: { attempts: 0, successful: 0, maximum: 2, remaining: 2 },
+    });
+    await expect(send('test:reset')).resolves.toMatchObject({ statusCode: 201 });
+  });
+
+  test('should reset the counters of the day in the token time zone', async () => {
+    // Already January 2nd in Kiritimati, while the admin request defaults to UTC
+    jest.useFakeTimers({ now: Date.parse('2024-01-01T12:00:00Z'), doNotFake: ['setTimeout'] });
+    await exhaust('test:zoned', 'Pacific/Kiritimati');
+
+    const result = await adjust({ push_token: 'test:zoned', action: 'reset' });
+
+    expect(result).toMatchObject({
+      statusCode: 200,
+      rateLimits: {
+        remaining: 2,
+        resetsAt: getNextReset('Pacific/Kiritimati'),
+      },
+    });
+    await expect(send('test:zoned', 'Pacific/Kiritimati')).resolves.toMatchObject({
+      statusCode: 201,
+    });
+  });
+
+  test('should deliver with the token limits when overrides cannot be read', async () => {
+    jest
+      .spyOn(RateLimitOverrides.prototype, 'get')
+      .mockRejectedValue(new Error('Valkey unavailable'));
+
+    await expect(send('test:outage')).resolves.toMatchObject({
+      statusCode: 201,
+      rateLimits: { maximum: 2 },
+    });
+    const log =
+      mockLogging.log.mock.results[
+        mockLogging.log.mock.calls.findIndex(([name]) => name === 'getRateLimitOptions')
+      ].value;
+    expect(log.entry).toHaveBeenCalledWith(
+      expect.any(Object),
+      expect.objectContaining({ error: 'Valkey unavailable', target: 'test:outage' }),
+    );
+    expect(log.warning).toHaveBeenCalled();
+  });
+
+  test('should write an audit log entry for each change', async () => {
+    await adjust({ push_token: 'test:audited', action: 'exempt', reason: 'Support ticket' });
+
+    const auditLog =
+      mockLogging.log.mock.results[
+        mockLogging.log.mock.calls.findIndex(([name]) => name === 'adminAudit')
+      ].value;
+    expect(auditLog.entry).toHaveBeenCalledWith(
+      expect.objectContaining({ severity: 'NOTICE' }),
+      expect.objectContaining({
+        action: 'exempt',
+        target: 'test:audited',
+        reason: 'Support ticket',
+        override: expect.objectContaining({ exempt: true }),
+      }),
+    );
+  });
+
+  test('should raise the daily cap until the next reset, or until it is cleared', async () => {
+    await exhaust('test:raise');
+
+    const raised = await adjust({ push_token: 'test:raise', action: 'raise', maximum: 5 });
+    expect(raised).toMatchObject({
+      statusCode: 200,
+      override: {
+        maxNotificationsPerDay: 5,
+        exempt: false,
+        expiresAt: getNextReset().toISOString(),
+      },
+      rateLimits: { successful: 2, maximum: 5, remaining: 3 },
+    });
+    await expect(send('test:raise')).resolves.toMatchObject({ statusCode: 201 });
+    await expect(
+      call(indexModule.handleCheckRateLimits, createPushRequest('test:raise')),
+    ).resolves.toMatchObject({ rateLimits: { maximum: 5, remaining: 2 } });
+
+    const cleared = await adjust({ push_token: 'test:raise', action: 'clear' });
+    expect(cleared).toMatchObject({
+      statusCode: 200,
+      override: null,
+      rateLimits: { maximum: 2, remaining: 0 },
+    });
+    await expect(send('test:raise')).resolves.toMatchObject({ statusCode: 429 });
+  });
+
+  test('should count but never refuse notifications to an exempt token', async () => {
+    await exhaust('test:exempt');
+    mockMessaging.send.mockClear();
+
+    const exempted = await adjust({
+      push_token: 'test:exempt',
+      action: 'exempt',
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    });
+    expect(exempted).toMatchObject({ statusCode: 200, override: { exempt: true } });
+
+    await expect(send('test:exempt')).resolves.toMatchObject({
+      statusCode: 201,
+      rateLimits: { successful: 3, remaining: 0 },
+    });
+    await expect(send('test:exempt')).resolves.toMatchObject({ statusCode: 201 });
+
+    // Only the notifications themselves were sent, not another rate limit notification
+    expect(mockMessaging.send).toHaveBeenCalledTimes(2);
+  });
+});
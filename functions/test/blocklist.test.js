@@ -0,0 +1,114 @@
+'use strict';
+
+const { Blocklist } = require('../blocklist');
+const MemoryStore = require('../store/memory-store');
+
+describe('Blocklist', () => {
+  const NOW = Date.parse('2024-01-01T10:00:00Z');
+  let store;
+  let blocklist;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    store = new MemoryStore();
+    blocklist = new Blocklist(store);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should block a value until it is unblocked', async () => {
+    const entry = await blocklist.block('token', 'test:token', 'Spam');
+
+    expect(entry).toEqual({
+      type: 'token',
+      value: 'test:token',
+      reason: 'Spam',
+      blockedAt: '2024-01-01T10:00:00.000Z',
+      expiresAt: null,
+    });
+    await expect(blocklist.get('token', 'test:token')).resolves.toEqual(entry);
+
+    await expect(blocklist.unblock('token', 'test:token')).resolves.toEqual(entry);
+    await expect(blocklist.get('token', 'test:token')).resolves.toBeNull();
+    await expect(blocklist.unblock('token', 'test:token')).resolves.toBeNull();
+  });
+
+  test('should end blocks at their expiry', async () => {
+    const entry = await blocklist.block('ip', '192.0.2.1', 'Scanner', NOW + 60 * 1000);
+
+    expect(entry.expiresAt).toBe('2024-01-01T10:01:00.000Z');
+    jest.advanceTimersByTime(59 * 1000);
+    await expect(blocklist.get('ip', '192.0.2.1')).resolves.toEqual(entry);
+    jest.advanceTimersByTime(1000);
+    await expect(blocklist.get('ip', '192.0.2.1')).resolves.toBeNull();
+  });
+
+  test('should keep each type apart', async () => {
+    await blocklist.block('webhook_id', 'shared', 'Spam');
+
+    await expect(blocklist.get('token', 'shared')).resolves.toBeNull();
+  });
+
+  test('should find the block that applies to a request', async () => {
+    await blocklist.block('webhook_id', 'abusive/webhook', 'Spam');
+
+    await expect(
+      blocklist.find({ token: 'test:token', webhook_id: 'abusive/webhook', ip: '192.0.2.1' }),
+    ).resolves.toMatchObject({ type: 'webhook_id', value: 'abusive/webhook' });
+    await expect(
+      blocklist.find({ token: 'test:token', webhook_id: undefined, ip: '192.0.2.1' }),
+    ).resolves.toBeNull();
+  });
+
+  test('should cache lookups for a request briefly', async () => {
+    await blocklist.block('token', 'test:blocked', 'Spam');
+    const get = jest.spyOn(store, 'get');
+    const values = { token: 'test:token', webhook_id: 'webhook', ip: '192.0.2.1' };
+
+    await blocklist.find(values);
+    await blocklist.find(values);
+    await expect(blocklist.find({ token: 'test:blocked' })).resolves.toMatchObject({
+      reason: 'Spam',
+    });
+    expect(get).toHaveBeenCalledTimes(3);
+
+    jest.advanceTimersByTime(60 * 1000);
+    await blocklist.find(values);
+    expect(get).toHaveBeenCalledTimes(6);
+  });
+
+  test('should apply blocks made on another instance once the cache expires', async () => {
+    const otherInstance = new Blocklist(store);
+    await expect(blocklist.find({ token: 'test:token' })).resolves.toBeNull();
+
+    await otherInstance.block('token', 'test:token', 'Spam');
+    await expect(blocklist.find({ token: 'test:token' })).resolves.toBeNull();
+
+    jest.advanceTimersByTime(60 * 1000);
+    await expect(blocklist.find({ token: 'test:token' })).resolves.toMatchObject({
+      reason: 'Spam',
+    });
+  });
+
+  test('should apply blocks and unblocks made on the same instance right away', async () => {
+    await expect(blocklist.find({ ip: '192.0.2.1' })).resolves.toBeNull();
+
+    await blocklist.block('ip', '192.0.2.1', 'Scanner');
+    await expect(blocklist.find({ ip: '192.0.2.1' })).resolves.toMatchObject({
+      reason: 'Scanner',
+    });
+
+    await blocklist.unblock('ip', '192.0.2.1');
+    await expect(blocklist.find({ ip: '192.0.2.1' })).resolves.toBeNull();
+  });
+
+  test('should end cached blocks at their expiry', async () => {
+    await blocklist.block('ip', '192.0.2.1', 'Scanner', NOW + 10 * 1000);
+    await expect(blocklist.find({ ip: '192.0.2.1' })).resolves.not.toBeNull();
+
+    jest.advanceTimersByTime(10 * 1000);
+    await expect(blocklist.find({ ip: '192.0.2.1' })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,261 @@
+'use strict';
+
+const { createMockRequest, createMockResponse } = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+// Keep rate limits, coalescing windows and the schedule queue in memory
+process.env.RATE_LIMITER_BACKEND = 'memory';
+process.env.COALESCE_WINDOW_SECONDS = '30';
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+const { dispatchScheduledNotifications } = require('../handlers');
+
+const android = require('../android.js');
+const { schemas } = require('../validation');
+const { getCoalescingKey, NotificationCoalescer } = require('../coalescing');
+const MemoryStore = require('../store/memory-store');
+
+const NOW = Date.parse('2024-01-01T10:00:00Z');
+
+const routes = {
+  android: { payloadHandler: android.createPayload, requestSchema: schemas.notification },
+};
+
+const createTaggedRequest = (message, data = { tag: 'motion' }, token = 'test:token123') =>
+  createMockRequest({
+    body: {
+      push_token: token,
+      message,
+      data,
+      registration_info: { app_id: 'com.test.app', webhook_id: 'webhook' },
+    },
+  });
+
+const send = async (req, route = 'android') => {
+  const res = createMockResponse();
+  await indexModule.handleRequest(req, res, android.createPayload, schemas.notification, route);
+  return { statusCode: res.status.mock.calls[0][0], ...res.send.mock.calls[0][0] };
+};
+
+describe('getCoalescingKey', () => {
+  test('should key notifications by token and tag', () => {
+    expect(getCoalescingKey({ push_token: 'test:token', data: { tag: 'door', group: 'x' } })).toBe(
+      'test:token:door',
+    );
+  });
+
+  test('should fall back to the group', () => {
+    expect(getCoalescingKey({ push_token: 'test:token', data: { group: 'alerts/garage' } })).toBe(
+      'test:token:alerts%2Fgarage',
+    );
+  });
+
+  test('should not coalesce notifications without a tag or group', () => {
+    expect(getCoalescingKey({ push_token: 'test:token' })).toBeNull();
+    expect(getCoalescingKey({ push_token: 'test:token', data: { tag: '' } })).toBeNull();
+    expect(getCoalescingKey({ push_token: 'test:token', data: { tag: 5 } })).toBeNull();
+  });
+});
+
+describe('NotificationCoalescer', () => {
+  const NOW = Date.now();
+  let coalescer;
+
+  beforeEach(() => {
+    coalescer = new NotificationCoalescer(new MemoryStore(), 30);
+  });
+
+  test('should only be enabled with a window', () => {
+    expect(coalescer.isEnabled()).toBe(true);
+    expect(new NotificationCoalescer(new MemoryStore(), 0).isEnabled()).toBe(false);
+  });
+
+  test('should send the first notification and merge the rest of the window', async () => {
+    await expect(coalescer.coalesce('key', { message: '1' }, NOW)).resolves.toBeNull();
+    await coalescer.coalesce('key', { message: '2' }, NOW + 1000);
+    const window = await coalescer.coalesce('key', { message: '3' }, NOW + 2000);
+
+    expect(window).toEqual({ windowEndsAt: NOW + 30000, count: 2, body: { message: '3' } });
+    await expect(coalescer.take('key')).resolves.toEqual(window);
+    await expect(coalescer.take('key')).resolves.toBeNull();
+  });
+
+  test('should let only one notification of a simultaneous burst open the window', async () => {
+    const windows = await Promise.all(
+      [1, 2, 3, 4, 5].map((i) => coalescer.coalesce('key', { message: String(i) }, NOW)),
+    );
+
+    expect(windows.filter((window) => window === null)).toHaveLength(1);
+    await expect(coalescer.take('key')).resolves.toMatchObject({ count: 4 });
+  });
+
+  test('should open a new window once an empty window ends', async () => {
+    await coalescer.coalesce('key', { message: '1' }, NOW);
+
+    await expect(coalescer.coalesce('key', { message: '2' }, NOW + 30000)).resolves.toBeNull();
+  });
+
+  test('should keep merging into a window until it is delivered', async () => {
+    await coalescer.coalesce('key', { message: '1' }, NOW);
+    await coalescer.coalesce('key', { message: '2' }, NOW + 1000);
+
+    await expect(coalescer.coalesce('key', { message: '3' }, NOW + 31000)).resolves.toMatchObject({
+      count: 2,
+      body: { message: '3' },
+    });
+  });
+
+  test('should keep windows of different keys apart', async () => {
+    await coalescer.coalesce('key', { message: '1' }, NOW);
+
+    await expect(coalescer.coalesce('other', { message: '2' }, NOW)).resolves.toBeNull();
+  });
+});
+
+describe('Coalesced notifications', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setTimeout'] });
+
+    mockMessaging.send.mockResolvedValue('message-id');
+
+    // Deliver merged notifications left over from other tests
+    jest.setSystemTime(NOW + 365 * 24 * 60 * 60 * 1000);
+    await dispatchScheduledNotifications(routes);
+    jest.setSystemTime(NOW);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should deliver a burst as its first notification and then its latest', async () => {
+    const first = await send(createTaggedRequest('Motion 1', { tag: 'motion' }, 'test:burst'));
+    jest.setSystemTime(NOW + 1000);
+    const second = await send(createTaggedRequest('Motion 2', { tag: 'motion' }, 'test:burst'));
+    jest.setSystemTime(NOW + 2000);
+    const third = await send(createTaggedRequest('Motion 3', { tag: 'motion' }, 'test:burst'));
+
+    expect(first.statusCode).toBe(201);
+    expect(mockMessaging.send.mock.calls[0][0].data).toMatchObject({ message: 'Motion 1' });
+    expect(mockMessaging.send.mock.calls[0][0].data).not.toHaveProperty('coalesced_count');
+    expect(second).toEqual({
+      statusCode: 202,
+      coalesced: true,
+      count: 1,
+      deliverAt: '2024-01-01T10:00:30.000Z',
+      target: 'test:burst',
+    });
+    expect(third).toMatchObject({ statusCode: 202, coalesced: true, count: 2 });
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(NOW + 30 * 1000);
+    const results = await dispatchScheduledNotifications(routes);
+
+    expect(results).toEqual([expect.objectContaining({ statusCode: 201, target: 'test:burst' })]);
+    expect(mockMessaging.send).toHaveBeenCalledTimes(2);
+    expect(mockMessaging.send.mock.calls[1][0].data).toMatchObject({
+      message: 'Motion 3',
+      tag: 'motion',
+      coalesced_count: '2',
+    });
+
+    // The burst only counts once, for the notification that was sent right away
+    expect(results[0].rateLimits).toMatchObject({ attempts: 1, successful: 1 });
+  });
+
+  test('should deliver a notification alone in its window only once', async () => {
+    await expect(
+      send(createTaggedRequest('Motion 1', { tag: 'motion' }, 'test:alone')),
+    ).resolves.toMatchObject({ statusCode: 201 });
+
+    jest.setSystemTime(NOW + 30 * 1000);
+    await expect(dispatchScheduledNotifications(routes)).resolves.toEqual([]);
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should send only one notification of a simultaneous burst', async () => {
+    const results = await Promise.all(
+      [1, 2, 3, 4, 5].map((i) =>
+        send(createTaggedRequest(`Motion ${i}`, { tag: 'motion' }, 'test:simultaneous')),
+      ),
+    );
+
+    expect(results.filter(({ statusCode }) => statusCode === 201)).toHaveLength(1);
+    expect(results.filter(({ coalesced }) => coalesced)).toHaveLength(4);
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+  });
+
+  test("should not let scheduled notifications take another token's window", async () => {
+    await send(createTaggedRequest('Motion 1', { tag: 'motion' }, 'test:victim'));
+    await send(createTaggedRequest('Motion 2', { tag: 'motion' }, 'test:victim'));
+
+    const spoofed = createTaggedRequest('Spoofed', {}, 'test:attacker');
+    Object.assign(spoofed.body, { delay: 1, coalescing_key: 'test:victim:motion' });
+    await send(spoofed);
+
+    jest.setSystemTime(NOW + 1000);
+    await expect(dispatchScheduledNotifications(routes)).resolves.toEqual([
+      expect.objectContaining({ statusCode: 201, target: 'test:attacker' }),
+    ]);
+
+    jest.setSystemTime(NOW + 30 * 1000);
+    await expect(dispatchScheduledNotifications(routes)).resolves.toEqual([
+      expect.objectContaining({ statusCode: 201, target: 'test:victim' }),
+    ]);
+    expect(mockMessaging.send.mock.calls[2][0].data).toMatchObject({
+      message: 'Motion 2',
+      coalesced_count: '1',
+    });
+  });
+
+  test('should coalesce by group when there is no tag', async () => {
+    await send(createTaggedRequest('Door', { group: 'doors' }));
+    const merged = await send(createTaggedRequest('Door', { group: 'doors' }));
+
+    expect(merged).toMatchObject({ statusCode: 202, coalesced: true });
+  });
+
+  test('should keep different tags and tokens apart', async () => {
+    await send(createTaggedRequest('Motion', { tag: 'motion' }));
+
+    await expect(send(createTaggedRequest('Door', { tag: 'door' }))).resolves.toMatchObject({
+      statusCode: 201,
+    });
+    await expect(
+      send(createTaggedRequest('Motion', { tag: 'motion' }, 'test:other')),
+    ).resolves.toMatchObject({ statusCode: 201 });
+  });
+
+  test('should send notifications without a tag or group right away', async () => {
+    await send(createTaggedRequest('Hello', {}));
+
+    await expect(send(createTaggedRequest('Hello', {}))).resolves.toMatchObject({
+      statusCode: 201,
+    });
+    expect(mockMessaging.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not merge commands', async () => {
+    await send(createTaggedRequest('command_flashlight'));
+
+    await expect(send(createTaggedRequest('command_flashlight'))).resolves.toMatchObject({
+      statusCode: 201,
+    });
+  });
+
+  test('should open a new window once the previous one ends', async () => {
+    await send(createTaggedRequest('Motion 1', { tag: 'motion' }, 'test:quiet'));
+    jest.setSystemTime(NOW + 30 * 1000);
+
+    await expect(
+      send(createTaggedRequest('Motion 2', { tag: 'motion' }, 'test:quiet')),
+    ).resolves.toMatchObject({
+      statusCode: 201,
+    });
+  });
+});
@@ -30,6 +30,9 @@ const mockFunctions = {
   https: {
     onRequest: jest.fn(),
   },
+  pubsub: {
+    schedule: jest.fn(() => ({ onRun: jest.fn() })),
+  },
 };
 
 const mockLogging = {
@@ -56,7 +59,11 @@ jest.mock('firebase-admin/messaging', () => ({
   getMessaging: jest.fn(() => mockMessaging),
 }));
 
+// Keep retries of transient FCM errors fast
+process.env.FCM_RETRY_BASE_DELAY_MS = '1';
+
 const indexModule = require('../index.js');
+const legacy = require('../legacy.js');
 
 /**
  * Create a Firebase Messaging error
@@ -118,7 +125,7 @@ describe('FCM Error Handling', () => {
     });
   });
 
-  test('should return 500 for invalid-registration-token error without logging', async () => {
+  test('should return 410 for invalid-registration-token error without logging', async () => {
     const error = createFCMError('invalid-registration-token', 'Invalid registration token');
     mockMessaging.send.mockRejectedValue(error);
 
@@ -132,7 +139,7 @@ describe('FCM Error Handling', () => {
 
     await indexModule.handleRequest(req, res, payloadHandler);
 
-    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.status).toHaveBeenCalledWith(410);
     expect(res.send).toHaveBeenCalledWith({
       errorType: 'InvalidToken',
       errorCode: 'invalid-registration-token',
@@ -144,7 +151,7 @@ describe('FCM Error Handling', () => {
     expect(mockLogInstance.write).not.toHaveBeenCalled();
   });
 
-  test('should return 500 for registration-token-not-registered error without logging', async () => {
+  test('should return 410 for registration-token-not-registered error without logging', async () => {
     const error = createFCMError(
       'registration-token-not-registered',
       'Requested entity was not found.',
@@ -161,7 +168,7 @@ describe('FCM Error Handling', () => {
 
     await indexModule.handleRequest(req, res, payloadHandler);
 
-    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.status).toHaveBeenCalledWith(410);
     expect(res.send).toHaveBeenCalledWith({
       errorType: 'InvalidToken',
       errorCode: 'registration-token-not-registered',
@@ -173,7 +180,7 @@ describe('FCM Error Handling', () => {
     expect(mockLogInstance.write).not.toHaveBeenCalled();
   });
 
-  test('should return 500 for other FCM errors and log them', async () => {
+  test('should return 502 for FCM internal errors and log them', async () => {
     const error = createFCMError('internal-error', 'Internal server error');
     mockMessaging.send.mockRejectedValue(error);
 
@@ -185,15 +192,196 @@ describe('FCM Error Handling', () => {
 
     await indexModule.handleRequest(req, res, payloadHandler);
 
-    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.status).toHaveBeenCalledWith(502);
     expect(res.send).toHaveBeenCalledWith({
-      errorType: 'InternalError',
+      errorType: 'FcmInternalError',
+      errorCode: 'internal-error',
       errorStep: 'sendNotification',
       message: 'Internal server error',
+      retries: 3,
     });
 
     // Verify error WAS logged for non-token errors
     expect(mockLogging.log).toHaveBeenCalledWith('errors-sendNotification');
     expect(mockLogInstance.write).toHaveBeenCalled();
   });
+
+  test('should return 413 PayloadTooLarge for size errors reported as invalid-argument', async () => {
+    const error = createFCMError('invalid-argument', 'Android message is too big');
+    mockMessaging.send.mockRejectedValue(error);
+
+    await indexModule.handleRequest(req, res, payloadHandler);
+
+    expect(res.status).toHaveBeenCalledWith(413);
+    expect(res.send).toHaveBeenCalledWith({
+      errorType: 'PayloadTooLarge',
+      errorCode: 'invalid-argument',
+      errorStep: 'sendNotification',
+      message: 'Android message is too big',
+    });
+  });
+
+  test('should return 400 InvalidArgument for other invalid-argument errors', async () => {
+    const error = createFCMError('invalid-argument', 'Invalid value at "message.android.ttl"');
+    mockMessaging.send.mockRejectedValue(error);
+
+    const mockLogInstance = {
+      write: jest.fn((entry, callback) => callback()),
+      entry: jest.fn(() => ({})),
+    };
+    mockLogging.log.mockReturnValue(mockLogInstance);
+
+    await indexModule.handleRequest(req, res, payloadHandler);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      errorType: 'InvalidArgument',
+      errorCode: 'invalid-argument',
+      errorStep: 'sendNotification',
+      message: 'Invalid value at "message.android.ttl"',
+    });
+    expect(mockLogInstance.write).toHaveBeenCalled();
+  });
+
+  test('should reject oversized payloads before sending or recording an attempt', async () => {
+    payloadHandler = createMockPayloadHandler({
+      payload: { data: { message: 'x'.repeat(5000), title: 'Test title' } },
+    });
+
+    await indexModule.handleRequest(req, res, payloadHandler);
+
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+    expect(mockFirestore.runTransaction).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(413);
+
+    const response = res.send.mock.calls[0][0];
+    expect(response).toMatchObject({
+      errorType: 'PayloadTooLarge',
+      errorStep: 'checkPayloadSize',
+      target: 'test:token123',
+      platform: 'android',
+      limit: 4000,
+    });
+    expect(response.largestFields[0]).toEqual({ field: 'data.message', size: 5012 });
+    expect(response.message).toContain('Largest fields: data.message (5012 bytes)');
+  });
+
+  test('should only check Android tokens against the Android limit', async () => {
+    mockMessaging.send.mockResolvedValue('mock-message-id');
+    const androidReq = createMockRequest({
+      body: {
+        push_token: 'test:token123',
+        message: 'x'.repeat(1500),
+        data: { apns: { headers: {}, payload: { aps: {}, extra: 'y'.repeat(4500) } } },
+        registration_info: {
+          app_id: 'io.homeassistant.companion.android',
+          app_version: '2024.1',
+          os_version: '14',
+        },
+      },
+    });
+
+    await indexModule.handleRequest(androidReq, res, legacy.createPayload);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+  });
+
+  test.each(['unavailable', 'internal-error', 'quota-exceeded'])(
+    'should retry %s errors and succeed',
+    async (code) => {
+      mockMessaging.send
+        .mockRejectedValueOnce(createFCMError(code, 'Transient error'))
+        .mockRejectedValueOnce(createFCMError(code, 'Transient error'))
+        .mockResolvedValue('mock-message-id');
+
+      await indexModule.handleRequest(req, res, payloadHandler);
+
+      expect(mockMessaging.send).toHaveBeenCalledTimes(3);
+      expect(res.status).toHaveBeenCalledWith(201);
+      const response = res.send.mock.calls[0][0];
+      expect(response.retries).toBe(2);
+      expect(response.rateLimits).toMatchObject({ successful: 1, errors: 0, total: 1 });
+    },
+  );
+
+  test('should only count one error when every retry fails', async () => {
+    mockMessaging.send.mockRejectedValue(createFCMError('unavailable', 'Service unavailable'));
+
+    await indexModule.handleRequest(req, res, payloadHandler);
+
+    expect(mockMessaging.send).toHaveBeenCalledTimes(4);
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.send.mock.calls[0][0]).toMatchObject({ errorType: 'FcmUnavailable', retries: 3 });
+    expect(docSnapshot.data()).toMatchObject({ attemptsCount: 1, errorCount: 1, totalCount: 1 });
+  });
+
+  test('should not retry errors that will not go away', async () => {
+    mockMessaging.send.mockRejectedValue(
+      createFCMError('invalid-registration-token', 'Invalid registration token'),
+    );
+
+    await indexModule.handleRequest(req, res, payloadHandler);
+
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should report no retries when the first attempt succeeds', async () => {
+    mockMessaging.send.mockResolvedValue('mock-message-id');
+
+    await indexModule.handleRequest(req, res, payloadHandler);
+
+    expect(res.send.mock.calls[0][0].retries).toBe(0);
+  });
+
+  test.each([
+    ['mismatched-credential', 403, 'MismatchedCredential'],
+    ['quota-exceeded', 429, 'QuotaExceeded'],
+    ['device-message-rate-exceeded', 429, 'DeviceMessageRateExceeded'],
+    ['third-party-auth-error', 502, 'ThirdPartyAuthError'],
+    ['some-new-error', 502, 'FcmUnknownError'],
+  ])('should return the mapped status for %s errors', async (code, status, errorType) => {
+    mockMessaging.send.mockRejectedValue(createFCMError(code, 'FCM error'));
+
+    await indexModule.handleRequest(req, res, payloadHandler);
+
+    expect(res.status).toHaveBeenCalledWith(status);
+    expect(res.send.mock.calls[0][0]).toMatchObject({
+      errorType,
+      errorCode: code,
+      errorStep: 'sendNotification',
+    });
+  });
+
+  test('should not report errors caused by the notification or the token', async () => {
+    mockMessaging.send.mockRejectedValue(createFCMError('quota-exceeded', 'Quota exceeded'));
+
+    const mockLogInstance = {
+      write: jest.fn((entry, callback) => callback()),
+      entry: jest.fn(() => ({})),
+    };
+    mockLogging.log.mockReturnValue(mockLogInstance);
+
+    await indexModule.handleRequest(req, res, payloadHandler);
+
+    expect(mockLogInstance.write).not.toHaveBeenCalled();
+  });
+
+  test('should report credential errors', async () => {
+    mockMessaging.send.mockRejectedValue(
+      createFCMError('invalid-apns-credentials', 'Invalid APNs credentials'),
+    );
+
+    const mockLogInstance = {
+      write: jest.fn((entry, callback) => callback()),
+      entry: jest.fn(() => ({})),
+    };
+    mockLogging.log.mockReturnValue(mockLogInstance);
+
+    await indexModule.handleRequest(req, res, payloadHandler);
+
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(mockLogging.log).toHaveBeenCalledWith('errors-sendNotification');
+    expect(mockLogInstance.write).toHaveBeenCalled();
+  });
 });
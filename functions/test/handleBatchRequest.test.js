@@ -0,0 +1,201 @@
+'use strict';
+
+const {
+  createMockRequest,
+  createMockResponse,
+  createMockDocRef,
+  createMockRateLimitData,
+  setupFirestoreCollectionChain,
+} = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+const { assertResponse } = require('./utils/assertion-helpers');
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging, mockFirestore } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+
+const android = require('../android.js');
+
+/**
+ * Creates a batch request targeting the given tokens
+ */
+const createBatchRequest = (tokens, bodyOverrides = {}) =>
+  createMockRequest({
+    body: {
+      message: 'Test message',
+      title: 'Test title',
+      push_tokens: tokens.map((token) => ({
+        push_token: token,
+        registration_info: {
+          app_id: 'io.homeassistant.companion.android',
+          app_version: '2024.1',
+          os_version: '14',
+          webhook_id: `webhook-${token}`,
+        },
+      })),
+      ...bodyOverrides,
+    },
+  });
+
+describe('handleBatchRequest', () => {
+  let res, docRef, docSnapshot;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockMessaging.send.mockImplementation(async (payload) => `message-${payload.token}`);
+
+    res = createMockResponse();
+
+    docSnapshot = { exists: false, data: jest.fn(() => createMockRateLimitData()) };
+    docRef = createMockDocRef(docSnapshot);
+    setupFirestoreCollectionChain(mockFirestore, docRef);
+
+    mockFirestore.runTransaction.mockImplementation(async (callback) => {
+      const mockTransaction = {
+        get: jest.fn(() => ({ exists: false, data: () => ({}) })),
+        set: jest.fn((ref, data) => docRef.set(data)),
+        update: jest.fn((ref, data) => docRef.update(data)),
+      };
+      return callback(mockTransaction);
+    });
+  });
+
+  test('should send one notification per token and return a result for each', async () => {
+    const req = createBatchRequest(['test:token1', 'test:token2', 'test:token3']);
+
+    await indexModule.handleBatchRequest(req, res, android.createPayload);
+
+    expect(mockMessaging.send).toHaveBeenCalledTimes(3);
+    expect(res.status).toHaveBeenCalledWith(200);
+
+    const { results } = res.send.mock.calls[0][0];
+    expect(results).toHaveLength(3);
+    results.forEach((result, i) => {
+      const token = `test:token${i + 1}`;
+      expect(result).toMatchObject({
+        statusCode: 201,
+        messageId: `message-${token}`,
+        target: token,
+      });
+      expect(result.sentPayload.data.webhook_id).toBe(`webhook-${token}`);
+      expect(result.sentPayload.data.message).toBe('Test message');
+    });
+
+    // Every token is rate limited on its own
+    expect(docRef.set).toHaveBeenCalledTimes(6);
+  });
+
+  test('should report per-token failures without failing the whole batch', async () => {
+    const req = createBatchRequest(['test:token1', 'invalid-token']);
+    req.body.push_tokens.push({
+      registration_info: { app_id: 'io.homeassistant.companion.android' },
+    });
+
+    await indexModule.handleBatchRequest(req, res, android.createPayload);
+
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(200);
+
+    const { results } = res.send.mock.calls[0][0];
+    expect(results[0]).toMatchObject({ statusCode: 201, target: 'test:token1' });
+    expect(results[1]).toEqual({
+      statusCode: 403,
+      errorMessage: 'That is not a valid FCM token',
+    });
+    expect(results[2]).toEqual({ statusCode: 403, errorMessage: 'You did not send a token!' });
+  });
+
+  test('should report validation errors for a single token', async () => {
+    const req = createBatchRequest(['test:token1', 'test:token2']);
+    delete req.body.push_tokens[1].registration_info;
+
+    await indexModule.handleBatchRequest(req, res, android.createPayload);
+
+    const { results } = res.send.mock.calls[0][0];
+    expect(results[0]).toMatchObject({ statusCode: 201 });
+    expect(results[1]).toMatchObject({
+      statusCode: 400,
+      errorType: 'InvalidRequest',
+      errorStep: 'validateRequest',
+      errors: [{ field: 'registration_info', message: 'is required' }],
+    });
+  });
+
+  test('should describe the rate limits of the token closest to being limited', async () => {
+    const req = createBatchRequest(['test:token1', 'test:token2']);
+    delete req.body.push_tokens[0].registration_info;
+
+    await indexModule.handleBatchRequest(req, res, android.createPayload);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Object.fromEntries(res.set.mock.calls)).toEqual({
+      'RateLimit-Limit': '500',
+      'RateLimit-Remaining': '499',
+      'RateLimit-Reset': expect.any(String),
+    });
+    expect(res.send.mock.calls[0][0].results[0]).not.toHaveProperty('RateLimit-Limit');
+  });
+
+  test('should report payload errors for a single token as InternalError', async () => {
+    const req = createBatchRequest(['test:token1', 'test:token2']);
+    const payloadHandler = jest.fn((targetReq) => {
+      if (targetReq.body.push_token === 'test:token2') {
+        throw new Error('Payload error');
+      }
+      return android.createPayload(targetReq);
+    });
+
+    await indexModule.handleBatchRequest(req, res, payloadHandler);
+
+    const { results } = res.send.mock.calls[0][0];
+    expect(results[0]).toMatchObject({ statusCode: 201 });
+    expect(results[1]).toMatchObject({
+      statusCode: 500,
+      errorType: 'InternalError',
+      errorStep: 'createPayload',
+    });
+  });
+
+  test('should not share payload objects between tokens', async () => {
+    const legacy = require('../legacy.js');
+    const req = createBatchRequest(['test:token1', 'test:token2'], {
+      data: { apns: { headers: {}, payload: { aps: { sound: 'default' } } } },
+    });
+    req.body.push_tokens.forEach((target) => {
+      target.registration_info.app_id = 'io.robbie.HomeAssistant';
+    });
+
+    await indexModule.handleBatchRequest(req, res, legacy.createPayload);
+
+    const [first, second] = mockMessaging.send.mock.calls.map(([payload]) => payload);
+    expect(first.apns.payload.webhook_id).toBe('webhook-test:token1');
+    expect(second.apns.payload.webhook_id).toBe('webhook-test:token2');
+    expect(req.body.data.apns.payload.webhook_id).toBeUndefined();
+  });
+
+  test('should reject a request without push_tokens', async () => {
+    const req = createMockRequest();
+
+    await indexModule.handleBatchRequest(req, res, android.createPayload);
+
+    assertResponse.expectErrorResponse(res, 400, {
+      errorMessage: 'You did not send any push_tokens!',
+    });
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+  });
+
+  test('should reject batches larger than the maximum batch size', async () => {
+    const tokens = Array.from({ length: 26 }, (_, i) => `test:token${i}`);
+    const req = createBatchRequest(tokens);
+
+    await indexModule.handleBatchRequest(req, res, android.createPayload);
+
+    assertResponse.expectErrorResponse(res, 400, {
+      errorMessage: 'You can send to at most 25 push_tokens per request',
+    });
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+  });
+});
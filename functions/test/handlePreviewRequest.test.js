@@ -0,0 +1,132 @@
+'use strict';
+
+const { createMockRequest, createMockResponse } = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+const { assertResponse } = require('./utils/assertion-helpers');
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging, mockFirestore } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+
+const android = require('../android.js');
+const legacy = require('../legacy.js');
+const { schemas } = require('../validation.js');
+
+describe('handlePreviewRequest', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    res = createMockResponse();
+  });
+
+  test('should return the android payload without sending it or touching rate limits', async () => {
+    const req = createMockRequest({
+      body: {
+        push_token: 'test:token123',
+        message: 'Test message',
+        title: 'Test title',
+        data: { tag: 'door', actions: [{ action: 'OPEN', title: 'Open' }] },
+        registration_info: { app_id: 'io.homeassistant.companion.android', webhook_id: 'wh-1' },
+      },
+    });
+
+    await indexModule.handlePreviewRequest(
+      req,
+      res,
+      android.createPayload,
+      schemas.notificationPreview,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      payload: {
+        android: {},
+        data: {
+          action_1_key: 'OPEN',
+          action_1_title: 'Open',
+          tag: 'door',
+          message: 'Test message',
+          title: 'Test title',
+          webhook_id: 'wh-1',
+        },
+        fcm_options: { analytics_label: 'androidV1Notification' },
+        token: 'test:token123',
+      },
+      updateRateLimits: true,
+    });
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+    expect(mockFirestore.collection).not.toHaveBeenCalled();
+    expect(mockFirestore.runTransaction).not.toHaveBeenCalled();
+  });
+
+  test('should report commands that do not count against rate limits', async () => {
+    const req = createMockRequest({
+      body: {
+        message: 'request_location_update',
+        registration_info: { app_id: 'io.robbie.HomeAssistant' },
+      },
+    });
+    delete req.body.push_token;
+
+    await indexModule.handlePreviewRequest(req, res, legacy.createPayload, schemas.legacyPreview);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const response = res.send.mock.calls[0][0];
+    expect(response.updateRateLimits).toBe(false);
+    expect(response.payload.apns.payload.homeassistant).toEqual({
+      command: 'request_location_update',
+    });
+    expect(response.payload.token).toBeUndefined();
+  });
+
+  test('should preview live activities through the legacy route', async () => {
+    const req = createMockRequest({
+      body: {
+        push_token: 'test:token123',
+        live_activity_token: 'live-activity-token',
+        message: 'Washing',
+        registration_info: { app_id: 'io.robbie.HomeAssistant' },
+        data: { event: 'update', tag: 'laundry' },
+      },
+    });
+
+    await indexModule.handlePreviewRequest(req, res, legacy.createPayload, schemas.legacyPreview);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { payload } = res.send.mock.calls[0][0];
+    expect(payload.apns.liveActivityToken).toBe('live-activity-token');
+    expect(payload.fcm_options.analytics_label).toBe('iOSLiveActivityV1');
+  });
+
+  test('should reject invalid request bodies', async () => {
+    const req = createMockRequest({ body: { message: 'Test message' } });
+    delete req.body.registration_info;
+
+    await indexModule.handlePreviewRequest(req, res, legacy.createPayload, schemas.legacyPreview);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        errorType: 'InvalidRequest',
+        errors: [{ field: 'registration_info', message: 'is required' }],
+      }),
+    );
+  });
+
+  test('should report payload errors', async () => {
+    const payloadHandler = jest.fn(() => {
+      throw new Error('Payload error');
+    });
+
+    await indexModule.handlePreviewRequest(createMockRequest(), res, payloadHandler);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ errorType: 'InternalError', errorStep: 'createPayload' }),
+    );
+  });
+});
@@ -38,6 +38,9 @@ const mockFunctions = {
   https: {
     onRequest: jest.fn(),
   },
+  pubsub: {
+    schedule: jest.fn(() => ({ onRun: jest.fn() })),
+  },
 };
 
 const mockLogging = {
@@ -212,7 +215,8 @@ describe('handleRequest', () => {
 
     await indexModule.handleRequest(req, res, payloadHandler);
 
-    assertRateLimitedFlow({ mockMessaging, mockRes: res }, 'test:token123');
+    const response = assertRateLimitedFlow({ mockMessaging, mockRes: res }, 'test:token123');
+    expect(response.policy).toBe('daily');
 
     // Verify only attempt was recorded (not success, since rate limited)
     assertFirestoreOps.expectDocUpdated(docRef, { attemptsCount: 502 });
@@ -257,6 +261,130 @@ describe('handleRequest', () => {
     expect(docRef.get).not.toHaveBeenCalled();
   });
 
+  test('should reject requests without registration_info', async () => {
+    const testReq = createMockRequest();
+    delete testReq.body.registration_info;
+
+    await indexModule.handleRequest(testReq, res, payloadHandler);
+
+    assertResponse.expectErrorResponse(res, 400, {
+      errorType: 'InvalidRequest',
+      errorStep: 'validateRequest',
+      errors: [{ field: 'registration_info', message: 'is required' }],
+    });
+    expect(payloadHandler).not.toHaveBeenCalled();
+    assertMessaging.expectNoMessageSent(mockMessaging);
+    assertFirestoreOps.expectNoFirestoreOps(docRef);
+  });
+
+  test('should list every invalid field', async () => {
+    const legacy = require('../legacy.js');
+    const { schemas } = require('../validation.js');
+    const testReq = createMockRequest({
+      body: {
+        push_token: 'test:token123',
+        message: 42,
+        data: [],
+        registration_info: { webhook_id: 'webhook' },
+      },
+    });
+
+    await indexModule.handleRequest(testReq, res, legacy.createPayload, schemas.legacy);
+
+    const response = assertResponse.expectErrorResponse(res, 400, {
+      errorType: 'InvalidRequest',
+    });
+    expect(response.errors).toEqual([
+      { field: 'message', message: 'must be a string' },
+      { field: 'data', message: 'must be an object' },
+      { field: 'registration_info.app_id', message: 'is required' },
+    ]);
+    expect(response.message).toBe(
+      'The request body is invalid: message must be a string, data must be an object, registration_info.app_id is required.',
+    );
+  });
+
+  test('should validate dry runs with FCM without touching rate limits', async () => {
+    const testReq = createMockRequest({ body: { ...req.body, dry_run: true } });
+
+    await indexModule.handleRequest(testReq, res, payloadHandler);
+
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+    expect(mockMessaging.send).toHaveBeenCalledWith(
+      expect.objectContaining({ token: 'test:token123' }),
+      true,
+    );
+    expect(mockFirestore.runTransaction).not.toHaveBeenCalled();
+    assertFirestoreOps.expectNoFirestoreOps(docRef);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const response = res.send.mock.calls[0][0];
+    expect(response).toMatchObject({
+      messageId: 'mock-message-id',
+      dryRun: true,
+      sentPayload: { notification: { body: 'Test message' }, token: 'test:token123' },
+      target: 'test:token123',
+    });
+    expect(response.rateLimits).toBeDefined();
+  });
+
+  test('should return the payload with the FCM error of a failed dry run', async () => {
+    const error = new Error('Invalid value for "android.ttl"');
+    error.code = 'messaging/invalid-argument';
+    mockMessaging.send.mockRejectedValue(error);
+    const testReq = createMockRequest({ body: { ...req.body, dry_run: true } });
+
+    await indexModule.handleRequest(testReq, res, payloadHandler);
+
+    assertResponse.expectErrorResponse(res, 400, {
+      errorType: 'InvalidArgument',
+      errorCode: 'invalid-argument',
+      errorStep: 'validateNotification',
+      message: 'Invalid value for "android.ttl"',
+      dryRun: true,
+      sentPayload: { notification: { body: 'Test message' }, token: 'test:token123' },
+    });
+    expect(mockFirestore.runTransaction).not.toHaveBeenCalled();
+  });
+
+  test('should reject a dry_run that is not a boolean', async () => {
+    const testReq = createMockRequest({ body: { ...req.body, dry_run: 'yes' } });
+
+    await indexModule.handleRequest(testReq, res, payloadHandler);
+
+    assertResponse.expectErrorResponse(res, 400, {
+      errors: [{ field: 'dry_run', message: 'must be a boolean' }],
+    });
+    assertMessaging.expectNoMessageSent(mockMessaging);
+  });
+
+  test('should report what was truncated in the response', async () => {
+    const android = require('../android.js');
+    const testReq = createMockRequest({
+      body: { ...req.body, message: 'x'.repeat(5000), data: { truncate: true } },
+    });
+
+    await indexModule.handleRequest(testReq, res, android.createPayload);
+
+    assertMessaging.expectMessageSent(mockMessaging);
+    const response = assertResponse.expectSuccessResponse(res);
+    expect(response.sentPayload.data.truncated).toBe('true');
+    expect(response.truncated).toEqual([
+      expect.objectContaining({ field: 'data.message', action: 'shortened', originalLength: 5000 }),
+    ]);
+  });
+
+  test('should not report truncation for notifications that fit', async () => {
+    const android = require('../android.js');
+    const testReq = createMockRequest({ body: { ...req.body, data: { truncate: true } } });
+
+    await indexModule.handleRequest(testReq, res, android.createPayload);
+
+    const response = assertResponse.expectSuccessResponse(res);
+    expect(response).not.toHaveProperty('truncated');
+    expect(response.sentPayload.data.truncated).toBeUndefined();
+  });
+
   test('should handle Firestore read errors', async () => {
     docRef.get.mockRejectedValue(new Error('Firestore read failed'));
 
@@ -0,0 +1,174 @@
+'use strict';
+
+const { createMockRequest, createMockResponse } = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+// Keep rate limits and remembered responses in memory
+process.env.RATE_LIMITER_BACKEND = 'memory';
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+const android = require('../android.js');
+const { schemas } = require('../validation');
+const { getIdempotencyKey, IdempotencyCache } = require('../idempotency');
+const MemoryStore = require('../store/memory-store');
+
+const createIdempotentRequest = (headers = {}, data = {}, token = 'test:token123') =>
+  createMockRequest({
+    body: {
+      push_token: token,
+      message: 'Garage door left open',
+      data,
+      registration_info: { app_id: 'com.test.app', webhook_id: 'webhook' },
+    },
+    get: jest.fn((header) => headers[header.toLowerCase()]),
+  });
+
+const send = async (req) => {
+  const res = createMockResponse();
+  await indexModule.handleRequest(req, res, android.createPayload, schemas.notification, 'android');
+  return res;
+};
+
+describe('getIdempotencyKey', () => {
+  test('should read the Idempotency-Key header', () => {
+    expect(getIdempotencyKey(createIdempotentRequest({ 'idempotency-key': 'abc' }))).toBe('abc');
+  });
+
+  test('should fall back to data.idempotency_key', () => {
+    expect(getIdempotencyKey(createIdempotentRequest({}, { idempotency_key: 'def' }))).toBe('def');
+  });
+
+  test('should ignore empty keys', () => {
+    expect(getIdempotencyKey(createIdempotentRequest({}, { idempotency_key: '' }))).toBeNull();
+    expect(getIdempotencyKey(createIdempotentRequest())).toBeNull();
+  });
+});
+
+describe('IdempotencyCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new IdempotencyCache(new MemoryStore());
+  });
+
+  test('should reserve a key for only one request', async () => {
+    await expect(cache.reserve('test:token1', 'key/1')).resolves.toBeNull();
+    await expect(cache.reserve('test:token1', 'key/1')).resolves.toEqual({ pending: true });
+
+    await cache.remember('test:token1', 'key/1', 201, { messageId: 'message-id' });
+    await expect(cache.reserve('test:token1', 'key/1')).resolves.toEqual({
+      statusCode: 201,
+      response: { messageId: 'message-id' },
+    });
+  });
+
+  test('should scope keys to the token', async () => {
+    await cache.reserve('test:token1', 'key/1');
+
+    await expect(cache.reserve('test:token2', 'key/1')).resolves.toBeNull();
+    await expect(cache.reserve('test:token1', 'key/2')).resolves.toBeNull();
+  });
+
+  test('should free released keys', async () => {
+    await cache.reserve('test:token1', 'key/1');
+    await cache.release('test:token1', 'key/1');
+
+    await expect(cache.reserve('test:token1', 'key/1')).resolves.toBeNull();
+  });
+});
+
+describe('Idempotent requests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockMessaging.send.mockReset();
+    mockMessaging.send.mockResolvedValueOnce('message-1').mockResolvedValueOnce('message-2');
+  });
+
+  test('should return the original response for a repeated key without resending', async () => {
+    const headers = { 'idempotency-key': 'retry-1' };
+    const first = await send(createIdempotentRequest(headers, {}, 'test:retried'));
+    const second = await send(createIdempotentRequest(headers, {}, 'test:retried'));
+
+    expect(second.status).toHaveBeenCalledWith(201);
+    expect(second.send.mock.calls[0][0]).toEqual(
+      JSON.parse(JSON.stringify(first.send.mock.calls[0][0])),
+    );
+    expect(second.send.mock.calls[0][0]).toMatchObject({ messageId: 'message-1' });
+    expect(second.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+
+    // The repeat doesn't count towards rate limits either
+    const checkRes = createMockResponse();
+    await indexModule.handleCheckRateLimits(
+      createIdempotentRequest({}, {}, 'test:retried'),
+      checkRes,
+    );
+    expect(checkRes.send.mock.calls[0][0].rateLimits).toMatchObject({ attempts: 1 });
+  });
+
+  test('should accept the key in the notification data', async () => {
+    await send(createIdempotentRequest({}, { idempotency_key: 'retry-2' }));
+    const repeat = await send(createIdempotentRequest({}, { idempotency_key: 'retry-2' }));
+
+    expect(repeat.send.mock.calls[0][0]).toMatchObject({ messageId: 'message-1' });
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should send notifications with different keys', async () => {
+    await send(createIdempotentRequest({ 'idempotency-key': 'retry-3' }));
+    const other = await send(createIdempotentRequest({ 'idempotency-key': 'retry-4' }));
+
+    expect(other.send.mock.calls[0][0]).toMatchObject({ messageId: 'message-2' });
+    expect(mockMessaging.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('should send again when the first attempt failed', async () => {
+    mockMessaging.send.mockReset();
+    mockMessaging.send
+      .mockRejectedValueOnce(
+        Object.assign(new Error('Invalid message'), { code: 'messaging/invalid-argument' }),
+      )
+      .mockResolvedValueOnce('message-3');
+
+    const headers = { 'idempotency-key': 'retry-5' };
+    const failed = await send(createIdempotentRequest(headers));
+    const retried = await send(createIdempotentRequest(headers));
+
+    expect(failed.status).toHaveBeenCalledWith(400);
+    expect(retried.status).toHaveBeenCalledWith(201);
+    expect(retried.send.mock.calls[0][0]).toMatchObject({ messageId: 'message-3' });
+  });
+
+  test('should send a notification only once when a repeat arrives during the first', async () => {
+    const headers = { 'idempotency-key': 'retry-6' };
+    const [first, second] = await Promise.all([
+      send(createIdempotentRequest(headers, {}, 'test:concurrent')),
+      send(createIdempotentRequest(headers, {}, 'test:concurrent')),
+    ]);
+
+    expect(first.status).toHaveBeenCalledWith(201);
+    expect(second.status).toHaveBeenCalledWith(409);
+    expect(second.send.mock.calls[0][0]).toMatchObject({ errorType: 'RequestInProgress' });
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not queue a scheduled notification again for a repeat', async () => {
+    const headers = { 'idempotency-key': 'retry-7' };
+    const createScheduledRequest = () => {
+      const req = createIdempotentRequest(headers, {}, 'test:scheduled');
+      req.body.delay = 60;
+      return req;
+    };
+
+    const first = await send(createScheduledRequest());
+    const repeat = await send(createScheduledRequest());
+
+    expect(first.status).toHaveBeenCalledWith(202);
+    expect(repeat.status).toHaveBeenCalledWith(202);
+    expect(repeat.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(repeat.send.mock.calls[0][0].id).toBe(first.send.mock.calls[0][0].id);
+  });
+});
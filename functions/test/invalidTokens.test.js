@@ -0,0 +1,195 @@
+'use strict';
+
+const {
+  createMockRequest,
+  createMockResponse,
+  createMockDocRef,
+  createMockRateLimitData,
+  setupFirestoreCollectionChain,
+} = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+const { InvalidTokenRegistry, isInvalidTokenError } = require('../invalid-tokens');
+const MemoryStore = require('../store/memory-store');
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging, mockFirestore } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+
+const android = require('../android.js');
+
+const createFcmError = (code, message = 'FCM error') => {
+  const error = new Error(message);
+  error.code = `messaging/${code}`;
+  return error;
+};
+
+describe('InvalidTokenRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T10:00:00Z'));
+
+    registry = new InvalidTokenRegistry(new MemoryStore(), 60);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should remember tokens marked as invalid', async () => {
+    const entry = await registry.markInvalid('test:token', 'registration-token-not-registered');
+
+    expect(entry).toEqual({
+      errorCode: 'registration-token-not-registered',
+      invalidatedAt: '2024-01-01T10:00:00.000Z',
+    });
+    await expect(registry.get('test:token')).resolves.toEqual(entry);
+  });
+
+  test('should forget tokens once their entry expires', async () => {
+    await registry.markInvalid('test:token', 'invalid-registration-token');
+
+    jest.advanceTimersByTime(60 * 1000);
+
+    await expect(registry.get('test:token')).resolves.toBeNull();
+  });
+
+  test('should return the cleared entry, or null if there was none', async () => {
+    await registry.markInvalid('test:token', 'invalid-registration-token');
+
+    await expect(registry.clear('test:token')).resolves.toMatchObject({
+      errorCode: 'invalid-registration-token',
+    });
+    await expect(registry.clear('test:token')).resolves.toBeNull();
+    await expect(registry.get('test:token')).resolves.toBeNull();
+  });
+
+  test('should only treat token errors as invalidating the token', () => {
+    expect(isInvalidTokenError(createFcmError('invalid-registration-token'))).toBe(true);
+    expect(isInvalidTokenError(createFcmError('registration-token-not-registered'))).toBe(true);
+    expect(isInvalidTokenError(createFcmError('invalid-argument'))).toBe(false);
+    expect(isInvalidTokenError(new Error('Network error'))).toBe(false);
+    expect(isInvalidTokenError(undefined)).toBe(false);
+  });
+});
+
+describe('Known invalid tokens', () => {
+  let res, docRef, storeCollections;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockMessaging.send.mockResolvedValue('message-id');
+
+    res = createMockResponse();
+
+    docRef = createMockDocRef({ exists: false, data: jest.fn(() => createMockRateLimitData()) });
+    ({ storeCollections } = setupFirestoreCollectionChain(mockFirestore, docRef));
+
+    mockFirestore.runTransaction.mockImplementation(async (callback) => {
+      const mockTransaction = {
+        get: jest.fn(() => ({ exists: false, data: () => ({}) })),
+        set: jest.fn((ref, data) => docRef.set(data)),
+        update: jest.fn((ref, data) => docRef.update(data)),
+      };
+      return callback(mockTransaction);
+    });
+  });
+
+  test.each(['invalid-registration-token', 'registration-token-not-registered'])(
+    'should remember the token when FCM reports %s',
+    async (errorCode) => {
+      mockMessaging.send.mockRejectedValue(createFcmError(errorCode));
+
+      await indexModule.handleRequest(createMockRequest(), res, android.createPayload);
+
+      expect(res.status).toHaveBeenCalledWith(410);
+      expect(storeCollections.invalidTokens.docs['test:token123'].value).toMatchObject({
+        errorCode,
+      });
+    },
+  );
+
+  test('should not remember the token for other FCM errors', async () => {
+    mockMessaging.send.mockRejectedValue(createFcmError('internal-error'));
+
+    await indexModule.handleRequest(createMockRequest(), res, android.createPayload);
+
+    expect(storeCollections.invalidTokens?.docs['test:token123']).toBeUndefined();
+  });
+
+  test('should reject known invalid tokens without calling FCM or recording an attempt', async () => {
+    mockMessaging.send.mockRejectedValueOnce(createFcmError('registration-token-not-registered'));
+    await indexModule.handleRequest(
+      createMockRequest(),
+      createMockResponse(),
+      android.createPayload,
+    );
+
+    jest.clearAllMocks();
+
+    await indexModule.handleRequest(createMockRequest(), res, android.createPayload);
+
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+    expect(mockFirestore.runTransaction).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(410);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        errorType: 'KnownInvalidToken',
+        errorCode: 'registration-token-not-registered',
+        errorStep: 'checkInvalidToken',
+        target: 'test:token123',
+        invalidatedAt: expect.any(String),
+      }),
+    );
+  });
+
+  test('should still send when the registry cannot be read', async () => {
+    mockFirestore.collection.mockImplementationOnce(() => ({
+      doc: () => ({ get: jest.fn().mockRejectedValue(new Error('Firestore unavailable')) }),
+    }));
+
+    await indexModule.handleRequest(createMockRequest(), res, android.createPayload);
+
+    expect(mockMessaging.send).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  test('should send again once the token is cleared', async () => {
+    mockMessaging.send.mockRejectedValueOnce(createFcmError('invalid-registration-token'));
+    await indexModule.handleRequest(
+      createMockRequest(),
+      createMockResponse(),
+      android.createPayload,
+    );
+
+    const clearRes = createMockResponse();
+    await indexModule.handleClearInvalidToken(createMockRequest(), clearRes);
+
+    expect(clearRes.status).toHaveBeenCalledWith(200);
+    expect(clearRes.send).toHaveBeenCalledWith({ target: 'test:token123', cleared: true });
+
+    await indexModule.handleRequest(createMockRequest(), res, android.createPayload);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  test('should report when there was nothing to clear', async () => {
+    await indexModule.handleClearInvalidToken(createMockRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({ target: 'test:token123', cleared: false });
+  });
+
+  test('should reject clearing without a valid token', async () => {
+    await indexModule.handleClearInvalidToken(
+      createMockRequest({ body: { push_token: 'not-an-fcm-token' } }),
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -40,6 +40,7 @@ jest.mock('firebase-functions/v1', () => ({
   region: jest.fn().mockReturnThis(),
   runWith: jest.fn().mockReturnThis(),
   https: { onRequest: jest.fn() },
+  pubsub: { schedule: jest.fn(() => ({ onRun: jest.fn() })) },
 }));
 
 const { handleRequest } = require('../index.js');
@@ -0,0 +1,116 @@
+'use strict';
+
+const {
+  ANDROID_MAX_PAYLOAD_BYTES,
+  APNS_MAX_PAYLOAD_BYTES,
+  estimatePayloadSize,
+  checkPayloadSize,
+} = require('../payload-size');
+
+describe('estimatePayloadSize', () => {
+  test('should measure the Android parts of the message', () => {
+    const payload = {
+      data: { message: 'Hello' },
+      android: { priority: 'high' },
+      fcm_options: { analytics_label: 'androidV1Notification' },
+      token: 'test:token123',
+    };
+
+    expect(estimatePayloadSize(payload)).toEqual({
+      android: Buffer.byteLength(JSON.stringify({ data: { message: 'Hello' }, android: {} })),
+      apns: null,
+    });
+  });
+
+  test('should include the message data in the APNs payload', () => {
+    const payload = {
+      data: { key: 'value' },
+      apns: { headers: { 'apns-priority': '10' }, payload: { aps: { alert: { body: 'Hi' } } } },
+    };
+
+    expect(estimatePayloadSize(payload).apns).toBe(
+      Buffer.byteLength(JSON.stringify({ key: 'value', aps: { alert: { body: 'Hi' } } })),
+    );
+  });
+
+  test('should count multi-byte characters in bytes', () => {
+    const ascii = estimatePayloadSize({ data: { message: 'aa' } }).android;
+    const emoji = estimatePayloadSize({ data: { message: '🔥' } }).android;
+
+    expect(emoji - ascii).toBe(2);
+  });
+});
+
+describe('checkPayloadSize', () => {
+  test('should accept messages within the limits', () => {
+    const payload = {
+      notification: { body: 'x'.repeat(1000) },
+      apns: { payload: { aps: { alert: { body: 'x'.repeat(1000) } } } },
+    };
+
+    expect(checkPayloadSize(payload)).toBeNull();
+  });
+
+  test('should report the largest fields of an oversized Android message', () => {
+    const payload = {
+      data: {
+        message: 'x'.repeat(ANDROID_MAX_PAYLOAD_BYTES),
+        title: 'Title',
+        action_1_title: 'y'.repeat(100),
+      },
+      android: { notification: { tag: 'tag' } },
+    };
+
+    const report = checkPayloadSize(payload);
+
+    expect(report).toMatchObject({ platform: 'android', limit: ANDROID_MAX_PAYLOAD_BYTES });
+    expect(report.size).toBeGreaterThan(ANDROID_MAX_PAYLOAD_BYTES);
+    expect(report.largestFields.map(({ field }) => field)).toEqual([
+      'data.message',
+      'data.action_1_title',
+      'data.title',
+      'android.notification.tag',
+    ]);
+    expect(report.largestFields[0].size).toBe(ANDROID_MAX_PAYLOAD_BYTES + 12);
+  });
+
+  test('should report oversized APNs payloads with paths into the message', () => {
+    const payload = {
+      notification: { body: 'short' },
+      apns: {
+        payload: {
+          aps: { alert: { body: 'x'.repeat(APNS_MAX_PAYLOAD_BYTES) } },
+          actions: [{ identifier: 'OPEN', title: 'Open' }],
+        },
+      },
+    };
+
+    const report = checkPayloadSize(payload);
+
+    expect(report.platform).toBe('apns');
+    expect(report.largestFields[0].field).toBe('apns.payload.aps.alert.body');
+    expect(report.largestFields).toContainEqual({
+      field: 'apns.payload.actions.0.identifier',
+      size: Buffer.byteLength('"identifier":"OPEN"'),
+    });
+  });
+
+  test('should only apply the limit of the target platform', () => {
+    const payload = {
+      notification: { body: 'x'.repeat(ANDROID_MAX_PAYLOAD_BYTES) },
+      apns: { payload: { aps: { alert: { body: 'short' } } } },
+    };
+
+    expect(checkPayloadSize(payload).platform).toBe('android');
+    expect(checkPayloadSize(payload, 'apns')).toBeNull();
+    expect(checkPayloadSize(payload, 'android').platform).toBe('android');
+  });
+
+  test('should list at most five fields', () => {
+    const data = Object.fromEntries(
+      Array.from({ length: 10 }, (_, i) => [`field_${i}`, 'x'.repeat(500)]),
+    );
+
+    expect(checkPayloadSize({ data }).largestFields).toHaveLength(5);
+  });
+});
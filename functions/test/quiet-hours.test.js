@@ -0,0 +1,422 @@
+'use strict';
+
+const { createMockRequest, createMockResponse } = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+// Keep rate limits, held notifications and the schedule queue in memory
+process.env.RATE_LIMITER_BACKEND = 'memory';
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+const { dispatchScheduledNotifications } = require('../handlers');
+
+const android = require('../android.js');
+const { schemas } = require('../validation');
+const legacy = require('../legacy.js');
+const {
+  isValidTimeOfDay,
+  getQuietHoursEnd,
+  silencePayload,
+  QuietHoursDigest,
+  createDigestBody,
+} = require('../quiet-hours');
+const MemoryStore = require('../store/memory-store');
+
+// 23:00 in Amsterdam
+const NOW = Date.parse('2024-01-01T22:00:00Z');
+const QUIET_HOURS_END = Date.parse('2024-01-02T06:00:00Z');
+
+const routes = {
+  android: { payloadHandler: android.createPayload, requestSchema: schemas.notification },
+  legacy: { payloadHandler: legacy.createPayload, requestSchema: schemas.legacy },
+};
+
+const createQuietRequest = (body = {}, quietHours = {}, appId = 'com.test.app') =>
+  createMockRequest({
+    body: {
+      push_token: 'test:token123',
+      title: 'Laundry',
+      message: 'The washer is done',
+      registration_info: {
+        app_id: appId,
+        webhook_id: 'webhook',
+        timezone: 'Europe/Amsterdam',
+        quiet_hours: { start: '22:00', end: '07:00', ...quietHours },
+      },
+      ...body,
+    },
+  });
+
+const getResponse = (res) => res.send.mock.calls[0][0];
+
+describe('isValidTimeOfDay', () => {
+  test('should accept 24 hour times', () => {
+    expect(isValidTimeOfDay('00:00')).toBe(true);
+    expect(isValidTimeOfDay('07:30')).toBe(true);
+    expect(isValidTimeOfDay('23:59')).toBe(true);
+  });
+
+  test('should reject anything else', () => {
+    expect(isValidTimeOfDay('24:00')).toBe(false);
+    expect(isValidTimeOfDay('7:30')).toBe(false);
+    expect(isValidTimeOfDay('07:60')).toBe(false);
+    expect(isValidTimeOfDay('10pm')).toBe(false);
+    expect(isValidTimeOfDay(730)).toBe(false);
+  });
+});
+
+describe('getQuietHoursEnd', () => {
+  const overnight = { start: '22:00', end: '07:00' };
+
+  test('should return null outside quiet hours', () => {
+    expect(getQuietHoursEnd(overnight, 'UTC', Date.parse('2024-01-01T12:00:00Z'))).toBeNull();
+    expect(getQuietHoursEnd(overnight, 'UTC', Date.parse('2024-01-01T07:00:00Z'))).toBeNull();
+  });
+
+  test('should end quiet hours that wrap past midnight on the next day', () => {
+    const endsAt = getQuietHoursEnd(overnight, 'UTC', Date.parse('2024-01-01T22:00:00Z'));
+
+    expect(new Date(endsAt).toISOString()).toBe('2024-01-02T07:00:00.000Z');
+  });
+
+  test('should end quiet hours after midnight on the same day', () => {
+    const endsAt = getQuietHoursEnd(overnight, 'UTC', Date.parse('2024-01-02T06:59:30Z'));
+
+    expect(new Date(endsAt).toISOString()).toBe('2024-01-02T07:00:00.000Z');
+  });
+
+  test('should support quiet hours within a day', () => {
+    const afternoon = { start: '13:00', end: '15:30' };
+
+    expect(
+      new Date(
+        getQuietHoursEnd(afternoon, 'UTC', Date.parse('2024-01-01T14:00:00Z')),
+      ).toISOString(),
+    ).toBe('2024-01-01T15:30:00.000Z');
+    expect(getQuietHoursEnd(afternoon, 'UTC', Date.parse('2024-01-01T22:00:00Z'))).toBeNull();
+  });
+
+  test('should use local time in the given time zone', () => {
+    const afternoon = { start: '13:00', end: '15:00' };
+    // 13:30 in New York
+    const now = Date.parse('2024-01-01T18:30:00Z');
+
+    expect(getQuietHoursEnd(afternoon, 'UTC', now)).toBeNull();
+    expect(new Date(getQuietHoursEnd(afternoon, 'America/New_York', now)).toISOString()).toBe(
+      '2024-01-01T20:00:00.000Z',
+    );
+  });
+
+  test('should keep the local end time across a daylight saving change', () => {
+    // Clocks in Amsterdam go forward at 02:00 on 31 March 2024
+    const now = Date.parse('2024-03-30T23:00:00Z');
+
+    expect(new Date(getQuietHoursEnd(overnight, 'Europe/Amsterdam', now)).toISOString()).toBe(
+      '2024-03-31T05:00:00.000Z',
+    );
+  });
+
+  test('should treat equal start and end times as no quiet hours', () => {
+    const quietHours = { start: '08:00', end: '08:00' };
+
+    expect(getQuietHoursEnd(quietHours, 'UTC', Date.parse('2024-01-01T08:00:00Z'))).toBeNull();
+  });
+});
+
+describe('silencePayload', () => {
+  test('should make APNs notifications passive and silent', () => {
+    const payload = {
+      notification: { body: 'Hello' },
+      android: { notification: { sound: 'default' } },
+      apns: { payload: { aps: { alert: { body: 'Hello' }, sound: 'default' } } },
+    };
+
+    silencePayload(payload);
+
+    expect(payload.apns.payload.aps).toEqual({
+      alert: { body: 'Hello' },
+      'interruption-level': 'passive',
+    });
+    expect(payload.android.notification).toEqual({});
+  });
+
+  test("should move Android data messages to the app's default channel", () => {
+    const payload = { data: { message: 'Hello', channel: 'alarms' } };
+
+    silencePayload(payload);
+
+    expect(payload.data).toEqual({ message: 'Hello', importance: 'low' });
+  });
+});
+
+describe('QuietHoursDigest', () => {
+  const ENDS_AT = Date.now() + 60 * 60 * 1000;
+  let digest;
+
+  beforeEach(() => {
+    digest = new QuietHoursDigest(new MemoryStore());
+  });
+
+  test('should count held notifications and keep the latest ones', async () => {
+    const body = (i) => ({ title: `Title ${i}`, message: `Message ${i}`, registration_info: {} });
+
+    await [1, 2, 3, 4, 5, 6].reduce(
+      (previous, i) => previous.then(() => digest.hold('test:token', 'android', body(i), ENDS_AT)),
+      Promise.resolve(),
+    );
+    const entry = await digest.take('test:token');
+
+    expect(entry).toMatchObject({ route: 'android', count: 6, endsAt: ENDS_AT });
+    expect(entry.notifications.map(({ title }) => title)).toEqual([
+      'Title 2',
+      'Title 3',
+      'Title 4',
+      'Title 5',
+      'Title 6',
+    ]);
+  });
+
+  test('should keep every notification held at the same time', async () => {
+    const body = (i) => ({ title: `Title ${i}`, registration_info: {} });
+
+    const counts = await Promise.all(
+      [1, 2, 3].map(
+        async (i) => (await digest.hold('test:token', 'android', body(i), ENDS_AT)).count,
+      ),
+    );
+    const entry = await digest.take('test:token');
+
+    expect(counts.sort()).toEqual([1, 2, 3]);
+    expect(entry.count).toBe(3);
+    expect(entry.notifications).toHaveLength(3);
+  });
+
+  test('should only hand out a digest once', async () => {
+    await digest.hold('test:token', 'android', { message: 'Hello' }, ENDS_AT);
+
+    await expect(digest.take('test:token')).resolves.toMatchObject({ count: 1 });
+    await expect(digest.take('test:token')).resolves.toBeNull();
+  });
+});
+
+describe('createDigestBody', () => {
+  test('should list the held notifications without the quiet hours', () => {
+    const body = createDigestBody('test:token', {
+      route: 'android',
+      registrationInfo: {
+        app_id: 'com.test.app',
+        timezone: 'Europe/Amsterdam',
+        quiet_hours: { start: '22:00', end: '07:00' },
+      },
+      count: 7,
+      notifications: [{ title: 'Door', message: 'Front door opened' }, { message: 'Washer done' }],
+      endsAt: 0,
+    });
+
+    expect(body).toEqual({
+      push_token: 'test:token',
+      title: '7 notifications during quiet hours',
+      message: 'Door: Front door opened\nWasher done\n…and 5 more',
+      registration_info: { app_id: 'com.test.app', timezone: 'Europe/Amsterdam' },
+    });
+  });
+});
+
+describe('Quiet hours', () => {
+  let res;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setTimeout'] });
+
+    mockMessaging.send.mockResolvedValue('message-id');
+    res = createMockResponse();
+
+    // Start every test without held notifications
+    jest.setSystemTime(NOW + 365 * 24 * 60 * 60 * 1000);
+    await dispatchScheduledNotifications(routes);
+    jest.setSystemTime(NOW);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should hold notifications until quiet hours end', async () => {
+    await indexModule.handleRequest(
+      createQuietRequest(),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(getResponse(res)).toEqual({
+      held: true,
+      quietHours: { mode: 'hold', endsAt: '2024-01-02T06:00:00.000Z' },
+      heldCount: 1,
+      target: 'test:token123',
+    });
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+  });
+
+  test('should deliver held notifications as one digest when quiet hours end', async () => {
+    const bodies = [{}, { title: 'Door', message: 'Front door opened' }];
+    await bodies.reduce(
+      (previous, body) =>
+        previous.then(() =>
+          indexModule.handleRequest(
+            createQuietRequest(body),
+            createMockResponse(),
+            android.createPayload,
+            schemas.notification,
+            'android',
+          ),
+        ),
+      Promise.resolve(),
+    );
+
+    jest.setSystemTime(QUIET_HOURS_END - 1000);
+    await expect(dispatchScheduledNotifications(routes)).resolves.toEqual([]);
+
+    jest.setSystemTime(QUIET_HOURS_END);
+    const results = await dispatchScheduledNotifications(routes);
+
+    expect(results).toEqual([expect.objectContaining({ statusCode: 201 })]);
+    expect(results[0].rateLimits).toMatchObject({ attempts: 1, successful: 1 });
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+    expect(mockMessaging.send.mock.calls[0][0].data).toMatchObject({
+      title: '2 notifications during quiet hours',
+      message: 'Laundry: The washer is done\nDoor: Front door opened',
+    });
+  });
+
+  test('should not let scheduled notifications take the digest early', async () => {
+    await indexModule.handleRequest(
+      createQuietRequest(),
+      createMockResponse(),
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+    const spoofed = createQuietRequest({ message: 'Spoofed', delay: 1, quiet_hours_digest: true });
+    delete spoofed.body.registration_info.quiet_hours;
+    await indexModule.handleRequest(
+      spoofed,
+      createMockResponse(),
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    jest.setSystemTime(NOW + 1000);
+    await dispatchScheduledNotifications(routes);
+    expect(mockMessaging.send.mock.calls[0][0].data).toMatchObject({ message: 'Spoofed' });
+
+    jest.setSystemTime(QUIET_HOURS_END);
+    await expect(dispatchScheduledNotifications(routes)).resolves.toEqual([
+      expect.objectContaining({ statusCode: 201 }),
+    ]);
+    expect(mockMessaging.send.mock.calls[1][0].data).toMatchObject({
+      message: 'Laundry: The washer is done',
+    });
+  });
+
+  test('should deliver notifications right away outside quiet hours', async () => {
+    jest.setSystemTime(QUIET_HOURS_END + 60 * 60 * 1000);
+
+    await indexModule.handleRequest(
+      createQuietRequest(),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(getResponse(res).quietHours).toBeUndefined();
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should deliver notifications without sound in silent mode', async () => {
+    await indexModule.handleRequest(
+      createQuietRequest({}, { mode: 'silent' }),
+      res,
+      legacy.createPayload,
+      schemas.legacy,
+      'legacy',
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(getResponse(res).quietHours).toEqual({
+      mode: 'silent',
+      endsAt: '2024-01-02T06:00:00.000Z',
+    });
+    const payload = mockMessaging.send.mock.calls[0][0];
+    expect(payload.apns.payload.aps.sound).toBeUndefined();
+    expect(payload.apns.payload.aps['interruption-level']).toBe('passive');
+  });
+
+  test('should deliver critical notifications right away', async () => {
+    await indexModule.handleRequest(
+      createQuietRequest(
+        { data: { push: { sound: { name: 'default', critical: 1, volume: 1.0 } } } },
+        {},
+        'io.robbie.HomeAssistant',
+      ),
+      res,
+      legacy.createPayload,
+      schemas.legacy,
+      'legacy',
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockMessaging.send.mock.calls[0][0].apns.payload.aps.sound).toEqual({
+      name: 'default',
+      critical: 1,
+      volume: 1,
+    });
+  });
+
+  test('should deliver commands right away', async () => {
+    await indexModule.handleRequest(
+      createQuietRequest({ message: 'command_flashlight' }),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should silence notifications on routes that cannot hold them', async () => {
+    await indexModule.handleRequest(createQuietRequest(), res, android.createPayload);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const { data } = mockMessaging.send.mock.calls[0][0];
+    expect(data).toMatchObject({ importance: 'low' });
+    expect(data).not.toHaveProperty('channel');
+  });
+
+  test('should reject invalid quiet hours', async () => {
+    await indexModule.handleRequest(
+      createQuietRequest({}, { end: '7am', mode: 'snooze' }),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(getResponse(res).errors).toEqual([
+      { field: 'registration_info.quiet_hours.end', message: 'must be a time of day as HH:MM' },
+      { field: 'registration_info.quiet_hours.mode', message: 'must be one of hold, silent' },
+    ]);
+  });
+});
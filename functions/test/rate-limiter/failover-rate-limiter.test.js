@@ -0,0 +1,167 @@
+'use strict';
+
+const FailoverRateLimiter = require('../../rate-limiter/failover-rate-limiter');
+
+const createMockRateLimiter = (name) => ({
+  checkRateLimit: jest.fn().mockResolvedValue({ source: name }),
+  recordAttempt: jest.fn().mockResolvedValue({ source: name }),
+  recordSuccess: jest.fn().mockResolvedValue({ source: name }),
+  recordError: jest.fn().mockResolvedValue({ source: name }),
+  resetRateLimits: jest.fn().mockResolvedValue({ source: name }),
+  getHistory: jest.fn().mockResolvedValue({ source: name }),
+  close: jest.fn().mockResolvedValue(),
+});
+
+describe('FailoverRateLimiter', () => {
+  let primary, fallback, rateLimiter;
+  const testToken = 'test-token-123';
+  const options = { maxNotificationsPerDay: 10 };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T10:00:00Z'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+
+    primary = createMockRateLimiter('primary');
+    fallback = createMockRateLimiter('fallback');
+    rateLimiter = new FailoverRateLimiter(primary, fallback, false, {
+      failureThreshold: 2,
+      resetTimeoutMs: 30000,
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const failPrimary = () => {
+    Object.values(primary).forEach((fn) => fn.mockRejectedValue(new Error('Request timed out')));
+  };
+
+  test.each(['checkRateLimit', 'recordAttempt', 'recordSuccess', 'recordError', 'resetRateLimits'])(
+    'should use the primary for %s while it is healthy',
+    async (method) => {
+      await expect(rateLimiter[method](testToken, options)).resolves.toEqual({
+        source: 'primary',
+      });
+
+      expect(primary[method]).toHaveBeenCalledWith(testToken, options);
+      expect(fallback[method]).not.toHaveBeenCalled();
+    },
+  );
+
+  test('should fall back when the primary fails', async () => {
+    failPrimary();
+
+    await expect(rateLimiter.recordAttempt(testToken, options)).resolves.toEqual({
+      source: 'fallback',
+    });
+
+    expect(fallback.recordAttempt).toHaveBeenCalledWith(testToken, options);
+    expect(rateLimiter.state).toBe('closed');
+  });
+
+  test('should pass the number of days on when getting the history', async () => {
+    failPrimary();
+
+    await expect(rateLimiter.getHistory(testToken, 7, options)).resolves.toEqual({
+      source: 'fallback',
+    });
+
+    expect(primary.getHistory).toHaveBeenCalledWith(testToken, 7, options);
+    expect(fallback.getHistory).toHaveBeenCalledWith(testToken, 7, options);
+  });
+
+  test('should stop calling the primary once the circuit opens', async () => {
+    failPrimary();
+
+    await rateLimiter.checkRateLimit(testToken);
+    await rateLimiter.recordAttempt(testToken);
+    expect(rateLimiter.state).toBe('open');
+    expect(console.warn).toHaveBeenCalledTimes(1);
+
+    await rateLimiter.recordSuccess(testToken);
+
+    expect(primary.recordSuccess).not.toHaveBeenCalled();
+    expect(fallback.recordSuccess).toHaveBeenCalledWith(testToken, {});
+  });
+
+  test('should reset the failure count after a primary success', async () => {
+    primary.checkRateLimit.mockRejectedValueOnce(new Error('Request timed out'));
+
+    await rateLimiter.checkRateLimit(testToken);
+    await rateLimiter.checkRateLimit(testToken);
+    primary.checkRateLimit.mockRejectedValueOnce(new Error('Request timed out'));
+    await rateLimiter.checkRateLimit(testToken);
+
+    expect(rateLimiter.state).toBe('closed');
+  });
+
+  test('should probe the primary after the reset timeout and close on success', async () => {
+    failPrimary();
+    await rateLimiter.checkRateLimit(testToken);
+    await rateLimiter.checkRateLimit(testToken);
+    expect(rateLimiter.state).toBe('open');
+
+    jest.advanceTimersByTime(29999);
+    await rateLimiter.checkRateLimit(testToken);
+    expect(primary.checkRateLimit).toHaveBeenCalledTimes(2);
+
+    primary.checkRateLimit.mockResolvedValue({ source: 'primary' });
+    jest.advanceTimersByTime(1);
+
+    await expect(rateLimiter.checkRateLimit(testToken)).resolves.toEqual({ source: 'primary' });
+    expect(rateLimiter.state).toBe('closed');
+  });
+
+  test('should only let one probe through while half-open', async () => {
+    failPrimary();
+    await rateLimiter.checkRateLimit(testToken);
+    await rateLimiter.checkRateLimit(testToken);
+    jest.advanceTimersByTime(30000);
+
+    let resolveProbe;
+    primary.checkRateLimit.mockReturnValue(
+      new Promise((resolve) => {
+        resolveProbe = resolve;
+      }),
+    );
+
+    const probe = rateLimiter.checkRateLimit(testToken);
+    await expect(rateLimiter.checkRateLimit(testToken)).resolves.toEqual({ source: 'fallback' });
+    expect(rateLimiter.state).toBe('half-open');
+
+    resolveProbe({ source: 'primary' });
+    await expect(probe).resolves.toEqual({ source: 'primary' });
+    expect(rateLimiter.state).toBe('closed');
+  });
+
+  test('should reopen the circuit when the probe fails', async () => {
+    failPrimary();
+    await rateLimiter.checkRateLimit(testToken);
+    await rateLimiter.checkRateLimit(testToken);
+    jest.advanceTimersByTime(30000);
+
+    await expect(rateLimiter.checkRateLimit(testToken)).resolves.toEqual({ source: 'fallback' });
+
+    expect(primary.checkRateLimit).toHaveBeenCalledTimes(3);
+    expect(rateLimiter.state).toBe('open');
+  });
+
+  test('should surface errors when the fallback fails too', async () => {
+    failPrimary();
+    fallback.recordAttempt.mockRejectedValue(new Error('Firestore unavailable'));
+
+    await expect(rateLimiter.recordAttempt(testToken)).rejects.toThrow('Firestore unavailable');
+  });
+
+  test('should close both rate limiters', async () => {
+    delete fallback.close;
+
+    await rateLimiter.close();
+
+    expect(primary.close).toHaveBeenCalled();
+  });
+});
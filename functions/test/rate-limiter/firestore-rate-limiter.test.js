@@ -73,6 +73,9 @@ describe('FirestoreRateLimiter', () => {
         const existing = mockDataManager.getRateLimitData(tokenId, getToday()) || {};
         mockDataManager.setRateLimitData(tokenId, getToday(), Object.assign({}, existing, data));
       }),
+      delete: jest.fn(async () => {
+        mockDataManager.deleteRateLimitData(tokenId, getToday());
+      }),
     }));
 
     // Configure transaction mock
@@ -188,6 +191,44 @@ describe('FirestoreRateLimiter', () => {
     });
   });
 
+  describe('Per-token maximum', () => {
+    test('should enforce the maximum passed in the options', async () => {
+      const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay);
+      const options = { maxNotificationsPerDay: 1 };
+
+      await rateLimiter.recordAttempt(testToken, options);
+      const rateLimits = await rateLimiter.recordSuccess(testToken, options);
+      expect(rateLimits).toMatchObject({ maximum: 1, remaining: 0 });
+
+      const status = await rateLimiter.recordAttempt(testToken, options);
+      assertRateLimits.expectRateLimitNotification(status);
+      expect(status.exceededPolicy).toBe('daily');
+      expect(status.rateLimits.maximum).toBe(1);
+
+      // Other tokens, or the same token without options, still use the default
+      const defaultStatus = await rateLimiter.checkRateLimit(testToken);
+      assertRateLimits.expectNotRateLimited(defaultStatus);
+      expect(defaultStatus.rateLimits.maximum).toBe(maxNotificationsPerDay);
+    });
+  });
+
+  describe('Resetting counters', () => {
+    test('should delete the daily document and report zeroed counters', async () => {
+      const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay);
+      mockDataManager.setRateLimitData(
+        testToken,
+        getToday(),
+        createMockRateLimitData({ attemptsCount: 160, deliveredCount: 150, totalCount: 150 }),
+      );
+
+      const status = await rateLimiter.resetRateLimits(testToken);
+
+      assertRateLimits.expectNotRateLimited(status);
+      expect(status.rateLimits).toMatchObject({ attempts: 0, successful: 0, remaining: 150 });
+      expect(mockDataManager.hasRateLimitData(testToken, getToday())).toBe(false);
+    });
+  });
+
   describe('Document storage functionality', () => {
     test('should store data for current date', async () => {
       const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay);
@@ -205,13 +246,16 @@ describe('FirestoreRateLimiter', () => {
       const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay);
       const status = await rateLimiter.checkRateLimit(testToken);
 
-      const resetsAt = status.rateLimits.resetsAt;
-      expect(resetsAt.getFullYear()).toBe(2024);
-      expect(resetsAt.getMonth()).toBe(0); // January (0-indexed)
-      expect(resetsAt.getDate()).toBe(2); // Next day
-      expect(resetsAt.getHours()).toBe(0);
-      expect(resetsAt.getMinutes()).toBe(0);
-      expect(resetsAt.getSeconds()).toBe(0);
+      expect(status.rateLimits.resetsAt).toEqual(new Date('2024-01-02T00:00:00.000Z'));
+    });
+
+    test('resetsAt should show next midnight in the token time zone', async () => {
+      const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay);
+      const status = await rateLimiter.checkRateLimit(testToken, {
+        timeZone: 'Europe/Amsterdam',
+      });
+
+      expect(status.rateLimits.resetsAt).toEqual(new Date('2024-01-01T23:00:00.000Z'));
     });
 
     test('should handle multiple instances for same token', async () => {
@@ -420,6 +464,50 @@ describe('FirestoreRateLimiter', () => {
     });
   });
 
+  describe('Usage history', () => {
+    const defaultCollection = mockCollection.getMockImplementation();
+
+    afterEach(() => {
+      mockCollection.mockImplementation(defaultCollection);
+    });
+
+    test('should keep documents for the configured history after the day ends', async () => {
+      const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay, false, [], 7);
+
+      await rateLimiter.recordAttempt(testToken);
+
+      expect(mockTimestamp.fromDate).toHaveBeenCalledWith(new Date('2024-01-09T00:00:00Z'));
+    });
+
+    test('should read the document of each day', async () => {
+      const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay);
+      mockDataManager.setRateLimitData(
+        testToken,
+        '20231231',
+        createMockRateLimitData({ attemptsCount: 4, deliveredCount: 3, totalCount: 3 }),
+      );
+      // Route reads to the document of the requested day
+      mockCollection.mockImplementation(() => ({
+        doc: jest.fn((day) => ({
+          collection: jest.fn(() => ({
+            doc: jest.fn((token) => ({
+              get: jest.fn(async () => ({
+                exists: mockDataManager.hasRateLimitData(token, day),
+                data: () => mockDataManager.getRateLimitData(token, day),
+              })),
+            })),
+          })),
+        })),
+      }));
+
+      await expect(rateLimiter.getHistory(testToken, 3)).resolves.toEqual([
+        { date: '2023-12-30', attempts: 0, successful: 0, errors: 0, total: 0 },
+        { date: '2023-12-31', attempts: 4, successful: 3, errors: 0, total: 3 },
+        { date: '2024-01-01', attempts: 0, successful: 0, errors: 0, total: 0 },
+      ]);
+    });
+  });
+
   describe('Timestamp and date handling', () => {
     test('should correctly calculate end of day timestamp', async () => {
       const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay);
@@ -453,4 +541,144 @@ describe('FirestoreRateLimiter', () => {
       expect(storedData).toBeDefined();
     });
   });
+
+  describe('Sliding window policies', () => {
+    const policies = [{ name: 'burst', limit: 3, windowSeconds: 60 }];
+    const defaultCollection = mockCollection.getMockImplementation();
+    let windowDocs;
+
+    beforeEach(() => {
+      windowDocs = {};
+
+      const getWindowsDoc = (path) => ({
+        exists: Boolean(windowDocs[path]),
+        data: () => windowDocs[path],
+      });
+      mockCollection.mockImplementation((name) => {
+        if (name !== 'rateLimitWindows') {
+          return defaultCollection(name);
+        }
+        return {
+          doc: jest.fn((token) => {
+            const path = `rateLimitWindows/${token}`;
+            return {
+              path,
+              get: jest.fn(async () => getWindowsDoc(path)),
+              delete: jest.fn(async () => {
+                delete windowDocs[path];
+              }),
+            };
+          }),
+        };
+      });
+
+      // Route transaction reads and writes to the daily or windows document by path
+      mockRunTransaction.mockImplementation(async (callback) => {
+        const isWindowsRef = (ref) => ref.path.startsWith('rateLimitWindows/');
+        return callback({
+          get: async (ref) =>
+            isWindowsRef(ref)
+              ? getWindowsDoc(ref.path)
+              : {
+                  exists: mockDataManager.hasRateLimitData(testToken, getToday()),
+                  data: () => mockDataManager.getRateLimitData(testToken, getToday()),
+                },
+          set: async (ref, data) => {
+            if (isWindowsRef(ref)) {
+              windowDocs[ref.path] = data;
+            } else {
+              mockDataManager.setRateLimitData(testToken, getToday(), data);
+            }
+          },
+          update: async (ref, data) => {
+            const existing = mockDataManager.getRateLimitData(testToken, getToday()) || {};
+            mockDataManager.setRateLimitData(testToken, getToday(), { ...existing, ...data });
+          },
+        });
+      });
+    });
+
+    afterEach(() => {
+      mockCollection.mockImplementation(defaultCollection);
+    });
+
+    const deliver = async (rateLimiter) => {
+      const status = await rateLimiter.recordAttempt(testToken);
+      if (!status.isRateLimited) {
+        await rateLimiter.recordSuccess(testToken);
+      }
+      return status;
+    };
+
+    test('should not store window counts when no policies are configured', async () => {
+      const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay);
+
+      await deliver(rateLimiter);
+
+      expect(windowDocs).toEqual({});
+      expect((await rateLimiter.checkRateLimit(testToken)).rateLimits.policies).toBeUndefined();
+    });
+
+    test('should trip the burst policy before the daily cap', async () => {
+      const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay, false, policies);
+
+      await deliver(rateLimiter);
+      await deliver(rateLimiter);
+      await deliver(rateLimiter);
+      const status = await deliver(rateLimiter);
+
+      expect(status.isRateLimited).toBe(true);
+      expect(status.shouldSendRateLimitNotification).toBe(false);
+      expect(status.exceededPolicy).toBe('burst');
+      expect(status.rateLimits.successful).toBe(3);
+      expect(status.rateLimits.policies).toEqual([
+        {
+          name: 'burst',
+          limit: 3,
+          windowSeconds: 60,
+          count: 3,
+          remaining: 0,
+          resetsAt: new Date('2024-01-01T10:01:00Z'),
+        },
+      ]);
+      expect(windowDocs[`rateLimitWindows/${testToken}`].windows.burst.count).toBe(3);
+    });
+
+    test('should free up capacity as the window slides', async () => {
+      const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay, false, policies);
+
+      await deliver(rateLimiter);
+      await deliver(rateLimiter);
+      await deliver(rateLimiter);
+
+      // Two thirds of the previous minute are outside the window 40 seconds later
+      jest.setSystemTime(new Date('2024-01-01T10:01:40Z'));
+      const status = await rateLimiter.checkRateLimit(testToken);
+
+      expect(status.isRateLimited).toBe(false);
+      expect(status.exceededPolicy).toBeNull();
+      expect(status.rateLimits.policies[0]).toMatchObject({ count: 1, remaining: 2 });
+    });
+
+    test('should expire the windows document after twice the longest window', async () => {
+      const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay, false, policies);
+
+      await deliver(rateLimiter);
+
+      expect(mockTimestamp.fromDate).toHaveBeenCalledWith(new Date('2024-01-01T10:02:00Z'));
+    });
+
+    test('should reset the window counts along with the daily counters', async () => {
+      const rateLimiter = new FirestoreRateLimiter(maxNotificationsPerDay, false, policies);
+
+      await deliver(rateLimiter);
+      await deliver(rateLimiter);
+      await deliver(rateLimiter);
+      const status = await rateLimiter.resetRateLimits(testToken);
+
+      expect(status.isRateLimited).toBe(false);
+      expect(status.rateLimits.policies[0]).toMatchObject({ count: 0, remaining: 3 });
+      expect(windowDocs).toEqual({});
+    });
+  });
 });
@@ -0,0 +1,236 @@
+'use strict';
+
+const MemoryRateLimiter = require('../../rate-limiter/memory-rate-limiter');
+
+const { assertRateLimits } = require('../utils/assertion-helpers');
+
+describe('MemoryRateLimiter', () => {
+  let rateLimiter;
+  const testToken = 'test-token-123';
+  const maxNotificationsPerDay = 3;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T10:00:00Z'));
+
+    rateLimiter = new MemoryRateLimiter(maxNotificationsPerDay);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const deliver = async (limiter = rateLimiter, token = testToken) => {
+    const status = await limiter.recordAttempt(token);
+    if (!status.isRateLimited) {
+      await limiter.recordSuccess(token);
+    }
+    return status;
+  };
+
+  describe('Basic functionality', () => {
+    test('should initialize with zero counts', async () => {
+      const status = await rateLimiter.checkRateLimit(testToken);
+
+      assertRateLimits.expectNotRateLimited(status);
+      expect(status.exceededPolicy).toBeNull();
+      expect(status.rateLimits).toEqual({
+        attempts: 0,
+        successful: 0,
+        errors: 0,
+        total: 0,
+        maximum: maxNotificationsPerDay,
+        remaining: maxNotificationsPerDay,
+        resetsAt: new Date('2024-01-02T00:00:00.000Z'),
+      });
+    });
+
+    test('should count attempts, successes and errors', async () => {
+      await rateLimiter.recordAttempt(testToken);
+      await rateLimiter.recordSuccess(testToken);
+      await rateLimiter.recordAttempt(testToken);
+      const rateLimits = await rateLimiter.recordError(testToken);
+
+      assertRateLimits.expectRateLimitCounts(rateLimits, {
+        attempts: 2,
+        successful: 1,
+        errors: 1,
+        total: 2,
+        remaining: 2,
+      });
+    });
+
+    test('should enforce rate limit', async () => {
+      await deliver();
+      await deliver();
+      const lastAllowed = await deliver();
+      assertRateLimits.expectNotRateLimited(lastAllowed);
+
+      const status = await deliver();
+      assertRateLimits.expectRateLimitNotification(status);
+      expect(status.exceededPolicy).toBe('daily');
+      expect(status.rateLimits.successful).toBe(3);
+    });
+
+    test('should honor the maximum passed in the options', async () => {
+      await deliver();
+
+      const status = await rateLimiter.checkRateLimit(testToken, { maxNotificationsPerDay: 1 });
+
+      assertRateLimits.expectRateLimitNotification(status);
+      expect(status.rateLimits.maximum).toBe(1);
+    });
+
+    test('should track tokens independently', async () => {
+      await deliver(rateLimiter, 'token-a');
+      await deliver(rateLimiter, 'token-a');
+
+      const statusA = await rateLimiter.checkRateLimit('token-a');
+      const statusB = await rateLimiter.checkRateLimit('token-b');
+
+      expect(statusA.rateLimits.successful).toBe(2);
+      expect(statusB.rateLimits.successful).toBe(0);
+    });
+
+    test('should not share counters between instances', async () => {
+      await deliver();
+
+      const status = await new MemoryRateLimiter(maxNotificationsPerDay).checkRateLimit(testToken);
+      expect(status.rateLimits.successful).toBe(0);
+    });
+  });
+
+  describe('Resetting counters', () => {
+    test('should zero the counters of the token for the day', async () => {
+      await deliver();
+      await deliver();
+      await deliver();
+      await deliver(rateLimiter, 'other-token');
+
+      const status = await rateLimiter.resetRateLimits(testToken);
+
+      assertRateLimits.expectNotRateLimited(status);
+      expect(status.rateLimits).toMatchObject({ attempts: 0, successful: 0, remaining: 3 });
+      expect((await rateLimiter.checkRateLimit('other-token')).rateLimits.successful).toBe(1);
+    });
+
+    test('should zero the sliding window counts', async () => {
+      const limiter = new MemoryRateLimiter(10, false, [
+        { name: 'burst', limit: 2, windowSeconds: 60 },
+      ]);
+      await deliver(limiter);
+      await deliver(limiter);
+
+      const status = await limiter.resetRateLimits(testToken);
+
+      expect(status.isRateLimited).toBe(false);
+      expect(status.rateLimits.policies[0]).toMatchObject({ count: 0, remaining: 2 });
+    });
+  });
+
+  describe('Usage history', () => {
+    test('should only keep the counters of today by default', async () => {
+      await deliver();
+      jest.setSystemTime(new Date('2024-01-02T10:00:00Z'));
+      await deliver();
+
+      await expect(rateLimiter.getHistory(testToken, 2)).resolves.toEqual([
+        { date: '2024-01-01', attempts: 0, successful: 0, errors: 0, total: 0 },
+        { date: '2024-01-02', attempts: 1, successful: 1, errors: 0, total: 1 },
+      ]);
+    });
+
+    test('should keep the counters of past days for the configured history', async () => {
+      const limiter = new MemoryRateLimiter(maxNotificationsPerDay, false, [], 2);
+      await deliver(limiter);
+      await deliver(limiter);
+      jest.setSystemTime(new Date('2024-01-03T10:00:00Z'));
+      await limiter.recordAttempt(testToken);
+      await limiter.recordError(testToken);
+
+      await expect(limiter.getHistory(testToken, 3)).resolves.toEqual([
+        { date: '2024-01-01', attempts: 2, successful: 2, errors: 0, total: 2 },
+        { date: '2024-01-02', attempts: 0, successful: 0, errors: 0, total: 0 },
+        { date: '2024-01-03', attempts: 1, successful: 0, errors: 1, total: 1 },
+      ]);
+
+      // The first day is dropped once it is more than two days old
+      jest.setSystemTime(new Date('2024-01-04T00:00:01Z'));
+      const history = await limiter.getHistory(testToken, 4);
+      expect(history[0]).toMatchObject({ date: '2024-01-01', successful: 0 });
+    });
+  });
+
+  describe('Day boundary', () => {
+    test('should reset counters at the end of the day', async () => {
+      await deliver();
+      await deliver();
+      await deliver();
+      assertRateLimits.expectRateLimited(await rateLimiter.checkRateLimit(testToken), true);
+
+      jest.setSystemTime(new Date('2024-01-02T00:00:01Z'));
+
+      const status = await rateLimiter.checkRateLimit(testToken);
+      assertRateLimits.expectNotRateLimited(status);
+      expect(status.rateLimits.successful).toBe(0);
+    });
+
+    test('should purge expired records from memory', async () => {
+      await deliver(rateLimiter, 'token-a');
+      await deliver(rateLimiter, 'token-b');
+      expect(rateLimiter.records.size).toBe(2);
+
+      jest.setSystemTime(new Date('2024-01-02T00:05:00Z'));
+      await rateLimiter.checkRateLimit('token-c');
+
+      expect([...rateLimiter.records.keys()]).toEqual(['token-c:20240102']);
+    });
+
+    test('should reset counters at midnight in the token time zone', async () => {
+      const options = { timeZone: 'Europe/Amsterdam' };
+      await rateLimiter.recordAttempt(testToken, options);
+      await rateLimiter.recordSuccess(testToken, options);
+
+      // 23:30 UTC is already the next day in Amsterdam, but not in UTC
+      jest.setSystemTime(new Date('2024-01-01T23:30:00Z'));
+
+      const status = await rateLimiter.checkRateLimit(testToken, options);
+      expect(status.rateLimits.successful).toBe(0);
+      expect(status.rateLimits.resetsAt).toEqual(new Date('2024-01-02T23:00:00.000Z'));
+      expect((await rateLimiter.checkRateLimit(testToken)).rateLimits.successful).toBe(0);
+      expect([...rateLimiter.records.keys()]).toContain(`${testToken}:20240102`);
+    });
+  });
+
+  describe('Sliding window policies', () => {
+    const policies = [{ name: 'burst', limit: 2, windowSeconds: 60 }];
+
+    test('should trip the burst policy before the daily cap', async () => {
+      const limiter = new MemoryRateLimiter(10, false, policies);
+
+      await deliver(limiter);
+      await deliver(limiter);
+      const status = await deliver(limiter);
+
+      expect(status.isRateLimited).toBe(true);
+      expect(status.shouldSendRateLimitNotification).toBe(false);
+      expect(status.exceededPolicy).toBe('burst');
+      expect(status.rateLimits.policies).toEqual([
+        expect.objectContaining({ name: 'burst', count: 2, remaining: 0 }),
+      ]);
+    });
+
+    test('should allow deliveries again once the window has passed', async () => {
+      const limiter = new MemoryRateLimiter(10, false, policies);
+
+      await deliver(limiter);
+      await deliver(limiter);
+
+      jest.setSystemTime(new Date('2024-01-01T10:02:00Z'));
+
+      const status = await deliver(limiter);
+      expect(status.isRateLimited).toBe(false);
+      expect((await limiter.checkRateLimit(testToken)).rateLimits.successful).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const { RateLimitOverrides } = require('../../rate-limiter/overrides');
+const MemoryStore = require('../../store/memory-store');
+
+describe('RateLimitOverrides', () => {
+  const NOW = Date.parse('2024-01-01T10:00:00Z');
+  let overrides;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    overrides = new RateLimitOverrides(new MemoryStore());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should keep an override until it expires', async () => {
+    const override = await overrides.set(
+      'test:token',
+      { maxNotificationsPerDay: 1000, reason: 'Looping automation' },
+      NOW + 60 * 1000,
+    );
+
+    expect(override).toEqual({
+      maxNotificationsPerDay: 1000,
+      exempt: false,
+      reason: 'Looping automation',
+      createdAt: '2024-01-01T10:00:00.000Z',
+      expiresAt: '2024-01-01T10:01:00.000Z',
+    });
+    await expect(overrides.get('test:token')).resolves.toEqual(override);
+
+    jest.advanceTimersByTime(60 * 1000);
+    await expect(overrides.get('test:token')).resolves.toBeNull();
+  });
+
+  test('should replace a previous override', async () => {
+    await overrides.set('test:token', { maxNotificationsPerDay: 1000 }, NOW + 60 * 1000);
+    const override = await overrides.set('test:token', { exempt: true }, NOW + 60 * 1000);
+
+    expect(override).toMatchObject({ maxNotificationsPerDay: null, exempt: true, reason: null });
+    await expect(overrides.get('test:token')).resolves.toEqual(override);
+  });
+
+  test('should clear an override', async () => {
+    const override = await overrides.set('test:token', { exempt: true }, NOW + 60 * 1000);
+
+    await expect(overrides.clear('test:token')).resolves.toEqual(override);
+    await expect(overrides.get('test:token')).resolves.toBeNull();
+    await expect(overrides.clear('test:token')).resolves.toBeNull();
+  });
+});
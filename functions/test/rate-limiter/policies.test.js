@@ -0,0 +1,107 @@
+'use strict';
+
+const {
+  DAILY_POLICY,
+  parsePolicies,
+  getBucket,
+  normalizeWindowCounts,
+  getPolicyStatus,
+} = require('../../rate-limiter/policies');
+
+describe('rate limit policies', () => {
+  const burst = { name: 'burst', limit: 30, windowSeconds: 60 };
+  // 2024-01-01T10:00:00Z, which is exactly on a minute boundary
+  const now = new Date('2024-01-01T10:00:00Z').getTime();
+
+  describe('parsePolicies', () => {
+    test('should return no policies when unset', () => {
+      expect(parsePolicies(undefined)).toEqual([]);
+      expect(parsePolicies('')).toEqual([]);
+    });
+
+    test('should parse a list of policies', () => {
+      const policies = parsePolicies(
+        JSON.stringify([
+          { name: 'burst', limit: 30, windowSeconds: 60, extra: true },
+          { name: 'rolling', limit: 500, windowSeconds: 86400 },
+        ]),
+      );
+
+      expect(policies).toEqual([burst, { name: 'rolling', limit: 500, windowSeconds: 86400 }]);
+    });
+
+    test.each([
+      ['a non-array value', '{"name":"burst"}'],
+      ['a missing name', '[{"limit":30,"windowSeconds":60}]'],
+      ['a duplicate name', JSON.stringify([burst, burst])],
+      ['the reserved daily name', `[{"name":"${DAILY_POLICY}","limit":1,"windowSeconds":60}]`],
+      ['a non-integer limit', '[{"name":"burst","limit":"30","windowSeconds":60}]'],
+      ['a zero window', '[{"name":"burst","limit":30,"windowSeconds":0}]'],
+    ])('should reject %s', (_, value) => {
+      expect(() => parsePolicies(value)).toThrow();
+    });
+  });
+
+  describe('normalizeWindowCounts', () => {
+    const bucket = getBucket(burst, now);
+
+    test('should start empty without stored counts', () => {
+      expect(normalizeWindowCounts(burst, undefined, now)).toEqual({
+        bucket,
+        count: 0,
+        previousCount: 0,
+      });
+    });
+
+    test('should keep counts from the current bucket', () => {
+      const counts = { bucket, count: 4, previousCount: 2 };
+      expect(normalizeWindowCounts(burst, counts, now)).toEqual(counts);
+    });
+
+    test('should shift counts from the previous bucket', () => {
+      const counts = { bucket: bucket - 1, count: 4, previousCount: 2 };
+      expect(normalizeWindowCounts(burst, counts, now)).toEqual({
+        bucket,
+        count: 0,
+        previousCount: 4,
+      });
+    });
+
+    test('should drop counts older than the previous bucket', () => {
+      const counts = { bucket: bucket - 2, count: 4, previousCount: 2 };
+      expect(normalizeWindowCounts(burst, counts, now)).toEqual({
+        bucket,
+        count: 0,
+        previousCount: 0,
+      });
+    });
+  });
+
+  describe('getPolicyStatus', () => {
+    const bucket = getBucket(burst, now);
+
+    test('should count the whole previous bucket at the start of a bucket', () => {
+      const status = getPolicyStatus(burst, { bucket, count: 10, previousCount: 20 }, now);
+
+      expect(status).toEqual({
+        name: 'burst',
+        limit: 30,
+        windowSeconds: 60,
+        count: 30,
+        remaining: 0,
+        resetsAt: new Date('2024-01-01T10:01:00Z'),
+      });
+    });
+
+    test('should weight the previous bucket by its overlap with the window', () => {
+      const status = getPolicyStatus(
+        burst,
+        { bucket, count: 10, previousCount: 20 },
+        now + 45 * 1000,
+      );
+
+      expect(status.count).toBe(15);
+      expect(status.remaining).toBe(15);
+    });
+  });
+});
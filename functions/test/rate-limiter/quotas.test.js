@@ -0,0 +1,144 @@
+'use strict';
+
+const mockGet = jest.fn();
+const mockDoc = jest.fn(() => ({ get: mockGet }));
+const mockCollection = jest.fn(() => ({ doc: mockDoc }));
+
+jest.mock('firebase-admin/firestore', () => ({
+  getFirestore: jest.fn(() => ({ collection: mockCollection })),
+}));
+
+const { QuotaResolver, parseQuotas } = require('../../rate-limiter/quotas');
+
+describe('QuotaResolver', () => {
+  const testToken = 'test-token-123';
+  const quotas = {
+    apps: {
+      'io.robbie.HomeAssistant.beta': 1000,
+      'io.robbie.HomeAssistant.mac': 200,
+    },
+    tiers: {
+      cloud: 1500,
+      supporter: 600,
+    },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T10:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('parseQuotas', () => {
+    test('should return no quotas when unset', () => {
+      expect(parseQuotas(undefined)).toEqual({});
+    });
+
+    test('should parse app and tier quotas', () => {
+      expect(parseQuotas(JSON.stringify(quotas))).toEqual(quotas);
+    });
+
+    test.each([
+      ['a non-object section', '{"apps":[500]}'],
+      ['a non-integer quota', '{"apps":{"io.robbie.HomeAssistant":"500"}}'],
+      ['a negative quota', '{"tiers":{"cloud":-1}}'],
+    ])('should reject %s', (_, value) => {
+      expect(() => parseQuotas(value)).toThrow();
+    });
+  });
+
+  describe('resolve', () => {
+    test('should use the default without quotas', async () => {
+      const resolver = new QuotaResolver(500);
+
+      await expect(
+        resolver.resolve(testToken, { app_id: 'io.robbie.HomeAssistant' }),
+      ).resolves.toBe(500);
+      expect(mockGet).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['io.robbie.HomeAssistant', 500],
+      ['io.robbie.HomeAssistant.beta', 1000],
+      ['io.robbie.HomeAssistant.mac', 200],
+      ['constructor', 500],
+    ])('should resolve the quota for %s', async (appId, expected) => {
+      const resolver = new QuotaResolver(500, { apps: quotas.apps });
+
+      await expect(resolver.resolve(testToken, { app_id: appId })).resolves.toBe(expected);
+    });
+
+    test('should handle missing registration_info', async () => {
+      const resolver = new QuotaResolver(500, { apps: quotas.apps });
+
+      await expect(resolver.resolve(testToken, undefined)).resolves.toBe(500);
+    });
+
+    test('should raise the cap for tokens in a tier', async () => {
+      const tierLookup = jest.fn().mockResolvedValue('cloud');
+      const resolver = new QuotaResolver(500, quotas, tierLookup);
+
+      await expect(
+        resolver.resolve(testToken, { app_id: 'io.robbie.HomeAssistant' }),
+      ).resolves.toBe(1500);
+      expect(tierLookup).toHaveBeenCalledWith(testToken);
+    });
+
+    test('should never lower the app quota because of a tier', async () => {
+      const resolver = new QuotaResolver(500, quotas, jest.fn().mockResolvedValue('supporter'));
+
+      await expect(
+        resolver.resolve(testToken, { app_id: 'io.robbie.HomeAssistant.beta' }),
+      ).resolves.toBe(1000);
+    });
+
+    test('should ignore unknown tiers', async () => {
+      const resolver = new QuotaResolver(500, quotas, jest.fn().mockResolvedValue('unknown'));
+
+      await expect(resolver.resolve(testToken, {})).resolves.toBe(500);
+    });
+
+    test('should cache tier lookups for a few minutes', async () => {
+      const tierLookup = jest.fn().mockResolvedValue('cloud');
+      const resolver = new QuotaResolver(500, quotas, tierLookup);
+
+      await resolver.resolve(testToken, {});
+      await resolver.resolve(testToken, {});
+      expect(tierLookup).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(5 * 60 * 1000);
+      await resolver.resolve(testToken, {});
+      expect(tierLookup).toHaveBeenCalledTimes(2);
+    });
+
+    test('should propagate tier lookup errors', async () => {
+      const resolver = new QuotaResolver(
+        500,
+        quotas,
+        jest.fn().mockRejectedValue(new Error('lookup failed')),
+      );
+
+      await expect(resolver.resolve(testToken, {})).rejects.toThrow('lookup failed');
+    });
+
+    test('should look tiers up in Firestore by default', async () => {
+      mockGet.mockResolvedValue({ exists: true, data: () => ({ tier: 'cloud' }) });
+      const resolver = new QuotaResolver(500, quotas);
+
+      await expect(resolver.resolve(testToken, {})).resolves.toBe(1500);
+      expect(mockCollection).toHaveBeenCalledWith('rateLimitTiers');
+      expect(mockDoc).toHaveBeenCalledWith(testToken);
+    });
+
+    test('should treat tokens without a tier document as untiered', async () => {
+      mockGet.mockResolvedValue({ exists: false, data: () => undefined });
+      const resolver = new QuotaResolver(500, quotas);
+
+      await expect(resolver.resolve(testToken, {})).resolves.toBe(500);
+    });
+  });
+});
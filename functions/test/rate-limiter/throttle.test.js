@@ -0,0 +1,94 @@
+'use strict';
+
+const { parseThrottles, AbuseThrottle } = require('../../rate-limiter/throttle');
+const MemoryStore = require('../../store/memory-store');
+
+describe('parseThrottles', () => {
+  test('should return no throttles when unset', () => {
+    expect(parseThrottles(undefined)).toEqual([]);
+  });
+
+  test('should parse throttles keyed by IP address and webhook', () => {
+    expect(
+      parseThrottles(
+        '[{"name":"ip","limit":600,"windowSeconds":60},{"name":"webhook_id","limit":300,"windowSeconds":60}]',
+      ),
+    ).toEqual([
+      { name: 'ip', limit: 600, windowSeconds: 60 },
+      { name: 'webhook_id', limit: 300, windowSeconds: 60 },
+    ]);
+  });
+
+  test('should reject throttles keyed by anything else', () => {
+    expect(() => parseThrottles('[{"name":"token","limit":10,"windowSeconds":60}]')).toThrow(
+      'Throttle name must be one of ip, webhook_id, got: token',
+    );
+  });
+});
+
+describe('AbuseThrottle', () => {
+  const NOW = Date.parse('2024-01-01T10:00:00Z');
+  let throttle;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    throttle = new AbuseThrottle(new MemoryStore(), [
+      { name: 'ip', limit: 3, windowSeconds: 60 },
+      { name: 'webhook_id', limit: 2, windowSeconds: 60 },
+    ]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const hitTimes = (keys, times) =>
+    Array.from({ length: times }).reduce(
+      (previous) => previous.then(() => throttle.hit(keys, NOW)),
+      Promise.resolve(null),
+    );
+
+  test('should allow requests up to the limit', async () => {
+    await expect(hitTimes({ ip: '192.0.2.1' }, 3)).resolves.toBeNull();
+  });
+
+  test('should report the throttle that is exceeded', async () => {
+    const throttled = await hitTimes({ ip: '192.0.2.1' }, 4);
+
+    expect(throttled).toEqual({
+      throttle: 'ip',
+      status: expect.objectContaining({ limit: 3, count: 4, remaining: 0 }),
+    });
+  });
+
+  test('should throttle webhooks across IP addresses', async () => {
+    await throttle.hit({ ip: '192.0.2.1', webhook_id: 'webhook' }, NOW);
+    await throttle.hit({ ip: '192.0.2.2', webhook_id: 'webhook' }, NOW);
+
+    await expect(
+      throttle.hit({ ip: '192.0.2.3', webhook_id: 'webhook' }, NOW),
+    ).resolves.toMatchObject({ throttle: 'webhook_id' });
+  });
+
+  test('should count each key separately', async () => {
+    await hitTimes({ ip: '192.0.2.1' }, 3);
+
+    await expect(throttle.hit({ ip: '2001:db8::1' }, NOW)).resolves.toBeNull();
+  });
+
+  test('should carry over part of the previous window', async () => {
+    await hitTimes({ ip: '192.0.2.1' }, 3);
+
+    // Halfway through the next window, half of the previous requests still count
+    jest.setSystemTime(NOW + 90 * 1000);
+    await expect(throttle.hit({ ip: '192.0.2.1' }, NOW + 90 * 1000)).resolves.toBeNull();
+    await expect(throttle.hit({ ip: '192.0.2.1' }, NOW + 90 * 1000)).resolves.toBeNull();
+    await expect(throttle.hit({ ip: '192.0.2.1' }, NOW + 90 * 1000)).resolves.toMatchObject({
+      throttle: 'ip',
+    });
+  });
+
+  test('should skip throttles the request has no key for', async () => {
+    await expect(hitTimes({ ip: undefined, webhook_id: 42 }, 5)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { TimeZoneRegistry } = require('../../rate-limiter/time-zones');
+const MemoryStore = require('../../store/memory-store');
+
+describe('TimeZoneRegistry', () => {
+  const NOW = Date.parse('2024-01-01T10:00:00Z');
+  const DAY = 24 * 60 * 60 * 1000;
+  let store;
+  let timeZones;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    store = new MemoryStore();
+    timeZones = new TimeZoneRegistry(store);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should keep the time zone the token first uses', async () => {
+    await expect(timeZones.resolve('test:token', 'Pacific/Kiritimati')).resolves.toBe(
+      'Pacific/Kiritimati',
+    );
+    await expect(timeZones.resolve('test:token', 'Pacific/Honolulu')).resolves.toBe(
+      'Pacific/Kiritimati',
+    );
+    await expect(timeZones.resolve('test:token')).resolves.toBe('Pacific/Kiritimati');
+  });
+
+  test('should fall back to UTC without pinning it when no time zone is sent', async () => {
+    await expect(timeZones.resolve('test:token')).resolves.toBe('UTC');
+    await expect(timeZones.resolve('test:token', 'Europe/Amsterdam')).resolves.toBe(
+      'Europe/Amsterdam',
+    );
+  });
+
+  test('should replace the pinned time zone at most once a day', async () => {
+    await timeZones.resolve('test:token', 'Europe/Amsterdam');
+
+    jest.advanceTimersByTime(DAY - 1);
+    await expect(timeZones.resolve('test:token', 'Pacific/Kiritimati')).resolves.toBe(
+      'Europe/Amsterdam',
+    );
+
+    jest.advanceTimersByTime(1);
+    await expect(timeZones.resolve('test:token', 'America/New_York')).resolves.toBe(
+      'America/New_York',
+    );
+    await expect(timeZones.resolve('test:token', 'Pacific/Kiritimati')).resolves.toBe(
+      'America/New_York',
+    );
+  });
+
+  test('should keep the pinned time zone when requests send it again', async () => {
+    await timeZones.resolve('test:token', 'Europe/Amsterdam');
+
+    jest.advanceTimersByTime(2 * DAY);
+    await timeZones.resolve('test:token', 'Europe/Amsterdam');
+    await timeZones.resolve('test:token');
+
+    await expect(timeZones.resolve('test:token', 'America/New_York')).resolves.toBe(
+      'America/New_York',
+    );
+  });
+
+  test('should let pins without a time be replaced right away', async () => {
+    await store.set('rateLimitTimeZones', 'test:token', { timeZone: 'Europe/Amsterdam' });
+
+    await expect(timeZones.resolve('test:token')).resolves.toBe('Europe/Amsterdam');
+    await expect(timeZones.resolve('test:token', 'America/New_York')).resolves.toBe(
+      'America/New_York',
+    );
+  });
+
+  test('should forget the pinned time zone of unused tokens', async () => {
+    await timeZones.resolve('test:token', 'Europe/Amsterdam');
+
+    jest.advanceTimersByTime(30 * DAY);
+    await expect(timeZones.resolve('test:token')).resolves.toBe('UTC');
+  });
+});
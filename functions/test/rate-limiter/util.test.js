@@ -0,0 +1,124 @@
+'use strict';
+
+const {
+  getExpiry,
+  getHistoryDay,
+  getNextReset,
+  getRecentDays,
+  getToday,
+  isValidTimeZone,
+} = require('../../rate-limiter/util');
+
+describe('Rate limiter day boundaries', () => {
+  const now = Date.parse('2024-01-01T23:30:00Z');
+
+  describe('getToday', () => {
+    test('should use the UTC date by default', () => {
+      expect(getToday(undefined, now)).toBe('20240101');
+    });
+
+    test('should use the date in the given time zone', () => {
+      expect(getToday('Europe/Amsterdam', now)).toBe('20240102');
+      expect(getToday('America/New_York', now)).toBe('20240101');
+      expect(getToday('Pacific/Kiritimati', Date.parse('2024-12-31T10:00:00Z'))).toBe('20250101');
+    });
+  });
+
+  describe('getNextReset', () => {
+    test('should reset at midnight UTC by default', () => {
+      expect(getNextReset(undefined, now)).toEqual(new Date('2024-01-02T00:00:00Z'));
+    });
+
+    test('should reset at midnight in the given time zone', () => {
+      expect(getNextReset('Europe/Amsterdam', now)).toEqual(new Date('2024-01-02T23:00:00Z'));
+      expect(getNextReset('America/New_York', now)).toEqual(new Date('2024-01-02T05:00:00Z'));
+      expect(getNextReset('Asia/Kolkata', now)).toEqual(new Date('2024-01-02T18:30:00Z'));
+    });
+
+    test('should follow daylight saving time changes', () => {
+      // Clocks go forward at 02:00 on March 31 and back at 03:00 on October 27
+      expect(getNextReset('Europe/Amsterdam', Date.parse('2024-03-31T12:00:00Z'))).toEqual(
+        new Date('2024-03-31T22:00:00Z'),
+      );
+      expect(getNextReset('Europe/Amsterdam', Date.parse('2024-10-27T12:00:00Z'))).toEqual(
+        new Date('2024-10-27T23:00:00Z'),
+      );
+    });
+
+    test('should reset when the day starts where the clocks skip midnight', () => {
+      // Santiago moves its clocks from 00:00 to 01:00 on September 8
+      expect(getNextReset('America/Santiago', Date.parse('2024-09-07T12:00:00Z'))).toEqual(
+        new Date('2024-09-08T04:00:00Z'),
+      );
+    });
+
+    test('should always be later than now', () => {
+      const midnight = Date.parse('2024-01-02T00:00:00Z');
+      expect(getNextReset('UTC', midnight)).toEqual(new Date('2024-01-03T00:00:00Z'));
+    });
+  });
+
+  describe('getExpiry', () => {
+    test('should expire at the next reset by default', () => {
+      expect(getExpiry(undefined, 0, now)).toEqual(new Date('2024-01-02T00:00:00Z'));
+    });
+
+    test('should keep the counters for the history days after the reset', () => {
+      expect(getExpiry('Europe/Amsterdam', 7, now)).toEqual(new Date('2024-01-09T23:00:00Z'));
+    });
+  });
+
+  describe('getRecentDays', () => {
+    test('should list the days ending with today, oldest first', () => {
+      expect(getRecentDays(3, undefined, now)).toEqual(['20231230', '20231231', '20240101']);
+      expect(getRecentDays(2, 'Europe/Amsterdam', now)).toEqual(['20240101', '20240102']);
+      expect(getRecentDays(1, undefined, now)).toEqual(['20240101']);
+    });
+
+    test('should not skip days that are shorter because of daylight saving time', () => {
+      // March 31 only has 23 hours in Amsterdam
+      expect(getRecentDays(3, 'Europe/Amsterdam', Date.parse('2024-04-01T21:30:00Z'))).toEqual([
+        '20240330',
+        '20240331',
+        '20240401',
+      ]);
+    });
+  });
+
+  describe('getHistoryDay', () => {
+    test('should convert stored counters to a history entry', () => {
+      expect(
+        getHistoryDay('20240101', {
+          attemptsCount: 12,
+          deliveredCount: 10,
+          errorCount: 1,
+          totalCount: 11,
+        }),
+      ).toEqual({ date: '2024-01-01', attempts: 12, successful: 10, errors: 1, total: 11 });
+    });
+
+    test('should report days without counters as empty', () => {
+      expect(getHistoryDay('20240101')).toEqual({
+        date: '2024-01-01',
+        attempts: 0,
+        successful: 0,
+        errors: 0,
+        total: 0,
+      });
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    test('should accept IANA time zones', () => {
+      expect(isValidTimeZone('UTC')).toBe(true);
+      expect(isValidTimeZone('Europe/Amsterdam')).toBe(true);
+    });
+
+    test('should reject anything else', () => {
+      expect(isValidTimeZone('Europe/Atlantis')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+      expect(isValidTimeZone(1)).toBe(false);
+      expect(isValidTimeZone(undefined)).toBe(false);
+    });
+  });
+});
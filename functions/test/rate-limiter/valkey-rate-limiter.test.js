@@ -35,6 +35,7 @@ describe('ValkeyRateLimiter', () => {
     mockClient = {
       hgetall: jest.fn(),
       exec: jest.fn(),
+      del: jest.fn(),
       close: jest.fn(),
     };
 
@@ -43,6 +44,8 @@ describe('ValkeyRateLimiter', () => {
       hincrBy: jest.fn().mockReturnThis(),
       expire: jest.fn().mockReturnThis(),
       hgetall: jest.fn().mockReturnThis(),
+      incr: jest.fn().mockReturnThis(),
+      get: jest.fn().mockReturnThis(),
     };
 
     ClusterBatch.mockImplementation((isAtomic) => {
@@ -181,6 +184,31 @@ describe('ValkeyRateLimiter', () => {
     });
   });
 
+  describe('Per-token maximum', () => {
+    test('should enforce the maximum passed in the options', async () => {
+      mockClient.hgetall.mockResolvedValue(objectToHgetallArray({ deliveredCount: '200' }));
+
+      const status = await rateLimiter.checkRateLimit(testToken, { maxNotificationsPerDay: 1000 });
+
+      expect(status.isRateLimited).toBe(false);
+      expect(status.rateLimits.maximum).toBe(1000);
+      expect(status.rateLimits.remaining).toBe(800);
+    });
+
+    test('should report the maximum from the options after recording', async () => {
+      mockClient.exec.mockResolvedValue([
+        1,
+        1,
+        'OK',
+        objectToHgetallArray({ deliveredCount: '5' }),
+      ]);
+
+      const rateLimits = await rateLimiter.recordSuccess(testToken, { maxNotificationsPerDay: 5 });
+
+      expect(rateLimits).toMatchObject({ maximum: 5, remaining: 0 });
+    });
+  });
+
   describe('Valkey key generation', () => {
     test('should use correct Valkey key format', async () => {
       mockClient.hgetall.mockResolvedValue({});
@@ -336,6 +364,81 @@ describe('ValkeyRateLimiter', () => {
     });
   });
 
+  describe('Resetting counters', () => {
+    test('should delete the daily hash and report zeroed counters', async () => {
+      mockClient.del.mockResolvedValue(1);
+      mockClient.hgetall.mockResolvedValue([]);
+
+      const status = await rateLimiter.resetRateLimits(testToken);
+
+      expect(mockClient.del).toHaveBeenCalledWith([`rate_limit:${testToken}:${getToday()}`]);
+      expect(status.isRateLimited).toBe(false);
+      expect(status.rateLimits).toMatchObject({ attempts: 0, successful: 0, remaining: 150 });
+    });
+
+    test('should delete the current and previous window buckets', async () => {
+      const policies = [{ name: 'burst', limit: 3, windowSeconds: 60 }];
+      const limiter = new ValkeyRateLimiter(
+        maxNotificationsPerDay,
+        false,
+        'localhost',
+        6379,
+        policies,
+      );
+      mockClient.del.mockResolvedValue(3);
+      mockClient.hgetall.mockResolvedValue([]);
+      mockClient.exec.mockResolvedValue([null, null]);
+
+      await limiter.resetRateLimits(testToken);
+
+      const bucket = Math.floor(Date.now() / 60000);
+      expect(mockClient.del).toHaveBeenCalledWith([
+        `rate_limit:${testToken}:${getToday()}`,
+        `rate_limit_window:{${testToken}}:burst:${bucket}`,
+        `rate_limit_window:{${testToken}}:burst:${bucket - 1}`,
+      ]);
+    });
+  });
+
+  describe('Usage history', () => {
+    test('should keep the counters for the configured history after the day ends', async () => {
+      const limiter = new ValkeyRateLimiter(
+        maxNotificationsPerDay,
+        false,
+        'localhost',
+        6379,
+        [],
+        7,
+      );
+      mockClient.exec.mockResolvedValue([1, 'OK', objectToHgetallArray({ attemptsCount: '1' })]);
+
+      await limiter.recordAttempt(testToken);
+
+      // 14 hours until midnight, plus 7 days
+      expect(mockBatch.expire).toHaveBeenCalledWith(
+        `rate_limit:${testToken}:${getToday()}`,
+        50400 + 7 * 86400,
+      );
+    });
+
+    test('should read the daily hash of each day', async () => {
+      mockClient.hgetall.mockImplementation(async (key) =>
+        key.endsWith(':20231231')
+          ? objectToHgetallArray({ attemptsCount: '4', deliveredCount: '3', totalCount: '3' })
+          : [],
+      );
+
+      const history = await rateLimiter.getHistory(testToken, 2);
+
+      expect(mockClient.hgetall).toHaveBeenCalledWith(`rate_limit:${testToken}:20231231`);
+      expect(mockClient.hgetall).toHaveBeenCalledWith(`rate_limit:${testToken}:20240101`);
+      expect(history).toEqual([
+        { date: '2023-12-31', attempts: 4, successful: 3, errors: 0, total: 3 },
+        { date: '2024-01-01', attempts: 0, successful: 0, errors: 0, total: 0 },
+      ]);
+    });
+  });
+
   describe('Error handling', () => {
     test('should handle Valkey connection errors', async () => {
       mockClient.hgetall.mockRejectedValue(new Error('Valkey connection failed'));
@@ -504,6 +607,32 @@ describe('ValkeyRateLimiter', () => {
       // 1 minute until midnight = 60 seconds
       expect(mockBatch.expire).toHaveBeenCalledWith(`rate_limit:${testToken}:${getToday()}`, 60);
     });
+
+    test('should key and expire counters by the token time zone', async () => {
+      jest.setSystemTime(new Date('2024-01-01T23:30:00Z'));
+
+      mockClient.exec.mockResolvedValue([
+        1,
+        'OK',
+        objectToHgetallArray({
+          attemptsCount: '1',
+          deliveredCount: '0',
+          errorCount: '0',
+          totalCount: '0',
+        }),
+      ]);
+
+      const status = await rateLimiter.recordAttempt(testToken, { timeZone: 'America/New_York' });
+
+      // 18:30 in New York, so the day ends in 5.5 hours
+      expect(mockBatch.hincrBy).toHaveBeenCalledWith(
+        `rate_limit:${testToken}:20240101`,
+        'attemptsCount',
+        1,
+      );
+      expect(mockBatch.expire).toHaveBeenCalledWith(`rate_limit:${testToken}:20240101`, 19800);
+      expect(status.rateLimits.resetsAt).toEqual(new Date('2024-01-02T05:00:00.000Z'));
+    });
   });
 
   describe('Valkey connection configuration', () => {
@@ -654,4 +783,109 @@ describe('ValkeyRateLimiter', () => {
       expect(rateLimits.total).toBe(0);
     });
   });
+
+  describe('Sliding window policies', () => {
+    const policies = [
+      { name: 'burst', limit: 30, windowSeconds: 60 },
+      { name: 'rolling', limit: 100, windowSeconds: 86400 },
+    ];
+    const burstBucket = Math.floor(new Date('2024-01-01T10:00:00Z').getTime() / 60000);
+    const rollingBucket = Math.floor(new Date('2024-01-01T10:00:00Z').getTime() / 86400000);
+
+    beforeEach(() => {
+      rateLimiter = new ValkeyRateLimiter(
+        maxNotificationsPerDay,
+        false,
+        'localhost',
+        6379,
+        policies,
+      );
+    });
+
+    test('should not report policies when none are configured', async () => {
+      mockClient.hgetall.mockResolvedValue([]);
+
+      const status = await new ValkeyRateLimiter(maxNotificationsPerDay).checkRateLimit(testToken);
+
+      expect(mockClient.exec).not.toHaveBeenCalled();
+      expect(status.exceededPolicy).toBeNull();
+      expect(status.rateLimits.policies).toBeUndefined();
+    });
+
+    test('should read the current and previous bucket of each policy', async () => {
+      mockClient.hgetall.mockResolvedValue([]);
+      mockClient.exec.mockResolvedValueOnce(['3', '4', null, '10']);
+
+      const status = await rateLimiter.checkRateLimit(testToken);
+
+      expect(mockBatch.get.mock.calls).toEqual([
+        [`rate_limit_window:{${testToken}}:burst:${burstBucket}`],
+        [`rate_limit_window:{${testToken}}:burst:${burstBucket - 1}`],
+        [`rate_limit_window:{${testToken}}:rolling:${rollingBucket}`],
+        [`rate_limit_window:{${testToken}}:rolling:${rollingBucket - 1}`],
+      ]);
+      expect(status.isRateLimited).toBe(false);
+      expect(status.exceededPolicy).toBeNull();
+      expect(status.rateLimits.policies).toEqual([
+        expect.objectContaining({ name: 'burst', count: 7, remaining: 23 }),
+        // 10:00 is 10/24 of the way through the day, so 14/24 of the previous day still counts
+        expect.objectContaining({ name: 'rolling', count: 5, remaining: 95 }),
+      ]);
+    });
+
+    test('should report the policy that is exceeded', async () => {
+      mockClient.exec
+        .mockResolvedValueOnce([
+          1,
+          'OK',
+          objectToHgetallArray({ attemptsCount: '31', deliveredCount: '30', totalCount: '30' }),
+        ])
+        .mockResolvedValueOnce(['10', '20', '30', '0']);
+
+      const status = await rateLimiter.recordAttempt(testToken);
+
+      expect(status.isRateLimited).toBe(true);
+      expect(status.shouldSendRateLimitNotification).toBe(false);
+      expect(status.exceededPolicy).toBe('burst');
+    });
+
+    test('should report the daily cap before sliding window policies', async () => {
+      mockClient.hgetall.mockResolvedValue(
+        objectToHgetallArray({ deliveredCount: String(maxNotificationsPerDay) }),
+      );
+      mockClient.exec.mockResolvedValueOnce(['30', '0', '0', '0']);
+
+      const status = await rateLimiter.checkRateLimit(testToken);
+
+      expect(status.exceededPolicy).toBe('daily');
+      expect(status.shouldSendRateLimitNotification).toBe(true);
+    });
+
+    test('should increment the current bucket of each policy on success', async () => {
+      mockClient.exec
+        .mockResolvedValueOnce([1, 1, 'OK', objectToHgetallArray({ deliveredCount: '1' })])
+        .mockResolvedValueOnce([1, 1, null, 1, 1, '2']);
+
+      const rateLimits = await rateLimiter.recordSuccess(testToken);
+
+      const burstKey = `rate_limit_window:{${testToken}}:burst:${burstBucket}`;
+      const rollingKey = `rate_limit_window:{${testToken}}:rolling:${rollingBucket}`;
+      expect(mockBatch.incr.mock.calls).toEqual([[burstKey], [rollingKey]]);
+      expect(mockBatch.expire).toHaveBeenCalledWith(burstKey, 120);
+      expect(mockBatch.expire).toHaveBeenCalledWith(rollingKey, 172800);
+      expect(rateLimits.policies).toEqual([
+        expect.objectContaining({ name: 'burst', count: 1, remaining: 29 }),
+        expect.objectContaining({ name: 'rolling', count: 2, remaining: 98 }),
+      ]);
+    });
+
+    test('should not touch sliding windows when recording errors', async () => {
+      mockClient.exec.mockResolvedValueOnce([1, 1, 'OK', objectToHgetallArray({})]);
+
+      await rateLimiter.recordError(testToken);
+
+      expect(mockClient.exec).toHaveBeenCalledTimes(1);
+      expect(mockBatch.incr).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,214 @@
+'use strict';
+
+const {
+  createMockRequest,
+  createMockResponse,
+  createMockDocRef,
+  createMockRateLimitData,
+  setupFirestoreCollectionChain,
+} = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+const { assertResponse } = require('./utils/assertion-helpers');
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging, mockFirestore } = setupFirebaseMocks();
+
+// Keep retries of transient FCM errors fast
+process.env.FCM_RETRY_BASE_DELAY_MS = '1';
+
+const indexModule = require('../index.js');
+
+const android = require('../android.js');
+
+const createFCMError = (code, message = 'FCM error') => {
+  const error = new Error(message);
+  error.code = `messaging/${code}`;
+  return error;
+};
+
+const getHeaders = (res) => Object.fromEntries(res.set.mock.calls);
+
+// The daily limit resets at midnight UTC unless the token has a time zone
+const NOW = new Date('2024-01-01T10:00:00Z');
+const SECONDS_UNTIL_RESET = String(14 * 60 * 60);
+
+const createZonedRequest = (timezone) =>
+  createMockRequest({
+    body: {
+      push_token: 'test:token123',
+      message: 'Test message',
+      registration_info: { app_id: 'com.test.app', timezone },
+    },
+  });
+
+describe('Rate limit headers', () => {
+  let res, docRef, docSnapshot;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setTimeout'] });
+
+    mockMessaging.send.mockResolvedValue('mock-message-id');
+
+    res = createMockResponse();
+
+    docSnapshot = { exists: false, data: jest.fn(() => createMockRateLimitData()) };
+    docRef = createMockDocRef(docSnapshot);
+    setupFirestoreCollectionChain(mockFirestore, docRef);
+
+    mockFirestore.runTransaction.mockImplementation(async (callback) => {
+      const mockTransaction = {
+        get: jest.fn(() => docSnapshot),
+        set: jest.fn((ref, data) => docRef.set(data)),
+        update: jest.fn((ref, data) => docRef.update(data)),
+      };
+      return callback(mockTransaction);
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should describe the daily limit on successful sends', async () => {
+    await indexModule.handleRequest(createMockRequest(), res, android.createPayload);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(getHeaders(res)).toEqual({
+      'RateLimit-Limit': '500',
+      'RateLimit-Remaining': '499',
+      'RateLimit-Reset': SECONDS_UNTIL_RESET,
+    });
+  });
+
+  test('should tell rate limited callers when to retry', async () => {
+    docSnapshot.exists = true;
+    docSnapshot.data.mockReturnValue(
+      createMockRateLimitData({ attemptsCount: 500, deliveredCount: 500, totalCount: 500 }),
+    );
+
+    await indexModule.handleRequest(createMockRequest(), res, android.createPayload);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(getHeaders(res)).toEqual({
+      'RateLimit-Limit': '500',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': SECONDS_UNTIL_RESET,
+      'Retry-After': SECONDS_UNTIL_RESET,
+    });
+  });
+
+  test('should include the headers when checking rate limits', async () => {
+    await indexModule.handleCheckRateLimits(createMockRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(getHeaders(res)).toMatchObject({
+      'RateLimit-Limit': '500',
+      'RateLimit-Remaining': '500',
+    });
+    expect(getHeaders(res)).not.toHaveProperty('Retry-After');
+  });
+
+  test('should suggest a retry for transient FCM failures', async () => {
+    mockMessaging.send.mockRejectedValue(createFCMError('unavailable', 'Service unavailable'));
+
+    await indexModule.handleRequest(createMockRequest(), res, android.createPayload);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(getHeaders(res)).toMatchObject({
+      'RateLimit-Limit': '500',
+      'Retry-After': '30',
+    });
+  });
+
+  test('should not suggest a retry for permanent FCM failures', async () => {
+    mockMessaging.send.mockRejectedValue(createFCMError('invalid-argument', 'Invalid argument'));
+
+    await indexModule.handleRequest(createMockRequest(), res, android.createPayload);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(getHeaders(res)).not.toHaveProperty('Retry-After');
+  });
+
+  test('should reset the daily limit at midnight in the registered time zone', async () => {
+    await indexModule.handleRequest(
+      createZonedRequest('Europe/Amsterdam'),
+      res,
+      android.createPayload,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(getHeaders(res)['RateLimit-Reset']).toBe(String(13 * 60 * 60));
+    expect(res.send.mock.calls[0][0].rateLimits.resetsAt).toEqual(
+      new Date('2024-01-01T23:00:00.000Z'),
+    );
+  });
+
+  test('should tell the user when their daily limit resets', async () => {
+    docSnapshot.exists = true;
+    docSnapshot.data.mockReturnValue(
+      createMockRateLimitData({ attemptsCount: 500, deliveredCount: 500, totalCount: 500 }),
+    );
+
+    await indexModule.handleRequest(
+      createZonedRequest('America/New_York'),
+      res,
+      android.createPayload,
+    );
+
+    const notification = mockMessaging.send.mock.calls[0][0];
+    expect(notification.data).toMatchObject({
+      rateLimited: 'true',
+      resetsAt: '2024-01-02T05:00:00.000Z',
+      timeZone: 'America/New_York',
+    });
+    expect(notification.notification.body).toContain('until midnight (America/New_York)');
+  });
+
+  test('should reject unknown time zones', async () => {
+    await indexModule.handleRequest(
+      createZonedRequest('Mars/Olympus_Mons'),
+      res,
+      android.createPayload,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send.mock.calls[0][0].errors).toEqual([
+      { field: 'registration_info.timezone', message: 'must be an IANA time zone' },
+    ]);
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+    expect(getHeaders(res)).toEqual({
+      'RateLimit-Limit': '500',
+      'RateLimit-Remaining': '500',
+      'RateLimit-Reset': SECONDS_UNTIL_RESET,
+    });
+  });
+
+  test('should describe the daily limit on responses for tokens FCM no longer knows', async () => {
+    mockMessaging.send.mockRejectedValue(
+      createFCMError('registration-token-not-registered', 'Not registered'),
+    );
+    await indexModule.handleRequest(
+      createMockRequest(),
+      createMockResponse(),
+      android.createPayload,
+    );
+
+    await indexModule.handleRequest(createMockRequest(), res, android.createPayload);
+
+    expect(res.status).toHaveBeenCalledWith(410);
+    expect(getHeaders(res)).toMatchObject({ 'RateLimit-Limit': '500' });
+  });
+
+  test('should not send headers for requests without a token', async () => {
+    await indexModule.handleRequest(
+      createMockRequest({ body: { push_token: 'invalid-token' } }),
+      res,
+      android.createPayload,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.set).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const { createMockRequest, createMockResponse } = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+// Keep rate limits in memory, along with two days of history
+process.env.RATE_LIMITER_BACKEND = 'memory';
+process.env.RATE_LIMIT_HISTORY_DAYS = '2';
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+const { handleRateLimitHistory } = require('../handlers');
+const android = require('../android.js');
+const { schemas } = require('../validation');
+
+const NOW = Date.parse('2024-01-03T10:00:00Z');
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const createTokenRequest = (token, body = {}, registrationInfo = {}) =>
+  createMockRequest({
+    body: {
+      push_token: token,
+      message: 'Hello',
+      registration_info: { app_id: 'com.test.app', ...registrationInfo },
+      ...body,
+    },
+  });
+
+const call = async (handler, req) => {
+  const res = createMockResponse();
+  await handler(req, res);
+  return { statusCode: res.status.mock.calls[0][0], ...res.send.mock.calls[0][0] };
+};
+
+const send = (token, registrationInfo) =>
+  call(
+    (request, res) =>
+      indexModule.handleRequest(
+        request,
+        res,
+        android.createPayload,
+        schemas.notification,
+        'android',
+      ),
+    createTokenRequest(token, {}, registrationInfo),
+  );
+
+const getHistory = (token, body, registrationInfo) =>
+  call(handleRateLimitHistory, createTokenRequest(token, body, registrationInfo));
+
+describe('Rate limit history', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setTimeout'] });
+    mockMessaging.send.mockResolvedValue('message-id');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should return the counters of every day that is kept', async () => {
+    jest.setSystemTime(NOW - 2 * DAY_IN_MS);
+    await send('test:history');
+    await send('test:history');
+    jest.setSystemTime(NOW);
+    mockMessaging.send.mockRejectedValueOnce(
+      Object.assign(new Error('Invalid argument'), { code: 'messaging/invalid-argument' }),
+    );
+    await send('test:history');
+    await send('test:history');
+
+    await expect(getHistory('test:history')).resolves.toEqual({
+      statusCode: 200,
+      target: 'test:history',
+      maximum: 500,
+      timeZone: 'UTC',
+      history: [
+        { date: '2024-01-01', attempts: 2, successful: 2, errors: 0, total: 2 },
+        { date: '2024-01-02', attempts: 0, successful: 0, errors: 0, total: 0 },
+        { date: '2024-01-03', attempts: 2, successful: 1, errors: 1, total: 2 },
+      ],
+    });
+  });
+
+  test('should return fewer days when asked', async () => {
+    await send('test:recent');
+
+    const result = await getHistory('test:recent', { days: 1 });
+
+    expect(result.history).toEqual([
+      { date: '2024-01-03', attempts: 1, successful: 1, errors: 0, total: 1 },
+    ]);
+  });
+
+  test('should use the calendar days of the token time zone', async () => {
+    const result = await getHistory('test:zoned', { days: 1 }, { timezone: 'Pacific/Kiritimati' });
+
+    expect(result).toMatchObject({ timeZone: 'Pacific/Kiritimati' });
+    expect(result.history[0].date).toBe('2024-01-04');
+  });
+
+  test('should keep counting in the time zone the token first used', async () => {
+    await send('test:pinned', { timezone: 'Pacific/Kiritimati' });
+    await send('test:pinned', { timezone: 'Pacific/Honolulu' });
+
+    const result = await getHistory('test:pinned', { days: 2 }, { timezone: 'Pacific/Honolulu' });
+
+    expect(result).toMatchObject({ timeZone: 'Pacific/Kiritimati' });
+    expect(result.history).toEqual([
+      { date: '2024-01-03', attempts: 0, successful: 0, errors: 0, total: 0 },
+      { date: '2024-01-04', attempts: 2, successful: 2, errors: 0, total: 2 },
+    ]);
+  });
+
+  test('should not return more days than are kept', async () => {
+    const result = await getHistory('test:token', { days: 4 });
+
+    expect(result).toMatchObject({ statusCode: 400, errorType: 'InvalidRequest' });
+    expect(result.errors).toEqual([
+      { field: 'days', message: 'must be at most 3, as older days are not kept' },
+    ]);
+    await expect(getHistory('test:token', { days: 0 })).resolves.toMatchObject({
+      statusCode: 400,
+      errors: [{ field: 'days', message: 'must be at least 1' }],
+    });
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const {
+  computeSignature,
+  verifySignature,
+  getRawBody,
+  SigningSecretRegistry,
+} = require('../request-signing');
+const MemoryStore = require('../store/memory-store');
+
+const SECRET = 'secret';
+const BODY = JSON.stringify({ push_token: 'test:token', message: 'Hello' });
+const NOW = Date.parse('2024-01-01T10:00:00Z');
+const TIMESTAMP = NOW / 1000;
+
+const sign = (secret = SECRET, timestamp = TIMESTAMP, body = BODY) =>
+  `t=${timestamp},v1=${computeSignature(secret, timestamp, body)}`;
+
+describe('verifySignature', () => {
+  test('should accept a valid signature', () => {
+    expect(verifySignature(SECRET, sign(), BODY, NOW)).toBeNull();
+  });
+
+  test('should accept any of several signatures', () => {
+    const header = `${sign('other')},v1=${computeSignature(SECRET, TIMESTAMP, BODY)}`;
+
+    expect(verifySignature(SECRET, header, BODY, NOW)).toBeNull();
+  });
+
+  test('should report a missing signature', () => {
+    expect(verifySignature(SECRET, undefined, BODY, NOW)).toBe('MissingSignature');
+  });
+
+  test('should report a malformed signature', () => {
+    expect(verifySignature(SECRET, 'v1=abc', BODY, NOW)).toBe('MalformedSignature');
+    expect(verifySignature(SECRET, `t=${TIMESTAMP}`, BODY, NOW)).toBe('MalformedSignature');
+  });
+
+  test('should reject signatures outside the tolerance', () => {
+    expect(verifySignature(SECRET, sign(SECRET, TIMESTAMP - 301), BODY, NOW)).toBe(
+      'SignatureExpired',
+    );
+    expect(verifySignature(SECRET, sign(SECRET, TIMESTAMP + 301), BODY, NOW)).toBe(
+      'SignatureExpired',
+    );
+  });
+
+  test('should reject signatures over another body or with another secret', () => {
+    expect(verifySignature(SECRET, sign(), `${BODY} `, NOW)).toBe('InvalidSignature');
+    expect(verifySignature(SECRET, sign('other'), BODY, NOW)).toBe('InvalidSignature');
+  });
+});
+
+describe('getRawBody', () => {
+  test('should prefer the raw body', () => {
+    expect(getRawBody({ rawBody: Buffer.from(BODY), body: {} })).toBe(BODY);
+  });
+
+  test('should fall back to the serialized body', () => {
+    expect(getRawBody({ body: JSON.parse(BODY) })).toBe(BODY);
+  });
+});
+
+describe('SigningSecretRegistry', () => {
+  test('should generate a new secret for every registration', async () => {
+    const registry = new SigningSecretRegistry(new MemoryStore());
+    await expect(registry.get('test:token')).resolves.toBeNull();
+
+    const first = await registry.register('test:token', null);
+    const second = await registry.register('test:token', first);
+
+    expect(first).toMatch(/^[\w-]{43}$/);
+    expect(second).not.toBe(first);
+    await expect(registry.get('test:token')).resolves.toBe(second);
+  });
+
+  test('should only give a token its first secret once', async () => {
+    const registry = new SigningSecretRegistry(new MemoryStore());
+
+    const [first, second] = await Promise.all([
+      registry.register('test:token', null),
+      registry.register('test:token', null),
+    ]);
+
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    await expect(registry.get('test:token')).resolves.toBe(first ?? second);
+  });
+
+  test('should put back the previous secret', async () => {
+    const registry = new SigningSecretRegistry(new MemoryStore());
+    const first = await registry.register('test:token', null);
+
+    await registry.register('test:token', first);
+    await registry.restore('test:token', first);
+    await expect(registry.get('test:token')).resolves.toBe(first);
+
+    await registry.restore('test:token', null);
+    await expect(registry.get('test:token')).resolves.toBeNull();
+  });
+});
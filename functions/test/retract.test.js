@@ -0,0 +1,122 @@
+'use strict';
+
+const { createMockRequest, createMockResponse } = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+// Keep rate limits in memory
+process.env.RATE_LIMITER_BACKEND = 'memory';
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+
+const retract = require('../retract.js');
+const { schemas } = require('../validation');
+
+const IOS_APP = {
+  app_id: 'io.robbie.HomeAssistant',
+  app_version: '2024.1',
+  os_version: '17.0',
+  webhook_id: 'webhook',
+};
+
+const ANDROID_APP = {
+  app_id: 'io.homeassistant.companion.android',
+  app_version: '2024.1.0-full',
+  os_version: '34',
+  webhook_id: 'webhook',
+};
+
+const createRetractRequest = (registrationInfo, body = {}) =>
+  createMockRequest({
+    body: {
+      push_token: 'test:token123',
+      tag: 'doorbell',
+      registration_info: registrationInfo,
+      ...body,
+    },
+  });
+
+describe('retract.js', () => {
+  test('should send the iOS clear command for Apple apps', () => {
+    const { updateRateLimits, payload } = retract.createPayload(createRetractRequest(IOS_APP));
+
+    expect(updateRateLimits).toBe(false);
+    expect(payload.apns.payload).toEqual({
+      aps: { contentAvailable: true },
+      homeassistant: { command: 'clear_notification', tag: 'doorbell' },
+      webhook_id: 'webhook',
+    });
+    expect(payload.notification).toEqual({});
+    expect(payload.fcm_options.analytics_label).toBe('retractNotification');
+  });
+
+  test('should send the Android clear message for other apps', () => {
+    const { updateRateLimits, payload } = retract.createPayload(createRetractRequest(ANDROID_APP));
+
+    expect(updateRateLimits).toBe(false);
+    expect(payload.data).toEqual({
+      message: 'clear_notification',
+      tag: 'doorbell',
+      webhook_id: 'webhook',
+    });
+    expect(payload.apns).toBeUndefined();
+    expect(payload.fcm_options.analytics_label).toBe('retractNotification');
+  });
+
+  test('should only use the tag from the request', () => {
+    const { payload } = retract.createPayload(
+      createRetractRequest(ANDROID_APP, { message: 'Hello', data: { tag: 'other' } }),
+    );
+
+    expect(payload.data.message).toBe('clear_notification');
+    expect(payload.data.tag).toBe('doorbell');
+  });
+});
+
+describe('Retract route', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockMessaging.send.mockResolvedValue('message-id');
+    res = createMockResponse();
+  });
+
+  test('should send the clear command and report it without counting it', async () => {
+    await indexModule.handleRequest(
+      createRetractRequest(IOS_APP),
+      res,
+      retract.createPayload,
+      schemas.retract,
+      'retract',
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const response = res.send.mock.calls[0][0];
+    expect(response.sentPayload).toEqual(mockMessaging.send.mock.calls[0][0]);
+    expect(response.sentPayload.apns.payload.homeassistant).toEqual({
+      command: 'clear_notification',
+      tag: 'doorbell',
+    });
+    expect(response.rateLimits).toMatchObject({ attempts: 0, successful: 0 });
+  });
+
+  test('should require a tag and an app ID', async () => {
+    await indexModule.handleRequest(
+      createRetractRequest({ webhook_id: 'webhook' }, { tag: undefined }),
+      res,
+      retract.createPayload,
+      schemas.retract,
+      'retract',
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send.mock.calls[0][0].errors).toEqual([
+      { field: 'tag', message: 'is required' },
+      { field: 'registration_info.app_id', message: 'is required' },
+    ]);
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const { isRetryableError, sendWithRetry } = require('../retry');
+
+const createFCMError = (code) => {
+  const error = new Error(`FCM error ${code}`);
+  error.code = `messaging/${code}`;
+  return error;
+};
+
+describe('isRetryableError', () => {
+  test.each([
+    'unavailable',
+    'server-unavailable',
+    'internal-error',
+    'quota-exceeded',
+    'message-rate-exceeded',
+  ])('should retry %s', (code) => {
+    expect(isRetryableError(createFCMError(code))).toBe(true);
+  });
+
+  test.each([
+    'invalid-argument',
+    'registration-token-not-registered',
+    'device-message-rate-exceeded',
+  ])('should not retry %s', (code) => {
+    expect(isRetryableError(createFCMError(code))).toBe(false);
+  });
+
+  test('should not retry errors that are not from FCM', () => {
+    expect(isRetryableError(new Error('Network error'))).toBe(false);
+    expect(isRetryableError(undefined)).toBe(false);
+  });
+});
+
+describe('sendWithRetry', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should return the result of the first successful attempt', async () => {
+    const send = jest.fn().mockResolvedValue('message-id');
+
+    await expect(sendWithRetry(send, { deadline: Date.now() + 8000 })).resolves.toEqual({
+      result: 'message-id',
+      retries: 0,
+    });
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should back off exponentially between retries', async () => {
+    const send = jest
+      .fn()
+      .mockRejectedValueOnce(createFCMError('unavailable'))
+      .mockRejectedValueOnce(createFCMError('unavailable'))
+      .mockResolvedValue('message-id');
+
+    const promise = sendWithRetry(send, { deadline: Date.now() + 8000 });
+
+    await jest.advanceTimersByTimeAsync(249);
+    expect(send).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(send).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(499);
+    expect(send).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(promise).resolves.toEqual({ result: 'message-id', retries: 2 });
+  });
+
+  test('should give up after the maximum number of retries', async () => {
+    const send = jest.fn().mockRejectedValue(createFCMError('internal-error'));
+
+    const promise = sendWithRetry(send, { deadline: Date.now() + 8000, maxRetries: 2 });
+    const assertion = expect(promise).rejects.toMatchObject({
+      code: 'messaging/internal-error',
+      retries: 2,
+    });
+    await jest.runAllTimersAsync();
+
+    await assertion;
+    expect(send).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not start a retry that would begin after the deadline', async () => {
+    const send = jest.fn().mockRejectedValue(createFCMError('unavailable'));
+
+    const promise = sendWithRetry(send, { deadline: Date.now() + 600 });
+    const assertion = expect(promise).rejects.toMatchObject({ retries: 1 });
+    await jest.runAllTimersAsync();
+
+    await assertion;
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  test('should cap the delay between retries', async () => {
+    const send = jest
+      .fn()
+      .mockRejectedValueOnce(createFCMError('unavailable'))
+      .mockResolvedValue('message-id');
+
+    const promise = sendWithRetry(send, {
+      deadline: Date.now() + 8000,
+      baseDelayMs: 5000,
+      maxDelayMs: 1000,
+    });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await expect(promise).resolves.toEqual({ result: 'message-id', retries: 1 });
+  });
+
+  test('should not retry errors that are not transient', async () => {
+    const send = jest.fn().mockRejectedValue(createFCMError('invalid-argument'));
+
+    await expect(sendWithRetry(send, { deadline: Date.now() + 8000 })).rejects.toMatchObject({
+      retries: 0,
+    });
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+});
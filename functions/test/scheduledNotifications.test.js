@@ -0,0 +1,328 @@
+'use strict';
+
+const { createMockRequest, createMockResponse } = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+// Keep rate limits and the schedule queue in memory
+process.env.RATE_LIMITER_BACKEND = 'memory';
+// Small batches, so a run has to claim several
+process.env.SCHEDULE_DISPATCH_BATCH_SIZE = '2';
+process.env.ADMIN_API_KEY = 'admin-key';
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+const {
+  dispatchScheduledNotifications,
+  handleDispatchScheduledNotifications,
+} = require('../handlers');
+
+const android = require('../android.js');
+const { schemas } = require('../validation');
+
+const NOW = Date.parse('2024-01-01T10:00:00Z');
+
+const routes = {
+  android: { payloadHandler: android.createPayload, requestSchema: schemas.notification },
+};
+
+const createScheduledRequest = (schedule, token = 'test:token123') =>
+  createMockRequest({
+    body: {
+      push_token: token,
+      message: 'Take out the bins',
+      data: { actions: [{ action: 'DONE', title: 'Done' }] },
+      registration_info: { app_id: 'com.test.app', webhook_id: 'webhook' },
+      ...schedule,
+    },
+  });
+
+const getResponse = (res) => res.send.mock.calls[0][0];
+
+describe('Scheduled notifications', () => {
+  let res;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setTimeout'] });
+
+    mockMessaging.send.mockResolvedValue('message-id');
+    res = createMockResponse();
+
+    // Start every test with an empty queue
+    jest.setSystemTime(NOW + 365 * 24 * 60 * 60 * 1000);
+    await dispatchScheduledNotifications(routes);
+    jest.setSystemTime(NOW);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should accept a delayed notification without sending it', async () => {
+    await indexModule.handleRequest(
+      createScheduledRequest({ delay: 600 }),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(getResponse(res)).toEqual({
+      scheduled: true,
+      id: expect.any(String),
+      sendAt: '2024-01-01T10:10:00.000Z',
+      target: 'test:token123',
+    });
+    expect(Object.fromEntries(res.set.mock.calls)).toEqual({
+      'RateLimit-Limit': '500',
+      'RateLimit-Remaining': '500',
+      'RateLimit-Reset': String(14 * 60 * 60),
+    });
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+  });
+
+  test('should deliver the notification through the route once it is due', async () => {
+    await indexModule.handleRequest(
+      createScheduledRequest({ send_at: '2024-01-01T12:00:00+01:00' }),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    jest.setSystemTime(NOW + 59 * 60 * 1000);
+    await expect(dispatchScheduledNotifications(routes)).resolves.toEqual([]);
+
+    jest.setSystemTime(NOW + 60 * 60 * 1000);
+    const results = await dispatchScheduledNotifications(routes);
+
+    expect(results).toEqual([
+      expect.objectContaining({
+        id: getResponse(res).id,
+        statusCode: 201,
+        messageId: 'message-id',
+        target: 'test:token123',
+      }),
+    ]);
+    expect(results[0].rateLimits).toMatchObject({ attempts: 1, successful: 1 });
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+    expect(mockMessaging.send.mock.calls[0][0]).toMatchObject({
+      token: 'test:token123',
+      data: { message: 'Take out the bins', action_1_key: 'DONE', action_1_title: 'Done' },
+    });
+
+    // Delivered notifications are not delivered again
+    await expect(dispatchScheduledNotifications(routes)).resolves.toEqual([]);
+  });
+
+  test('should deliver every due notification in one run, a batch at a time', async () => {
+    const tokens = [1, 2, 3, 4, 5].map((i) => `test:queued${i}`);
+    await Promise.all(
+      tokens.map((token) =>
+        indexModule.handleRequest(
+          createScheduledRequest({ delay: 60 }, token),
+          createMockResponse(),
+          android.createPayload,
+          schemas.notification,
+          'android',
+        ),
+      ),
+    );
+
+    jest.setSystemTime(NOW + 60 * 1000);
+    const results = await dispatchScheduledNotifications(routes);
+
+    expect(results.map(({ target }) => target).sort()).toEqual(tokens);
+    expect(mockMessaging.send).toHaveBeenCalledTimes(5);
+    await expect(dispatchScheduledNotifications(routes)).resolves.toEqual([]);
+  });
+
+  test('should only count against rate limits when delivered', async () => {
+    await indexModule.handleRequest(
+      createScheduledRequest({ delay: 600 }, 'test:unused-token'),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    const checkRes = createMockResponse();
+    await indexModule.handleCheckRateLimits(
+      createScheduledRequest({}, 'test:unused-token'),
+      checkRes,
+    );
+
+    expect(getResponse(checkRes).rateLimits).toMatchObject({ attempts: 0, successful: 0 });
+  });
+
+  test('should count scheduled notifications that claim to be merged ones', async () => {
+    await indexModule.handleRequest(
+      createScheduledRequest({ delay: 60, coalesced_count: 1 }, 'test:spoofed-token'),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    jest.setSystemTime(NOW + 60 * 1000);
+    const [result] = await dispatchScheduledNotifications(routes);
+
+    expect(result).toMatchObject({ statusCode: 201 });
+    expect(result.rateLimits).toMatchObject({ attempts: 1, successful: 1 });
+    expect(mockMessaging.send.mock.calls[0][0].data).not.toHaveProperty('coalesced_count');
+  });
+
+  test('should send notifications scheduled in the past right away', async () => {
+    await indexModule.handleRequest(
+      createScheduledRequest({ send_at: '2024-01-01T09:00:00Z' }),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should validate dry runs right away instead of scheduling them', async () => {
+    await indexModule.handleRequest(
+      createScheduledRequest({ delay: 600, dry_run: true }),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockMessaging.send).toHaveBeenCalledWith(expect.any(Object), true);
+  });
+
+  test('should reject invalid schedules', async () => {
+    await indexModule.handleRequest(
+      createScheduledRequest({ send_at: '2024-01-01T11:00:00Z', delay: 600 }),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(getResponse(res).errors).toEqual([
+      { field: 'delay', message: 'must not be combined with send_at' },
+    ]);
+  });
+
+  test('should reject schedules on routes that cannot deliver them later', async () => {
+    await indexModule.handleRequest(
+      createScheduledRequest({ delay: 600 }),
+      res,
+      android.createPayload,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(getResponse(res)).toMatchObject({
+      errorType: 'SchedulingUnsupported',
+      errorStep: 'scheduleNotification',
+    });
+  });
+
+  test('should schedule every target of a batch', async () => {
+    await indexModule.handleBatchRequest(
+      createMockRequest({
+        body: {
+          message: 'Take out the bins',
+          delay: 60,
+          push_tokens: [
+            { push_token: 'test:token1', registration_info: { app_id: 'com.test.app' } },
+            { push_token: 'test:token2', registration_info: { app_id: 'com.test.app' } },
+          ],
+        },
+      }),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+
+    expect(getResponse(res).results).toEqual([
+      expect.objectContaining({ statusCode: 202, target: 'test:token1' }),
+      expect.objectContaining({ statusCode: 202, target: 'test:token2' }),
+    ]);
+
+    jest.setSystemTime(NOW + 60 * 1000);
+    const results = await dispatchScheduledNotifications(routes);
+
+    expect(results.map(({ target }) => target).sort()).toEqual(['test:token1', 'test:token2']);
+    expect(mockMessaging.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('should report notifications queued for a route that no longer exists', async () => {
+    await indexModule.handleRequest(
+      createScheduledRequest({ delay: 60 }),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'legacy',
+    );
+
+    jest.setSystemTime(NOW + 60 * 1000);
+    const results = await dispatchScheduledNotifications(routes);
+
+    expect(results).toEqual([
+      expect.objectContaining({
+        statusCode: 500,
+        errorType: 'InternalError',
+        errorStep: 'dispatchScheduledNotification',
+      }),
+    ]);
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+  });
+
+  test('should deliver due notifications when the scheduler calls the admin route', async () => {
+    await indexModule.handleRequest(
+      createScheduledRequest({ delay: 600 }),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+    jest.setSystemTime(NOW + 600 * 1000);
+
+    const dispatchRes = createMockResponse();
+    await handleDispatchScheduledNotifications(
+      createMockRequest({
+        get: jest.fn((header) =>
+          header.toLowerCase() === 'authorization' ? 'Bearer admin-key' : undefined,
+        ),
+      }),
+      dispatchRes,
+      routes,
+    );
+
+    expect(dispatchRes.status).toHaveBeenCalledWith(200);
+    expect(getResponse(dispatchRes)).toEqual({ dispatched: 1 });
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not deliver notifications for callers without the admin API key', async () => {
+    await indexModule.handleRequest(
+      createScheduledRequest({ delay: 600 }),
+      res,
+      android.createPayload,
+      schemas.notification,
+      'android',
+    );
+    jest.setSystemTime(NOW + 600 * 1000);
+
+    const dispatchRes = createMockResponse();
+    await handleDispatchScheduledNotifications(createMockRequest(), dispatchRes, routes);
+
+    expect(dispatchRes.status).toHaveBeenCalledWith(401);
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+  });
+});
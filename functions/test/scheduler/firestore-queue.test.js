@@ -0,0 +1,110 @@
+'use strict';
+
+const mockTimestamp = {
+  fromMillis: jest.fn((millis) => ({ toMillis: () => millis })),
+};
+
+// Scheduled notification documents keyed by ID
+const mockDocs = {};
+
+const mockDocRef = (id) => ({
+  id,
+  set: jest.fn(async (data) => {
+    mockDocs[id] = data;
+  }),
+});
+
+const mockQuery = {
+  where: jest.fn(() => mockQuery),
+  orderBy: jest.fn(() => mockQuery),
+  limit: jest.fn(() => mockQuery),
+  get: jest.fn(async () => {
+    const [, , end] = mockQuery.where.mock.lastCall;
+    const [limit] = mockQuery.limit.mock.lastCall;
+    const docs = Object.entries(mockDocs)
+      .filter(([, data]) => data.sendAt.toMillis() <= end.toMillis())
+      .sort(([, a], [, b]) => a.sendAt.toMillis() - b.sendAt.toMillis())
+      .slice(0, limit)
+      .map(([id]) => ({ ref: mockDocRef(id) }));
+    return { docs };
+  }),
+};
+
+const mockFirestore = {
+  collection: jest.fn(() => ({ doc: jest.fn(mockDocRef), ...mockQuery })),
+  runTransaction: jest.fn(async (callback) =>
+    callback({
+      get: jest.fn(async (ref) => {
+        const data = mockDocs[ref.id];
+        return { exists: data !== undefined, data: () => data };
+      }),
+      delete: jest.fn((ref) => {
+        delete mockDocs[ref.id];
+      }),
+    }),
+  ),
+};
+
+jest.mock('firebase-admin/firestore', () => ({
+  getFirestore: jest.fn(() => mockFirestore),
+  Timestamp: mockTimestamp,
+}));
+
+const FirestoreQueue = require('../../scheduler/firestore-queue');
+
+describe('FirestoreQueue', () => {
+  let queue;
+  const now = Date.parse('2024-01-01T10:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockDocs).forEach((id) => delete mockDocs[id]);
+
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+
+    queue = new FirestoreQueue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should store each notification in its own document', async () => {
+    const notification = await queue.add('android', { push_token: 'a:1' }, now + 60000);
+
+    expect(mockFirestore.collection).toHaveBeenCalledWith('scheduledNotifications');
+    expect(mockDocs[notification.id]).toEqual({
+      route: 'android',
+      body: { push_token: 'a:1' },
+      sendAt: expect.anything(),
+      createdAt: expect.anything(),
+      kind: 'notification',
+      key: null,
+    });
+    expect(mockTimestamp.fromMillis).toHaveBeenCalledWith(now + 60000);
+  });
+
+  test('should claim due notifications and delete their documents', async () => {
+    const due = await queue.add('android', { push_token: 'a:1' }, now + 1000);
+    const notDue = await queue.add('legacy', { push_token: 'a:2' }, now + 60000);
+
+    const claimed = await queue.claimDue(now + 5000, 10);
+
+    expect(mockQuery.where).toHaveBeenCalledWith('sendAt', '<=', expect.anything());
+    expect(mockQuery.orderBy).toHaveBeenCalledWith('sendAt');
+    expect(mockQuery.limit).toHaveBeenCalledWith(10);
+    expect(claimed).toEqual([due]);
+    expect(Object.keys(mockDocs)).toEqual([notDue.id]);
+  });
+
+  test('should skip notifications another worker claimed first', async () => {
+    const notification = await queue.add('android', { push_token: 'a:1' }, now);
+    mockQuery.get.mockImplementationOnce(async () => {
+      delete mockDocs[notification.id];
+      return { docs: [{ ref: mockDocRef(notification.id) }] };
+    });
+
+    await expect(queue.claimDue(now, 10)).resolves.toEqual([]);
+  });
+});
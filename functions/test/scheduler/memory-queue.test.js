@@ -0,0 +1,74 @@
+'use strict';
+
+const MemoryQueue = require('../../scheduler/memory-queue');
+
+describe('MemoryQueue', () => {
+  let queue;
+  const now = Date.parse('2024-01-01T10:00:00Z');
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+
+    queue = new MemoryQueue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should return the scheduled notification', async () => {
+    const notification = await queue.add('android', { push_token: 'a:1' }, now + 60000);
+
+    expect(notification).toEqual({
+      id: expect.any(String),
+      route: 'android',
+      body: { push_token: 'a:1' },
+      sendAt: now + 60000,
+      createdAt: now,
+      kind: 'notification',
+      key: null,
+    });
+  });
+
+  test('should keep the kind and key of digests and windows', async () => {
+    await queue.add('android', { push_token: 'a:1' }, now, 'coalesced', 'a:1:door');
+
+    const [notification] = await queue.claimDue(now, 10);
+    expect(notification).toMatchObject({ kind: 'coalesced', key: 'a:1:door' });
+  });
+
+  test('should only claim notifications that are due, earliest first', async () => {
+    const later = await queue.add('android', { push_token: 'a:1' }, now + 2000);
+    const earlier = await queue.add('legacy', { push_token: 'a:2' }, now + 1000);
+    await queue.add('android', { push_token: 'a:3' }, now + 60000);
+
+    const due = await queue.claimDue(now + 5000, 10);
+
+    expect(due.map((notification) => notification.id)).toEqual([earlier.id, later.id]);
+  });
+
+  test('should claim each notification once', async () => {
+    await queue.add('android', { push_token: 'a:1' }, now);
+
+    expect(await queue.claimDue(now, 10)).toHaveLength(1);
+    expect(await queue.claimDue(now, 10)).toEqual([]);
+  });
+
+  test('should claim at most the limit', async () => {
+    await queue.add('android', { push_token: 'a:1' }, now);
+    await queue.add('android', { push_token: 'a:2' }, now);
+
+    expect(await queue.claimDue(now, 1)).toHaveLength(1);
+    expect(await queue.claimDue(now, 1)).toHaveLength(1);
+  });
+
+  test('should not let callers modify queued bodies', async () => {
+    const body = { push_token: 'a:1', data: { tag: 'one' } };
+    await queue.add('android', body, now);
+    body.data.tag = 'two';
+
+    const [notification] = await queue.claimDue(now, 10);
+    expect(notification.body.data.tag).toBe('one');
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const { validateSchedule, getSendAt } = require('../../scheduler/util');
+
+describe('Scheduling', () => {
+  const now = Date.parse('2024-01-01T10:00:00Z');
+
+  describe('validateSchedule', () => {
+    test('should accept requests without a schedule', () => {
+      expect(validateSchedule({}, now)).toEqual([]);
+      expect(validateSchedule({ send_at: null, delay: null }, now)).toEqual([]);
+    });
+
+    test('should accept send_at or delay', () => {
+      expect(validateSchedule({ send_at: '2024-01-01T12:00:00+01:00' }, now)).toEqual([]);
+      expect(validateSchedule({ delay: 3600 }, now)).toEqual([]);
+    });
+
+    test('should not accept both send_at and delay', () => {
+      expect(validateSchedule({ send_at: '2024-01-01T12:00:00Z', delay: 60 }, now)).toEqual([
+        { field: 'delay', message: 'must not be combined with send_at' },
+      ]);
+    });
+
+    test('should reject dates that cannot be parsed', () => {
+      expect(validateSchedule({ send_at: 'tomorrow' }, now)).toEqual([
+        { field: 'send_at', message: 'must be an ISO 8601 date' },
+      ]);
+    });
+
+    test('should reject schedules more than 30 days ahead', () => {
+      expect(validateSchedule({ send_at: '2024-02-01T10:00:00Z' }, now)).toEqual([
+        { field: 'send_at', message: 'must be at most 30 days from now' },
+      ]);
+      expect(validateSchedule({ delay: 31 * 24 * 60 * 60 }, now)).toEqual([
+        { field: 'delay', message: 'must be between 0 and 2592000 seconds' },
+      ]);
+      expect(validateSchedule({ delay: -1 }, now)).toEqual([
+        { field: 'delay', message: 'must be between 0 and 2592000 seconds' },
+      ]);
+    });
+  });
+
+  describe('getSendAt', () => {
+    test('should return null without a schedule', () => {
+      expect(getSendAt({}, now)).toBeNull();
+    });
+
+    test('should parse send_at', () => {
+      expect(getSendAt({ send_at: '2024-01-01T12:00:00+01:00' }, now)).toBe(
+        Date.parse('2024-01-01T11:00:00Z'),
+      );
+    });
+
+    test('should add the delay to the current time', () => {
+      expect(getSendAt({ delay: 90 }, now)).toBe(now + 90 * 1000);
+    });
+
+    test('should deliver times that have already passed right away', () => {
+      expect(getSendAt({ send_at: '2024-01-01T09:59:00Z' }, now)).toBeNull();
+      expect(getSendAt({ delay: 0 }, now)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const { GlideClusterClient } = require('@valkey/valkey-glide');
+
+jest.mock('@valkey/valkey-glide', () => ({
+  GlideClusterClient: {
+    createClient: jest.fn(),
+  },
+}));
+
+const ValkeyQueue = require('../../scheduler/valkey-queue');
+
+describe('ValkeyQueue', () => {
+  let mockClient;
+  let queue;
+  const now = Date.parse('2024-01-01T10:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+
+    // Keys and sorted set members kept in memory, like a single Valkey node would
+    const values = new Map();
+    const scores = new Map();
+    mockClient = {
+      get: jest.fn(async (key) => values.get(key) ?? null),
+      set: jest.fn(async (key, value) => {
+        values.set(key, value);
+        return 'OK';
+      }),
+      del: jest.fn(async (keys) => keys.filter((key) => values.delete(key)).length),
+      zadd: jest.fn(async (key, members) => {
+        Object.entries(members).forEach(([member, score]) => scores.set(member, score));
+        return Object.keys(members).length;
+      }),
+      zrange: jest.fn(async (key, { end, limit }) =>
+        [...scores.entries()]
+          .filter(([, score]) => score <= end.value)
+          .sort(([, a], [, b]) => a - b)
+          .slice(limit.offset, limit.offset + limit.count)
+          .map(([member]) => member),
+      ),
+      zrem: jest.fn(
+        async (key, members) => members.filter((member) => scores.delete(member)).length,
+      ),
+      close: jest.fn(),
+    };
+    GlideClusterClient.createClient.mockResolvedValue(mockClient);
+
+    queue = new ValkeyQueue(false, 'valkey.local', 6380);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should index notifications by delivery time in one cluster slot', async () => {
+    const notification = await queue.add('android', { push_token: 'a:1' }, now + 60000);
+
+    expect(mockClient.set).toHaveBeenCalledWith(
+      `{scheduled_notifications}:${notification.id}`,
+      JSON.stringify(notification),
+    );
+    expect(mockClient.zadd).toHaveBeenCalledWith('{scheduled_notifications}', {
+      [notification.id]: now + 60000,
+    });
+  });
+
+  test('should claim due notifications and delete them', async () => {
+    const later = await queue.add('android', { push_token: 'a:1' }, now + 2000);
+    const earlier = await queue.add('legacy', { push_token: 'a:2' }, now + 1000);
+    await queue.add('android', { push_token: 'a:3' }, now + 60000);
+
+    const claimed = await queue.claimDue(now + 5000, 10);
+
+    expect(claimed).toEqual([earlier, later]);
+    expect(mockClient.zrange).toHaveBeenCalledWith('{scheduled_notifications}', {
+      type: 'byScore',
+      start: { value: 0 },
+      end: { value: now + 5000 },
+      limit: { offset: 0, count: 10 },
+    });
+    expect(mockClient.del).toHaveBeenCalledWith([`{scheduled_notifications}:${earlier.id}`]);
+    await expect(queue.claimDue(now + 5000, 10)).resolves.toEqual([]);
+  });
+
+  test('should skip notifications another worker claimed first', async () => {
+    await queue.add('android', { push_token: 'a:1' }, now);
+    mockClient.zrem.mockResolvedValueOnce(0);
+
+    await expect(queue.claimDue(now, 10)).resolves.toEqual([]);
+    expect(mockClient.get).not.toHaveBeenCalled();
+  });
+});
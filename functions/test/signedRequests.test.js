@@ -0,0 +1,209 @@
+'use strict';
+
+const { createMockRequest, createMockResponse } = require('./utils/mock-factories');
+const { setupFirebaseMocks } = require('./utils/firebase-mocks');
+
+// Keep rate limits and signing secrets in memory
+process.env.RATE_LIMITER_BACKEND = 'memory';
+process.env.REQUEST_SIGNING = 'required';
+process.env.ADMIN_API_KEY = 'admin-key';
+
+// Mock Firebase Admin and other dependencies
+const { mockMessaging, mockLogging } = setupFirebaseMocks();
+
+const indexModule = require('../index.js');
+const android = require('../android.js');
+const { schemas } = require('../validation');
+const { computeSignature } = require('../request-signing');
+
+const createSignedRequest = (token, secret = null, body = {}) => {
+  const requestBody = {
+    push_token: token,
+    message: 'Hello',
+    registration_info: { app_id: 'com.test.app', webhook_id: 'webhook' },
+    ...body,
+  };
+  const rawBody = JSON.stringify(requestBody);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = secret
+    ? { 'x-relay-signature': `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}` }
+    : {};
+  return createMockRequest({
+    body: requestBody,
+    rawBody: Buffer.from(rawBody),
+    get: jest.fn((header) => headers[header.toLowerCase()]),
+  });
+};
+
+const call = async (handler, req) => {
+  const res = createMockResponse();
+  await handler(req, res);
+  return { statusCode: res.status.mock.calls[0][0], ...res.send.mock.calls[0][0] };
+};
+
+const register = (req) => call(indexModule.handleRegisterSigningSecret, req);
+
+// The secret is only sent to the installation, in a data message
+const receiveSecret = async (req) => {
+  mockMessaging.send.mockClear();
+  await register(req);
+  const { signing_secret: secret } = mockMessaging.send.mock.calls[0][0].data;
+  mockMessaging.send.mockClear();
+  return secret;
+};
+
+const createAdminRequest = (token, key = 'admin-key') =>
+  createMockRequest({
+    body: { push_token: token },
+    get: jest.fn((header) =>
+      header.toLowerCase() === 'authorization' ? `Bearer ${key}` : undefined,
+    ),
+  });
+
+const send = (req) =>
+  call(
+    (request, res) =>
+      indexModule.handleRequest(
+        request,
+        res,
+        android.createPayload,
+        schemas.notification,
+        'android',
+      ),
+    req,
+  );
+
+describe('Signed requests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockMessaging.send.mockResolvedValue('message-id');
+  });
+
+  test('should send the secret to the installation instead of returning it', async () => {
+    const registered = await register(createSignedRequest('test:register'));
+
+    expect(registered).toEqual({
+      statusCode: 201,
+      target: 'test:register',
+      messageId: 'message-id',
+      replaced: false,
+    });
+    expect(mockMessaging.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        token: 'test:register',
+        data: { signing_secret: expect.stringMatching(/^[\w-]{43}$/) },
+      }),
+    );
+    await expect(register(createSignedRequest('test:register'))).resolves.toMatchObject({
+      statusCode: 409,
+      errorType: 'SigningSecretExists',
+    });
+  });
+
+  test('should replace a secret when signed with the current one', async () => {
+    const secret = await receiveSecret(createSignedRequest('test:rotate'));
+
+    await expect(register(createSignedRequest('test:rotate', 'wrong'))).resolves.toMatchObject({
+      statusCode: 401,
+      errorType: 'InvalidSignature',
+    });
+
+    const rotated = await register(createSignedRequest('test:rotate', secret));
+    expect(rotated).toMatchObject({ statusCode: 201, replaced: true });
+    expect(rotated).not.toHaveProperty('secret');
+    expect(mockMessaging.send.mock.calls[0][0].data.signing_secret).not.toBe(secret);
+  });
+
+  test('should let admins replace a secret the installation lost', async () => {
+    await register(createSignedRequest('test:lost'));
+
+    await expect(register(createAdminRequest('test:lost', 'wrong-key'))).resolves.toMatchObject({
+      statusCode: 401,
+      errorType: 'Unauthorized',
+    });
+
+    const newSecret = await receiveSecret(createAdminRequest('test:lost'));
+    await expect(send(createSignedRequest('test:lost', newSecret))).resolves.toMatchObject({
+      statusCode: 201,
+    });
+  });
+
+  test('should not keep a secret the installation never got', async () => {
+    mockMessaging.send.mockRejectedValueOnce(new Error('FCM unavailable'));
+
+    await expect(register(createSignedRequest('test:undelivered'))).resolves.toMatchObject({
+      statusCode: 500,
+    });
+
+    await expect(register(createSignedRequest('test:undelivered'))).resolves.toMatchObject({
+      statusCode: 201,
+      replaced: false,
+    });
+  });
+
+  test('should send signed requests', async () => {
+    const secret = await receiveSecret(createSignedRequest('test:signed'));
+
+    await expect(send(createSignedRequest('test:signed', secret))).resolves.toMatchObject({
+      statusCode: 201,
+    });
+    expect(mockMessaging.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject unsigned requests before building the payload', async () => {
+    await receiveSecret(createSignedRequest('test:unsigned'));
+
+    await expect(send(createSignedRequest('test:unsigned'))).resolves.toEqual({
+      statusCode: 401,
+      errorType: 'MissingSignature',
+      errorStep: 'verifySignature',
+      message: 'The request must be signed with the X-Relay-Signature header.',
+      target: 'test:unsigned',
+    });
+    expect(mockMessaging.send).not.toHaveBeenCalled();
+  });
+
+  test('should reject requests signed with another secret', async () => {
+    await register(createSignedRequest('test:forged'));
+
+    await expect(send(createSignedRequest('test:forged', 'guessed'))).resolves.toMatchObject({
+      statusCode: 401,
+      errorType: 'InvalidSignature',
+    });
+  });
+
+  test('should reject requests for tokens without a secret', async () => {
+    await expect(send(createSignedRequest('test:unknown', 'guessed'))).resolves.toMatchObject({
+      statusCode: 401,
+      errorType: 'SigningSecretNotRegistered',
+    });
+  });
+
+  test('should log unsigned requests but still send them in grace mode', async () => {
+    let graceModule;
+    jest.isolateModules(() => {
+      process.env.REQUEST_SIGNING = 'grace';
+      graceModule = require('../index.js');
+      process.env.REQUEST_SIGNING = 'required';
+    });
+
+    const result = await call(
+      (request, res) =>
+        graceModule.handleRequest(
+          request,
+          res,
+          android.createPayload,
+          schemas.notification,
+          'android',
+        ),
+      createSignedRequest('test:grace'),
+    );
+
+    expect(result.statusCode).toBe(201);
+    const log = mockLogging.log.mock.results.find(({ value }) => value.warning.mock.calls.length);
+    expect(log.value.entry).toHaveBeenCalledWith(
+      expect.any(Object),
+      expect.objectContaining({ errorType: 'SigningSecretNotRegistered', target: 'test:grace' }),
+    );
+  });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const { createMockStoreCollection } = require('../utils/mock-factories');
+
+const mockTimestamp = {
+  fromDate: jest.fn((date) => ({ toDate: () => date, toMillis: () => date.getTime() })),
+};
+
+const mockCollections = {};
+const mockCollection = jest.fn((name) => {
+  if (!mockCollections[name]) {
+    mockCollections[name] = createMockStoreCollection();
+  }
+  return mockCollections[name];
+});
+
+jest.mock('firebase-admin/firestore', () => ({
+  getFirestore: jest.fn(() => ({
+    collection: mockCollection,
+    runTransaction: jest.fn((updateFunction) =>
+      updateFunction({
+        get: (docRef) => docRef.get(),
+        set: (docRef, data) => docRef.set(data),
+        update: (docRef, data) => docRef.update(data),
+        delete: (docRef) => docRef.delete(),
+      }),
+    ),
+  })),
+  Timestamp: mockTimestamp,
+}));
+
+const FirestoreStore = require('../../store/firestore-store');
+
+describe('FirestoreStore', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockCollections).forEach((name) => delete mockCollections[name]);
+
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T10:00:00Z'));
+
+    store = new FirestoreStore();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should return null for missing documents', async () => {
+    await expect(store.get('things', 'missing')).resolves.toBeNull();
+  });
+
+  test('should keep each namespace in its own collection', async () => {
+    await store.set('things', 'key', { a: 1 });
+
+    expect(mockCollection).toHaveBeenCalledWith('things');
+    expect(mockCollections.things.docs.key).toEqual({ value: { a: 1 } });
+    await expect(store.get('things', 'key')).resolves.toEqual({ a: 1 });
+  });
+
+  test('should set expiresAt from the TTL', async () => {
+    await store.set('things', 'key', 'value', 60);
+
+    expect(mockTimestamp.fromDate).toHaveBeenCalledWith(new Date('2024-01-01T10:01:00Z'));
+    expect(mockCollections.things.docs.key.expiresAt).toBeDefined();
+  });
+
+  test('should ignore expired documents that have not been deleted yet', async () => {
+    await store.set('things', 'key', 'value', 60);
+
+    jest.advanceTimersByTime(59999);
+    await expect(store.get('things', 'key')).resolves.toBe('value');
+
+    jest.advanceTimersByTime(1);
+    await expect(store.get('things', 'key')).resolves.toBeNull();
+  });
+
+  test('should count up in a transaction until the first TTL ends', async () => {
+    await expect(store.increment('things', 'counter', 60)).resolves.toBe(1);
+    await expect(store.increment('things', 'counter', 60)).resolves.toBe(2);
+    await expect(store.get('things', 'counter')).resolves.toBe(2);
+
+    jest.advanceTimersByTime(60000);
+    await expect(store.increment('things', 'counter', 60)).resolves.toBe(1);
+  });
+
+  test('should only add documents for keys without a live value', async () => {
+    await expect(store.add('things', 'key', 'first', 60)).resolves.toBe(true);
+    await expect(store.add('things', 'key', 'second', 60)).resolves.toBe(false);
+    await expect(store.get('things', 'key')).resolves.toBe('first');
+
+    jest.advanceTimersByTime(60000);
+    await expect(store.add('things', 'key', 'third')).resolves.toBe(true);
+    expect(mockCollections.things.docs.key).toEqual({ value: 'third' });
+  });
+
+  test('should update values in a transaction', async () => {
+    const append = (item) => (list) => ({ value: [...(list ?? []), item], ttlSeconds: 60 });
+
+    await expect(store.update('things', 'list', append(1))).resolves.toEqual([1]);
+    await expect(store.update('things', 'list', append(2))).resolves.toEqual([1, 2]);
+    expect(mockCollections.things.docs.list.expiresAt).toBeDefined();
+
+    jest.advanceTimersByTime(60000);
+    await expect(store.update('things', 'list', append(3))).resolves.toEqual([3]);
+
+    await store.update('things', 'list', () => ({ value: null }));
+    expect(mockCollections.things.docs.list).toBeUndefined();
+  });
+
+  test('should delete documents', async () => {
+    await store.set('things', 'key', 'value');
+    await store.delete('things', 'key');
+
+    expect(mockCollections.things.docs.key).toBeUndefined();
+  });
+
+  test('should propagate Firestore errors', async () => {
+    mockCollection.mockReturnValueOnce({
+      doc: () => ({ get: jest.fn().mockRejectedValue(new Error('Firestore unavailable')) }),
+    });
+
+    await expect(store.get('things', 'key')).rejects.toThrow('Firestore unavailable');
+  });
+});
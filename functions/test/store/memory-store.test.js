@@ -0,0 +1,104 @@
+'use strict';
+
+const MemoryStore = require('../../store/memory-store');
+
+describe('MemoryStore', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T10:00:00Z'));
+
+    store = new MemoryStore();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should return null for missing keys', async () => {
+    await expect(store.get('things', 'missing')).resolves.toBeNull();
+  });
+
+  test('should store values per namespace', async () => {
+    await store.set('things', 'key', { a: 1 });
+    await store.set('others', 'key', { b: 2 });
+
+    await expect(store.get('things', 'key')).resolves.toEqual({ a: 1 });
+    await expect(store.get('others', 'key')).resolves.toEqual({ b: 2 });
+  });
+
+  test('should not let callers mutate stored values', async () => {
+    const value = { a: 1 };
+    await store.set('things', 'key', value);
+    value.a = 2;
+
+    const stored = await store.get('things', 'key');
+    stored.a = 3;
+
+    await expect(store.get('things', 'key')).resolves.toEqual({ a: 1 });
+  });
+
+  test('should expire values after their TTL', async () => {
+    await store.set('things', 'key', 'value', 60);
+
+    jest.advanceTimersByTime(59999);
+    await expect(store.get('things', 'key')).resolves.toBe('value');
+
+    jest.advanceTimersByTime(1);
+    await expect(store.get('things', 'key')).resolves.toBeNull();
+  });
+
+  test('should keep values without a TTL', async () => {
+    await store.set('things', 'key', 'value');
+
+    jest.advanceTimersByTime(365 * 24 * 60 * 60 * 1000);
+    await expect(store.get('things', 'key')).resolves.toBe('value');
+  });
+
+  test('should count up until the first TTL ends', async () => {
+    await expect(store.increment('things', 'counter', 60)).resolves.toBe(1);
+    jest.advanceTimersByTime(30000);
+    await expect(store.increment('things', 'counter', 60)).resolves.toBe(2);
+    await expect(store.get('things', 'counter')).resolves.toBe(2);
+
+    jest.advanceTimersByTime(30000);
+    await expect(store.increment('things', 'counter', 60)).resolves.toBe(1);
+  });
+
+  test('should only add values for keys without one', async () => {
+    const added = await Promise.all([1, 2, 3].map((i) => store.add('things', 'key', i, 60)));
+
+    expect(added).toEqual([true, false, false]);
+    await expect(store.get('things', 'key')).resolves.toBe(1);
+
+    jest.advanceTimersByTime(60000);
+    await expect(store.add('things', 'key', 4)).resolves.toBe(true);
+  });
+
+  test('should apply concurrent updates one after another', async () => {
+    const append = (item) => (list) => ({ value: [...(list ?? []), item], ttlSeconds: 60 });
+
+    await Promise.all([1, 2, 3].map((item) => store.update('things', 'list', append(item))));
+
+    await expect(store.get('things', 'list')).resolves.toEqual([1, 2, 3]);
+    await expect(store.update('things', 'list', () => ({ value: null }))).resolves.toBeNull();
+    await expect(store.get('things', 'list')).resolves.toBeNull();
+  });
+
+  test('should delete values', async () => {
+    await store.set('things', 'key', 'value');
+    await store.delete('things', 'key');
+
+    await expect(store.get('things', 'key')).resolves.toBeNull();
+  });
+
+  test('should purge expired values that are never read again', async () => {
+    await store.set('things', 'old', 'value', 1);
+
+    jest.advanceTimersByTime(60 * 1000);
+    await store.set('things', 'new', 'value');
+
+    expect([...store.entries.keys()]).toEqual(['things:new']);
+  });
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const { GlideClusterClient } = require('@valkey/valkey-glide');
+
+jest.mock('@valkey/valkey-glide', () => ({
+  GlideClusterClient: {
+    createClient: jest.fn(),
+  },
+  Script: jest.fn(),
+  TimeUnit: {
+    Seconds: 'EX',
+  },
+}));
+
+const ValkeyStore = require('../../store/valkey-store');
+
+describe('ValkeyStore', () => {
+  let mockClient;
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockClient = {
+      get: jest.fn(),
+      set: jest.fn().mockResolvedValue('OK'),
+      del: jest.fn().mockResolvedValue(1),
+      invokeScript: jest.fn().mockResolvedValue(1),
+      close: jest.fn(),
+    };
+    GlideClusterClient.createClient.mockResolvedValue(mockClient);
+
+    store = new ValkeyStore(false, 'valkey.local', 6380);
+  });
+
+  test('should connect with the configured address', async () => {
+    mockClient.get.mockResolvedValue(null);
+
+    await store.get('things', 'key');
+    await store.get('things', 'key');
+
+    expect(GlideClusterClient.createClient).toHaveBeenCalledTimes(1);
+    expect(GlideClusterClient.createClient).toHaveBeenCalledWith({
+      addresses: [{ host: 'valkey.local', port: 6380 }],
+      requestTimeout: 500,
+      clientName: 'StoreClient',
+    });
+  });
+
+  test('should return null for missing keys', async () => {
+    mockClient.get.mockResolvedValue(null);
+
+    await expect(store.get('things', 'missing')).resolves.toBeNull();
+    expect(mockClient.get).toHaveBeenCalledWith('things:missing');
+  });
+
+  test('should parse stored JSON values', async () => {
+    mockClient.get.mockResolvedValue('{"a":1}');
+
+    await expect(store.get('things', 'key')).resolves.toEqual({ a: 1 });
+  });
+
+  test('should store values as JSON with an expiry', async () => {
+    await store.set('things', 'key', { a: 1 }, 60);
+
+    expect(mockClient.set).toHaveBeenCalledWith('things:key', '{"a":1}', {
+      expiry: { type: 'EX', count: 60 },
+    });
+  });
+
+  test('should store values without an expiry', async () => {
+    await store.set('things', 'key', 'value');
+
+    expect(mockClient.set).toHaveBeenCalledWith('things:key', '"value"', {});
+  });
+
+  test('should increment counters and set their expiry in one script', async () => {
+    mockClient.invokeScript.mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+
+    await expect(store.increment('things', 'counter', 59.5)).resolves.toBe(1);
+    await expect(store.increment('things', 'counter', 59.5)).resolves.toBe(2);
+
+    expect(mockClient.invokeScript).toHaveBeenCalledTimes(2);
+    expect(mockClient.invokeScript).toHaveBeenLastCalledWith(expect.anything(), {
+      keys: ['things:counter'],
+      args: ['60'],
+    });
+  });
+
+  test('should only add values for missing keys', async () => {
+    mockClient.set.mockResolvedValueOnce('OK').mockResolvedValueOnce(null);
+
+    await expect(store.add('things', 'key', { a: 1 }, 60)).resolves.toBe(true);
+    await expect(store.add('things', 'key', { a: 2 })).resolves.toBe(false);
+
+    expect(mockClient.set).toHaveBeenCalledWith('things:key', '{"a":1}', {
+      conditionalSet: 'onlyIfDoesNotExist',
+      expiry: { type: 'EX', count: 60 },
+    });
+    expect(mockClient.set).toHaveBeenLastCalledWith('things:key', '{"a":2}', {
+      conditionalSet: 'onlyIfDoesNotExist',
+    });
+  });
+
+  test('should only update values that did not change since they were read', async () => {
+    mockClient.get.mockResolvedValueOnce('[1]').mockResolvedValueOnce('[1,2]');
+    mockClient.invokeScript.mockResolvedValueOnce(0).mockResolvedValueOnce(1);
+
+    const updated = await store.update('things', 'list', (list) => ({
+      value: [...list, 3],
+      ttlSeconds: 60,
+    }));
+
+    expect(updated).toEqual([1, 2, 3]);
+    expect(mockClient.invokeScript).toHaveBeenCalledTimes(2);
+    expect(mockClient.invokeScript).toHaveBeenLastCalledWith(expect.anything(), {
+      keys: ['things:list'],
+      args: ['[1,2]', '[1,2,3]', '60'],
+    });
+  });
+
+  test('should give up on keys that keep changing', async () => {
+    mockClient.get.mockResolvedValue(null);
+    mockClient.invokeScript.mockResolvedValue(0);
+
+    await expect(store.update('things', 'key', () => ({ value: 1 }))).rejects.toThrow(
+      'Gave up changing things:key after 10 concurrent changes',
+    );
+  });
+
+  test('should delete keys', async () => {
+    await store.delete('things', 'key');
+
+    expect(mockClient.del).toHaveBeenCalledWith(['things:key']);
+  });
+
+  test('should propagate Valkey errors', async () => {
+    mockClient.get.mockRejectedValue(new Error('Request timed out'));
+
+    await expect(store.get('things', 'key')).rejects.toThrow('Request timed out');
+  });
+
+  test('should close the connection', async () => {
+    await store.delete('things', 'key');
+    await store.close();
+
+    expect(mockClient.close).toHaveBeenCalled();
+    expect(store.connected).toBe(false);
+  });
+});
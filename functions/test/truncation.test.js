@@ -0,0 +1,230 @@
+'use strict';
+
+const android = require('../android');
+const legacy = require('../legacy');
+const { checkPayloadSize } = require('../payload-size');
+const { truncatePayload } = require('../truncation');
+
+const createRequest = (body) => ({
+  body: {
+    push_token: 'test:token123',
+    registration_info: {
+      app_id: 'io.robbie.HomeAssistant',
+      app_version: '2024.1',
+      os_version: '17.0',
+      webhook_id: 'webhook',
+    },
+    ...body,
+  },
+});
+
+describe('truncatePayload', () => {
+  test('should leave payloads that fit untouched', () => {
+    const payload = { data: { message: 'Hello' } };
+
+    expect(truncatePayload(payload, { messagePaths: ['data.message'] }, 'android')).toBeNull();
+    expect(payload).toEqual({ data: { message: 'Hello' } });
+  });
+
+  test('should cut the message down to the longest length that fits', () => {
+    const payload = { data: { message: 'x'.repeat(5000), title: 'Title' } };
+
+    const truncated = truncatePayload(payload, { messagePaths: ['data.message'] }, 'android');
+
+    expect(checkPayloadSize(payload, 'android')).toBeNull();
+    expect(payload.data.truncated).toBe('true');
+    expect(payload.data.message.endsWith('…')).toBe(true);
+    expect(truncated).toEqual([
+      {
+        field: 'data.message',
+        action: 'shortened',
+        originalLength: 5000,
+        length: Array.from(payload.data.message).length,
+      },
+    ]);
+
+    // One more character would not fit
+    payload.data.message = 'x' + payload.data.message;
+    expect(checkPayloadSize(payload, 'android')).not.toBeNull();
+  });
+
+  test('should not split multi-byte characters', () => {
+    const payload = { data: { message: '🔥'.repeat(2000) } };
+
+    truncatePayload(payload, { messagePaths: ['data.message'] }, 'android');
+
+    expect(checkPayloadSize(payload, 'android')).toBeNull();
+    expect(payload.data.message).toMatch(/^(🔥)+…$/u);
+  });
+
+  test('should shorten action titles and drop optional fields before the message', () => {
+    const payload = {
+      data: {
+        message: 'x'.repeat(3800),
+        action_1_title: 'y'.repeat(100),
+        subject: 'z'.repeat(150),
+        ticker: 'Ticker',
+      },
+    };
+
+    const truncated = truncatePayload(
+      payload,
+      {
+        messagePaths: ['data.message'],
+        actionTitlePaths: ['data.action_1_title'],
+        optionalPaths: ['data.subject', 'data.ticker'],
+      },
+      'android',
+    );
+
+    expect(truncated).toEqual([
+      { field: 'data.action_1_title', action: 'shortened', originalLength: 100, length: 32 },
+      { field: 'data.subject', action: 'removed', originalLength: 150, length: 0 },
+    ]);
+    expect(payload.data.message).toHaveLength(3800);
+    expect(payload.data.ticker).toBe('Ticker');
+    expect(payload.data.action_1_title).toBe('y'.repeat(31) + '…');
+  });
+
+  test('should keep every copy of the message in sync', () => {
+    const message = 'x'.repeat(5000);
+    const payload = {
+      notification: { body: message },
+      apns: { payload: { aps: { alert: { body: message } } } },
+    };
+
+    const truncated = truncatePayload(
+      payload,
+      { messagePaths: ['notification.body', 'apns.payload.aps.alert.body'] },
+      'apns',
+    );
+
+    expect(checkPayloadSize(payload, 'apns')).toBeNull();
+    expect(payload.notification.body).toBe(payload.apns.payload.aps.alert.body);
+    expect(truncated.map(({ field }) => field)).toEqual([
+      'notification.body',
+      'apns.payload.aps.alert.body',
+    ]);
+  });
+
+  test('should only fit the payload to the limit of the target platform', () => {
+    const createPayload = () => ({
+      notification: { body: 'x'.repeat(3000) },
+      android: { notification: { tag: 't'.repeat(1500) } },
+      apns: { payload: { aps: { alert: { body: 'x'.repeat(3000) } } } },
+    });
+    const fields = { messagePaths: ['notification.body', 'apns.payload.aps.alert.body'] };
+
+    const apnsPayload = createPayload();
+    expect(truncatePayload(apnsPayload, fields, 'apns')).toBeNull();
+    expect(apnsPayload).toEqual(createPayload());
+
+    const androidPayload = createPayload();
+    expect(truncatePayload(androidPayload, fields, 'android')).not.toBeNull();
+    expect(checkPayloadSize(androidPayload, 'android')).toBeNull();
+  });
+
+  test('should fit APNs payloads without cutting them to the Android limit', () => {
+    const payload = {
+      notification: { body: 'x'.repeat(3000) },
+      apns: { payload: { aps: { alert: { body: 'x'.repeat(3000) } }, extra: 'e'.repeat(2000) } },
+    };
+    const fields = { messagePaths: ['notification.body', 'apns.payload.aps.alert.body'] };
+
+    expect(truncatePayload(structuredClone(payload), fields, 'android')).toBeNull();
+
+    truncatePayload(payload, fields, 'apns');
+    expect(checkPayloadSize(payload, 'apns')).toBeNull();
+    expect(Array.from(payload.notification.body).length).toBeGreaterThan(1500);
+  });
+
+  test('should give up when the payload cannot be made to fit', () => {
+    const payload = { data: { message: 'Hello', other: 'x'.repeat(5000) } };
+
+    truncatePayload(payload, { messagePaths: ['data.message'] }, 'android');
+
+    expect(payload.data.message).toBe('');
+    expect(checkPayloadSize(payload, 'android')).not.toBeNull();
+  });
+});
+
+describe('createPayload truncation', () => {
+  test('should only truncate android payloads when asked to', () => {
+    const body = { message: 'x'.repeat(5000), data: { ticker: 'Ticker' } };
+
+    const untouched = android.createPayload(createRequest(body));
+    expect(untouched.truncated).toBeUndefined();
+    expect(untouched.payload.data.message).toHaveLength(5000);
+
+    const result = android.createPayload(
+      createRequest({ ...body, data: { ...body.data, truncate: true } }),
+    );
+    expect(checkPayloadSize(result.payload, 'android')).toBeNull();
+    expect(result.payload.data.truncated).toBe('true');
+    expect(result.truncated.map(({ field, action }) => `${action} ${field}`)).toEqual([
+      'removed data.ticker',
+      'shortened data.message',
+    ]);
+  });
+
+  test('should shorten long action titles of android payloads', () => {
+    const result = android.createPayload(
+      createRequest({
+        message: 'x'.repeat(3900),
+        data: {
+          truncate: true,
+          actions: [
+            { action: 'YES', title: 'Yes' },
+            { action: 'NO', title: 'n'.repeat(200) },
+          ],
+        },
+      }),
+    );
+
+    expect(result.payload.data.action_1_title).toBe('Yes');
+    expect(result.payload.data.action_2_title).toBe('n'.repeat(31) + '…');
+    expect(result.truncated[0]).toMatchObject({ field: 'data.action_2_title' });
+  });
+
+  test('should truncate legacy payloads of the iOS app to the APNs limit', () => {
+    const result = legacy.createPayload(
+      createRequest({
+        message: 'x'.repeat(5000),
+        title: 'Title',
+        data: {
+          truncate: true,
+          subtitle: 'Subtitle',
+          actions: [{ action: 'OPEN', title: 'o'.repeat(100) }],
+        },
+      }),
+    );
+
+    expect(checkPayloadSize(result.payload, 'apns')).toBeNull();
+    expect(result.payload.data).toEqual({ truncated: 'true' });
+    expect(result.payload.notification.body).toBe(result.payload.apns.payload.aps.alert.body);
+    expect(result.payload.apns.payload.aps.alert.subtitle).toBeUndefined();
+    expect(result.truncated.map(({ field }) => field)).toEqual([
+      'apns.payload.actions.0.title',
+      'apns.payload.aps.alert.subtitle',
+      'notification.body',
+      'apns.payload.aps.alert.body',
+    ]);
+  });
+
+  test('should truncate legacy payloads of the Android app to the Android limit', () => {
+    const result = legacy.createPayload(
+      createRequest({
+        message: 'x'.repeat(5000),
+        data: { truncate: true },
+        registration_info: {
+          app_id: 'io.homeassistant.companion.android',
+          app_version: '2024.1',
+          os_version: '14',
+        },
+      }),
+    );
+
+    expect(checkPayloadSize(result.payload, 'android')).toBeNull();
+    expect(result.truncated.map(({ field }) => field)).toContain('notification.body');
+  });
+});
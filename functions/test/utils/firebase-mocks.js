@@ -25,17 +25,22 @@ const setupFirebaseMocks = () => {
     https: {
       onRequest: jest.fn(),
     },
+    pubsub: {
+      schedule: jest.fn(() => ({ onRun: jest.fn() })),
+    },
   };
 
+  // Entries keep what they were created with, so tests can check what was logged
   const mockLogging = {
     log: jest.fn(() => ({
       write: jest.fn((_, callback) => callback()),
-      entry: jest.fn(() => ({})),
+      entry: jest.fn((metadata, data) => ({ metadata, data })),
+      warning: jest.fn(),
     })),
   };
 
   const mockTimestamp = {
-    fromDate: jest.fn((date) => ({ toDate: () => date })),
+    fromDate: jest.fn((date) => ({ toDate: () => date, toMillis: () => date.getTime() })),
   };
 
   // Set up Jest mocks
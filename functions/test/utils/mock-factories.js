@@ -25,7 +25,9 @@ const createMockRequest = (overrides = {}) =>
       ),
       method: 'POST',
       originalUrl: '/test',
-      get: jest.fn(() => 'test-user-agent'),
+      get: jest.fn((header) =>
+        header.toLowerCase() === 'user-agent' ? 'test-user-agent' : undefined,
+      ),
       ip: '127.0.0.1',
     },
     overrides,
@@ -35,6 +37,7 @@ const createMockRequest = (overrides = {}) =>
  * Creates a mock response object
  */
 const createMockResponse = () => ({
+  set: jest.fn().mockReturnThis(),
   status: jest.fn().mockReturnThis(),
   send: jest.fn(),
 });
@@ -113,6 +116,25 @@ const createMockRateLimitData = (overrides = {}) =>
     overrides,
   );
 
+/**
+ * Creates a mock Firestore collection for the key-value store, keeping documents in memory
+ */
+const createMockStoreCollection = (docs = {}) => ({
+  docs,
+  doc: jest.fn((key) => ({
+    get: jest.fn(async () => ({ exists: key in docs, data: () => docs[key] })),
+    set: jest.fn(async (data) => {
+      docs[key] = data;
+    }),
+    update: jest.fn(async (data) => {
+      docs[key] = { ...docs[key], ...data };
+    }),
+    delete: jest.fn(async () => {
+      delete docs[key];
+    }),
+  })),
+});
+
 /**
  * Sets up Firestore collection chain mock
  */
@@ -125,11 +147,23 @@ const setupFirestoreCollectionChain = (mockFirestore, docRef) => {
     collection: jest.fn(() => collectionRef),
   };
 
-  mockFirestore.collection.mockReturnValue({
+  const rateLimitsRef = {
     doc: jest.fn(() => dateRef),
+  };
+
+  // Any other collection is used by the key-value store
+  const storeCollections = {};
+  mockFirestore.collection.mockImplementation((name) => {
+    if (name === 'rateLimits') {
+      return rateLimitsRef;
+    }
+    if (!storeCollections[name]) {
+      storeCollections[name] = createMockStoreCollection();
+    }
+    return storeCollections[name];
   });
 
-  return { collectionRef, dateRef };
+  return { collectionRef, dateRef, storeCollections };
 };
 
 /**
@@ -150,6 +184,11 @@ class MockDataManager {
     return this.data[key];
   }
 
+  deleteRateLimitData(token, date) {
+    const key = `rateLimits/${date}/tokens/${token}`;
+    delete this.data[key];
+  }
+
   hasRateLimitData(token, date) {
     const key = `rateLimits/${date}/tokens/${token}`;
     return Boolean(this.data[key]);
@@ -172,6 +211,7 @@ module.exports = {
   createMockDocRef,
   createMockTransaction,
   createMockRateLimitData,
+  createMockStoreCollection,
   setupFirestoreCollectionChain,
   MockDataManager,
 };
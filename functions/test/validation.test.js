@@ -0,0 +1,109 @@
+'use strict';
+
+const { schemas, validateRequest } = require('../validation');
+
+const createBody = (overrides = {}) => ({
+  push_token: 'test:token123',
+  message: 'Test message',
+  title: 'Test title',
+  data: { actions: [{ action: 'OPEN', title: 'Open' }] },
+  tag: 'reminder',
+  type: 'token',
+  value: 'test:token123',
+  reason: 'Sends hundreds of notifications a minute',
+  action: 'raise',
+  maximum: 1000,
+  registration_info: {
+    app_id: 'io.robbie.HomeAssistant',
+    app_version: '2024.1',
+    os_version: '17.0',
+    webhook_id: 'webhook',
+  },
+  ...overrides,
+});
+
+describe('validateRequest', () => {
+  test.each(Object.keys(schemas))('should accept a complete body with the %s schema', (name) => {
+    expect(validateRequest(schemas[name], createBody())).toEqual([]);
+  });
+
+  test('should allow fields that are not in the schema', () => {
+    expect(validateRequest(schemas.notification, createBody({ extra: { any: 'thing' } }))).toEqual(
+      [],
+    );
+  });
+
+  test('should treat null like a missing field', () => {
+    expect(validateRequest(schemas.notification, createBody({ title: null }))).toEqual([]);
+    expect(validateRequest(schemas.notification, createBody({ registration_info: null }))).toEqual([
+      { field: 'registration_info', message: 'is required' },
+    ]);
+  });
+
+  test('should only require app_id for the legacy route', () => {
+    const body = createBody({ registration_info: { webhook_id: 'webhook' } });
+
+    expect(validateRequest(schemas.notification, body)).toEqual([]);
+    expect(validateRequest(schemas.legacy, body)).toEqual([
+      { field: 'registration_info.app_id', message: 'is required' },
+    ]);
+  });
+
+  test('should reject empty required strings', () => {
+    const body = createBody({ registration_info: { app_id: ' ' } });
+
+    expect(validateRequest(schemas.legacy, body)).toEqual([
+      { field: 'registration_info.app_id', message: 'must not be empty' },
+    ]);
+  });
+
+  test('should report the expected type of each field', () => {
+    const body = createBody({
+      push_token: ['test:token123'],
+      title: 1,
+      data: { actions: 'OPEN' },
+      registration_info: { app_id: 'io.robbie.HomeAssistant', webhook_id: false },
+    });
+
+    expect(validateRequest(schemas.legacy, body)).toEqual([
+      { field: 'push_token', message: 'must be a string' },
+      { field: 'title', message: 'must be a string' },
+      { field: 'data.actions', message: 'must be an array' },
+      { field: 'registration_info.webhook_id', message: 'must be a string' },
+    ]);
+  });
+
+  test('should not validate the fields of an object of the wrong type', () => {
+    const body = createBody({ registration_info: 'io.robbie.HomeAssistant' });
+
+    expect(validateRequest(schemas.legacy, body)).toEqual([
+      { field: 'registration_info', message: 'must be an object' },
+    ]);
+  });
+
+  test('should only accept known time zones', () => {
+    const createZonedBody = (timezone) =>
+      createBody({ registration_info: { app_id: 'io.robbie.HomeAssistant', timezone } });
+
+    expect(validateRequest(schemas.notification, createZonedBody('Europe/Amsterdam'))).toEqual([]);
+    expect(validateRequest(schemas.notification, createZonedBody('Europe/Atlantis'))).toEqual([
+      { field: 'registration_info.timezone', message: 'must be an IANA time zone' },
+    ]);
+    expect(validateRequest(schemas.token, createZonedBody(''))).toEqual([
+      { field: 'registration_info.timezone', message: 'must be an IANA time zone' },
+    ]);
+  });
+
+  test('should only require the token when checking rate limits', () => {
+    expect(validateRequest(schemas.token, { push_token: 'test:token123' })).toEqual([]);
+    expect(validateRequest(schemas.token, {})).toEqual([
+      { field: 'push_token', message: 'is required' },
+    ]);
+  });
+
+  test('should handle a missing body', () => {
+    expect(validateRequest(schemas.token, undefined)).toEqual([
+      { field: 'push_token', message: 'is required' },
+    ]);
+  });
+});
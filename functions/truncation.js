@@ -0,0 +1,153 @@
+'use strict';
+
+const { checkPayloadSize } = require('./payload-size');
+
+// Action buttons only show a couple of words, so longer titles are the first thing to go
+const MAX_ACTION_TITLE_LENGTH = 32;
+
+const ELLIPSIS = '…';
+
+/**
+ * @typedef {Object} TruncatableFields
+ * @property {string[]} messagePaths - Every copy of the message in the payload, as dotted paths
+ * @property {string[]} [actionTitlePaths=[]] - Action button titles that may be shortened
+ * @property {string[]} [optionalPaths=[]] - Fields that may be dropped, least important first
+ */
+
+/**
+ * @typedef {Object} TruncatedField
+ * @property {string} field - Dotted path of the field in the FCM message
+ * @property {'shortened'|'removed'} action - What was done to the field
+ * @property {number} originalLength - Length of the field before truncation, in characters
+ * @property {number} length - Length of the field after truncation, in characters
+ */
+
+/**
+ * @param {Object} object - The object to read from
+ * @param {string} path - Dotted path of the value
+ * @returns {any} The value, or undefined if any part of the path is missing
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * @param {Object} object - The object to write to
+ * @param {string} path - Dotted path of an existing value
+ * @param {any} value - The new value, or undefined to remove the field
+ */
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const key = keys.pop();
+  const parent = keys.length > 0 ? getPath(object, keys.join('.')) : object;
+  if (parent === null || typeof parent !== 'object') {
+    return;
+  }
+  if (value === undefined) {
+    delete parent[key];
+  } else {
+    parent[key] = value;
+  }
+}
+
+/**
+ * Shortens a string to the given number of characters, ending it with an ellipsis.
+ *
+ * @param {string} value - The string
+ * @param {number} length - Maximum length of the result in characters
+ * @returns {string} The shortened string
+ */
+function shorten(value, length) {
+  const characters = Array.from(value);
+  if (characters.length <= length) {
+    return value;
+  }
+  if (length === 0) {
+    return '';
+  }
+  return characters.slice(0, length - 1).join('') + ELLIPSIS;
+}
+
+/**
+ * Trims a payload that is over the size limit of the token's platform until it fits: long action
+ * titles are shortened first, then optional fields are dropped, then the message is cut down.
+ * Truncated payloads are marked with `data.truncated` so the app can tell.
+ *
+ * @param {Object} payload - The FCM message, which is modified in place
+ * @param {TruncatableFields} fields - The fields that may be truncated
+ * @param {'android'|'apns'} target - The platform the token belongs to, whose limit the payload
+ *   has to fit
+ * @returns {TruncatedField[]|null} What was cut, or null if the payload already fit
+ */
+function truncatePayload(
+  payload,
+  { messagePaths, actionTitlePaths = [], optionalPaths = [] },
+  target,
+) {
+  const isTooLarge = () => checkPayloadSize(payload, target) !== null;
+  if (!isTooLarge()) {
+    return null;
+  }
+
+  payload.data = { ...payload.data, truncated: 'true' };
+  /** @type {TruncatedField[]} */
+  const truncated = [];
+
+  for (const path of actionTitlePaths) {
+    const title = getPath(payload, path);
+    if (typeof title === 'string' && Array.from(title).length > MAX_ACTION_TITLE_LENGTH) {
+      setPath(payload, path, shorten(title, MAX_ACTION_TITLE_LENGTH));
+      truncated.push({
+        field: path,
+        action: 'shortened',
+        originalLength: Array.from(title).length,
+        length: MAX_ACTION_TITLE_LENGTH,
+      });
+    }
+  }
+
+  for (const path of optionalPaths) {
+    if (!isTooLarge()) {
+      return truncated;
+    }
+    const value = getPath(payload, path);
+    if (value !== undefined) {
+      setPath(payload, path, undefined);
+      truncated.push({
+        field: path,
+        action: 'removed',
+        originalLength: Array.from(String(value)).length,
+        length: 0,
+      });
+    }
+  }
+
+  const message = getPath(payload, messagePaths[0]);
+  if (!isTooLarge() || typeof message !== 'string') {
+    return truncated;
+  }
+
+  // Find the longest message that fits, keeping every copy of it in sync
+  const paths = messagePaths.filter((path) => getPath(payload, path) === message);
+  const setMessage = (value) => paths.forEach((path) => setPath(payload, path, value));
+  const originalLength = Array.from(message).length;
+  let low = 0;
+  let high = originalLength;
+  while (low < high) {
+    const length = Math.ceil((low + high) / 2);
+    setMessage(shorten(message, length));
+    if (isTooLarge()) {
+      high = length - 1;
+    } else {
+      low = length;
+    }
+  }
+  setMessage(shorten(message, low));
+  paths.forEach((path) =>
+    truncated.push({ field: path, action: 'shortened', originalLength, length: low }),
+  );
+
+  return truncated;
+}
+
+exports.truncatePayload = truncatePayload;
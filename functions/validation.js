@@ -0,0 +1,285 @@
+'use strict';
+
+const { isValidTimeZone } = require('./rate-limiter/util');
+const { QUIET_HOURS_MODES, isValidTimeOfDay } = require('./quiet-hours');
+const { BLOCK_TYPES } = require('./blocklist');
+const { RATE_LIMIT_ADJUSTMENTS } = require('./rate-limiter/overrides');
+
+/**
+ * @typedef {Object} FieldSchema
+ * @property {'string'|'number'|'boolean'|'object'|'array'} type - The expected type of the field
+ * @property {boolean} [required=false] - Whether the field must be present
+ * @property {Record<string, FieldSchema>} [properties] - Schemas of the fields of an object
+ * @property {(value: any) => string|null} [validate] - Further check of a value of the right
+ *   type, returning what is wrong with it or null if it is valid
+ */
+
+/**
+ * @typedef {Record<string, FieldSchema>} RequestSchema
+ */
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} field - Dotted path of the invalid field, e.g. `registration_info.app_id`
+ * @property {string} message - What is wrong with the field
+ */
+
+/**
+ * @param {string} value - The field value
+ * @returns {string|null} What is wrong with the value, or null if it is a time of day
+ */
+function validateTimeOfDay(value) {
+  return isValidTimeOfDay(value) ? null : 'must be a time of day as HH:MM';
+}
+
+/**
+ * @param {string} value - The field value
+ * @returns {string|null} What is wrong with the value, or null if it is a future date
+ */
+function validateFutureDate(value) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    return 'must be an ISO 8601 date';
+  }
+  return time > Date.now() ? null : 'must be in the future';
+}
+
+/** @type {RequestSchema} */
+const registrationInfoProperties = {
+  app_id: { type: 'string' },
+  app_version: { type: 'string' },
+  os_version: { type: 'string' },
+  webhook_id: { type: 'string' },
+  // Daily rate limits reset at midnight in this time zone instead of UTC
+  timezone: {
+    type: 'string',
+    validate: (value) => (isValidTimeZone(value) ? null : 'must be an IANA time zone'),
+  },
+  // Non-critical notifications are held for a digest or silenced between these times
+  quiet_hours: {
+    type: 'object',
+    properties: {
+      start: { type: 'string', required: true, validate: validateTimeOfDay },
+      end: { type: 'string', required: true, validate: validateTimeOfDay },
+      mode: {
+        type: 'string',
+        validate: (value) =>
+          QUIET_HOURS_MODES.includes(value)
+            ? null
+            : `must be one of ${QUIET_HOURS_MODES.join(', ')}`,
+      },
+    },
+  },
+};
+
+/** @type {RequestSchema} */
+const notificationSchema = {
+  push_token: { type: 'string', required: true },
+  message: { type: 'string' },
+  title: { type: 'string' },
+  data: {
+    type: 'object',
+    properties: {
+      actions: { type: 'array' },
+      truncate: { type: 'boolean' },
+      // For callers that can't send an Idempotency-Key header
+      idempotency_key: { type: 'string' },
+    },
+  },
+  registration_info: {
+    type: 'object',
+    required: true,
+    properties: registrationInfoProperties,
+  },
+  dry_run: { type: 'boolean' },
+  // Deliver the notification later, at an ISO 8601 time or after a number of seconds
+  send_at: { type: 'string' },
+  delay: { type: 'number' },
+};
+
+/** @type {RequestSchema} */
+const legacySchema = {
+  ...notificationSchema,
+  live_activity_token: { type: 'string' },
+  registration_info: {
+    type: 'object',
+    required: true,
+    properties: {
+      ...registrationInfoProperties,
+      // The legacy payload differs between the iOS and the Android app
+      app_id: { type: 'string', required: true },
+    },
+  },
+};
+
+// Retracting needs the app ID to tell which app's clear command to send
+/** @type {RequestSchema} */
+const retractSchema = {
+  push_token: { type: 'string', required: true },
+  tag: { type: 'string', required: true },
+  registration_info: legacySchema.registration_info,
+  send_at: { type: 'string' },
+  delay: { type: 'number' },
+};
+
+// Previews only build the payload, so they work without a token
+/** @type {RequestSchema} */
+const notificationPreviewSchema = {
+  ...notificationSchema,
+  push_token: { type: 'string' },
+};
+
+/** @type {RequestSchema} */
+const legacyPreviewSchema = {
+  ...legacySchema,
+  push_token: { type: 'string' },
+};
+
+/** @type {RequestSchema} */
+const tokenSchema = {
+  push_token: { type: 'string', required: true },
+  registration_info: {
+    type: 'object',
+    properties: registrationInfoProperties,
+  },
+};
+
+// History requests can ask for fewer days than are kept
+/** @type {RequestSchema} */
+const rateLimitHistorySchema = {
+  ...tokenSchema,
+  days: {
+    type: 'number',
+    validate: (value) => (Number.isInteger(value) && value >= 1 ? null : 'must be at least 1'),
+  },
+};
+
+/** @type {RequestSchema} */
+const unblockSchema = {
+  type: {
+    type: 'string',
+    required: true,
+    validate: (value) =>
+      BLOCK_TYPES.includes(value) ? null : `must be one of ${BLOCK_TYPES.join(', ')}`,
+  },
+  value: { type: 'string', required: true },
+};
+
+// Blocks last until they are removed unless they have an expiry
+/** @type {RequestSchema} */
+const blockSchema = {
+  ...unblockSchema,
+  reason: { type: 'string', required: true },
+  expires_at: { type: 'string', validate: validateFutureDate },
+};
+
+// Raises and exemptions last until the token's next daily reset unless they have an expiry
+/** @type {RequestSchema} */
+const adjustRateLimitsSchema = {
+  ...tokenSchema,
+  action: {
+    type: 'string',
+    required: true,
+    validate: (value) =>
+      RATE_LIMIT_ADJUSTMENTS.includes(value)
+        ? null
+        : `must be one of ${RATE_LIMIT_ADJUSTMENTS.join(', ')}`,
+  },
+  maximum: {
+    type: 'number',
+    validate: (value) => (Number.isInteger(value) && value >= 0 ? null : 'must be a whole number'),
+  },
+  reason: { type: 'string' },
+  expires_at: { type: 'string', validate: validateFutureDate },
+};
+
+/**
+ * Request body schemas for each route.
+ */
+const schemas = Object.freeze({
+  notification: notificationSchema,
+  legacy: legacySchema,
+  retract: retractSchema,
+  notificationPreview: notificationPreviewSchema,
+  legacyPreview: legacyPreviewSchema,
+  token: tokenSchema,
+  rateLimitHistory: rateLimitHistorySchema,
+  block: blockSchema,
+  unblock: unblockSchema,
+  adjustRateLimits: adjustRateLimitsSchema,
+});
+
+/**
+ * Gets the schema type of a value.
+ *
+ * @param {any} value - The value
+ * @returns {string} The type, distinguishing arrays and null from other objects
+ */
+function getType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Validates a request body against a schema, collecting every invalid field rather than
+ * stopping at the first one. Fields that are not in the schema are allowed.
+ *
+ * @param {RequestSchema} schema - The schema of the request body
+ * @param {any} body - The request body
+ * @param {string} [prefix=''] - Path of the object being validated, used for nested fields
+ * @returns {ValidationError[]} The invalid fields, empty if the body is valid
+ */
+function validateRequest(schema, body, prefix = '') {
+  const errors = [];
+  const values = body ?? {};
+
+  for (const [name, field] of Object.entries(schema)) {
+    const path = prefix + name;
+    const value = values[name];
+
+    if (value === undefined || value === null) {
+      if (field.required) {
+        errors.push({ field: path, message: 'is required' });
+      }
+      continue;
+    }
+
+    const type = getType(value);
+    if (type !== field.type) {
+      errors.push({ field: path, message: `must be ${getArticle(field.type)} ${field.type}` });
+      continue;
+    }
+
+    if (field.type === 'string' && field.required && value.trim() === '') {
+      errors.push({ field: path, message: 'must not be empty' });
+    }
+
+    const message = field.validate?.(value);
+    if (message) {
+      errors.push({ field: path, message });
+      continue;
+    }
+
+    if (field.properties) {
+      errors.push(...validateRequest(field.properties, value, `${path}.`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * @param {string} type - A schema type
+ * @returns {string} The indefinite article to use before the type
+ */
+function getArticle(type) {
+  return /^[aeiou]/.test(type) ? 'an' : 'a';
+}
+
+exports.schemas = schemas;
+exports.validateRequest = validateRequest;
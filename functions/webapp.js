@@ -8,38 +8,123 @@ const { loggerConfig } = require('./fastify-logger');
 const fastify = require('fastify')({ logger: loggerConfig, trustProxy: true });
 
 // Import the functions from index.js
-const { handleRequest, handleCheckRateLimits } = require('./handlers');
+const {
+  handleRequest,
+  handleBatchRequest,
+  handlePreviewRequest,
+  handleCheckRateLimits,
+  handleRateLimitHistory,
+  handleClearInvalidToken,
+  handleRegisterSigningSecret,
+  handleBlock,
+  handleUnblock,
+  handleAdjustRateLimits,
+  handleDispatchScheduledNotifications,
+} = require('./handlers');
 
 const android = require('./android');
 const legacy = require('./legacy');
+const retract = require('./retract');
+const { schemas } = require('./validation');
+
+// The routes scheduled notifications can be delivered through, by the name they are queued with
+const scheduledRoutes = {
+  android: { payloadHandler: android.createPayload, requestSchema: schemas.notification },
+  legacy: { payloadHandler: legacy.createPayload, requestSchema: schemas.legacy },
+  retract: { payloadHandler: retract.createPayload, requestSchema: schemas.retract },
+};
+
+// Keep the raw JSON body around like Cloud Functions does, since request signatures cover it
+const rawBodies = new WeakMap();
+fastify.addContentTypeParser('application/json', { parseAs: 'buffer' }, (request, body, done) => {
+  rawBodies.set(request, body);
+  try {
+    done(null, JSON.parse(body.toString()));
+  } catch (err) {
+    err.statusCode = 400;
+    done(err);
+  }
+});
 
 // Cloud Functions adapter
 function createCloudFunctionsAdapter(request, reply) {
+  const res = {
+    set: (header, value) => {
+      reply.header(header, value);
+      return res;
+    },
+    status: (code) => ({
+      send: (data) => reply.code(code).send(data),
+    }),
+  };
+
   return {
     req: {
       body: request.body,
+      rawBody: rawBodies.get(request),
       method: request.method,
       originalUrl: request.url,
       ip: request.ip,
       get: (header) => request.headers[header.toLowerCase()],
     },
-    res: {
-      status: (code) => ({
-        send: (data) => reply.code(code).send(data),
-      }),
-    },
+    res,
   };
 }
 
 // Route handlers
 async function handleAndroidV1(request, reply) {
   const { req, res } = createCloudFunctionsAdapter(request, reply);
-  return await handleRequest(req, res, android.createPayload);
+  return await handleRequest(req, res, android.createPayload, schemas.notification, 'android');
 }
 
 async function handleSendPushNotification(request, reply) {
   const { req, res } = createCloudFunctionsAdapter(request, reply);
-  return handleRequest(req, res, legacy.createPayload);
+  return handleRequest(req, res, legacy.createPayload, schemas.legacy, 'legacy');
+}
+
+async function handleAndroidV1Batch(request, reply) {
+  const { req, res } = createCloudFunctionsAdapter(request, reply);
+  return handleBatchRequest(req, res, android.createPayload, schemas.notification, 'android');
+}
+
+async function handleSendPushNotificationBatch(request, reply) {
+  const { req, res } = createCloudFunctionsAdapter(request, reply);
+  return handleBatchRequest(req, res, legacy.createPayload, schemas.legacy, 'legacy');
+}
+
+async function handleAndroidV1Preview(request, reply) {
+  const { req, res } = createCloudFunctionsAdapter(request, reply);
+  return handlePreviewRequest(req, res, android.createPayload, schemas.notificationPreview);
+}
+
+async function handleSendPushNotificationPreview(request, reply) {
+  const { req, res } = createCloudFunctionsAdapter(request, reply);
+  return handlePreviewRequest(req, res, legacy.createPayload, schemas.legacyPreview);
+}
+
+async function handleRetractNotification(request, reply) {
+  const { req, res } = createCloudFunctionsAdapter(request, reply);
+  return handleRequest(req, res, retract.createPayload, schemas.retract, 'retract');
+}
+
+async function registerSigningSecret(request, reply) {
+  const { req, res } = createCloudFunctionsAdapter(request, reply);
+  return handleRegisterSigningSecret(req, res);
+}
+
+async function block(request, reply) {
+  const { req, res } = createCloudFunctionsAdapter(request, reply);
+  return handleBlock(req, res);
+}
+
+async function unblock(request, reply) {
+  const { req, res } = createCloudFunctionsAdapter(request, reply);
+  return handleUnblock(req, res);
+}
+
+async function adjustRateLimits(request, reply) {
+  const { req, res } = createCloudFunctionsAdapter(request, reply);
+  return handleAdjustRateLimits(req, res);
 }
 
 async function checkRateLimits(request, reply) {
@@ -47,10 +132,41 @@ async function checkRateLimits(request, reply) {
   return handleCheckRateLimits(req, res);
 }
 
+async function rateLimitHistory(request, reply) {
+  const { req, res } = createCloudFunctionsAdapter(request, reply);
+  return handleRateLimitHistory(req, res);
+}
+
+async function clearInvalidToken(request, reply) {
+  const { req, res } = createCloudFunctionsAdapter(request, reply);
+  return handleClearInvalidToken(req, res);
+}
+
+async function dispatchScheduled(request, reply) {
+  const { req, res } = createCloudFunctionsAdapter(request, reply);
+  return handleDispatchScheduledNotifications(req, res, scheduledRoutes);
+}
+
 // Register routes
 fastify.post('/api/sendPush/android/v1', handleAndroidV1);
 fastify.post('/api/sendPushNotification', handleSendPushNotification);
+fastify.post('/api/sendPush/android/v1/batch', handleAndroidV1Batch);
+fastify.post('/api/sendPushNotification/batch', handleSendPushNotificationBatch);
+fastify.post('/api/sendPush/android/v1/preview', handleAndroidV1Preview);
+fastify.post('/api/sendPushNotification/preview', handleSendPushNotificationPreview);
+fastify.post('/api/retractNotification', handleRetractNotification);
 fastify.post('/api/checkRateLimits', checkRateLimits);
+fastify.post('/api/rateLimitHistory', rateLimitHistory);
+fastify.post('/api/clearInvalidToken', clearInvalidToken);
+fastify.post('/api/registerSigningSecret', registerSigningSecret);
+
+// Admin routes, which require ADMIN_API_KEY as a bearer token
+fastify.post('/admin/block', block);
+fastify.post('/admin/unblock', unblock);
+fastify.post('/admin/rateLimits', adjustRateLimits);
+// Cloud Run throttles the CPU between requests, so Cloud Scheduler calls this every minute to
+// deliver scheduled notifications, like the scheduled function does on Cloud Functions
+fastify.post('/admin/dispatchScheduled', dispatchScheduled);
 
 // Health check endpoint
 fastify.get('/health', async (request, reply) => {